@@ -0,0 +1,564 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 FAKE KAFKA BROKER
+ * "A Cardboard Kafka for the Training Room"
+ *
+ * 🧪 An in-process stand-in for a Kafka cluster. FakeKafka exposes the slice
+ * of the kafkajs client API that KafkaMessageBus uses - kafka.producer(),
+ * kafka.consumer(), kafka.admin() - so the Kafka backend can be exercised
+ * without running Kafka:
+ *
+ *   const bus = createMessageBus({ backend: 'kafka', kafka: { client: new FakeKafka() } });
+ *
+ * It keeps kafkajs's data shapes on purpose: keys, values and header values
+ * are Buffers, offsets are strings, and a committed offset is the *next*
+ * offset to read. Code that works here has already dealt with the quirks a
+ * real cluster will throw at it.
+ *
+ * 🚫 Not simulated: replication, retention, compaction, rebalance callbacks
+ * and request failures.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - A fake that's *more* forgiving than the real thing hides bugs - this one
+ *   rejects unknown topics and subscribe() after run() just like kafkajs
+ * - read_committed consumers must stop at the first open transaction (LSO)
+ */
+
+const EventEmitter = require('events');
+
+// Event names match kafkajs's consumer.events
+const CONSUMER_EVENTS = {
+  GROUP_JOIN: 'consumer.group_join',
+  CRASH: 'consumer.crash',
+  STOP: 'consumer.stop',
+  DISCONNECT: 'consumer.disconnect'
+};
+
+function toBuffer(value) {
+  if (value === null || value === undefined) return null;
+  return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+}
+
+function hashKey(key) {
+  let hash = 0;
+  for (const byte of key) {
+    hash = (hash * 31 + byte) >>> 0;
+  }
+  return hash;
+}
+
+function unknownTopicError(topic) {
+  const error = new Error(`This server does not host this topic-partition (${topic})`);
+  error.name = 'KafkaJSProtocolError';
+  error.type = 'UNKNOWN_TOPIC_OR_PARTITION';
+  return error;
+}
+
+/**
+ * 🗄️ FAKE KAFKA CLUSTER - Topic logs and group state shared by every client
+ */
+class FakeKafkaCluster extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // Every idle consumer waits on 'appended'
+
+    this.topics = new Map(); // topic -> { partitions: [records[]], configEntries }
+    this.groups = new Map(); // groupId -> { members: Set<FakeConsumer>, offsets: Map topic:partition -> offset }
+    this.nextPartition = 0; // Round-robin for keyless messages
+  }
+
+  createTopic(topic, numPartitions = 1, configEntries = []) {
+    if (this.topics.has(topic)) return false;
+
+    this.topics.set(topic, {
+      partitions: Array.from({ length: numPartitions }, () => []),
+      configEntries
+    });
+    return true;
+  }
+
+  getTopic(topic) {
+    const entry = this.topics.get(topic);
+    if (!entry) throw unknownTopicError(topic);
+    return entry;
+  }
+
+  append(topic, message, transaction = null) {
+    const { partitions } = this.getTopic(topic);
+
+    let partition = message.partition;
+    if (partition === undefined || partition === null) {
+      const key = toBuffer(message.key);
+      partition = key
+        ? hashKey(key) % partitions.length
+        : this.nextPartition++ % partitions.length;
+    }
+    if (!partitions[partition]) throw unknownTopicError(`${topic}:${partition}`);
+
+    const log = partitions[partition];
+    log.push({
+      key: toBuffer(message.key),
+      value: toBuffer(message.value),
+      headers: Object.fromEntries(
+        Object.entries(message.headers || {}).map(([name, value]) => [name, toBuffer(value)])
+      ),
+      offset: String(log.length),
+      timestamp: String(message.timestamp || Date.now()),
+      transaction // null, or the shared { status } of its transaction
+    });
+
+    if (!transaction) this.emit('appended', { topic, partition });
+    return { partition, offset: log.length - 1 };
+  }
+
+  /**
+   * 📖 READ RECORDS - Up to `max` visible records from `offset`
+   *
+   * Returns the records plus the offset to continue from, which moves past
+   * aborted records even when none of them are returned.
+   */
+  readRecords(topic, partition, offset, { readUncommitted, max = 100 }) {
+    const log = this.getTopic(topic).partitions[partition];
+    const messages = [];
+
+    let next = offset;
+    while (next < log.length && messages.length < max) {
+      const { transaction, ...record } = log[next];
+      if (transaction && !readUncommitted) {
+        if (transaction.status === 'open') break; // Last stable offset reached
+        if (transaction.status === 'aborted') {
+          next++;
+          continue;
+        }
+      }
+      messages.push(record);
+      next++;
+    }
+
+    return { messages, nextOffset: next };
+  }
+
+  highWatermark(topic, partition) {
+    return this.getTopic(topic).partitions[partition].length;
+  }
+
+  getGroup(groupId) {
+    if (!this.groups.has(groupId)) {
+      this.groups.set(groupId, { members: new Set(), offsets: new Map() });
+    }
+    return this.groups.get(groupId);
+  }
+
+  commitOffset(groupId, topic, partition, offset) {
+    this.getGroup(groupId).offsets.set(`${topic}:${partition}`, Number(offset));
+  }
+
+  // 👥 Spread each subscribed topic's partitions round-robin over its subscribers
+  rebalance(groupId) {
+    const members = Array.from(this.getGroup(groupId).members);
+    const assignments = new Map(members.map(member => [member, {}]));
+
+    const topics = new Set(members.flatMap(member => Array.from(member.subscriptions.keys())));
+    let next = 0;
+    for (const topic of topics) {
+      const subscribers = members.filter(member => member.subscriptions.has(topic));
+      this.getTopic(topic).partitions.forEach((_, partition) => {
+        const assignment = assignments.get(subscribers[next++ % subscribers.length]);
+        (assignment[topic] = assignment[topic] || []).push(partition);
+      });
+    }
+
+    for (const [member, assignment] of assignments) {
+      member.assign(assignment, members[0]);
+    }
+  }
+}
+
+/**
+ * 📤 FAKE PRODUCER
+ */
+class FakeProducer {
+  constructor(cluster, config = {}) {
+    this.cluster = cluster;
+    this.config = {
+      allowAutoTopicCreation: true, // kafkajs default
+      ...config
+    };
+    this.connected = false;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+
+  async send({ topic, messages }) {
+    return this.appendAll(topic, messages, null);
+  }
+
+  appendAll(topic, messages, transaction) {
+    if (!this.connected) {
+      throw new Error('The producer is disconnected');
+    }
+    if (!this.cluster.topics.has(topic) && this.config.allowAutoTopicCreation) {
+      this.cluster.createTopic(topic, 1);
+    }
+
+    // One RecordMetadata per partition written, like kafkajs
+    const baseOffsets = new Map();
+    for (const message of messages) {
+      const { partition, offset } = this.cluster.append(topic, message, transaction);
+      if (!baseOffsets.has(partition)) baseOffsets.set(partition, offset);
+    }
+
+    return Array.from(baseOffsets, ([partition, baseOffset]) => ({
+      topicName: topic,
+      partition,
+      errorCode: 0,
+      baseOffset: String(baseOffset),
+      logAppendTime: '-1',
+      logStartOffset: '0'
+    }));
+  }
+
+  async transaction() {
+    if (!this.config.transactionalId) {
+      throw new Error('Must provide transactional id for transactional producer');
+    }
+
+    // Records are written straight away; consumers check this shared status
+    const state = { status: 'open' };
+    const pendingOffsets = [];
+    const finish = status => {
+      if (state.status !== 'open') {
+        throw new Error(`Transaction already ${state.status}`);
+      }
+      state.status = status;
+      if (status === 'committed') {
+        for (const { groupId, topic, partition, offset } of pendingOffsets) {
+          this.cluster.commitOffset(groupId, topic, partition, offset);
+        }
+      }
+      this.cluster.emit('appended', {});
+    };
+
+    return {
+      send: async ({ topic, messages }) => this.appendAll(topic, messages, state),
+      sendOffsets: async ({ consumerGroupId, topics }) => {
+        for (const { topic, partitions } of topics) {
+          for (const { partition, offset } of partitions) {
+            pendingOffsets.push({ groupId: consumerGroupId, topic, partition, offset });
+          }
+        }
+      },
+      commit: async () => finish('committed'),
+      abort: async () => finish('aborted'),
+      isActive: () => state.status === 'open'
+    };
+  }
+}
+
+/**
+ * 📥 FAKE CONSUMER
+ */
+class FakeConsumer {
+  constructor(cluster, config) {
+    this.cluster = cluster;
+    this.groupId = config.groupId;
+    this.readUncommitted = config.readUncommitted || false;
+    this.memberId = `${config.groupId}-${Math.random().toString(36).substr(2, 9)}`;
+    this.events = CONSUMER_EVENTS;
+
+    this.emitter = new EventEmitter();
+    this.subscriptions = new Map(); // topic -> fromBeginning
+    this.assignment = []; // [{ topic, partition }]
+    this.positions = new Map(); // topic:partition -> next offset to deliver
+    this.connected = false;
+    this.running = false;
+    this.loop = null;
+    this.wakeUp = null;
+  }
+
+  on(event, listener) {
+    this.emitter.on(event, listener);
+    return () => this.emitter.removeListener(event, listener);
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  async subscribe({ topic, topics, fromBeginning = false }) {
+    if (this.running) {
+      throw new Error('Cannot subscribe to topic while consumer is running');
+    }
+
+    for (const name of topics || [topic]) {
+      this.cluster.getTopic(name); // Unknown topics are rejected
+      this.subscriptions.set(name, fromBeginning);
+    }
+  }
+
+  async run({ eachMessage, eachBatch, autoCommit = true } = {}) {
+    if (!this.connected) throw new Error('The consumer is disconnected');
+    if (this.running) throw new Error('Consumer is already running');
+
+    this.running = true;
+    this.cluster.getGroup(this.groupId).members.add(this);
+    this.cluster.rebalance(this.groupId);
+
+    this.loop = this.consumeLoop({ eachMessage, eachBatch, autoCommit }).catch(error => {
+      this.running = false;
+      this.emitter.emit(CONSUMER_EVENTS.CRASH, { type: CONSUMER_EVENTS.CRASH, payload: { error, groupId: this.groupId } });
+    });
+  }
+
+  assign(memberAssignment, leader) {
+    this.assignment = Object.entries(memberAssignment)
+      .flatMap(([topic, partitions]) => partitions.map(partition => ({ topic, partition })));
+
+    // Positions of partitions we keep survive; new ones start from the group's commit
+    for (const key of this.positions.keys()) {
+      if (!this.assignment.some(({ topic, partition }) => `${topic}:${partition}` === key)) {
+        this.positions.delete(key);
+      }
+    }
+
+    this.emitter.emit(CONSUMER_EVENTS.GROUP_JOIN, {
+      type: CONSUMER_EVENTS.GROUP_JOIN,
+      payload: {
+        groupId: this.groupId,
+        memberId: this.memberId,
+        leaderId: leader.memberId,
+        isLeader: leader === this,
+        memberAssignment
+      }
+    });
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  position(topic, partition) {
+    const key = `${topic}:${partition}`;
+    if (!this.positions.has(key)) {
+      const committed = this.cluster.getGroup(this.groupId).offsets.get(key);
+      const start = committed !== undefined
+        ? committed
+        : this.subscriptions.get(topic) ? 0 : this.cluster.highWatermark(topic, partition);
+      this.positions.set(key, start);
+    }
+    return this.positions.get(key);
+  }
+
+  isAssigned(topic, partition) {
+    return this.assignment.some(p => p.topic === topic && p.partition === partition);
+  }
+
+  resolveOffset(topic, partition, offset, autoCommit) {
+    this.positions.set(`${topic}:${partition}`, Number(offset) + 1);
+    if (autoCommit) {
+      this.cluster.commitOffset(this.groupId, topic, partition, Number(offset) + 1);
+    }
+  }
+
+  async consumeLoop({ eachMessage, eachBatch, autoCommit }) {
+    while (this.running) {
+      let delivered = false;
+
+      for (const { topic, partition } of this.assignment.slice()) {
+        if (!this.running) break;
+
+        const { messages, nextOffset } = this.cluster.readRecords(topic, partition, this.position(topic, partition), {
+          readUncommitted: this.readUncommitted
+        });
+        if (messages.length === 0) {
+          this.positions.set(`${topic}:${partition}`, nextOffset); // Skip past aborted records
+          continue;
+        }
+        delivered = true;
+
+        try {
+          if (eachBatch) {
+            await eachBatch({
+              batch: {
+                topic,
+                partition,
+                highWatermark: String(this.cluster.highWatermark(topic, partition)),
+                messages
+              },
+              resolveOffset: offset => this.resolveOffset(topic, partition, offset, false),
+              heartbeat: async () => {},
+              isRunning: () => this.running,
+              isStale: () => !this.isAssigned(topic, partition)
+            });
+            // eachBatchAutoResolve: the whole batch counts as processed
+            this.resolveOffset(topic, partition, messages[messages.length - 1].offset, autoCommit);
+          } else {
+            for (const message of messages) {
+              if (!this.running || !this.isAssigned(topic, partition)) break;
+              await eachMessage({ topic, partition, message, heartbeat: async () => {} });
+              this.resolveOffset(topic, partition, message.offset, autoCommit);
+            }
+          }
+        } catch (error) {
+          // Like kafkajs: the unresolved messages are delivered again
+          console.error(`🧪 Fake consumer ${this.memberId} handler failed: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+      }
+
+      if (!delivered) await this.waitForRecords(1000);
+    }
+  }
+
+  waitForRecords(timeoutMs) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.cluster.removeListener('appended', done);
+        this.wakeUp = null;
+        resolve();
+      };
+      const timer = setTimeout(done, timeoutMs);
+      this.cluster.on('appended', done);
+      this.wakeUp = done;
+    });
+  }
+
+  async commitOffsets(offsets) {
+    for (const { topic, partition, offset } of offsets) {
+      this.cluster.commitOffset(this.groupId, topic, partition, offset);
+    }
+  }
+
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    if (this.wakeUp) this.wakeUp();
+    await this.loop;
+
+    const group = this.cluster.getGroup(this.groupId);
+    group.members.delete(this);
+    this.assignment = [];
+    this.positions.clear();
+    if (group.members.size > 0) this.cluster.rebalance(this.groupId);
+
+    this.emitter.emit(CONSUMER_EVENTS.STOP, { type: CONSUMER_EVENTS.STOP, payload: {} });
+  }
+
+  async disconnect() {
+    await this.stop();
+    this.connected = false;
+    this.emitter.emit(CONSUMER_EVENTS.DISCONNECT, { type: CONSUMER_EVENTS.DISCONNECT, payload: {} });
+  }
+}
+
+/**
+ * 🛠️ FAKE ADMIN
+ */
+class FakeAdmin {
+  constructor(cluster) {
+    this.cluster = cluster;
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  async createTopics({ topics }) {
+    let created = false;
+    for (const { topic, numPartitions = 1, configEntries = [] } of topics) {
+      created = this.cluster.createTopic(topic, numPartitions, configEntries) || created;
+    }
+    return created;
+  }
+
+  async listTopics() {
+    return Array.from(this.cluster.topics.keys());
+  }
+
+  async fetchTopicMetadata({ topics } = {}) {
+    const names = topics || Array.from(this.cluster.topics.keys());
+    return {
+      topics: names.map(name => ({
+        name,
+        partitions: this.cluster.getTopic(name).partitions.map((_, partitionId) => ({
+          partitionErrorCode: 0,
+          partitionId,
+          leader: 0,
+          replicas: [0],
+          isr: [0],
+          offlineReplicas: []
+        }))
+      }))
+    };
+  }
+
+  async fetchTopicOffsets(topic) {
+    return this.cluster.getTopic(topic).partitions.map((log, partition) => ({
+      partition,
+      offset: String(log.length),
+      high: String(log.length),
+      low: '0'
+    }));
+  }
+
+  async fetchOffsets({ groupId, topics }) {
+    const { offsets } = this.cluster.getGroup(groupId);
+    const names = topics || Array.from(new Set(Array.from(offsets.keys(), key => key.slice(0, key.lastIndexOf(':')))));
+
+    return names.map(topic => ({
+      topic,
+      partitions: this.cluster.getTopic(topic).partitions.map((_, partition) => {
+        const offset = offsets.get(`${topic}:${partition}`);
+        return { partition, offset: offset === undefined ? '-1' : String(offset), metadata: null };
+      })
+    }));
+  }
+
+  async describeGroups(groupIds) {
+    return {
+      groups: groupIds.map(groupId => {
+        const { members } = this.cluster.getGroup(groupId);
+        return {
+          groupId,
+          state: members.size > 0 ? 'Stable' : 'Empty',
+          protocolType: 'consumer',
+          protocol: 'RoundRobinAssigner',
+          members: Array.from(members, member => ({ memberId: member.memberId, clientId: member.memberId, clientHost: '/127.0.0.1' }))
+        };
+      })
+    };
+  }
+}
+
+/**
+ * 🧪 FAKE KAFKA - Drop-in for `new Kafka({ clientId, brokers })` from kafkajs
+ */
+class FakeKafka {
+  constructor(config = {}) {
+    this.config = { clientId: 'fake-kafka', brokers: ['fake-kafka:9092'], ...config };
+    this.cluster = new FakeKafkaCluster();
+  }
+
+  producer(config = {}) {
+    return new FakeProducer(this.cluster, config);
+  }
+
+  consumer(config = {}) {
+    if (!config.groupId) {
+      throw new Error('Consumer groupId must be a non-empty string');
+    }
+    return new FakeConsumer(this.cluster, config);
+  }
+
+  admin() {
+    return new FakeAdmin(this.cluster);
+  }
+}
+
+module.exports = {
+  FakeKafka
+};
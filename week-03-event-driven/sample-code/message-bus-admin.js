@@ -0,0 +1,566 @@
+#!/usr/bin/env node
+
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 MESSAGE BUS ADMIN CLI
+ * "Compliance Tooling for the Corporate Bus"
+ *
+ * 🛠️ Day-to-day bus management from a terminal, in the spirit of Kafka's
+ * kafka-topics / kafka-consumer-groups / kafka-console-* scripts. Works
+ * against a running broker (--broker host:port) or, offline, directly on a
+ * persisted data directory (--data-dir, default ./corporate-message-data).
+ *
+ *   node sample-code/message-bus-admin.js topics list
+ *   node sample-code/message-bus-admin.js topics create corporate.orders --partitions 6
+ *   node sample-code/message-bus-admin.js topics alter corporate.orders --partitions 12
+ *   node sample-code/message-bus-admin.js groups list --broker localhost:9092
+ *   node sample-code/message-bus-admin.js groups reset-offsets billing --to-datetime 2026-01-01T00:00:00Z --execute
+ *   cat orders.ndjson | node sample-code/message-bus-admin.js produce corporate.orders
+ *   node sample-code/message-bus-admin.js consume corporate.orders --offset earliest --limit 20
+ *
+ * 📜 Bus log chatter is silenced (or sent to stderr with --verbose) so
+ * stdout stays pipeable: `consume --json | jq .value`.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Offline mode opens the data directory as its own bus - never point it at
+ *   a directory a running broker is using, or the two will overwrite each
+ *   other's files. Use --broker instead
+ * - Adding partitions changes which partition a key hashes to
+ * - Offset resets only work on stopped groups; preview them first (the
+ *   default is a dry run - --execute applies)
+ */
+
+const readline = require('readline');
+const { AlgoCraticMessageBus } = require('./message-queue-patterns');
+const { RemoteMessageBus } = require('./message-bus-client');
+
+const USAGE = `Usage: message-bus-admin.js <command> [options]
+
+Connection (pick one):
+  --broker <host:port>          Talk to a running message-bus-broker.js
+  --data-dir <dir>              Open a persisted data directory offline (default ./corporate-message-data)
+
+Topics:
+  topics list
+  topics describe <topic>
+  topics create <topic> [--partitions N] [--replication-factor N] [--compacted] [--retention-ms N]
+  topics alter <topic> --partitions N         Add partitions (grow only)
+  topics delete <topic>
+
+Consumer groups:
+  groups list                                 Groups with members and lag
+  groups describe <group>
+  groups reset-offsets <group> <target> [--topic <topic>[:p,p...]]... [--execute]
+      target: --to-earliest | --to-latest | --to-offset N | --to-datetime <iso>
+              | --by-duration <15m|2h|1d> | --shift-by N
+      Dry run unless --execute is given
+
+Records:
+  produce <topic> [--values] [--key K]         NDJSON from stdin: one { key, value, headers, partition }
+                                              record per line (--values: each line is the value)
+  consume <topic> [--partition N] [--offset earliest|latest|N] [--timestamp <iso|ms>]
+                  [--limit N] [--follow] [--json] [--isolation read_committed]
+
+  --verbose                     Show bus logs (on stderr)`;
+
+const BOOLEAN_FLAGS = new Set(['compacted', 'execute', 'values', 'follow', 'json', 'verbose', 'help', 'to-earliest', 'to-latest']);
+const REPEATABLE_FLAGS = new Set(['topic']);
+
+/**
+ * ⌨️ ADMIN COMMAND ERROR - Bad command line (exit code 2, usage is printed)
+ */
+class AdminCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AdminCommandError';
+    this.code = 'INVALID_COMMAND';
+  }
+}
+
+// 🔤 ['topics', 'create', 'x', '--partitions', '6'] -> { positionals, options }
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.has(name)) {
+      value = value === undefined ? true : value !== 'false';
+    } else if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) throw new AdminCommandError(`--${name} needs a value`);
+    }
+
+    if (REPEATABLE_FLAGS.has(name)) {
+      options[name] = (options[name] || []).concat(value);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  return { positionals, options };
+}
+
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) throw new AdminCommandError(`--${name} must be an integer (got '${value}')`);
+  return number;
+}
+
+// ⏱️ '15m' -> 900000 (bare numbers are milliseconds)
+function parseDuration(value) {
+  const match = String(value).match(/^(\d+)(ms|s|m|h|d)?$/);
+  if (!match) throw new AdminCommandError(`Cannot read duration '${value}' - use e.g. 500ms, 30s, 15m, 2h or 1d`);
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * units[match[2] || 'ms'];
+}
+
+// 🕰️ ISO date or epoch milliseconds -> epoch milliseconds
+function parseTimestamp(value) {
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(timestamp)) throw new AdminCommandError(`Cannot read timestamp '${value}'`);
+  return timestamp;
+}
+
+// 🎯 'orders' or 'orders:0,2' -> resetGroupOffsets topic entry
+function parseTopicSpec(spec) {
+  const separator = spec.lastIndexOf(':');
+  if (separator === -1) return spec;
+  return {
+    topic: spec.slice(0, separator),
+    partitions: spec.slice(separator + 1).split(',').map(p => parseInteger(p, 'topic'))
+  };
+}
+
+// 📋 Left-aligned columns sized to their widest cell
+function formatTable(columns, rows) {
+  const cells = [columns, ...rows.map(row => row.map(cell => (cell === null || cell === undefined ? '-' : String(cell))))];
+  const widths = columns.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+  return cells.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * 🛠️ MESSAGE BUS ADMIN - The commands, over any bus-shaped object
+ *
+ * Takes an AlgoCraticMessageBus or a RemoteMessageBus; only their public
+ * methods are used, so every command behaves the same offline and online.
+ */
+class MessageBusAdmin {
+  constructor(messageBus, options = {}) {
+    this.messageBus = messageBus;
+    this.output = options.output || process.stdout;
+    this.input = options.input || process.stdin;
+    this.pollIntervalMs = options.pollIntervalMs || 500; // consume --follow
+    this.stopping = false;
+  }
+
+  print(text = '') {
+    this.output.write(`${text}\n`);
+  }
+
+  async run(positionals, options) {
+    const [command, subcommand, name] = positionals;
+    const needName = what => {
+      if (!name) throw new AdminCommandError(`${command} ${subcommand} needs a ${what} name`);
+      return name;
+    };
+
+    switch (`${command} ${command === 'produce' || command === 'consume' ? '' : subcommand || ''}`.trim()) {
+      case 'topics list':
+        return this.listTopics();
+      case 'topics describe':
+        return this.describeTopic(needName('topic'));
+      case 'topics create':
+        return this.createTopic(needName('topic'), options);
+      case 'topics alter':
+        return this.alterTopic(needName('topic'), options);
+      case 'topics delete':
+        return this.deleteTopic(needName('topic'));
+      case 'groups list':
+        return this.listGroups();
+      case 'groups describe':
+        return this.describeGroup(needName('group'));
+      case 'groups reset-offsets':
+        return this.resetOffsets(needName('group'), options);
+      case 'produce':
+        if (!subcommand) throw new AdminCommandError('produce needs a topic name');
+        return this.produce(subcommand, options);
+      case 'consume':
+        if (!subcommand) throw new AdminCommandError('consume needs a topic name');
+        return this.consume(subcommand, options);
+      default:
+        throw new AdminCommandError(command ? `Unknown command '${positionals.join(' ')}'` : 'No command given');
+    }
+  }
+
+  async requireTopic(topicName) {
+    const info = await this.messageBus.getTopicInfo(topicName);
+    if (!info) throw new Error(`Topic '${topicName}' does not exist`);
+    return info;
+  }
+
+  /**
+   * 🗂️ TOPICS
+   */
+  async listTopics() {
+    const { topics } = await this.messageBus.getMetadata();
+    if (topics.length === 0) {
+      this.print('📭 No topics');
+      return;
+    }
+
+    this.print(formatTable(
+      ['TOPIC', 'PARTITIONS', 'REPLICATION', 'MESSAGES', 'COMPACTED'],
+      topics
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(topic => [
+          topic.name,
+          topic.config.partitionCount,
+          topic.config.replicationFactor,
+          topic.partitions.reduce((sum, p) => sum + p.messageCount, 0),
+          topic.config.compactionEnabled ? 'yes' : 'no'
+        ])
+    ));
+  }
+
+  async describeTopic(topicName) {
+    const info = await this.requireTopic(topicName);
+    const { config } = info;
+
+    this.print(`📝 ${topicName}`);
+    this.print(`   partitions=${config.partitionCount} replicationFactor=${config.replicationFactor} minInsyncReplicas=${config.minInsyncReplicas}`);
+    this.print(`   retentionMs=${config.retentionMs} retentionBytes=${config.retentionBytes} compaction=${config.compactionEnabled}`);
+    this.print(`   segmentBytes=${config.segmentBytes} segmentMs=${config.segmentMs} createdAt=${config.createdAt}`);
+    this.print();
+    this.print(formatTable(
+      ['PARTITION', 'LOG-START', 'HIGH-WATER', 'MESSAGES', 'SEGMENTS', 'BYTES', 'LEADER', 'REPLICAS', 'ISR'],
+      info.partitions.map(p => [
+        p.id,
+        p.logStartOffset,
+        p.highWaterMark,
+        p.messageCount,
+        p.segmentCount,
+        p.sizeBytes,
+        p.offline ? 'offline' : p.leader,
+        p.replicas.join(','),
+        p.isr.join(',')
+      ])
+    ));
+  }
+
+  async createTopic(topicName, options) {
+    if (await this.messageBus.getTopicInfo(topicName)) {
+      throw new Error(`Topic '${topicName}' already exists`);
+    }
+
+    const topicOptions = {};
+    if (options.partitions !== undefined) topicOptions.partitionCount = parseInteger(options.partitions, 'partitions');
+    if (options['replication-factor'] !== undefined) {
+      topicOptions.replicationFactor = parseInteger(options['replication-factor'], 'replication-factor');
+    }
+    if (options['retention-ms'] !== undefined) topicOptions.retentionMs = parseInteger(options['retention-ms'], 'retention-ms');
+    if (options.compacted) topicOptions.compactionEnabled = true;
+
+    await this.messageBus.createTopic(topicName, topicOptions);
+    const info = await this.requireTopic(topicName);
+    this.print(`✅ Created topic '${topicName}' with ${info.config.partitionCount} partitions`);
+  }
+
+  async alterTopic(topicName, options) {
+    if (options.partitions === undefined) {
+      throw new AdminCommandError('topics alter needs --partitions N (partitions can only be added)');
+    }
+    await this.requireTopic(topicName);
+
+    const { previousCount, partitionCount } = await this.messageBus.createPartitions(
+      topicName,
+      parseInteger(options.partitions, 'partitions')
+    );
+    this.print(`✅ Topic '${topicName}' now has ${partitionCount} partitions (was ${previousCount})`);
+    this.print('⚠️  Keys now hash to different partitions - per-key ordering restarts from here');
+  }
+
+  async deleteTopic(topicName) {
+    await this.requireTopic(topicName);
+    const { partitionCount } = await this.messageBus.deleteTopic(topicName);
+    this.print(`🗑️ Deleted topic '${topicName}' (${partitionCount} partitions)`);
+  }
+
+  /**
+   * 👥 CONSUMER GROUPS
+   */
+  async listGroups() {
+    const { consumerGroups } = await this.messageBus.getMetadata();
+    if (consumerGroups.length === 0) {
+      this.print('📭 No consumer groups');
+      return;
+    }
+
+    const rows = [];
+    for (const groupId of consumerGroups.slice().sort()) {
+      const info = await this.messageBus.getConsumerGroupInfo(groupId);
+      if (!info) continue;
+      rows.push([groupId, info.consumerCount, info.lag.partitions.length, info.lag.totalLag, info.lag.maxLag, info.lag.level]);
+    }
+    this.print(formatTable(['GROUP', 'MEMBERS', 'PARTITIONS', 'TOTAL-LAG', 'MAX-LAG', 'LEVEL'], rows));
+  }
+
+  async describeGroup(groupId) {
+    const info = await this.messageBus.getConsumerGroupInfo(groupId);
+    if (!info) throw new Error(`Consumer group '${groupId}' does not exist`);
+
+    this.print(`👥 ${groupId}  generation=${info.generationId} strategy=${info.assignmentStrategy} members=${info.consumerCount}`);
+    this.print(`   totalLag=${info.lag.totalLag} maxLag=${info.lag.maxLag} level=${info.lag.level}`);
+    for (const member of info.members) {
+      this.print(`   🧑‍💼 ${member.consumerId} subscribed to ${member.subscribedTopics.join(', ') || '(nothing)'}`);
+    }
+    this.print();
+    this.print(formatTable(
+      ['TOPIC', 'PARTITION', 'COMMITTED', 'HIGH-WATER', 'LAG', 'CONSUMER'],
+      info.lag.partitions
+        .sort((a, b) => a.topic.localeCompare(b.topic) || a.partition - b.partition)
+        .map(p => [p.topic, p.partition, p.committedOffset, p.highWaterMark, p.lag, p.consumerId])
+    ));
+  }
+
+  async resetOffsets(groupId, options) {
+    const targets = [
+      options['to-earliest'] && 'earliest',
+      options['to-latest'] && 'latest',
+      options['to-offset'] !== undefined && { offset: parseInteger(options['to-offset'], 'to-offset') },
+      options['to-datetime'] !== undefined && { timestamp: parseTimestamp(options['to-datetime']) },
+      options['by-duration'] !== undefined && { durationMs: parseDuration(options['by-duration']) },
+      options['shift-by'] !== undefined && { shiftBy: parseInteger(options['shift-by'], 'shift-by') }
+    ].filter(Boolean);
+    if (targets.length !== 1) {
+      throw new AdminCommandError('groups reset-offsets needs exactly one of --to-earliest, --to-latest, --to-offset, --to-datetime, --by-duration, --shift-by');
+    }
+
+    const dryRun = !options.execute;
+    const result = await this.messageBus.resetGroupOffsets(groupId, {
+      topics: options.topic ? options.topic.map(parseTopicSpec) : undefined,
+      to: targets[0],
+      dryRun
+    });
+
+    if (result.partitions.length === 0) {
+      this.print(`📭 Group '${groupId}' has no offsets to reset - name the topics with --topic`);
+      return;
+    }
+    this.print(formatTable(
+      ['TOPIC', 'PARTITION', 'CURRENT', 'NEW', 'LOG-START', 'HIGH-WATER'],
+      result.partitions.map(p => [p.topic, p.partition, p.currentOffset, p.newOffset, p.logStartOffset, p.highWaterMark])
+    ));
+    this.print();
+    this.print(dryRun
+      ? '🔍 Dry run - nothing changed. Add --execute to apply'
+      : `✅ Reset ${result.partitions.length} partition offsets for group '${groupId}'`);
+  }
+
+  /**
+   * 📤 PRODUCE - NDJSON records from stdin
+   */
+  async produce(topicName, options) {
+    const info = await this.requireTopic(topicName);
+    const partitionCount = info.partitions.length;
+
+    const producer = await this.messageBus.createProducer(`algocratic-admin-${process.pid}`);
+    const sends = [];
+    let lineNumber = 0;
+    let failed = 0;
+
+    const lines = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+
+      let record;
+      try {
+        const parsed = JSON.parse(line);
+        record = options.values ? { key: options.key, value: parsed } : parsed;
+        if (!options.values && (record === null || typeof record !== 'object' || record.value === undefined)) {
+          throw new Error('expected a { key, value, headers, partition } record - use --values for bare values');
+        }
+        if (record.partition !== undefined && record.partition !== null &&
+            !(Number.isInteger(record.partition) && record.partition >= 0 && record.partition < partitionCount)) {
+          throw new Error(`partition must be an integer from 0 to ${partitionCount - 1}, got ${JSON.stringify(record.partition)}`);
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Line ${lineNumber}: ${error.message}`);
+        continue;
+      }
+
+      const { key = options.key, value, headers, partition } = record;
+      const currentLine = lineNumber;
+      sends.push(producer.send(topicName, value, { key, headers, partition }).catch(error => {
+        failed++;
+        console.error(`❌ Line ${currentLine}: ${error.message}`);
+        return null;
+      }));
+    }
+
+    await producer.flush();
+    const offsets = (await Promise.all(sends)).filter(Boolean);
+
+    const partitions = new Set(offsets.map(({ partition }) => partition));
+    this.print(`✅ Produced ${offsets.length} records to '${topicName}' (partitions ${Array.from(partitions).sort((a, b) => a - b).join(', ') || 'none'})`);
+    if (failed > 0) {
+      throw new Error(`${failed} line(s) could not be produced`);
+    }
+  }
+
+  /**
+   * 📥 CONSUME - Read records from an offset without joining a group
+   *
+   * Reads partitions directly (like the gateway's offset reads), so nothing
+   * is committed and no group rebalances because of it.
+   */
+  async consume(topicName, options) {
+    const info = await this.requireTopic(topicName);
+    const isolationLevel = options.isolation || 'read_uncommitted';
+    const limit = options.limit !== undefined ? parseInteger(options.limit, 'limit') : Infinity;
+    const partitionIds = options.partition !== undefined
+      ? [parseInteger(options.partition, 'partition')]
+      : info.partitions.map(p => p.id);
+
+    const positions = new Map();
+    for (const partitionId of partitionIds) {
+      positions.set(partitionId, await this.startOffset(topicName, partitionId, options));
+    }
+
+    process.once('SIGINT', () => { this.stopping = true; });
+    let printed = 0;
+
+    while (!this.stopping && printed < limit) {
+      let readAny = false;
+
+      for (const [partitionId, offset] of positions) {
+        if (printed >= limit) break;
+
+        const bounds = await this.messageBus.getPartitionOffsets(topicName, partitionId);
+        const bound = isolationLevel === 'read_committed' ? bounds.lastStableOffset : bounds.highWaterMark;
+        const maxMessages = Math.min(100, limit - printed);
+        const records = await this.messageBus.fetchRecords(topicName, partitionId, Math.max(offset, bounds.logStartOffset), {
+          maxMessages,
+          isolationLevel
+        });
+
+        records.forEach(record => this.printRecord(record, options));
+        printed += records.length;
+        readAny = readAny || records.length > 0;
+
+        // Control markers and aborted records are skipped, not returned - see the gateway's readPage()
+        const lastOffset = records.length > 0 ? records[records.length - 1].offset : offset - 1;
+        positions.set(partitionId, records.length === maxMessages ? lastOffset + 1 : Math.max(lastOffset + 1, bound, offset));
+      }
+
+      if (!readAny) {
+        if (!options.follow) break;
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+      }
+    }
+
+    if (!options.json) {
+      console.error(`📊 ${printed} records from '${topicName}'`);
+    }
+  }
+
+  async startOffset(topicName, partitionId, options) {
+    if (options.timestamp !== undefined) {
+      const { offset } = await this.messageBus.offsetForTimestamp(topicName, partitionId, parseTimestamp(options.timestamp));
+      return offset;
+    }
+
+    const { logStartOffset, highWaterMark } = await this.messageBus.getPartitionOffsets(topicName, partitionId);
+    const from = options.offset !== undefined ? options.offset : 'earliest';
+    if (from === 'earliest') return logStartOffset;
+    if (from === 'latest') return highWaterMark;
+    return parseInteger(from, 'offset');
+  }
+
+  printRecord(record, options) {
+    const { topic, partition, offset, timestamp, key, headers, value } = record;
+    if (options.json) {
+      this.print(JSON.stringify({ topic, partition, offset, timestamp, key, headers, value }));
+      return;
+    }
+
+    this.print(`📨 ${topic}[${partition}]@${offset}  ${new Date(timestamp).toISOString()}  key=${key === null || key === undefined ? '-' : key}`);
+    if (headers && Object.keys(headers).length > 0) {
+      this.print(`   headers: ${JSON.stringify(headers)}`);
+    }
+    const body = value === null ? 'null (tombstone)' : JSON.stringify(value, null, 2);
+    this.print(body.split('\n').map(line => `   ${line}`).join('\n'));
+  }
+}
+
+// 🔌 --broker host:port -> RemoteMessageBus, otherwise the data directory offline
+async function openMessageBus(options) {
+  if (options.broker) {
+    const [host, port] = options.broker.split(':');
+    const messageBus = new RemoteMessageBus({ host: host || '127.0.0.1', port: Number(port) || 9092, maxReconnectAttempts: 1 });
+    await messageBus.ready;
+    return messageBus;
+  }
+
+  const messageBus = new AlgoCraticMessageBus({
+    persistToDisk: true,
+    dataDir: options['data-dir'] || './corporate-message-data'
+  });
+  await messageBus.ready;
+  return messageBus;
+}
+
+async function runAdmin(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { positionals, options } = parsed;
+  if (options.help || positionals.length === 0) {
+    console.log(USAGE);
+    return positionals.length === 0 && !options.help ? 2 : 0;
+  }
+
+  // 🤫 Keep stdout for command output - bus logs go to stderr, or nowhere
+  const log = console.log;
+  console.log = options.verbose ? console.error : () => {};
+
+  let messageBus = null;
+  try {
+    messageBus = await openMessageBus(options);
+    await new MessageBusAdmin(messageBus).run(positionals, options);
+    return 0;
+  } catch (error) {
+    if (error instanceof AdminCommandError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    if (messageBus) await messageBus.close();
+    console.log = log;
+  }
+}
+
+if (require.main === module) {
+  runAdmin().then(exitCode => process.exit(exitCode));
+}
+
+module.exports = {
+  MessageBusAdmin,
+  AdminCommandError,
+  parseArgs,
+  runAdmin
+};
@@ -0,0 +1,578 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 MESSAGE BUS BACKENDS
+ * "Same Org Chart, Different Building"
+ *
+ * 🔌 Services talk to "the message bus" through one small interface, no
+ * matter which backend sits behind it:
+ *
+ *   bus.ready                                       resolves once the bus is usable
+ *   bus.createTopic(name, { partitionCount, replicationFactor, retentionMs, compactionEnabled })
+ *   bus.getTopicInfo(name)                          { name, partitions: [{ id, highWaterMark, ... }] }
+ *   bus.createProducer(producerId, options)      -> producer
+ *     producer.send(topic, value, { key, headers, partition })  -> { topic, partition, offset }
+ *     producer.sendBatch(topic, [{ value, key, headers }])       -> { results, errors }
+ *     producer.beginTransaction() / sendOffsetsToTransaction() / commitTransaction() / abortTransaction()
+ *     producer.getStats()
+ *   bus.createConsumer(groupId, options)         -> consumer (emits 'partitions:assigned')
+ *     consumer.subscribe(topics)
+ *     consumer.run({ eachMessage, eachBatch })     message: { topic, partition, offset, key, value, headers, timestamp }
+ *     consumer.commitSync(offsets) / stop() / close() / getStats()
+ *   bus.close()
+ *
+ * createMessageBus() picks the backend from config alone:
+ *
+ *   createMessageBus({ backend: 'algocratic' })                                  // in-process AlgoCraticMessageBus
+ *   createMessageBus({ backend: 'remote', remote: { host, port } })             // message-bus-broker.js
+ *   createMessageBus({ backend: 'kafka', kafka: { brokers: ['kafka:9092'] } })  // a real cluster via kafkajs
+ *
+ * The AlgoCratic backends offer more than the interface (retry topics, DLQs,
+ * pause/resume, poll()...). Code that sticks to the interface can move to
+ * Kafka without changes; code that doesn't will find out at the first call.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Kafka stores bytes: values are JSON-encoded going in and decoded coming out
+ * - Kafka offsets are strings (they're 64-bit) and a committed offset is the
+ *   *next* offset to read, while our commitSync() takes the last one processed
+ * - kafkajs only pushes (run()), and wants subscribe() before run()
+ */
+
+const EventEmitter = require('events');
+const { AlgoCraticMessageBus } = require('./message-queue-patterns');
+const { RemoteMessageBus } = require('./message-bus-client');
+
+const BACKENDS = ['algocratic', 'remote', 'kafka'];
+
+// kafkajs CompressionTypes codes (Kafka itself has no brotli codec)
+const KAFKA_COMPRESSION = { none: 0, gzip: 1 };
+
+/**
+ * 🏭 CREATE MESSAGE BUS - Build the configured backend
+ *
+ * Options for each backend live under its own name, so one config object can
+ * carry all three and switching is a one-word change (or MESSAGE_BUS_BACKEND).
+ */
+function createMessageBus(options = {}) {
+  const backend = options.backend || process.env.MESSAGE_BUS_BACKEND || 'algocratic';
+
+  switch (backend) {
+    case 'algocratic':
+      return new AlgoCraticMessageBus(options.algocratic || {});
+    case 'remote':
+      return new RemoteMessageBus(options.remote || {});
+    case 'kafka':
+      return new KafkaMessageBus(options.kafka || {});
+    default:
+      throw new Error(`Unknown message bus backend '${backend}' - expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+function createKafkaClient({ clientId, brokers, ssl, sasl }) {
+  let kafkajs;
+  try {
+    kafkajs = require('kafkajs'); // Optional dependency - only the Kafka backend needs it
+  } catch (error) {
+    throw new Error("The 'kafka' backend needs the kafkajs package (npm install kafkajs), or pass a client such as new FakeKafka()");
+  }
+  return new kafkajs.Kafka({ clientId, brokers, ssl, sasl });
+}
+
+// 🔄 Bus messages <-> Kafka messages (bytes on the wire)
+function encodeMessage(value, { key, headers, partition } = {}) {
+  const kafkaMessage = {
+    key: key === null || key === undefined ? null : String(key),
+    value: value === null || value === undefined ? null : JSON.stringify(value), // null = tombstone
+    headers: {}
+  };
+  for (const [name, headerValue] of Object.entries(headers || {})) {
+    if (headerValue !== null && headerValue !== undefined) {
+      kafkaMessage.headers[name] = String(headerValue);
+    }
+  }
+  if (partition !== undefined) {
+    kafkaMessage.partition = partition;
+  }
+  return kafkaMessage;
+}
+
+function decodeMessage(topic, partition, kafkaMessage) {
+  let value = null;
+  if (kafkaMessage.value) {
+    const text = kafkaMessage.value.toString();
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      value = text; // Written by a non-AlgoCratic producer
+    }
+  }
+
+  const headers = {};
+  for (const [name, headerValue] of Object.entries(kafkaMessage.headers || {})) {
+    headers[name] = Buffer.isBuffer(headerValue) ? headerValue.toString() : headerValue;
+  }
+
+  return {
+    topic,
+    partition,
+    offset: Number(kafkaMessage.offset),
+    timestamp: Number(kafkaMessage.timestamp),
+    key: kafkaMessage.key ? kafkaMessage.key.toString() : null,
+    value,
+    headers
+  };
+}
+
+/**
+ * 📡 KAFKA MESSAGE BUS - The bus interface on top of a kafkajs client
+ */
+class KafkaMessageBus extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      clientId: options.clientId || 'algocratic-futures',
+      brokers: options.brokers || ['localhost:9092'],
+      ...options
+    };
+
+    // A kafkajs `Kafka` instance, or anything shaped like one (FakeKafka)
+    this.kafka = options.client || createKafkaClient(this.config);
+    this.admin = this.kafka.admin();
+    this.producers = new Map(); // producerId -> KafkaProducerAdapter
+    this.consumers = new Set();
+
+    this.ready = this.admin.connect().then(() => {
+      console.log(`📡 Kafka backend connected as '${this.config.clientId}' (${this.config.brokers.join(', ')})`);
+    });
+    this.ready.catch(() => {}); // Surfaced to whoever makes the first request
+  }
+
+  /**
+   * 🗂️ TOPICS & METADATA
+   */
+  async createTopic(topicName, options = {}) {
+    await this.ready;
+
+    const configEntries = [];
+    if (options.retentionMs) {
+      configEntries.push({ name: 'retention.ms', value: String(options.retentionMs) });
+    }
+    if (options.compactionEnabled) {
+      configEntries.push({ name: 'cleanup.policy', value: 'compact' });
+    }
+
+    const config = {
+      partitionCount: options.partitionCount || 3,
+      replicationFactor: options.replicationFactor || 1
+    };
+    const created = await this.admin.createTopics({
+      topics: [{ topic: topicName, numPartitions: config.partitionCount, replicationFactor: config.replicationFactor, configEntries }],
+      waitForLeaders: true
+    });
+
+    if (!created) {
+      console.log(`⚠️  Topic '${topicName}' already exists`);
+      return;
+    }
+
+    console.log(`📝 Kafka topic '${topicName}' created with ${config.partitionCount} partitions`);
+    this.emit('topic:created', { topicName, config });
+  }
+
+  async getTopicInfo(topicName) {
+    await this.ready;
+
+    const topics = await this.admin.listTopics();
+    if (!topics.includes(topicName)) return null;
+
+    const offsets = await this.admin.fetchTopicOffsets(topicName);
+    return {
+      name: topicName,
+      partitions: offsets
+        .map(({ partition, high, low }) => ({
+          id: partition,
+          messageCount: Number(high) - Number(low),
+          highWaterMark: Number(high),
+          logStartOffset: Number(low)
+        }))
+        .sort((a, b) => a.id - b.id)
+    };
+  }
+
+  async getConsumerGroupInfo(groupId) {
+    await this.ready;
+
+    const [{ groups: [group] }, topicOffsets] = await Promise.all([
+      this.admin.describeGroups([groupId]),
+      this.admin.fetchOffsets({ groupId })
+    ]);
+
+    const offsets = {};
+    for (const { topic, partitions } of topicOffsets) {
+      for (const { partition, offset } of partitions) {
+        if (Number(offset) >= 0) offsets[`${topic}:${partition}`] = Number(offset);
+      }
+    }
+
+    return {
+      groupId,
+      state: group.state,
+      consumerCount: group.members.length,
+      members: group.members.map(member => ({ consumerId: member.memberId, clientId: member.clientId })),
+      offsets
+    };
+  }
+
+  async getAllMetrics() {
+    await this.ready;
+
+    return {
+      backend: 'kafka',
+      clientId: this.config.clientId,
+      topics: await this.admin.listTopics(),
+      activeProducers: this.producers.size,
+      totalConsumers: this.consumers.size
+    };
+  }
+
+  /**
+   * 📤📥 CLIENTS
+   */
+  async createProducer(producerId, options = {}) {
+    await this.ready;
+
+    const producer = new KafkaProducerAdapter(producerId, this.kafka, options);
+    await producer.connect();
+    this.producers.set(producerId, producer);
+
+    console.log(`📤 Kafka producer '${producerId}' registered`);
+    return producer;
+  }
+
+  async createConsumer(groupId, options = {}) {
+    await this.ready;
+
+    const consumer = new KafkaConsumerAdapter(groupId, this.kafka, options);
+    await consumer.connect();
+    this.consumers.add(consumer);
+    consumer.once('consumer:closed', () => this.consumers.delete(consumer));
+
+    console.log(`📥 Kafka consumer ${consumer.consumerId} joined group '${groupId}'`);
+    return consumer;
+  }
+
+  async close() {
+    for (const consumer of this.consumers) {
+      await consumer.close();
+    }
+    for (const producer of this.producers.values()) {
+      await producer.disconnect();
+    }
+    this.producers.clear();
+
+    await this.admin.disconnect();
+    console.log('🔌 Kafka backend closed');
+  }
+}
+
+/**
+ * 📤 KAFKA PRODUCER ADAPTER - CorporateMessageProducer's surface over a kafkajs producer
+ *
+ * Retries, idempotence and fencing are the Kafka client's and broker's job
+ * here, so none of the sequence bookkeeping from the AlgoCratic producer.
+ */
+class KafkaProducerAdapter {
+  constructor(producerId, kafka, options = {}) {
+    this.producerId = producerId;
+    this.config = {
+      acks: options.acks || 'all',
+      compressionType: options.compressionType || 'none',
+      idempotent: options.idempotent !== false,
+      transactional: options.transactional || false, // The producer ID doubles as transactional.id
+      ...options
+    };
+
+    if (KAFKA_COMPRESSION[this.config.compressionType] === undefined) {
+      throw new Error(`Compression '${this.config.compressionType}' is not available on the Kafka backend - use one of: ${Object.keys(KAFKA_COMPRESSION).join(', ')}`);
+    }
+
+    this.producer = kafka.producer({
+      idempotent: this.config.idempotent,
+      maxInFlightRequests: this.config.idempotent ? 1 : undefined, // kafkajs requires 1 for idempotence
+      transactionalId: this.config.transactional ? producerId : undefined,
+      allowAutoTopicCreation: false // Topics come from createTopic(), as with our own bus
+    });
+
+    this.messagesSent = 0;
+    this.messagesFailed = 0;
+    this.transaction = null;
+  }
+
+  connect() {
+    return this.producer.connect();
+  }
+
+  disconnect() {
+    return this.producer.disconnect();
+  }
+
+  async send(topicName, message, options = {}) {
+    if (this.config.transactional && !this.transaction) {
+      throw new Error(`Transactional producer '${this.producerId}' can only send inside beginTransaction()/commitTransaction()`);
+    }
+
+    try {
+      const [metadata] = await (this.transaction || this.producer).send({
+        topic: topicName,
+        acks: this.config.acks === 'all' ? -1 : Number(this.config.acks),
+        compression: KAFKA_COMPRESSION[this.config.compressionType],
+        messages: [encodeMessage(message, options)]
+      });
+
+      this.messagesSent++;
+      return { topic: topicName, partition: metadata.partition, offset: Number(metadata.baseOffset) };
+    } catch (error) {
+      this.messagesFailed++;
+      console.error(`❌ Kafka producer ${this.producerId} failed to send to ${topicName}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendBatch(topicName, messages) {
+    const results = [];
+    const errors = [];
+
+    for (const message of messages) {
+      try {
+        results.push(await this.send(topicName, message.value, { key: message.key, headers: message.headers }));
+      } catch (error) {
+        errors.push({ message, error });
+      }
+    }
+
+    return { results, errors };
+  }
+
+  /**
+   * 🧾 TRANSACTIONS
+   */
+  async beginTransaction() {
+    if (!this.config.transactional) {
+      throw new Error(`Producer '${this.producerId}' is not transactional`);
+    }
+    if (this.transaction) {
+      throw new Error(`Producer '${this.producerId}' already has an open transaction`);
+    }
+    this.transaction = await this.producer.transaction();
+  }
+
+  // `offsets` are the last *processed* offsets, as with commitSync()
+  async sendOffsetsToTransaction(offsets, { groupId }) {
+    if (!this.transaction) {
+      throw new Error(`Producer '${this.producerId}' has no open transaction`);
+    }
+
+    const topics = new Map();
+    for (const { topic, partition, offset } of offsets) {
+      if (!topics.has(topic)) topics.set(topic, []);
+      topics.get(topic).push({ partition, offset: String(offset + 1) });
+    }
+
+    await this.transaction.sendOffsets({
+      consumerGroupId: groupId,
+      topics: Array.from(topics, ([topic, partitions]) => ({ topic, partitions }))
+    });
+  }
+
+  commitTransaction() {
+    return this.endTransaction(true);
+  }
+
+  abortTransaction() {
+    return this.endTransaction(false);
+  }
+
+  async endTransaction(commit) {
+    if (!this.transaction) {
+      throw new Error(`Producer '${this.producerId}' has no open transaction`);
+    }
+
+    const transaction = this.transaction;
+    this.transaction = null;
+    await (commit ? transaction.commit() : transaction.abort());
+  }
+
+  getStats() {
+    return {
+      producerId: this.producerId,
+      backend: 'kafka',
+      messagesSent: this.messagesSent,
+      messagesFailed: this.messagesFailed,
+      successRate: this.messagesSent / (this.messagesSent + this.messagesFailed) || 0
+    };
+  }
+}
+
+/**
+ * 📥 KAFKA CONSUMER ADAPTER - CorporateMessageConsumer's surface over a kafkajs consumer
+ *
+ * Group membership, heartbeats and rebalancing happen inside kafkajs;
+ * assignments are re-emitted as 'partitions:assigned' like our own consumer.
+ */
+class KafkaConsumerAdapter extends EventEmitter {
+  constructor(groupId, kafka, options = {}) {
+    super();
+
+    this.consumerId = options.consumerId || `consumer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.groupId = groupId;
+    this.subscribedTopics = new Set();
+    this.assignedPartitions = [];
+
+    this.config = {
+      autoCommit: options.autoCommit !== false,
+      autoOffsetReset: options.autoOffsetReset || 'earliest', // 'earliest' | 'latest'
+      sessionTimeoutMs: options.sessionTimeoutMs || 10000,
+      heartbeatIntervalMs: options.heartbeatIntervalMs || 3000,
+      isolationLevel: options.isolationLevel || 'read_uncommitted',
+      ...options
+    };
+
+    this.consumer = kafka.consumer({
+      groupId,
+      sessionTimeout: this.config.sessionTimeoutMs,
+      heartbeatInterval: this.config.heartbeatIntervalMs,
+      readUncommitted: this.config.isolationLevel !== 'read_committed'
+    });
+
+    this.consumer.on(this.consumer.events.GROUP_JOIN, ({ payload }) => {
+      this.assignedPartitions = Object.entries(payload.memberAssignment)
+        .flatMap(([topic, partitions]) => partitions.map(partition => ({ topic, partition })));
+      this.emit('partitions:assigned', this.assignedPartitions, { added: this.assignedPartitions });
+    });
+
+    this.messagesConsumed = 0;
+    this.messagesProcessed = 0;
+    this.pendingOffsets = new Map(); // 'topic:partition' -> last processed offset, for commitSync()
+    this.running = false;
+  }
+
+  connect() {
+    return this.consumer.connect();
+  }
+
+  trackProcessed(topic, partition, offset) {
+    this.pendingOffsets.set(`${topic}:${partition}`, { topic, partition, offset });
+  }
+
+  async subscribe(topics) {
+    if (this.running) {
+      throw new Error(`Consumer ${this.consumerId} is running - the Kafka backend needs subscribe() before run()`);
+    }
+
+    const topicArray = Array.isArray(topics) ? topics : [topics];
+    await this.consumer.subscribe({
+      topics: topicArray,
+      fromBeginning: this.config.autoOffsetReset === 'earliest'
+    });
+    topicArray.forEach(topic => this.subscribedTopics.add(topic));
+
+    console.log(`📋 Kafka consumer ${this.consumerId} subscribed to: ${topicArray.join(', ')}`);
+  }
+
+  async run({ eachMessage, eachBatch } = {}) {
+    if (!eachMessage && !eachBatch) {
+      throw new Error('run() requires an eachMessage or eachBatch handler');
+    }
+    if (this.running) {
+      throw new Error(`Consumer ${this.consumerId} is already running`);
+    }
+
+    const handlers = { autoCommit: this.config.autoCommit };
+    if (eachBatch) {
+      handlers.eachBatch = async ({ batch }) => {
+        const messages = batch.messages.map(message => decodeMessage(batch.topic, batch.partition, message));
+        this.messagesConsumed += messages.length;
+        await eachBatch({
+          batch: {
+            topic: batch.topic,
+            partition: batch.partition,
+            highWaterMark: Number(batch.highWatermark),
+            messages
+          }
+        });
+        this.messagesProcessed += messages.length;
+        if (messages.length > 0) {
+          this.trackProcessed(batch.topic, batch.partition, messages[messages.length - 1].offset);
+        }
+      };
+    } else {
+      handlers.eachMessage = async ({ topic, partition, message }) => {
+        this.messagesConsumed++;
+        await eachMessage({ topic, partition, message: decodeMessage(topic, partition, message) });
+        this.messagesProcessed++;
+        this.trackProcessed(topic, partition, Number(message.offset));
+      };
+    }
+
+    this.running = true;
+    await this.consumer.run(handlers);
+  }
+
+  poll() {
+    throw new Error('poll() is not available on the Kafka backend - use run()');
+  }
+
+  // `offsets` are the last *processed* offsets; Kafka wants the next one to read.
+  // Without offsets, commits what run() has processed since the last commit -
+  // the same as CorporateMessageConsumer.commitSync()
+  async commitSync(offsets = null) {
+    const offsetsToCommit = offsets || Array.from(this.pendingOffsets.values());
+    if (offsetsToCommit.length === 0) return;
+
+    await this.consumer.commitOffsets(offsetsToCommit.map(({ topic, partition, offset }) => ({
+      topic,
+      partition,
+      offset: String(offset + 1)
+    })));
+
+    for (const { topic, partition, offset } of offsetsToCommit) {
+      const pending = this.pendingOffsets.get(`${topic}:${partition}`);
+      if (pending && pending.offset <= offset) {
+        this.pendingOffsets.delete(`${topic}:${partition}`);
+      }
+    }
+    this.emit('offsets:committed', offsetsToCommit);
+  }
+
+  async stop() {
+    this.running = false;
+    await this.consumer.stop();
+  }
+
+  getStats() {
+    return {
+      consumerId: this.consumerId,
+      groupId: this.groupId,
+      backend: 'kafka',
+      subscribedTopics: Array.from(this.subscribedTopics),
+      assignedPartitions: this.assignedPartitions,
+      messagesConsumed: this.messagesConsumed,
+      messagesProcessed: this.messagesProcessed
+    };
+  }
+
+  async close() {
+    console.log(`📥 Closing Kafka consumer ${this.consumerId}`);
+
+    this.running = false;
+    await this.consumer.disconnect();
+    this.emit('consumer:closed');
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  createMessageBus,
+  KafkaMessageBus,
+  KafkaProducerAdapter,
+  KafkaConsumerAdapter
+};
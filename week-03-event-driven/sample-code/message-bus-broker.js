@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 MESSAGE BUS BROKER
+ * "One Corporate Bus, Every Department Connected"
+ *
+ * 📡 An AlgoCraticMessageBus lives inside one Node process, so until now
+ * every service (and the Week 4 dashboard) built its own private bus. The
+ * broker runs one bus as a standalone process and serves it over TCP using
+ * the NDJSON protocol in message-bus-protocol.js. Clients connect with
+ * RemoteMessageBus (message-bus-client.js) and get the same
+ * createProducer/createConsumer surface as the in-process bus.
+ *
+ *   node sample-code/message-bus-broker.js            # port 9092, ./corporate-message-data
+ *   BROKER_PORT=9192 node sample-code/message-bus-broker.js
+ *
+ * 👥 GROUP COORDINATION: the bus drives rebalances by calling methods on
+ * member objects. For remote consumers the broker registers a stand-in
+ * RemoteGroupMember per consumer that relays those calls over the wire:
+ * assignments as events, revocations as requests the broker waits on (so
+ * onPartitionsRevoked can commit before partitions move).
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - A closed socket means its consumers are gone - rebalance right away
+ *   instead of waiting for their sessions to expire
+ * - Functions (custom assignors, re-drive filters) can't cross the wire
+ * - Never let one client's bad request crash the broker for everyone
+ */
+
+const net = require('net');
+const { AlgoCraticMessageBus } = require('./message-queue-patterns');
+const { MessageConnection } = require('./message-bus-protocol');
+
+// 📣 Bus events relayed to every client (RemoteMessageBus re-emits them locally)
+const FORWARDED_EVENTS = [
+  'message:published',
+  'group:rebalanced',
+  'transaction:completed',
+  'topic:created',
+  'topic:partitionsCreated',
+  'topic:deleted',
+  'offsets:committed',
+  'offset:reset',
+  'offsets:seek',
+  'offsets:reset',
+  'member:evicted',
+  'message:failed',
+  'partition:truncated',
+  'topic:compacted',
+  'schema:registered',
+  'partition:highWatermark',
+  'partition:leaderElected',
+  'partition:isrChanged',
+  'broker:stopped',
+  'broker:started',
+  'lag:threshold'
+];
+
+/**
+ * 👤 REMOTE GROUP MEMBER - Broker-side stand-in for a consumer in another process
+ */
+class RemoteGroupMember {
+  constructor(connection, groupId, { consumerId, subscribedTopics = [], config = {} }, options = {}) {
+    this.connection = connection;
+    this.groupId = groupId;
+    this.consumerId = consumerId;
+    this.subscribedTopics = new Set(subscribedTopics);
+    this.assignedPartitions = [];
+    this.config = config; // partitionAssignmentStrategy, sessionTimeoutMs, autoOffsetReset
+    this.rebalanceTimeoutMs = options.rebalanceTimeoutMs || 30000;
+  }
+
+  handleAssignment(assignment) {
+    this.assignedPartitions = assignment.assigned;
+    this.connection.notify('member:assignment', { consumerId: this.consumerId, ...assignment });
+  }
+
+  async handleRevocation(partitions) {
+    if (partitions.length === 0) return;
+
+    try {
+      await this.connection.call('member:revocation', { consumerId: this.consumerId, partitions }, this.rebalanceTimeoutMs);
+    } catch (error) {
+      // Rebalance proceeds either way - a dead client can't hold the group hostage
+      console.error(`👤 Revocation callback for ${this.consumerId} failed: ${error.message}`);
+    }
+  }
+}
+
+class MessageBusBroker {
+  constructor(options = {}) {
+    this.config = {
+      port: options.port !== undefined ? options.port : 9092,
+      host: options.host || '127.0.0.1',
+      requestTimeoutMs: options.requestTimeoutMs || 30000,
+      rebalanceTimeoutMs: options.rebalanceTimeoutMs || 30000,
+      ...options
+    };
+
+    // 🔑 A bus we built is ours to close; one handed in belongs to the caller
+    this.ownsMessageBus = !options.messageBus;
+    this.messageBus = options.messageBus || new AlgoCraticMessageBus(options.busOptions || {});
+    this.connections = new Set();
+    this.server = null;
+    this.operations = this.createOperations();
+  }
+
+  async start() {
+    await this.messageBus.ready;
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    const { port } = this.server.address();
+    console.log(`🛰️ Message bus broker listening on ${this.config.host}:${port}`);
+    return port;
+  }
+
+  handleConnection(socket) {
+    const connection = new MessageConnection(socket, { requestTimeoutMs: this.config.requestTimeoutMs });
+    connection.members = new Map(); // consumerId -> RemoteGroupMember
+    connection.remoteAddress = `${socket.remoteAddress}:${socket.remotePort}`;
+    this.connections.add(connection);
+
+    console.log(`🔌 Client connected from ${connection.remoteAddress} (${this.connections.size} connected)`);
+
+    // 📣 Relay bus events
+    const forwarders = FORWARDED_EVENTS.map(event => {
+      const forward = data => connection.notify(event, this.toWireEvent(event, data));
+      this.messageBus.on(event, forward);
+      return [event, forward];
+    });
+
+    connection.on('request', (op, params, respond) => {
+      this.handleRequest(connection, op, params)
+        .then(result => respond(null, result))
+        .catch(error => respond(error));
+    });
+
+    connection.on('error', error => {
+      console.error(`🔌 Client ${connection.remoteAddress} error: ${error.message}`);
+    });
+
+    connection.on('close', () => {
+      this.connections.delete(connection);
+      for (const [event, forward] of forwarders) {
+        this.messageBus.removeListener(event, forward);
+      }
+
+      // 👋 Its consumers are gone for good - let the groups rebalance now
+      for (const member of connection.members.values()) {
+        this.messageBus.leaveGroup(member.groupId, member.consumerId).catch(error => {
+          console.error(`👋 Failed to remove ${member.consumerId} from '${member.groupId}': ${error.message}`);
+        });
+      }
+
+      console.log(`🔌 Client ${connection.remoteAddress} disconnected (${this.connections.size} connected)`);
+    });
+  }
+
+  toWireEvent(event, data) {
+    // Consumers only need to know *where* something was published, not the payload again
+    if (event === 'message:published') {
+      return { topic: data.topic, partition: data.partition, offset: data.offset };
+    }
+    return data;
+  }
+
+  async handleRequest(connection, op, params) {
+    const operation = this.operations[op];
+    if (!operation) {
+      throw new Error(`Unknown operation '${op}'`);
+    }
+    return operation(params, connection);
+  }
+
+  /**
+   * 📋 OPERATIONS - Everything a remote producer, consumer or admin can ask for
+   */
+  createOperations() {
+    const bus = this.messageBus;
+
+    return {
+      // 🗂️ Metadata & admin
+      metadata: () => bus.getMetadata(),
+      createTopic: ({ topic, options }) => bus.createTopic(topic, options),
+      createPartitions: ({ topic, partitionCount }) => bus.createPartitions(topic, partitionCount),
+      deleteTopic: ({ topic }) => bus.deleteTopic(topic),
+      getTopicInfo: ({ topic }) => bus.getTopicInfo(topic),
+      getConsumerGroupInfo: ({ groupId }) => bus.getConsumerGroupInfo(groupId),
+      getConsumerLag: ({ groupId }) => bus.getConsumerLag(groupId),
+      getLagHistory: ({ groupId, options }) => bus.getLagHistory(groupId, options),
+      setLagThresholds: ({ groupId, thresholds }) => bus.setLagThresholds(groupId, thresholds),
+      resetGroupOffsets: ({ groupId, options }) => bus.resetGroupOffsets(groupId, options),
+      getAllMetrics: () => bus.getAllMetrics(),
+      getPartitionOffsets: ({ topic, partition }) => bus.getPartitionOffsets(topic, partition),
+      offsetForTimestamp: ({ topic, partition, timestamp }) => bus.offsetForTimestamp(topic, partition, timestamp),
+
+      // 📤 Produce (idempotent and transactional producers included)
+      produce: ({ topic, message, options }) => bus.publishMessage(topic, message, options),
+      produceBatch: ({ topic, batch, options }) => bus.publishBatch(topic, batch, options),
+      selectPartition: ({ topic, key, partition }) => bus.selectPartition(topic, { key, partition }),
+      initProducerId: ({ producerId }) => bus.initProducerId(producerId),
+      beginTransaction: ({ producerId, producerEpoch }) => bus.beginTransaction(producerId, producerEpoch),
+      sendOffsetsToTransaction: ({ producerId, producerEpoch, groupId, offsets, consumerId, generationId }) =>
+        bus.sendOffsetsToTransaction(producerId, producerEpoch, groupId, offsets, { consumerId, generationId }),
+      endTransaction: ({ producerId, producerEpoch, commit }) => bus.endTransaction(producerId, producerEpoch, commit),
+
+      // 👥 Group coordination
+      joinGroup: ({ groupId, member }, connection) => {
+        const remoteMember = new RemoteGroupMember(connection, groupId, member, {
+          rebalanceTimeoutMs: this.config.rebalanceTimeoutMs
+        });
+
+        // A rejoin after eviction replaces the stale stand-in
+        const group = bus.consumerGroups.get(groupId);
+        const previous = group && bus.findMember(group, member.consumerId);
+        if (previous) group.consumers.delete(previous);
+
+        bus.joinGroup(groupId, remoteMember);
+        connection.members.set(member.consumerId, remoteMember);
+        return { retryPolicy: bus.getRetryPolicy(groupId) };
+      },
+      heartbeat: ({ groupId, consumerId, generationId }) => bus.heartbeat(groupId, consumerId, generationId),
+      leaveGroup: async ({ groupId, consumerId }, connection) => {
+        connection.members.delete(consumerId);
+        await bus.leaveGroup(groupId, consumerId);
+      },
+      rebalanceConsumerGroup: ({ groupId, subscriptions = [] }, connection) => {
+        // Subscriptions change client-side; sync them before assigning
+        for (const { consumerId, topics } of subscriptions) {
+          const member = connection.members.get(consumerId);
+          if (member) member.subscribedTopics = new Set(topics);
+        }
+        return bus.rebalanceConsumerGroup(groupId);
+      },
+
+      // 📥 Consume & commit
+      fetch: ({ groupId, consumerId, maxMessages, options }) => bus.consumeMessages(groupId, consumerId, maxMessages, options),
+      fetchRecords: ({ topic, partition, offset, options }) => bus.fetchRecords(topic, partition, offset, options),
+      commit: ({ groupId, offsets, consumerId, generationId }) => bus.commitOffsets(groupId, offsets, { consumerId, generationId }),
+      seek: ({ groupId, offsets, consumerId, generationId }) => bus.seekOffsets(groupId, offsets, { consumerId, generationId }),
+
+      // 🔁 Retry topics & dead letters
+      setRetryPolicy: ({ groupId, policy }) => bus.setRetryPolicy(groupId, policy),
+      prepareRetryTopics: ({ groupId, topics }) => bus.prepareRetryTopics(groupId, topics),
+      routeFailedMessage: ({ groupId, message, error }) => bus.routeFailedMessage(groupId, message, new Error(error.message)),
+      getDeadLetters: ({ topic, options }) => bus.getDeadLetters(topic, options),
+      redriveDeadLetters: ({ topic, options }) => bus.redriveDeadLetters(topic, options),
+
+      // 📐 Schema registry
+      registerSchema: ({ subject, schema }) => bus.registerSchema(subject, schema),
+      checkSchemaCompatibility: ({ subject, schema }) => bus.checkSchemaCompatibility(subject, schema),
+      setSchemaCompatibility: ({ subject, compatibility }) => bus.setSchemaCompatibility(subject, compatibility),
+      getSchemaById: ({ id }) => bus.getSchemaById(id),
+      getLatestSchema: ({ subject }) => bus.getLatestSchema(subject),
+      getSchema: ({ subject, version }) => bus.getSchema(subject, version),
+      getSchemaSubjects: () => bus.getSchemaSubjects(),
+
+      // 🗄️ Simulated cluster
+      killBroker: ({ brokerId }) => bus.killBroker(brokerId),
+      restartBroker: ({ brokerId }) => bus.restartBroker(brokerId),
+      setBrokerLag: ({ brokerId, lagMs }) => bus.setBrokerLag(brokerId, lagMs),
+      describeCluster: () => bus.describeCluster()
+    };
+  }
+
+  async stop() {
+    for (const connection of this.connections) {
+      connection.socket.destroy();
+    }
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+
+    // 💾 Flush segments and the transaction log before the process exits
+    if (this.ownsMessageBus) {
+      await this.messageBus.close();
+    }
+    console.log('🛰️ Message bus broker stopped');
+  }
+}
+
+// 🎭 STANDALONE BROKER
+async function runBroker() {
+  const broker = new MessageBusBroker({
+    port: Number(process.env.BROKER_PORT) || 9092,
+    host: process.env.BROKER_HOST || '127.0.0.1',
+    busOptions: {
+      persistToDisk: process.env.BROKER_PERSIST !== 'false',
+      dataDir: process.env.BROKER_DATA_DIR || './corporate-message-data'
+    }
+  });
+
+  await broker.start();
+
+  process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down message bus broker...');
+    await broker.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  runBroker().catch(error => {
+    console.error('🚨 Broker failed to start:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MessageBusBroker,
+  RemoteGroupMember
+};
@@ -0,0 +1,400 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 MESSAGE BUS CLIENT
+ * "Remote Access to the Corporate Bus - Same Badge, Different Building"
+ *
+ * 📡 RemoteMessageBus connects to a MessageBusBroker over TCP and stands in
+ * for an in-process AlgoCraticMessageBus. CorporateMessageProducer and
+ * CorporateMessageConsumer only ever talk to their bus through its methods
+ * and events, so they work unchanged on top of it:
+ *
+ *   const bus = new RemoteMessageBus({ host: 'localhost', port: 9092 });
+ *   const producer = await bus.createProducer('order-service');
+ *   const consumer = await bus.createConsumer('order-processing-group');
+ *   await consumer.subscribe('corporate.orders');
+ *   await consumer.run({ eachMessage: async ({ message }) => { ... } });
+ *
+ * 🔄 If the broker goes away the client reconnects in the background.
+ * Requests made meanwhile wait for the new connection, and consumers find
+ * out via their next heartbeat (UNKNOWN_MEMBER_ID) that they must rejoin.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Every bus call is now a network round trip - batch where you can
+ * - The broker's view of a consumer (subscriptions!) must be kept in sync
+ * - A request can fail because the *network* failed, not the operation
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const { CorporateMessageProducer, CorporateMessageConsumer } = require('./message-queue-patterns');
+const { MessageConnection } = require('./message-bus-protocol');
+
+class RemoteMessageBus extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Every idle run() consumer listens for 'message:published' while it waits
+    this.setMaxListeners(0);
+
+    this.config = {
+      host: options.host || '127.0.0.1',
+      port: options.port || 9092,
+      requestTimeoutMs: options.requestTimeoutMs || 30000,
+      reconnectDelayMs: options.reconnectDelayMs || 1000,
+      maxReconnectAttempts: options.maxReconnectAttempts || 10,
+      ...options
+    };
+
+    this.connection = null;
+    this.closed = false;
+    this.members = new Map(); // consumerId -> local CorporateMessageConsumer
+    this.retryPolicies = new Map(); // groupId -> policy (getRetryPolicy must answer synchronously)
+
+    // ⏳ Resolves once connected; replaced while reconnecting
+    this.ready = this.connect();
+    this.ready.catch(() => {}); // Surfaced to whoever makes the first request
+  }
+
+  /**
+   * 🔌 CONNECTION MANAGEMENT
+   */
+  async connect() {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        this.connection = await this.openConnection();
+        console.log(`🛰️ Connected to message bus broker at ${this.config.host}:${this.config.port}`);
+        return;
+      } catch (error) {
+        if (this.closed || attempt >= this.config.maxReconnectAttempts) {
+          throw new Error(`Cannot reach message bus broker at ${this.config.host}:${this.config.port}: ${error.message}`);
+        }
+        console.log(`🔄 Broker unreachable (${error.message}) - retrying ${attempt}/${this.config.maxReconnectAttempts} in ${this.config.reconnectDelayMs}ms...`);
+        await new Promise(resolve => setTimeout(resolve, this.config.reconnectDelayMs));
+      }
+    }
+  }
+
+  openConnection() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.config.host, port: this.config.port });
+
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+
+        const connection = new MessageConnection(socket, { requestTimeoutMs: this.config.requestTimeoutMs });
+        connection.on('event', (event, data) => this.handleEvent(event, data));
+        connection.on('request', (op, params, respond) => {
+          this.handleCallback(op, params)
+            .then(result => respond(null, result))
+            .catch(error => respond(error));
+        });
+        connection.on('error', error => {
+          console.error(`🛰️ Broker connection error: ${error.message}`);
+        });
+        connection.on('close', () => this.handleDisconnect(connection));
+
+        resolve(connection);
+      });
+    });
+  }
+
+  handleDisconnect(connection) {
+    if (this.closed || connection !== this.connection) return;
+
+    console.log('🔌 Lost connection to message bus broker - reconnecting...');
+    this.emit('broker:disconnected');
+
+    this.ready = this.connect();
+    this.ready
+      .then(() => this.emit('broker:reconnected'))
+      .catch(error => {
+        console.error(`🚨 ${error.message}`);
+        this.emit('broker:unreachable', error);
+      });
+  }
+
+  async request(op, params = {}) {
+    await this.ready;
+    return this.connection.call(op, params);
+  }
+
+  handleEvent(event, data) {
+    if (event === 'member:assignment') {
+      const member = this.members.get(data.consumerId);
+      if (member) member.handleAssignment(data);
+      return;
+    }
+    this.emit(event, data);
+  }
+
+  // 📞 Calls the broker makes back into this process during rebalances
+  async handleCallback(op, { consumerId, partitions }) {
+    if (op !== 'member:revocation') {
+      throw new Error(`Unknown callback '${op}'`);
+    }
+
+    const member = this.members.get(consumerId);
+    if (member) {
+      await member.handleRevocation(partitions);
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.connection) {
+      this.connection.close();
+    }
+  }
+
+  /**
+   * 🗂️ TOPICS & METADATA
+   */
+  createTopic(topic, options = {}) {
+    return this.request('createTopic', { topic, options });
+  }
+
+  createPartitions(topic, partitionCount) {
+    return this.request('createPartitions', { topic, partitionCount });
+  }
+
+  deleteTopic(topic) {
+    return this.request('deleteTopic', { topic });
+  }
+
+  getMetadata() {
+    return this.request('metadata');
+  }
+
+  getTopicInfo(topic) {
+    return this.request('getTopicInfo', { topic });
+  }
+
+  getConsumerGroupInfo(groupId) {
+    return this.request('getConsumerGroupInfo', { groupId });
+  }
+
+  getConsumerLag(groupId) {
+    return this.request('getConsumerLag', { groupId });
+  }
+
+  getLagHistory(groupId, options = {}) {
+    return this.request('getLagHistory', { groupId, options });
+  }
+
+  setLagThresholds(groupId, thresholds) {
+    return this.request('setLagThresholds', { groupId, thresholds });
+  }
+
+  resetGroupOffsets(groupId, options = {}) {
+    return this.request('resetGroupOffsets', { groupId, options });
+  }
+
+  getAllMetrics() {
+    return this.request('getAllMetrics');
+  }
+
+  getPartitionOffsets(topic, partition) {
+    return this.request('getPartitionOffsets', { topic, partition });
+  }
+
+  offsetForTimestamp(topic, partition, timestamp) {
+    return this.request('offsetForTimestamp', { topic, partition, timestamp });
+  }
+
+  /**
+   * 📤 PRODUCER SIDE
+   */
+  async createProducer(producerId, options = {}) {
+    await this.ready;
+    return new CorporateMessageProducer(producerId, this, options);
+  }
+
+  publishMessage(topic, message, options = {}) {
+    return this.request('produce', { topic, message, options });
+  }
+
+  // A compressed batch stays compressed on the wire - the broker unpacks it
+  publishBatch(topic, batch, options = {}) {
+    return this.request('produceBatch', { topic, batch, options });
+  }
+
+  selectPartition(topic, { key, partition } = {}) {
+    return this.request('selectPartition', { topic, key, partition });
+  }
+
+  initProducerId(producerId) {
+    return this.request('initProducerId', { producerId });
+  }
+
+  beginTransaction(producerId, producerEpoch) {
+    return this.request('beginTransaction', { producerId, producerEpoch });
+  }
+
+  sendOffsetsToTransaction(producerId, producerEpoch, groupId, offsets, { consumerId, generationId } = {}) {
+    return this.request('sendOffsetsToTransaction', { producerId, producerEpoch, groupId, offsets, consumerId, generationId });
+  }
+
+  endTransaction(producerId, producerEpoch, commit) {
+    return this.request('endTransaction', { producerId, producerEpoch, commit });
+  }
+
+  /**
+   * 📥 CONSUMER SIDE
+   */
+  async createConsumer(groupId, options = {}) {
+    await this.ready;
+
+    const consumer = new CorporateMessageConsumer(groupId, this, options);
+    await this.joinGroup(groupId, consumer);
+    return consumer;
+  }
+
+  async joinGroup(groupId, member) {
+    const strategy = member.config.partitionAssignmentStrategy;
+    if (strategy && typeof strategy !== 'string') {
+      throw new Error('Custom assignors cannot be sent to a remote broker - use a built-in strategy name');
+    }
+
+    this.members.set(member.consumerId, member);
+    const { retryPolicy } = await this.request('joinGroup', {
+      groupId,
+      member: {
+        consumerId: member.consumerId,
+        subscribedTopics: Array.from(member.subscribedTopics),
+        config: {
+          partitionAssignmentStrategy: strategy,
+          sessionTimeoutMs: member.config.sessionTimeoutMs,
+          autoOffsetReset: member.config.autoOffsetReset
+        }
+      }
+    });
+
+    if (retryPolicy) this.retryPolicies.set(groupId, retryPolicy);
+  }
+
+  heartbeat(groupId, consumerId, generationId) {
+    return this.request('heartbeat', { groupId, consumerId, generationId });
+  }
+
+  async leaveGroup(groupId, consumerId) {
+    this.members.delete(consumerId);
+    await this.request('leaveGroup', { groupId, consumerId });
+  }
+
+  rebalanceConsumerGroup(groupId) {
+    const subscriptions = Array.from(this.members.values())
+      .filter(member => member.groupId === groupId)
+      .map(member => ({ consumerId: member.consumerId, topics: Array.from(member.subscribedTopics) }));
+
+    return this.request('rebalanceConsumerGroup', { groupId, subscriptions });
+  }
+
+  consumeMessages(groupId, consumerId, maxMessages, options = {}) {
+    return this.request('fetch', { groupId, consumerId, maxMessages, options });
+  }
+
+  fetchRecords(topic, partition, offset, options = {}) {
+    return this.request('fetchRecords', { topic, partition, offset, options });
+  }
+
+  commitOffsets(groupId, offsets, { consumerId, generationId } = {}) {
+    return this.request('commit', { groupId, offsets, consumerId, generationId });
+  }
+
+  seekOffsets(groupId, offsets, { consumerId, generationId } = {}) {
+    return this.request('seek', { groupId, offsets, consumerId, generationId });
+  }
+
+  /**
+   * 🔁 RETRY TOPICS & DEAD LETTERS
+   */
+  setRetryPolicy(groupId, policy = {}) {
+    this.retryPolicies.set(groupId, policy);
+
+    const pending = this.request('setRetryPolicy', { groupId, policy }).then(normalized => {
+      this.retryPolicies.set(groupId, normalized);
+      return normalized;
+    });
+    pending.catch(error => {
+      console.error(`🔁 Failed to set retry policy for '${groupId}': ${error.message}`);
+    });
+    return pending;
+  }
+
+  getRetryPolicy(groupId) {
+    return this.retryPolicies.get(groupId) || null;
+  }
+
+  prepareRetryTopics(groupId, topics) {
+    return this.request('prepareRetryTopics', { groupId, topics });
+  }
+
+  routeFailedMessage(groupId, message, error) {
+    return this.request('routeFailedMessage', { groupId, message, error: { message: error.message } });
+  }
+
+  getDeadLetters(topic, options = {}) {
+    return this.request('getDeadLetters', { topic, options });
+  }
+
+  redriveDeadLetters(topic, options = {}) {
+    if (options.filter) {
+      throw new Error('Re-drive filters cannot be sent to a remote broker - inspect with getDeadLetters() instead');
+    }
+    return this.request('redriveDeadLetters', { topic, options });
+  }
+
+  /**
+   * 📐 SCHEMA REGISTRY
+   */
+  registerSchema(subject, schema) {
+    return this.request('registerSchema', { subject, schema });
+  }
+
+  checkSchemaCompatibility(subject, schema) {
+    return this.request('checkSchemaCompatibility', { subject, schema });
+  }
+
+  setSchemaCompatibility(subject, compatibility) {
+    return this.request('setSchemaCompatibility', { subject, compatibility });
+  }
+
+  getSchemaById(id) {
+    return this.request('getSchemaById', { id });
+  }
+
+  getLatestSchema(subject) {
+    return this.request('getLatestSchema', { subject });
+  }
+
+  getSchema(subject, version) {
+    return this.request('getSchema', { subject, version });
+  }
+
+  getSchemaSubjects() {
+    return this.request('getSchemaSubjects');
+  }
+
+  /**
+   * 🗄️ SIMULATED CLUSTER - Brokers inside the remote bus, not this connection
+   */
+  killBroker(brokerId) {
+    return this.request('killBroker', { brokerId });
+  }
+
+  restartBroker(brokerId) {
+    return this.request('restartBroker', { brokerId });
+  }
+
+  setBrokerLag(brokerId, lagMs) {
+    return this.request('setBrokerLag', { brokerId, lagMs });
+  }
+
+  describeCluster() {
+    return this.request('describeCluster');
+  }
+}
+
+module.exports = {
+  RemoteMessageBus
+};
@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 MESSAGE BUS REST GATEWAY
+ * "The Corporate Bus, Now Reachable by curl"
+ *
+ * 🌐 A REST proxy (in the spirit of Confluent's Kafka REST Proxy) so tools
+ * that don't speak Node - shell scripts, Python notebooks, Postman - can
+ * produce, read and consume. Works on top of an in-process bus or, with
+ * MESSAGE_BUS_BROKER=host:port, a shared broker via RemoteMessageBus.
+ *
+ *   GET    /topics                                   topics + groups overview
+ *   POST   /topics                                   { name, partitionCount, ... }
+ *   GET    /topics/:topic                            getTopicInfo()
+ *   DELETE /topics/:topic                            delete the topic, its records and offsets
+ *   POST   /topics/:topic/partitions                 { partitionCount } - grow only
+ *   POST   /topics/:topic/records                    { key, value, headers, partition } or { records: [...] }
+ *   GET    /topics/:topic/partitions/:p/records      ?offset=&limit=&isolation=
+ *   GET    /topics/:topic/stream                     SSE tail ?from=latest|earliest|<offset>&partition=
+ *   GET    /consumers/:group                         getConsumerGroupInfo()
+ *   GET    /consumers/:group/lag                     current lag + history ?since=<ms timestamp>
+ *   POST   /consumers/:group/offsets/reset           { topics, to, dryRun } - group must be stopped
+ *   POST   /consumers/:group                         create instance { topics, autoOffsetReset, ... }
+ *   POST   /consumers/:group/instances/:id/subscription  { topics }
+ *   GET    /consumers/:group/instances/:id/records   poll
+ *   POST   /consumers/:group/instances/:id/offsets   commit { offsets } (or everything polled)
+ *   POST   /consumers/:group/instances/:id/positions seek { offsets } | { timestamp } | { to: 'beginning'|'end' }
+ *   DELETE /consumers/:group/instances/:id           leave the group
+ *
+ *   curl -X POST localhost:8082/topics/corporate.orders/records \
+ *        -H 'Content-Type: application/json' -d '{"key":"c-7","value":{"orderId":42}}'
+ *   curl -N localhost:8082/topics/corporate.orders/stream?from=earliest
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - HTTP is stateless but consumer group members are not - instances left
+ *   behind by a crashed script must be reaped or they hold partitions
+ * - SSE reconnects send Last-Event-ID; the id must encode every partition's
+ *   position or a reconnect replays (or skips) records
+ * - Map bus errors to honest status codes (404, 409, 416) instead of 500
+ */
+
+const express = require('express');
+const { AlgoCraticMessageBus } = require('./message-queue-patterns');
+const { RemoteMessageBus } = require('./message-bus-client');
+
+// 🚦 Bus error -> HTTP status
+function statusForError(error) {
+  if (error.status) return error.status;
+
+  switch (error.code) {
+    case 'OFFSET_OUT_OF_RANGE':
+      return 416;
+    case 'INVALID_RECORD':
+      return 422;
+    case 'UNKNOWN_MEMBER_ID':
+    case 'ILLEGAL_GENERATION':
+    case 'INVALID_TXN_STATE':
+    case 'INCOMPATIBLE_SCHEMA':
+    case 'NON_EMPTY_GROUP':
+      return 409;
+    case 'NOT_LEADER_OR_FOLLOWER':
+    case 'NOT_ENOUGH_REPLICAS':
+      return 503;
+    case 'REQUEST_TIMED_OUT':
+      return 504;
+    default:
+      return /does not exist|not found/.test(error.message) ? 404 : 500;
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 🔢 Path and query values arrive as strings; JSON bodies must carry real numbers
+function parseNonNegativeInteger(value, name, { fromString = true } = {}) {
+  const number = fromString && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < 0) {
+    throw httpError(400, `${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+function parseTopicList(topics) {
+  if (!Array.isArray(topics) || topics.length === 0 || !topics.every(topic => typeof topic === 'string' && topic !== '')) {
+    throw httpError(400, 'topics must be a non-empty array of topic names');
+  }
+  return topics;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class MessageBusGateway {
+  constructor(options = {}) {
+    this.config = {
+      port: options.port !== undefined ? options.port : 8082,
+      producerId: options.producerId || 'rest-gateway',
+      consumerIdleTimeoutMs: options.consumerIdleTimeoutMs || 5 * 60 * 1000, // Reap abandoned instances
+      streamPingIntervalMs: options.streamPingIntervalMs || 15000,
+      maxRecordsPerRequest: options.maxRecordsPerRequest || 500,
+      ...options
+    };
+
+    this.messageBus = options.messageBus || this.createMessageBus();
+    this.producer = null;
+    this.consumerInstances = new Map(); // instanceId -> { consumer, groupId, lastUsed }
+    this.streams = new Set(); // cleanup callbacks of open SSE tails
+    this.server = null;
+    this.reaperTimer = null;
+
+    this.app = express();
+    this.app.use(express.json({ limit: '1mb' }));
+    this.setupTopicEndpoints();
+    this.setupConsumerEndpoints();
+    this.app.use((error, req, res, next) => {
+      // Malformed JSON bodies land here
+      res.status(error.status || 400).json({ error: error.message });
+    });
+  }
+
+  createMessageBus() {
+    const broker = process.env.MESSAGE_BUS_BROKER;
+    if (broker) {
+      const [host, port] = broker.split(':');
+      return new RemoteMessageBus({ host, port: Number(port) || 9092 });
+    }
+    return new AlgoCraticMessageBus({ persistToDisk: false });
+  }
+
+  async start() {
+    await this.messageBus.ready;
+    this.producer = await this.messageBus.createProducer(this.config.producerId);
+
+    await new Promise(resolve => {
+      this.server = this.app.listen(this.config.port, resolve);
+    });
+
+    this.reaperTimer = setInterval(() => {
+      this.reapIdleConsumers().catch(error => {
+        console.error(`🧹 Consumer reaper failed: ${error.message}`);
+      });
+    }, Math.min(this.config.consumerIdleTimeoutMs, 30000));
+
+    const { port } = this.server.address();
+    console.log(`🌐 Message bus REST gateway listening on http://localhost:${port}`);
+    return port;
+  }
+
+  // 🧯 Every route is async; turn rejections into JSON errors with a fitting status
+  route(handler) {
+    return (req, res) => {
+      handler(req, res).catch(error => {
+        const status = statusForError(error);
+        if (status === 500) {
+          console.error(`🌐 ${req.method} ${req.path} failed: ${error.message}`);
+        }
+        res.status(status).json({ error: error.message, code: error.code });
+      });
+    };
+  }
+
+  /**
+   * 🗂️ TOPICS - metadata, produce, read by offset, SSE tail
+   */
+  setupTopicEndpoints() {
+    this.app.get('/topics', this.route(async (req, res) => {
+      res.json(await this.messageBus.getMetadata());
+    }));
+
+    this.app.post('/topics', this.route(async (req, res) => {
+      const { name, ...options } = req.body;
+      if (!name) throw httpError(400, 'Topic name is required');
+
+      await this.messageBus.createTopic(name, options);
+      res.status(201).json(await this.messageBus.getTopicInfo(name));
+    }));
+
+    this.app.get('/topics/:topic', this.route(async (req, res) => {
+      const info = await this.messageBus.getTopicInfo(req.params.topic);
+      if (!info) throw httpError(404, `Topic '${req.params.topic}' does not exist`);
+      res.json(info);
+    }));
+
+    this.app.delete('/topics/:topic', this.route(async (req, res) => {
+      const info = await this.messageBus.getTopicInfo(req.params.topic);
+      if (!info) throw httpError(404, `Topic '${req.params.topic}' does not exist`);
+      res.json(await this.messageBus.deleteTopic(req.params.topic));
+    }));
+
+    this.app.post('/topics/:topic/partitions', this.route(async (req, res) => {
+      const info = await this.messageBus.getTopicInfo(req.params.topic);
+      if (!info) throw httpError(404, `Topic '${req.params.topic}' does not exist`);
+
+      const partitionCount = Number(req.body.partitionCount);
+      if (!Number.isInteger(partitionCount) || partitionCount <= info.config.partitionCount) {
+        throw httpError(400, `partitionCount must be an integer larger than the current ${info.config.partitionCount}`);
+      }
+      res.json(await this.messageBus.createPartitions(req.params.topic, partitionCount));
+    }));
+
+    this.app.post('/topics/:topic/records', this.route(async (req, res) => {
+      const records = Array.isArray(req.body.records) ? req.body.records : [req.body];
+      if (!records.every(isPlainObject)) {
+        throw httpError(400, 'Every record must be an object like { key, value, headers, partition }');
+      }
+      if (records.some(record => record.value === undefined)) {
+        throw httpError(400, 'Every record needs a value (use null for a tombstone)');
+      }
+      const partitions = records.map(({ partition }) =>
+        partition === undefined || partition === null ? undefined : parseNonNegativeInteger(partition, 'partition', { fromString: false })
+      );
+
+      // Sent together, so records bound for the same partition share a batch
+      const offsets = await Promise.all(records.map(({ key, value, headers }, index) =>
+        this.producer.send(req.params.topic, value, { key, headers, partition: partitions[index] })
+      ));
+      res.json({ offsets });
+    }));
+
+    this.app.get('/topics/:topic/partitions/:partition/records', this.route(async (req, res) => {
+      const { topic } = req.params;
+      const partition = parseNonNegativeInteger(req.params.partition, 'partition');
+      const isolationLevel = req.query.isolation || 'read_uncommitted';
+      const limit = req.query.limit !== undefined
+        ? Math.min(parseNonNegativeInteger(req.query.limit, 'limit') || 100, this.config.maxRecordsPerRequest)
+        : 100;
+      const requestedOffset = req.query.offset !== undefined ? parseNonNegativeInteger(req.query.offset, 'offset') : null;
+
+      const offsets = await this.messageBus.getPartitionOffsets(topic, partition);
+      const offset = requestedOffset !== null ? requestedOffset : offsets.logStartOffset;
+
+      const page = await this.readPage(topic, partition, offset, limit, isolationLevel);
+      res.json({ topic, partition, ...page, ...offsets });
+    }));
+
+    this.app.get('/topics/:topic/stream', this.route((req, res) => this.handleStream(req, res)));
+  }
+
+  /**
+   * 📖 READ PAGE - Records plus where to continue from
+   *
+   * Control markers and aborted records are invisible, so "last offset + 1"
+   * isn't always the right next position: when the page isn't full, every
+   * offset up to the fetch bound was scanned and can be skipped.
+   */
+  async readPage(topic, partition, offset, limit, isolationLevel) {
+    const before = await this.messageBus.getPartitionOffsets(topic, partition);
+    const bound = isolationLevel === 'read_committed' ? before.lastStableOffset : before.highWaterMark;
+
+    const records = await this.messageBus.fetchRecords(topic, partition, offset, { maxMessages: limit, isolationLevel });
+    const lastOffset = records.length > 0 ? records[records.length - 1].offset : offset - 1;
+    const nextOffset = records.length === limit ? lastOffset + 1 : Math.max(lastOffset + 1, bound, offset);
+
+    return { records, nextOffset };
+  }
+
+  /**
+   * 📡 SSE TAIL - `tail -f` for a topic
+   *
+   * Each event's id is the stream position across all partitions
+   * ("0:12,1:7"), so a browser EventSource that reconnects with
+   * Last-Event-ID picks up exactly where it left off.
+   */
+  async handleStream(req, res) {
+    const { topic } = req.params;
+    const isolationLevel = req.query.isolation || 'read_uncommitted';
+
+    const info = await this.messageBus.getTopicInfo(topic);
+    if (!info) throw httpError(404, `Topic '${topic}' does not exist`);
+
+    const partitions = req.query.partition !== undefined
+      ? [parseNonNegativeInteger(req.query.partition, 'partition')]
+      : info.partitions.map(p => p.id);
+    if (req.query.partition !== undefined && !info.partitions.some(p => p.id === partitions[0])) {
+      throw httpError(404, `Partition ${partitions[0]} of topic '${topic}' does not exist`);
+    }
+    const from = req.query.from || 'latest';
+    const fromOffset = from === 'earliest' || from === 'latest' ? null : parseNonNegativeInteger(from, 'from');
+
+    // 📍 Starting positions: Last-Event-ID beats ?from=
+    const cursor = new Map();
+    const resumeFrom = this.parseStreamPosition(req.get('Last-Event-ID'));
+    for (const partition of partitions) {
+      const offsets = await this.messageBus.getPartitionOffsets(topic, partition);
+      if (resumeFrom.has(partition)) {
+        cursor.set(partition, resumeFrom.get(partition));
+      } else if (from === 'earliest') {
+        cursor.set(partition, offsets.logStartOffset);
+      } else if (from === 'latest') {
+        cursor.set(partition, offsets.highWaterMark);
+      } else {
+        cursor.set(partition, fromOffset);
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.write('retry: 3000\n\n');
+
+    let pumping = false;
+    let pumpAgain = false;
+    let closed = false;
+
+    const pump = async () => {
+      if (pumping) {
+        pumpAgain = true; // Coalesce bursts of publishes into one more pass
+        return;
+      }
+      pumping = true;
+
+      try {
+        do {
+          pumpAgain = false;
+          for (const partition of partitions) {
+            await this.pumpPartition(res, topic, partition, cursor, isolationLevel, () => closed);
+          }
+        } while (pumpAgain && !closed);
+      } catch (error) {
+        this.writeSSE(res, { event: 'error', data: { error: error.message, code: error.code } });
+      } finally {
+        pumping = false;
+      }
+    };
+
+    const onPublished = event => {
+      if (event.topic === topic && partitions.includes(event.partition)) pump();
+    };
+    const onTransactionCompleted = event => {
+      if (event.partitions.some(p => p.topic === topic)) pump();
+    };
+    const pingTimer = setInterval(() => res.write(': ping\n\n'), this.config.streamPingIntervalMs);
+
+    const cleanup = () => {
+      closed = true;
+      clearInterval(pingTimer);
+      this.messageBus.removeListener('message:published', onPublished);
+      this.messageBus.removeListener('transaction:completed', onTransactionCompleted);
+      this.streams.delete(cleanup);
+    };
+
+    this.messageBus.on('message:published', onPublished);
+    this.messageBus.on('transaction:completed', onTransactionCompleted);
+    this.streams.add(cleanup);
+    req.on('close', cleanup);
+
+    console.log(`📡 SSE tail opened on '${topic}' [${partitions.join(', ')}]`);
+    await pump();
+  }
+
+  async pumpPartition(res, topic, partition, cursor, isolationLevel, isClosed) {
+    while (!isClosed()) {
+      let page;
+      try {
+        page = await this.readPage(topic, partition, cursor.get(partition), 100, isolationLevel);
+      } catch (error) {
+        if (error.code !== 'OFFSET_OUT_OF_RANGE') throw error;
+
+        // ⏮️ Retention removed what we were about to read - continue from the oldest record
+        cursor.set(partition, error.offset < error.logStartOffset ? error.logStartOffset : error.highWaterMark);
+        this.writeSSE(res, { event: 'offset:reset', data: { partition, offset: cursor.get(partition) } });
+        continue;
+      }
+
+      for (const record of page.records) {
+        cursor.set(partition, record.offset + 1);
+        this.writeSSE(res, {
+          id: this.formatStreamPosition(cursor),
+          event: 'record',
+          data: {
+            partition,
+            offset: record.offset,
+            timestamp: record.timestamp,
+            key: record.key,
+            value: record.value,
+            headers: record.headers
+          }
+        });
+      }
+      cursor.set(partition, page.nextOffset);
+
+      if (page.records.length < 100) return; // Caught up
+    }
+  }
+
+  formatStreamPosition(cursor) {
+    return Array.from(cursor, ([partition, offset]) => `${partition}:${offset}`).join(',');
+  }
+
+  parseStreamPosition(lastEventId) {
+    const position = new Map();
+    for (const entry of (lastEventId || '').split(',')) {
+      const [partition, offset] = entry.split(':').map(Number);
+      if (Number.isInteger(partition) && Number.isInteger(offset)) {
+        position.set(partition, offset);
+      }
+    }
+    return position;
+  }
+
+  writeSSE(res, { id, event, data }) {
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    if (event) frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    res.write(frame);
+  }
+
+  /**
+   * 👥 CONSUMER GROUPS - HTTP clients borrow a consumer instance held by the gateway
+   */
+  setupConsumerEndpoints() {
+    this.app.get('/consumers/:group', this.route(async (req, res) => {
+      const info = await this.messageBus.getConsumerGroupInfo(req.params.group);
+      if (!info) throw httpError(404, `Consumer group '${req.params.group}' not found`);
+      res.json(info);
+    }));
+
+    this.app.get('/consumers/:group/lag', this.route(async (req, res) => {
+      const lag = await this.messageBus.getConsumerLag(req.params.group);
+      if (!lag) throw httpError(404, `Consumer group '${req.params.group}' not found`);
+      const history = await this.messageBus.getLagHistory(req.params.group, { since: Number(req.query.since) || 0 });
+      res.json({ ...lag, history });
+    }));
+
+    this.app.post('/consumers/:group/offsets/reset', this.route(async (req, res) => {
+      const { topics, to, dryRun = false } = req.body;
+      res.json(await this.messageBus.resetGroupOffsets(req.params.group, { topics, to, dryRun }));
+    }));
+
+    this.app.post('/consumers/:group', this.route(async (req, res) => {
+      const { group } = req.params;
+      const { topics, autoOffsetReset, isolationLevel, maxPollRecords } = req.body;
+      if (topics !== undefined) parseTopicList(topics);
+
+      const consumer = await this.messageBus.createConsumer(group, {
+        autoCommit: false, // HTTP clients commit explicitly once they've processed a batch
+        autoOffsetReset,
+        isolationLevel,
+        maxPollRecords: Math.min(maxPollRecords || 100, this.config.maxRecordsPerRequest)
+      });
+
+      // Registered only once subscribed - a failed subscribe leaves nothing for the reaper
+      if (topics !== undefined) {
+        try {
+          await consumer.subscribe(topics);
+        } catch (error) {
+          await consumer.close().catch(() => {});
+          throw error;
+        }
+      }
+      this.consumerInstances.set(consumer.consumerId, { consumer, groupId: group, lastUsed: Date.now() });
+
+      console.log(`🌐 REST consumer instance ${consumer.consumerId} created in '${group}'`);
+      res.status(201).json({
+        groupId: group,
+        instanceId: consumer.consumerId,
+        baseUri: `/consumers/${group}/instances/${consumer.consumerId}`
+      });
+    }));
+
+    this.app.post('/consumers/:group/instances/:id/subscription', this.route(async (req, res) => {
+      const { consumer } = this.getConsumerInstance(req);
+      await consumer.subscribe(parseTopicList(req.body.topics));
+      res.json({ subscribedTopics: Array.from(consumer.subscribedTopics), assignedPartitions: consumer.assignedPartitions });
+    }));
+
+    this.app.get('/consumers/:group/instances/:id/records', this.route(async (req, res) => {
+      const { consumer } = this.getConsumerInstance(req);
+      res.json({ records: await consumer.poll() });
+    }));
+
+    this.app.post('/consumers/:group/instances/:id/offsets', this.route(async (req, res) => {
+      const { consumer } = this.getConsumerInstance(req);
+      const offsets = Array.isArray(req.body.offsets) ? req.body.offsets : null;
+      const committed = offsets || consumer.pendingOffsets;
+
+      await consumer.commitSync(offsets);
+      res.json({ committed });
+    }));
+
+    this.app.post('/consumers/:group/instances/:id/positions', this.route(async (req, res) => {
+      const { consumer } = this.getConsumerInstance(req);
+      const { offsets, timestamp, to } = req.body;
+
+      let moved;
+      if (Array.isArray(offsets)) {
+        moved = await consumer.seekPartitions(offsets);
+      } else if (timestamp !== undefined) {
+        moved = await consumer.seekToTimestamp(Number(timestamp));
+      } else if (to === 'beginning' || to === 'end') {
+        moved = to === 'beginning' ? await consumer.seekToBeginning() : await consumer.seekToEnd();
+      } else {
+        throw httpError(400, "Send { offsets }, { timestamp } or { to: 'beginning' | 'end' }");
+      }
+      res.json({ positions: moved });
+    }));
+
+    this.app.delete('/consumers/:group/instances/:id', this.route(async (req, res) => {
+      const instance = this.getConsumerInstance(req);
+      this.consumerInstances.delete(req.params.id);
+
+      await instance.consumer.close();
+      res.status(204).end();
+    }));
+  }
+
+  getConsumerInstance(req) {
+    const instance = this.consumerInstances.get(req.params.id);
+    if (!instance || instance.groupId !== req.params.group) {
+      throw httpError(404, `Consumer instance '${req.params.id}' not found in group '${req.params.group}'`);
+    }
+    instance.lastUsed = Date.now();
+    return instance;
+  }
+
+  async reapIdleConsumers() {
+    const now = Date.now();
+    for (const [instanceId, instance] of this.consumerInstances) {
+      if (now - instance.lastUsed < this.config.consumerIdleTimeoutMs) continue;
+
+      console.log(`🧹 Closing idle REST consumer ${instanceId} in '${instance.groupId}'`);
+      this.consumerInstances.delete(instanceId);
+      await instance.consumer.close();
+    }
+  }
+
+  async stop() {
+    clearInterval(this.reaperTimer);
+    for (const cleanup of this.streams) {
+      cleanup();
+    }
+    for (const { consumer } of this.consumerInstances.values()) {
+      await consumer.close();
+    }
+    this.consumerInstances.clear();
+
+    if (this.server) {
+      this.server.closeAllConnections(); // SSE tails would otherwise keep it open
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    console.log('🌐 Message bus REST gateway stopped');
+  }
+}
+
+// 🎭 STANDALONE GATEWAY
+async function runGateway() {
+  const gateway = new MessageBusGateway({
+    port: Number(process.env.GATEWAY_PORT) || 8082
+  });
+
+  await gateway.start();
+
+  process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down REST gateway...');
+    await gateway.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  runGateway().catch(error => {
+    console.error('🚨 Gateway failed to start:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MessageBusGateway
+};
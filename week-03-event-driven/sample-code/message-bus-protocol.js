@@ -0,0 +1,192 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 MESSAGE BUS WIRE PROTOCOL
+ * "Inter-Office Memos: One Line, One Memo"
+ *
+ * 📡 The broker and its clients talk newline-delimited JSON (NDJSON) over
+ * TCP - one JSON object per line, in both directions:
+ *
+ *   request   { "id": 7, "op": "produce", "params": { "topic": "...", ... } }
+ *   response  { "id": 7, "result": { "partition": 1, "offset": 42 } }
+ *             { "id": 7, "error": { "name": "...", "code": "...", "message": "..." } }
+ *   event     { "event": "message:published", "data": { ... } }
+ *
+ * Either side may send requests: clients call the broker for produce/fetch/
+ * commit, and the broker calls back into clients during rebalances. Params
+ * are always a named object rather than positional args, because JSON can't
+ * carry `undefined` and several bus methods treat undefined specially.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - TCP is a byte stream: one 'data' chunk may hold half a line or ten lines
+ * - A multi-byte UTF-8 character can be split across chunks
+ * - Every request needs a timeout, or a dead peer hangs the caller forever
+ */
+
+const EventEmitter = require('events');
+const {
+  OffsetOutOfRangeError,
+  UnknownMemberError,
+  IllegalGenerationError,
+  OutOfOrderSequenceError,
+  ProducerFencedError,
+  InvalidTxnStateError,
+  GroupNotEmptyError,
+  SchemaValidationError,
+  IncompatibleSchemaError,
+  SchemaNotFoundError,
+  NotLeaderOrFollowerError,
+  NotEnoughReplicasError,
+  RequestTimedOutError
+} = require('./message-queue-patterns');
+
+// Bus errors are rebuilt as their real classes so `instanceof` keeps working remotely
+const ERROR_CLASSES = {
+  OffsetOutOfRangeError,
+  UnknownMemberError,
+  IllegalGenerationError,
+  OutOfOrderSequenceError,
+  ProducerFencedError,
+  InvalidTxnStateError,
+  GroupNotEmptyError,
+  SchemaValidationError,
+  IncompatibleSchemaError,
+  SchemaNotFoundError,
+  NotLeaderOrFollowerError,
+  NotEnoughReplicasError,
+  RequestTimedOutError
+};
+
+function serializeError(error) {
+  const { stack, ...fields } = error; // Own properties: code, topic, groupId, ...
+  return { ...fields, name: error.name, message: error.message };
+}
+
+function deserializeError(payload) {
+  const ErrorClass = ERROR_CLASSES[payload.name] || Error;
+  const error = new Error(payload.message);
+  Object.setPrototypeOf(error, ErrorClass.prototype);
+  return Object.assign(error, payload);
+}
+
+/**
+ * 🔌 MESSAGE CONNECTION - NDJSON framing plus request/response bookkeeping
+ *
+ * Emits:
+ *   'request' (op, params, respond)  respond(error, result) sends the reply
+ *   'event'   (event, data)
+ *   'close'
+ *   'error'   (error)
+ */
+class MessageConnection extends EventEmitter {
+  constructor(socket, options = {}) {
+    super();
+
+    this.socket = socket;
+    this.requestTimeoutMs = options.requestTimeoutMs || 30000;
+    this.buffer = '';
+    this.nextRequestId = 1;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+
+    socket.setEncoding('utf8'); // Decodes split multi-byte characters correctly
+    socket.setNoDelay(true);
+
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.emit('error', error));
+    socket.on('close', () => {
+      for (const { reject, timer } of this.pending.values()) {
+        clearTimeout(timer);
+        const error = new Error('Connection to message bus closed');
+        error.code = 'CONNECTION_CLOSED';
+        reject(error);
+      }
+      this.pending.clear();
+      this.emit('close');
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline);
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line.trim() === '') continue;
+
+      let frame;
+      try {
+        frame = JSON.parse(line);
+      } catch (error) {
+        console.error(`📨 Dropping malformed frame: ${error.message}`);
+        continue;
+      }
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame(frame) {
+    if (frame.op) {
+      this.emit('request', frame.op, frame.params || {}, (error, result) => {
+        this.send(error ? { id: frame.id, error: serializeError(error) } : { id: frame.id, result });
+      });
+    } else if (frame.id !== undefined) {
+      const pending = this.pending.get(frame.id);
+      if (!pending) return; // Already timed out
+
+      this.pending.delete(frame.id);
+      clearTimeout(pending.timer);
+      if (frame.error) {
+        pending.reject(deserializeError(frame.error));
+      } else {
+        pending.resolve(frame.result);
+      }
+    } else if (frame.event) {
+      this.emit('event', frame.event, frame.data);
+    }
+  }
+
+  call(op, params = {}, timeoutMs = this.requestTimeoutMs) {
+    return new Promise((resolve, reject) => {
+      if (!this.isOpen()) {
+        const error = new Error('Connection to message bus closed');
+        error.code = 'CONNECTION_CLOSED';
+        reject(error);
+        return;
+      }
+
+      const id = this.nextRequestId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        const error = new Error(`Request '${op}' timed out after ${timeoutMs}ms`);
+        error.code = 'REQUEST_TIMED_OUT';
+        reject(error);
+      }, timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.send({ id, op, params });
+    });
+  }
+
+  notify(event, data) {
+    this.send({ event, data });
+  }
+
+  send(frame) {
+    if (this.isOpen()) {
+      this.socket.write(JSON.stringify(frame) + '\n');
+    }
+  }
+
+  isOpen() {
+    return !this.socket.destroyed && this.socket.writable;
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+module.exports = {
+  MessageConnection,
+  serializeError,
+  deserializeError
+};
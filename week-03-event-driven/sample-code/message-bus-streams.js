@@ -0,0 +1,1075 @@
+#!/usr/bin/env node
+
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 STREAMS DSL
+ * "Standing Orders: Tell the Bus What To Do With Every Memo, Forever"
+ *
+ * 🌊 stream-processing.js pipes Node streams through each other; this is the
+ * Kafka Streams way instead - a topology of steps that reads topics, keeps
+ * its state in the bus and writes results back to topics:
+ *
+ *   const builder = new StreamsBuilder();
+ *   const customers = builder.table('corporate.customers');      // compacted topic
+ *
+ *   builder.stream('corporate.orders')
+ *     .filter((key, order) => order.status === 'placed')
+ *     .join(customers, (order, customer) => ({ ...order, tier: customer.tier }))
+ *     .groupBy((key, order) => order.tier)                       // re-key → repartition topic
+ *     .windowedBy(TimeWindows.of(60000).grace(5000))
+ *     .count({ store: 'orders-per-tier', emit: 'final' })
+ *     .toStream()
+ *     .to('corporate.orders.per-tier');
+ *
+ *   const app = new StreamsApp(builder, { applicationId: 'order-analytics', messageBus });
+ *   await app.start();
+ *
+ * 🧱 Moving parts (all plain bus topics, named after the applicationId):
+ * - The app is one consumer group (applicationId) reading every source topic
+ * - Changing the key before groupByKey()/join() routes records through
+ *   <applicationId>-<name>-repartition so each key lands on one partition
+ * - State stores live in memory, one per input partition, and every update
+ *   is also written to a compacted <applicationId>-<store>-changelog topic;
+ *   a partition's store is rebuilt from it when the partition is assigned
+ * - A table() reads a compacted topic into a store, and that topic doubles
+ *   as the store's changelog - no copy needed
+ *
+ * ⏱️ Windows use record timestamps ("event time"). Stream time is the
+ * newest timestamp a partition has seen; a window closes once stream time
+ * passes its end plus the grace period, and records for closed windows are
+ * dropped as late.
+ *
+ *   TimeWindows.of(60000)                     tumbling  [0,60s) [60s,120s) ...
+ *   TimeWindows.of(60000).advanceBy(15000)    hopping   every record lands in 4 windows
+ *   SessionWindows.with(30000)                sessions  activity separated by 30s+ of silence
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - A stream and the table it joins must be co-partitioned: same partition
+ *   count and same keys, or the lookup happens on the wrong partition
+ * - Processing is at-least-once: a crash between writing results and
+ *   committing the input offset processes that record (and counts it) again
+ * - A record whose step always throws is redelivered forever and blocks its
+ *   partition - fix the code, or seek the application's group past it
+ * - With emit 'update' every record produces output; 'final' waits for the
+ *   window to close, so results are late by the window size plus grace
+ * - Stream time only moves when a partition receives records - windows on
+ *   a quiet partition stay open until something new arrives there
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * 🧩 TOPOLOGY ERROR - The stream graph can't run as described
+ *
+ * e.g. a missing source topic, or a join between topics with different
+ * partition counts. Thrown by StreamsApp.start() before anything is consumed.
+ */
+class TopologyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TopologyError';
+    this.code = 'INVALID_TOPOLOGY';
+  }
+}
+
+/**
+ * ⏱️ TIME WINDOWS - Fixed-size windows, tumbling or hopping
+ */
+class TimeWindows {
+  static of(sizeMs) {
+    return new TimeWindows(sizeMs, sizeMs, 0);
+  }
+
+  constructor(sizeMs, advanceMs, graceMs) {
+    if (!(sizeMs > 0) || !(advanceMs > 0) || advanceMs > sizeMs) {
+      throw new Error(`Invalid time window: size ${sizeMs}ms, advance ${advanceMs}ms (need 0 < advance <= size)`);
+    }
+    this.sizeMs = sizeMs;
+    this.advanceMs = advanceMs;
+    this.graceMs = graceMs;
+  }
+
+  advanceBy(advanceMs) {
+    return new TimeWindows(this.sizeMs, advanceMs, this.graceMs);
+  }
+
+  grace(graceMs) {
+    return new TimeWindows(this.sizeMs, this.advanceMs, graceMs);
+  }
+
+  get type() {
+    return this.advanceMs === this.sizeMs ? 'tumbling' : 'hopping';
+  }
+
+  // 🪟 Every window containing the timestamp (one when tumbling, size/advance when hopping)
+  windowsFor(timestamp) {
+    const windows = [];
+    const lastStart = timestamp - (timestamp % this.advanceMs);
+    for (let start = lastStart; start > timestamp - this.sizeMs && start >= 0; start -= this.advanceMs) {
+      windows.unshift({ start, end: start + this.sizeMs });
+    }
+    return windows;
+  }
+
+  closeTime(window) {
+    return window.end + this.graceMs;
+  }
+}
+
+/**
+ * 💬 SESSION WINDOWS - Bursts of activity per key, split by an inactivity gap
+ *
+ * A record within gapMs of an existing session extends it; one that bridges
+ * two sessions merges them (which is why session aggregations need a merger).
+ */
+class SessionWindows {
+  static with(gapMs) {
+    return new SessionWindows(gapMs, 0);
+  }
+
+  constructor(gapMs, graceMs) {
+    if (!(gapMs > 0)) {
+      throw new Error(`Invalid session window: inactivity gap ${gapMs}ms`);
+    }
+    this.gapMs = gapMs;
+    this.graceMs = graceMs;
+  }
+
+  grace(graceMs) {
+    return new SessionWindows(this.gapMs, graceMs);
+  }
+
+  get type() {
+    return 'session';
+  }
+
+  closeTime(window) {
+    return window.end + this.gapMs + this.graceMs;
+  }
+}
+
+// 🏷️ Keys written to topics must be strings; windowed keys become "key@start-end"
+function formatKey(key) {
+  if (key === null || key === undefined) return undefined;
+  if (typeof key === 'object' && key.window) return `${key.key}@${key.window.start}-${key.window.end}`;
+  return String(key);
+}
+
+function windowedKey(key, { start, end }) {
+  return { key, window: { start, end } };
+}
+
+/**
+ * 🗄️ KEY-VALUE STORE - One partition's worth of a state store
+ *
+ * Reads come from memory. Writes go to memory and, for logged stores, to
+ * the changelog partition matching this store's partition - so whoever is
+ * assigned the partition next can replay the changelog and carry on.
+ */
+class KeyValueStore {
+  constructor(name, partition, { changelogTopic, logged, producer }) {
+    this.name = name;
+    this.partition = partition;
+    this.changelogTopic = changelogTopic;
+    this.logged = logged; // false for table() stores - their source topic is the changelog
+    this.producer = producer;
+    this.entries = new Map();
+    this.restoredOffset = 0; // Changelog offset replayed up to (see StreamsApp.restoreStore)
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  all() {
+    return this.entries.entries();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async put(key, value) {
+    if (value === null || value === undefined) {
+      this.entries.delete(key);
+    } else {
+      this.entries.set(key, value);
+    }
+
+    if (this.logged) {
+      await this.producer.send(this.changelogTopic, value === undefined ? null : value, { key, partition: this.partition });
+    }
+  }
+
+  delete(key) {
+    return this.put(key, null);
+  }
+
+  // 🔁 Replaying the changelog - no writes back to it
+  applyChangelogRecord(record) {
+    if (record.value === null) {
+      this.entries.delete(record.key);
+    } else {
+      this.entries.set(record.key, record.value);
+    }
+  }
+}
+
+/**
+ * 🔗 STREAM NODE - One step of the topology
+ *
+ * `process(record, context)` does the step's work and calls `forward()` for
+ * whatever should flow on. Records are { key, value, timestamp, headers };
+ * the context says which topic partition (and so which task) they came from.
+ */
+class StreamNode {
+  constructor(name, process) {
+    this.name = name;
+    this.process = process || ((record, context) => this.forward(record, context));
+    this.children = [];
+  }
+
+  addChild(node) {
+    this.children.push(node);
+    return node;
+  }
+
+  async forward(record, context) {
+    for (const child of this.children) {
+      await child.process(record, context);
+    }
+  }
+}
+
+/**
+ * 🏗️ STREAMS BUILDER - Describes the topology; StreamsApp runs it
+ *
+ * Internal topics are referenced as { internal: true, name } until the app
+ * knows its applicationId and can give them their real names.
+ */
+class StreamsBuilder {
+  constructor() {
+    this.sources = new Map(); // topic name -> { node, kind: 'stream' | 'table', topicRef }
+    this.internalSources = []; // [{ topicRef, node }] - repartition topics read back in
+    this.internalTopics = []; // [{ topicRef, partitionsFrom, compacted }] in creation order
+    this.stores = new Map(); // store name -> { name, sourceTopic, changelogTopic, logged }
+    this.coPartitioned = []; // [[topicRef, topicRef, what]] that must have equal partition counts
+    this.nodeCount = 0;
+  }
+
+  nextName(prefix) {
+    this.nodeCount++;
+    return `${prefix}-${String(this.nodeCount).padStart(4, '0')}`;
+  }
+
+  // 🚰 A topic read as a stream of independent events
+  stream(topics) {
+    const topicNames = Array.isArray(topics) ? topics : [topics];
+    if (topicNames.length !== 1) {
+      throw new TopologyError('stream() takes one topic - merge several with stream(a).merge(stream(b))');
+    }
+    const [topic] = topicNames;
+    this.checkNewSource(topic);
+
+    const node = new StreamNode(this.nextName('source'));
+    const topicRef = { internal: false, name: topic };
+    this.sources.set(topic, { node, kind: 'stream', topicRef });
+    return new KStream(this, node, { sourceTopic: topicRef });
+  }
+
+  // 📇 A (compacted) topic read as a table: the latest value per key
+  table(topic, { store } = {}) {
+    this.checkNewSource(topic);
+
+    const topicRef = { internal: false, name: topic };
+    const storeName = store || `${topic}-store`;
+    this.addStore(storeName, { sourceTopic: topicRef, changelogTopic: topicRef, logged: false });
+
+    const node = new StreamNode(this.nextName('table-source'), async (record, context) => {
+      if (record.key === null || record.key === undefined) return; // Tables are keyed
+      await context.app.getStore(storeName, context.partition).put(record.key, record.value);
+      await node.forward(record, context);
+    });
+    this.sources.set(topic, { node, kind: 'table', topicRef });
+    return new KTable(this, node, { storeName, sourceTopic: topicRef, windowed: false });
+  }
+
+  checkNewSource(topic) {
+    if (this.sources.has(topic)) {
+      throw new TopologyError(`Topic '${topic}' is already a source of this topology`);
+    }
+  }
+
+  addStore(name, definition) {
+    if (this.stores.has(name)) {
+      throw new TopologyError(`State store '${name}' is defined twice`);
+    }
+    this.stores.set(name, { name, ...definition });
+  }
+
+  // 🔀 Write records out and read them back keyed correctly (see KStream.repartition)
+  addRepartitionTopic(name, partitionsFrom) {
+    const topicRef = { internal: true, name: `${name}-repartition` };
+    this.internalTopics.push({ topicRef, partitionsFrom, compacted: false });
+    return topicRef;
+  }
+
+  addChangelogTopic(storeName, partitionsFrom) {
+    const topicRef = { internal: true, name: `${storeName}-changelog` };
+    this.internalTopics.push({ topicRef, partitionsFrom, compacted: true });
+    return topicRef;
+  }
+}
+
+/**
+ * 🚰 KSTREAM - An unbounded stream of records
+ *
+ * Functions take (key, value) like Kafka Streams, except mapValues() and
+ * flatMapValues(), which only see the value. `map`, `selectKey` and
+ * `flatMap` may change the key, so the next grouping or join repartitions.
+ */
+class KStream {
+  constructor(builder, node, { sourceTopic, keyChanged = false }) {
+    this.builder = builder;
+    this.node = node;
+    this.sourceTopic = sourceTopic; // The topic whose partitions these records come from
+    this.keyChanged = keyChanged;
+  }
+
+  chain(prefix, process, { keyChanged = this.keyChanged } = {}) {
+    const node = new StreamNode(this.builder.nextName(prefix), null);
+    node.process = (record, context) => process(record, context, next => node.forward(next, context));
+    this.node.addChild(node);
+    return new KStream(this.builder, node, { sourceTopic: this.sourceTopic, keyChanged });
+  }
+
+  filter(predicate) {
+    return this.chain('filter', async (record, context, forward) => {
+      if (predicate(record.key, record.value)) await forward(record);
+    });
+  }
+
+  filterNot(predicate) {
+    return this.filter((key, value) => !predicate(key, value));
+  }
+
+  map(mapper) {
+    return this.chain('map', async (record, context, forward) => {
+      const { key, value } = mapper(record.key, record.value);
+      await forward({ ...record, key, value });
+    }, { keyChanged: true });
+  }
+
+  mapValues(mapper) {
+    return this.chain('map-values', async (record, context, forward) => {
+      await forward({ ...record, value: mapper(record.value, record.key) });
+    });
+  }
+
+  selectKey(mapper) {
+    return this.chain('select-key', async (record, context, forward) => {
+      await forward({ ...record, key: mapper(record.key, record.value) });
+    }, { keyChanged: true });
+  }
+
+  flatMap(mapper) {
+    return this.chain('flat-map', async (record, context, forward) => {
+      for (const { key, value } of mapper(record.key, record.value)) {
+        await forward({ ...record, key, value });
+      }
+    }, { keyChanged: true });
+  }
+
+  flatMapValues(mapper) {
+    return this.chain('flat-map-values', async (record, context, forward) => {
+      for (const value of mapper(record.value, record.key)) {
+        await forward({ ...record, value });
+      }
+    });
+  }
+
+  peek(action) {
+    return this.chain('peek', async (record, context, forward) => {
+      action(record.key, record.value);
+      await forward(record);
+    });
+  }
+
+  // Both inputs keep their own partitions, so a merged stream can't be grouped without repartitioning
+  merge(other) {
+    const node = new StreamNode(this.builder.nextName('merge'));
+    this.node.addChild(node);
+    other.node.addChild(node);
+    const sameSource = this.sourceTopic.name === other.sourceTopic.name && this.sourceTopic.internal === other.sourceTopic.internal;
+    return new KStream(this.builder, node, {
+      sourceTopic: this.sourceTopic,
+      keyChanged: this.keyChanged || other.keyChanged || !sameSource
+    });
+  }
+
+  // 🏁 Terminal steps
+  foreach(action) {
+    this.chain('foreach', async record => {
+      action(record.key, record.value);
+    });
+  }
+
+  to(topic) {
+    this.chain('sink', async (record, context) => {
+      await context.app.producer.send(topic, record.value, { key: formatKey(record.key), headers: record.headers });
+    });
+  }
+
+  /**
+   * 🔀 REPARTITION - Route records through a topic keyed by their current key
+   *
+   * After a key change, records for one key are spread over every input
+   * partition. Writing them to an internal topic (partitioned by key) and
+   * reading that back puts each key on exactly one partition again.
+   */
+  repartition(name, partitionsFrom = this.sourceTopic) {
+    const topicRef = this.builder.addRepartitionTopic(name, partitionsFrom);
+
+    this.chain('repartition-sink', async (record, context) => {
+      if (record.key === null || record.key === undefined) return; // Nowhere to route it
+      await context.app.producer.send(context.app.resolveTopic(topicRef), record.value, {
+        key: formatKey(record.key),
+        headers: record.headers
+      });
+    });
+
+    const source = new StreamNode(this.builder.nextName('repartition-source'));
+    this.builder.internalSources.push({ topicRef, node: source });
+    return new KStream(this.builder, source, { sourceTopic: topicRef });
+  }
+
+  groupByKey({ name } = {}) {
+    const repartitionName = name || this.builder.nextName('group');
+    const stream = this.keyChanged ? this.repartition(repartitionName) : this;
+    return new KGroupedStream(this.builder, stream, repartitionName);
+  }
+
+  groupBy(selector, options = {}) {
+    return this.selectKey(selector).groupByKey(options);
+  }
+
+  /**
+   * 🤝 STREAM-TABLE JOIN - Enrich each record with the table's current value for its key
+   *
+   * Looks the key up in the table's store for the same partition number, so
+   * both sides must be co-partitioned (checked when the app starts). join()
+   * drops records with no match; leftJoin() passes null to the joiner.
+   */
+  join(table, joiner) {
+    return this.joinTable(table, joiner, { left: false });
+  }
+
+  leftJoin(table, joiner) {
+    return this.joinTable(table, joiner, { left: true });
+  }
+
+  joinTable(table, joiner, { left }) {
+    if (table.windowed) {
+      throw new TopologyError('Windowed tables cannot be joined - join against a table keyed by plain keys');
+    }
+
+    const stream = this.keyChanged ? this.repartition(this.builder.nextName('join'), table.sourceTopic) : this;
+    this.builder.coPartitioned.push([stream.sourceTopic, table.sourceTopic, `join with ${table.storeName}`]);
+
+    return stream.chain(left ? 'left-join' : 'join', async (record, context, forward) => {
+      if (record.key === null || record.key === undefined) return;
+
+      const tableValue = context.app.getStore(table.storeName, context.partition).get(formatKey(record.key));
+      if (tableValue === undefined && !left) return;
+      await forward({ ...record, value: joiner(record.value, tableValue === undefined ? null : tableValue, record.key) });
+    });
+  }
+}
+
+/**
+ * 👥 KGROUPED STREAM - Records grouped by key, ready to aggregate
+ */
+class KGroupedStream {
+  constructor(builder, stream, name) {
+    this.builder = builder;
+    this.stream = stream;
+    this.name = name;
+  }
+
+  count(options = {}) {
+    return this.aggregate(() => 0, (key, value, count) => count + 1, { ...options, prefix: 'count' });
+  }
+
+  reduce(reducer, options = {}) {
+    return this.aggregate(() => null, (key, value, aggregate) => (aggregate === null ? value : reducer(aggregate, value)), {
+      ...options,
+      prefix: 'reduce'
+    });
+  }
+
+  /**
+   * 🧮 AGGREGATE - Fold each key's records into a value kept in a state store
+   *
+   * Every update is forwarded, so `.toStream()` sees the running result.
+   */
+  aggregate(initializer, aggregator, { store, prefix = 'aggregate' } = {}) {
+    const storeName = store || this.builder.nextName(prefix);
+    const { sourceTopic } = this.stream;
+    this.builder.addStore(storeName, {
+      sourceTopic,
+      changelogTopic: this.builder.addChangelogTopic(storeName, sourceTopic),
+      logged: true
+    });
+
+    const node = this.stream.chain(prefix, async (record, context, forward) => {
+      if (record.key === null || record.key === undefined) return; // Can't aggregate without a key
+
+      const key = formatKey(record.key);
+      const keyValueStore = context.app.getStore(storeName, context.partition);
+      const current = keyValueStore.get(key);
+      const updated = aggregator(key, record.value, current === undefined ? initializer() : current);
+
+      await keyValueStore.put(key, updated);
+      await forward({ ...record, key, value: updated });
+    }).node;
+
+    return new KTable(this.builder, node, { storeName, sourceTopic, windowed: false });
+  }
+
+  windowedBy(windows) {
+    return windows instanceof SessionWindows
+      ? new SessionWindowedKStream(this.builder, this.stream, windows)
+      : new TimeWindowedKStream(this.builder, this.stream, windows);
+  }
+}
+
+/**
+ * 🪟 WINDOWED AGGREGATION - Shared by time and session windows
+ *
+ * A windowed store keeps, per key, the list of that key's open windows:
+ *
+ *   "dept-7" -> [{ start, end, value }, ...]
+ *
+ * Closed windows (stream time past closeTime) are purged - and, with
+ * emit 'final', forwarded right then as the window's one and only result.
+ */
+class WindowedAggregation {
+  constructor(builder, stream, windows) {
+    this.builder = builder;
+    this.stream = stream;
+    this.windows = windows;
+  }
+
+  defineStore(store, prefix) {
+    const storeName = store || this.builder.nextName(prefix);
+    const { sourceTopic } = this.stream;
+    this.builder.addStore(storeName, {
+      sourceTopic,
+      changelogTopic: this.builder.addChangelogTopic(storeName, sourceTopic),
+      logged: true
+    });
+    return storeName;
+  }
+
+  buildNode(prefix, storeName, emit, update) {
+    if (emit !== 'update' && emit !== 'final') {
+      throw new TopologyError(`Unknown emit mode '${emit}' - expected 'update' or 'final'`);
+    }
+
+    const streamTimes = new Map(); // partition -> newest timestamp seen
+    const nextCloseTimes = new Map(); // partition -> earliest closeTime of any open window
+
+    const node = this.stream.chain(prefix, async (record, context, forward) => {
+      if (record.key === null || record.key === undefined) return;
+
+      const keyValueStore = context.app.getStore(storeName, context.partition);
+      const streamTime = Math.max(streamTimes.get(context.partition) || 0, record.timestamp);
+      streamTimes.set(context.partition, streamTime);
+
+      const key = formatKey(record.key);
+      const open = keyValueStore.get(key) || [];
+      const result = update(key, record, open, streamTime);
+      if (!result) {
+        context.app.recordLate(record, context, storeName);
+      } else {
+        await keyValueStore.put(key, result.windows.length > 0 ? result.windows : null);
+        nextCloseTimes.set(context.partition, Math.min(
+          nextCloseTimes.has(context.partition) ? nextCloseTimes.get(context.partition) : Infinity,
+          ...result.windows.map(window => this.windows.closeTime(window))
+        ));
+
+        if (emit === 'update') {
+          for (const window of result.removed) {
+            await forward({ ...record, key: windowedKey(key, window), value: null }); // Merged away
+          }
+          for (const window of result.changed) {
+            await forward({ ...record, key: windowedKey(key, window), value: window.value });
+          }
+        }
+      }
+
+      // 🔒 Close (and purge) every window stream time has now passed
+      if (streamTime >= (nextCloseTimes.has(context.partition) ? nextCloseTimes.get(context.partition) : -Infinity)) {
+        let nextCloseTime = Infinity;
+        for (const [storeKey, windows] of Array.from(keyValueStore.all())) {
+          const closed = windows.filter(window => this.windows.closeTime(window) <= streamTime);
+          const remaining = windows.filter(window => this.windows.closeTime(window) > streamTime);
+          remaining.forEach(window => {
+            nextCloseTime = Math.min(nextCloseTime, this.windows.closeTime(window));
+          });
+          if (closed.length === 0) continue;
+
+          await keyValueStore.put(storeKey, remaining.length > 0 ? remaining : null);
+          if (emit === 'final') {
+            for (const window of closed) {
+              await forward({ ...record, key: windowedKey(storeKey, window), value: window.value });
+            }
+          }
+        }
+        nextCloseTimes.set(context.partition, nextCloseTime);
+      }
+    }).node;
+
+    return new KTable(this.builder, node, { storeName, sourceTopic: this.stream.sourceTopic, windowed: true });
+  }
+}
+
+/**
+ * ⏱️ TIME-WINDOWED STREAM - Aggregate per key per tumbling/hopping window
+ */
+class TimeWindowedKStream extends WindowedAggregation {
+  count(options = {}) {
+    return this.aggregate(() => 0, (key, value, count) => count + 1, { ...options, prefix: 'windowed-count' });
+  }
+
+  reduce(reducer, options = {}) {
+    return this.aggregate(() => null, (key, value, aggregate) => (aggregate === null ? value : reducer(aggregate, value)), {
+      ...options,
+      prefix: 'windowed-reduce'
+    });
+  }
+
+  aggregate(initializer, aggregator, { store, emit = 'update', prefix = 'windowed-aggregate' } = {}) {
+    const storeName = this.defineStore(store, prefix);
+
+    return this.buildNode(prefix, storeName, emit, (key, record, open, streamTime) => {
+      // Windows that already closed don't take late arrivals
+      const accepting = this.windows.windowsFor(record.timestamp)
+        .filter(window => this.windows.closeTime(window) > streamTime);
+      if (accepting.length === 0) return null;
+
+      const windows = open.slice();
+      const changed = [];
+      for (const { start, end } of accepting) {
+        const index = windows.findIndex(window => window.start === start);
+        const current = index === -1 ? initializer() : windows[index].value;
+        const window = { start, end, value: aggregator(key, record.value, current) };
+        if (index === -1) {
+          windows.push(window);
+        } else {
+          windows[index] = window;
+        }
+        changed.push(window);
+      }
+
+      windows.sort((a, b) => a.start - b.start);
+      return { windows, changed, removed: [] };
+    });
+  }
+}
+
+/**
+ * 💬 SESSION-WINDOWED STREAM - Aggregate per key per session of activity
+ */
+class SessionWindowedKStream extends WindowedAggregation {
+  count(options = {}) {
+    return this.aggregate(() => 0, (key, value, count) => count + 1, (key, a, b) => a + b, {
+      ...options,
+      prefix: 'session-count'
+    });
+  }
+
+  aggregate(initializer, aggregator, merger, { store, emit = 'update', prefix = 'session-aggregate' } = {}) {
+    if (typeof merger !== 'function') {
+      throw new TopologyError('Session aggregations need a merger(key, aggregate1, aggregate2) for when sessions join up');
+    }
+    const storeName = this.defineStore(store, prefix);
+    const { gapMs } = this.windows;
+
+    return this.buildNode(prefix, storeName, emit, (key, record, open, streamTime) => {
+      const timestamp = record.timestamp;
+      if (this.windows.closeTime({ end: timestamp }) <= streamTime) return null; // Its session would already be closed
+
+      // Every session within the gap of this record joins the new one
+      const touching = open.filter(window => timestamp >= window.start - gapMs && timestamp <= window.end + gapMs);
+      let merged = { start: timestamp, end: timestamp, value: initializer() };
+      for (const window of touching) {
+        merged = {
+          start: Math.min(merged.start, window.start),
+          end: Math.max(merged.end, window.end),
+          value: merger(key, merged.value, window.value)
+        };
+      }
+      merged.value = aggregator(key, record.value, merged.value);
+
+      const windows = open.filter(window => !touching.includes(window)).concat(merged);
+      windows.sort((a, b) => a.start - b.start);
+      return {
+        windows,
+        changed: [merged],
+        removed: touching.filter(window => window.start !== merged.start || window.end !== merged.end)
+      };
+    });
+  }
+}
+
+/**
+ * 📇 KTABLE - The latest value per key (a table() source or an aggregation)
+ */
+class KTable {
+  constructor(builder, node, { storeName, sourceTopic, windowed }) {
+    this.builder = builder;
+    this.node = node;
+    this.storeName = storeName;
+    this.sourceTopic = sourceTopic;
+    this.windowed = windowed;
+  }
+
+  // 🔄 Every change to the table, as a stream (windowed keys are { key, window: { start, end } })
+  toStream() {
+    const node = new StreamNode(this.builder.nextName('to-stream'));
+    this.node.addChild(node);
+    return new KStream(this.builder, node, { sourceTopic: this.sourceTopic, keyChanged: this.windowed });
+  }
+}
+
+/**
+ * 🚀 STREAMS APP - Runs a topology against a message bus
+ *
+ * Works with any bus exposing the AlgoCratic API (in-process or
+ * RemoteMessageBus). Start several instances with the same applicationId
+ * and the input partitions - and the state that goes with them - are
+ * shared out between them.
+ */
+class StreamsApp extends EventEmitter {
+  constructor(builder, options = {}) {
+    super();
+
+    if (!options.applicationId) throw new Error('StreamsApp needs an applicationId');
+    if (!options.messageBus) throw new Error('StreamsApp needs a messageBus');
+
+    this.builder = builder;
+    this.messageBus = options.messageBus;
+    this.config = {
+      autoOffsetReset: 'earliest', // A new application processes history, like Kafka Streams
+      maxPollRecords: 100,
+      restoreBatchSize: 500,
+      ...options
+    };
+    this.applicationId = this.config.applicationId;
+    this.instanceId = this.config.instanceId || `${this.applicationId}-${Math.random().toString(36).substr(2, 9)}`;
+
+    this.sourceNodes = new Map(); // resolved topic name -> StreamNode
+    this.stores = new Map(); // store name -> Map(partition -> KeyValueStore)
+    this.restoring = Promise.resolve(); // Processing waits for changelog restores
+    this.producer = null;
+    this.consumer = null;
+    this.running = false;
+
+    this.stats = { recordsProcessed: 0, lateRecordsDropped: 0, storesRestored: 0, recordsRestored: 0 };
+  }
+
+  resolveTopic(topicRef) {
+    return topicRef.internal ? `${this.applicationId}-${topicRef.name}` : topicRef.name;
+  }
+
+  /**
+   * ▶️ START - Check the topology, create internal topics, join the group
+   */
+  async start() {
+    if (this.running) return;
+    await this.messageBus.ready;
+
+    const partitionCounts = await this.prepareTopics();
+
+    // Each instance needs its own producer ID - a shared one would fence the others
+    this.producer = await this.messageBus.createProducer(`${this.instanceId}-producer`);
+    this.consumer = await this.messageBus.createConsumer(this.applicationId, {
+      autoOffsetReset: this.config.autoOffsetReset,
+      maxPollRecords: this.config.maxPollRecords,
+      partitionAssignmentStrategy: 'range' // Partition N of every topic lands on one instance - joins rely on it
+    });
+
+    this.consumer.on('partitions:assigned', (assigned, { added }) => {
+      this.restoring = this.restoring
+        .then(() => this.restorePartitions(added))
+        .catch(error => {
+          console.error(`❌ ${this.applicationId}: state restore failed: ${error.message}`);
+          this.emit('error', error);
+        });
+    });
+
+    await this.consumer.subscribe(Array.from(this.sourceNodes.keys()));
+    await this.consumer.run({
+      eachMessage: ({ topic, partition, message }) => this.processRecord(topic, partition, message)
+    });
+
+    this.running = true;
+    console.log(`🌊 Streams app '${this.applicationId}' running: ${this.sourceNodes.size} source topics, ${this.builder.stores.size} state stores`);
+    this.emit('started', { partitionCounts: Object.fromEntries(partitionCounts) });
+  }
+
+  // 📝 Source topics must exist; repartition and changelog topics are created to match them
+  async prepareTopics() {
+    const partitionCounts = new Map();
+
+    for (const [topic, { kind }] of this.builder.sources) {
+      const info = await this.messageBus.getTopicInfo(topic);
+      if (!info) {
+        throw new TopologyError(`Source topic '${topic}' does not exist`);
+      }
+      if (kind === 'table' && !info.config.compactionEnabled) {
+        console.log(`⚠️  Table topic '${topic}' is not compacted - restoring its store replays every update`);
+      }
+      partitionCounts.set(topic, info.partitions.length);
+      this.sourceNodes.set(topic, this.builder.sources.get(topic).node);
+    }
+
+    for (const { topicRef, partitionsFrom, compacted } of this.builder.internalTopics) {
+      const topic = this.resolveTopic(topicRef);
+      const partitionCount = partitionCounts.get(this.resolveTopic(partitionsFrom));
+
+      const existing = await this.messageBus.getTopicInfo(topic);
+      if (!existing) {
+        await this.messageBus.createTopic(topic, { partitionCount, compactionEnabled: compacted });
+      } else if (existing.partitions.length !== partitionCount) {
+        throw new TopologyError(`Internal topic '${topic}' has ${existing.partitions.length} partitions, expected ${partitionCount}`);
+      }
+      partitionCounts.set(topic, partitionCount);
+    }
+
+    for (const { topicRef, node } of this.builder.internalSources) {
+      this.sourceNodes.set(this.resolveTopic(topicRef), node);
+    }
+
+    for (const [left, right, what] of this.builder.coPartitioned) {
+      const leftCount = partitionCounts.get(this.resolveTopic(left));
+      const rightCount = partitionCounts.get(this.resolveTopic(right));
+      if (leftCount !== rightCount) {
+        throw new TopologyError(`Topics '${this.resolveTopic(left)}' (${leftCount} partitions) and '${this.resolveTopic(right)}' (${rightCount}) are not co-partitioned for the ${what}`);
+      }
+    }
+
+    return partitionCounts;
+  }
+
+  async processRecord(topic, partition, message) {
+    await this.restoring;
+
+    const node = this.sourceNodes.get(topic);
+    if (!node) return;
+
+    const context = { app: this, topic, partition, offset: message.offset };
+    await node.process({
+      key: message.key === undefined ? null : message.key,
+      value: message.value,
+      timestamp: message.timestamp,
+      headers: message.headers || {}
+    }, context);
+
+    this.stats.recordsProcessed++;
+  }
+
+  recordLate(record, context, storeName) {
+    this.stats.lateRecordsDropped++;
+    this.emit('record:late', { topic: context.topic, partition: context.partition, offset: context.offset, key: record.key, timestamp: record.timestamp, store: storeName });
+  }
+
+  /**
+   * 🗄️ STATE STORES - One per (store, partition), created on first use
+   */
+  getStore(name, partition) {
+    const definition = this.builder.stores.get(name);
+    if (!definition) {
+      throw new TopologyError(`Unknown state store '${name}'`);
+    }
+
+    if (!this.stores.has(name)) this.stores.set(name, new Map());
+    const partitions = this.stores.get(name);
+    if (!partitions.has(partition)) {
+      partitions.set(partition, new KeyValueStore(name, partition, {
+        changelogTopic: this.resolveTopic(definition.changelogTopic),
+        logged: definition.logged,
+        producer: this.producer
+      }));
+    }
+    return partitions.get(partition);
+  }
+
+  /**
+   * 🔁 RESTORE - Catch a newly assigned partition's stores up with their changelogs
+   *
+   * Stores are never dropped on revocation. If the partition comes back
+   * later, only the changelog written since (by whoever had it meanwhile)
+   * is replayed.
+   */
+  async restorePartitions(assigned) {
+    for (const { topic, partition } of assigned) {
+      for (const definition of this.builder.stores.values()) {
+        if (this.resolveTopic(definition.sourceTopic) !== topic) continue;
+        await this.restoreStore(this.getStore(definition.name, partition));
+      }
+    }
+  }
+
+  async restoreStore(store) {
+    const { logStartOffset, highWaterMark } = await this.messageBus.getPartitionOffsets(store.changelogTopic, store.partition);
+    let offset = Math.max(store.restoredOffset, logStartOffset);
+    let restored = 0;
+
+    while (offset < highWaterMark) {
+      const records = await this.messageBus.fetchRecords(store.changelogTopic, store.partition, offset, {
+        maxMessages: this.config.restoreBatchSize
+      });
+      if (records.length === 0) break; // Only control markers left
+
+      records.forEach(record => store.applyChangelogRecord(record));
+      restored += records.length;
+      offset = records[records.length - 1].offset + 1;
+    }
+    store.restoredOffset = Math.max(offset, highWaterMark);
+
+    if (restored > 0) {
+      this.stats.storesRestored++;
+      this.stats.recordsRestored += restored;
+      console.log(`🔁 Restored ${store.name}[${store.partition}] from ${store.changelogTopic}: ${restored} records, ${store.size} keys`);
+    }
+  }
+
+  /**
+   * 🔎 QUERY - Read a store's current contents across the partitions this instance owns
+   */
+  store(name) {
+    const owned = () => {
+      const partitions = this.stores.get(name) || new Map();
+      const assigned = new Set(this.consumer ? this.consumer.assignedPartitions.map(p => p.partition) : []);
+      return Array.from(partitions.values()).filter(store => assigned.has(store.partition));
+    };
+
+    return {
+      get: key => {
+        for (const store of owned()) {
+          const value = store.get(formatKey(key));
+          if (value !== undefined) return value;
+        }
+        return undefined;
+      },
+      all: () => owned().flatMap(store => Array.from(store.all(), ([key, value]) => ({ key, value })))
+    };
+  }
+
+  getStats() {
+    return {
+      applicationId: this.applicationId,
+      instanceId: this.instanceId,
+      running: this.running,
+      sourceTopics: Array.from(this.sourceNodes.keys()),
+      assignedPartitions: this.consumer ? this.consumer.assignedPartitions : [],
+      stores: Object.fromEntries(Array.from(this.stores, ([name, partitions]) => [
+        name,
+        Array.from(partitions.values(), store => ({ partition: store.partition, keys: store.size }))
+      ])),
+      ...this.stats
+    };
+  }
+
+  async close() {
+    if (!this.running) return;
+    this.running = false;
+
+    await this.consumer.close();
+    await this.producer.flush();
+    console.log(`🌊 Streams app '${this.applicationId}' stopped after ${this.stats.recordsProcessed} records`);
+  }
+}
+
+/**
+ * 🎭 STREAMS DEMONSTRATION
+ *
+ * Orders are enriched with the customer's tier (stream-table join), counted
+ * per tier in tumbling one-second windows, and per customer in sessions.
+ */
+async function demonstrateCorporateStreams() {
+  const { AlgoCraticMessageBus } = require('./message-queue-patterns');
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  console.log('🌊 ALGOCRATIC STREAMS DEMONSTRATION');
+  console.log('====================================');
+
+  const messageBus = new AlgoCraticMessageBus({ lagSampleIntervalMs: 60000 });
+  await messageBus.createTopic('corporate.customers', { partitionCount: 2, compactionEnabled: true });
+  await messageBus.createTopic('corporate.orders', { partitionCount: 2 });
+  await messageBus.createTopic('corporate.orders.enriched', { partitionCount: 2 });
+  await messageBus.createTopic('corporate.orders.per-tier', { partitionCount: 1 });
+
+  const builder = new StreamsBuilder();
+  const customers = builder.table('corporate.customers');
+  const enriched = builder.stream('corporate.orders')
+    .filter((key, order) => order.total > 0)
+    .join(customers, (order, customer) => ({ ...order, tier: customer.tier }));
+  enriched.to('corporate.orders.enriched');
+
+  enriched
+    .groupBy((key, order) => order.tier)
+    .windowedBy(TimeWindows.of(1000).grace(200))
+    .count({ store: 'orders-per-tier', emit: 'final' })
+    .toStream()
+    .peek((windowed, count) => console.log(`📊 ${windowed.key} tier: ${count} orders in [${windowed.window.start}, ${windowed.window.end})`))
+    .to('corporate.orders.per-tier');
+
+  enriched
+    .groupByKey()
+    .windowedBy(SessionWindows.with(500))
+    .aggregate(() => 0, (key, order, total) => total + order.total, (key, a, b) => a + b, { store: 'customer-sessions' });
+
+  const app = new StreamsApp(builder, { applicationId: 'order-analytics', messageBus });
+  await app.start();
+
+  const producer = await messageBus.createProducer('demo-orders');
+  for (const [customerId, tier] of [['c-1', 'gold'], ['c-2', 'silver'], ['c-3', 'gold']]) {
+    await producer.send('corporate.customers', { customerId, tier }, { key: customerId });
+  }
+  for (let i = 0; i < 12; i++) {
+    const customerId = `c-${(i % 3) + 1}`;
+    await producer.send('corporate.orders', { orderId: i, customerId, total: 10 * (i + 1) }, { key: customerId });
+    await sleep(150);
+  }
+  await sleep(1500);
+  await producer.send('corporate.orders', { orderId: 99, customerId: 'c-1', total: 1 }, { key: 'c-1' }); // Advances stream time
+  await sleep(500);
+
+  console.log('💬 Customer sessions:', JSON.stringify(app.store('customer-sessions').all()));
+  console.log('📈 Stats:', JSON.stringify(app.getStats()));
+
+  await app.close();
+  await producer.flush();
+  await messageBus.close();
+}
+
+if (require.main === module) {
+  demonstrateCorporateStreams().catch(error => {
+    console.error('🚨 Streams demonstration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  StreamsBuilder,
+  StreamsApp,
+  KStream,
+  KTable,
+  KGroupedStream,
+  TimeWindows,
+  SessionWindows,
+  KeyValueStore,
+  TopologyError
+};
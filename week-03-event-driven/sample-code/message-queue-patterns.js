@@ -22,12 +22,161 @@
  * - Handling duplicate messages (idempotency)
  * - Partition key selection for load balancing
  * - Dead letter queue handling for failed messages
+ * - Batching: a bigger lingerMs buys throughput with latency
  */
 
 const EventEmitter = require('events');
 const { performance } = require('perf_hooks');
 const fs = require('fs').promises;
 const path = require('path');
+const { PartitionLog } = require('./partition-log');
+const { resolveAssignor } = require('./partition-assignors');
+const {
+  SchemaRegistry,
+  SchemaValidationError,
+  IncompatibleSchemaError,
+  SchemaNotFoundError,
+  SCHEMA_ID_HEADER,
+  subjectForTopic,
+  validateValue,
+  upcastValue
+} = require('./schema-registry');
+const { assertCompressionType, encodeRecordBatch, decodeRecordBatch, isRecordBatch } = require('./record-batch');
+const {
+  ReplicaManager,
+  NotLeaderOrFollowerError,
+  NotEnoughReplicasError,
+  RequestTimedOutError,
+  normalizeAcks
+} = require('./replica-manager');
+
+/**
+ * 🚫 OFFSET OUT OF RANGE - The requested offset is not in the partition log
+ * 
+ * Usually means retention deleted the records a consumer group was about to
+ * read. Thrown only when the consumer's autoOffsetReset policy is 'none'.
+ */
+class OffsetOutOfRangeError extends Error {
+  constructor(topic, partition, offset, logStartOffset, highWaterMark) {
+    super(`Offset ${offset} is out of range for ${topic}:${partition} (valid range ${logStartOffset}-${highWaterMark})`);
+    this.name = 'OffsetOutOfRangeError';
+    this.code = 'OFFSET_OUT_OF_RANGE';
+    this.topic = topic;
+    this.partition = partition;
+    this.offset = offset;
+    this.logStartOffset = logStartOffset;
+    this.highWaterMark = highWaterMark;
+  }
+}
+
+/**
+ * 👻 UNKNOWN MEMBER - The consumer is not (or no longer) part of its group
+ * 
+ * Typically a consumer that was evicted after missing heartbeats.
+ */
+class UnknownMemberError extends Error {
+  constructor(groupId, consumerId) {
+    super(`Consumer ${consumerId} is not a member of group '${groupId}'`);
+    this.name = 'UnknownMemberError';
+    this.code = 'UNKNOWN_MEMBER_ID';
+    this.groupId = groupId;
+    this.consumerId = consumerId;
+  }
+}
+
+/**
+ * 🧟 ILLEGAL GENERATION - A request from a stale group generation
+ * 
+ * The group rebalanced since this member got its assignment, so its view of
+ * which partitions it owns may be wrong. Commits are rejected to stop it
+ * overwriting offsets of partitions that now belong to someone else.
+ */
+class IllegalGenerationError extends Error {
+  constructor(groupId, generationId, currentGenerationId) {
+    super(`Generation ${generationId} of group '${groupId}' is stale (current generation ${currentGenerationId})`);
+    this.name = 'IllegalGenerationError';
+    this.code = 'ILLEGAL_GENERATION';
+    this.groupId = groupId;
+    this.generationId = generationId;
+    this.currentGenerationId = currentGenerationId;
+  }
+}
+
+/**
+ * 🔀 OUT OF ORDER SEQUENCE - An idempotent producer skipped sequence numbers
+ * 
+ * Something between the producer's last acknowledged send and this one was
+ * lost, so appending would leave a silent gap. The producer must re-initialize.
+ */
+class OutOfOrderSequenceError extends Error {
+  constructor(producerId, topic, partition, sequence, expectedSequence) {
+    super(`Producer '${producerId}' sent sequence ${sequence} to ${topic}:${partition}, expected ${expectedSequence}`);
+    this.name = 'OutOfOrderSequenceError';
+    this.code = 'OUT_OF_ORDER_SEQUENCE_NUMBER';
+    this.producerId = producerId;
+    this.topic = topic;
+    this.partition = partition;
+    this.sequence = sequence;
+    this.expectedSequence = expectedSequence;
+  }
+}
+
+/**
+ * 🧟 PRODUCER FENCED - A newer instance of this producer has taken over
+ * 
+ * Every initProducerId() bumps the producer epoch; sends stamped with an older
+ * epoch come from a zombie instance and are rejected.
+ */
+class ProducerFencedError extends Error {
+  constructor(producerId, producerEpoch, currentEpoch) {
+    super(`Producer '${producerId}' epoch ${producerEpoch} has been fenced by epoch ${currentEpoch}`);
+    this.name = 'ProducerFencedError';
+    this.code = 'PRODUCER_FENCED';
+    this.producerId = producerId;
+    this.producerEpoch = producerEpoch;
+    this.currentEpoch = currentEpoch;
+  }
+}
+
+/**
+ * 🚦 INVALID TRANSACTION STATE - A transactional call made at the wrong time
+ * 
+ * e.g. committing with no transaction open, or beginning a second one
+ * before the first has committed or aborted.
+ */
+class InvalidTxnStateError extends Error {
+  constructor(producerId, reason) {
+    super(`Producer '${producerId}' ${reason}`);
+    this.name = 'InvalidTxnStateError';
+    this.code = 'INVALID_TXN_STATE';
+    this.producerId = producerId;
+  }
+}
+
+/**
+ * 👥 GROUP NOT EMPTY - An admin offset reset on a group that is still consuming
+ * 
+ * Live members would carry on from (and commit over) their old positions, so
+ * resets are only allowed once every consumer in the group has stopped.
+ * Running consumers move themselves with seek() instead.
+ */
+class GroupNotEmptyError extends Error {
+  constructor(groupId, memberCount) {
+    super(`Consumer group '${groupId}' still has ${memberCount} active member(s) - stop them before resetting offsets`);
+    this.name = 'GroupNotEmptyError';
+    this.code = 'NON_EMPTY_GROUP';
+    this.groupId = groupId;
+    this.memberCount = memberCount;
+  }
+}
+
+// 🏷️ 'earliest', { durationMs: 3600000 }... -> readable text for reset logs
+function describeResetTarget(to) {
+  if (typeof to === 'string') return to;
+  if (to && Number.isFinite(to.timestamp)) return `timestamp ${new Date(to.timestamp).toISOString()}`;
+  if (to && Number.isFinite(to.durationMs)) return `${to.durationMs}ms ago`;
+  return JSON.stringify(to);
+}
 
 /**
  * 📨 ALGOCRATIC MESSAGE BUS - "KAFKA-ENOUGH" IMPLEMENTATION
@@ -35,7 +184,16 @@ const path = require('path');
  * Core Kafka-like features for educational purposes:
  * - Topics with configurable partitions
  * - Producer/Consumer pattern with consumer groups
- * - Message persistence to disk (optional)
+ * - Segmented, indexed partition logs (on disk when persistence is enabled)
+ * - Crash recovery of topics and committed offsets on restart
+ * - Key-based log compaction for "latest value per key" topics
+ * - Idempotent producers: retried sends are deduplicated by sequence number
+ * - Transactions: atomic writes to several topics plus consumer offset commits
+ * - Schema registry: producers validate records, consumers upcast old versions
+ * - Simulated replication: leaders, ISRs, acks=0/1/all and leader election
+ * - Consumer lag monitoring with history and threshold alerts
+ * - Offset reset and seek (by offset or timestamp) for replaying history
+ * - Topic administration: add partitions, delete topics
  * - Offset tracking and consumer resume capability
  * - Load balancing across consumer group members
  */
@@ -43,11 +201,33 @@ class AlgoCraticMessageBus extends EventEmitter {
   constructor(options = {}) {
     super();
     
+    // Every idle run() consumer listens for 'message:published' while it waits
+    this.setMaxListeners(0);
+    
     this.config = {
       persistToDisk: options.persistToDisk || false,
       dataDir: options.dataDir || './corporate-message-data',
       maxPartitionSize: options.maxPartitionSize || 10000,
       retentionMs: options.retentionMs || 7 * 24 * 60 * 60 * 1000, // 7 days
+      retentionBytes: options.retentionBytes || -1, // Per partition, -1 = unlimited
+      compactionIntervalMs: options.compactionIntervalMs || 60000,
+      deleteRetentionMs: options.deleteRetentionMs || 24 * 60 * 60 * 1000, // Tombstone lifetime
+      sessionCheckIntervalMs: options.sessionCheckIntervalMs || 1000,
+      defaultAssignmentStrategy: options.defaultAssignmentStrategy || 'range', // 'range' | 'roundrobin' | 'sticky'
+      segmentBytes: options.segmentBytes || 1024 * 1024, // Roll segments at 1MB...
+      segmentMs: options.segmentMs || 60 * 60 * 1000, // ...or after 1 hour
+      indexIntervalBytes: options.indexIntervalBytes || 4096, // Sparse index density
+      transactionTimeoutMs: options.transactionTimeoutMs || 60000, // Open transactions are aborted after this
+      schemaCompatibility: options.schemaCompatibility || 'BACKWARD', // Default for subjects without their own level
+      brokerCount: options.brokerCount || 1, // Simulated brokers replicas are spread over
+      replicaLagMs: options.replicaLagMs !== undefined ? options.replicaLagMs : 10, // Follower fetch delay
+      replicaLagTimeMaxMs: options.replicaLagTimeMaxMs || 10000, // Followers behind longer leave the ISR
+      minInsyncReplicas: options.minInsyncReplicas || 1, // ISR size acks=all insists on
+      uncleanLeaderElection: options.uncleanLeaderElection || false, // Out-of-sync replicas may lead (and lose data)
+      requestTimeoutMs: options.requestTimeoutMs || 30000, // How long acks=all waits for the followers
+      lagSampleIntervalMs: options.lagSampleIntervalMs || 5000, // How often consumer lag is recorded
+      lagHistorySize: options.lagHistorySize || 120, // Samples kept per group (10 minutes at 5s)
+      lagThresholds: options.lagThresholds || { warning: 1000, critical: 10000 }, // Default total lag limits per group
       ...options
     };
     
@@ -55,8 +235,17 @@ class AlgoCraticMessageBus extends EventEmitter {
     this.topics = new Map(); // topic -> { partitions, config }
     this.consumerGroups = new Map(); // groupId -> { consumers, offsets }
     this.producers = new Map(); // producerId -> producer instance
-    this.messageStorage = new Map(); // topic:partition -> messages[]
     this.offsets = new Map(); // topic:partition:groupId -> offset
+    this.producerStates = new Map(); // producerId -> { producerEpoch, partitions: topic:partition -> sequence state }
+    this.transactions = new Map(); // producerId -> open transaction
+    this.transactionLogChain = Promise.resolve(); // Serializes transactions.json writes
+    this.lagHistory = new Map(); // groupId -> [{ timestamp, totalLag, maxLag, partitions }]
+    this.schemaRegistry = new SchemaRegistry({ defaultCompatibility: this.config.schemaCompatibility });
+    this.replicaManager = new ReplicaManager({
+      ...this.config,
+      onTruncated: partition => this.rebuildAfterTruncation(partition)
+    });
+    this.forwardReplicationEvents();
     
     // 📈 Performance and monitoring
     this.metrics = {
@@ -65,10 +254,12 @@ class AlgoCraticMessageBus extends EventEmitter {
       totalConsumers: 0,
       messagesPerSecond: 0,
       lastMessageTime: Date.now(),
+      duplicatesDropped: 0,
       startTime: Date.now()
     };
     
-    this.initializeMessageBus();
+    // ⏳ Resolves once startup (including crash recovery) has finished
+    this.ready = this.initializeMessageBus();
   }
 
   async initializeMessageBus() {
@@ -76,6 +267,7 @@ class AlgoCraticMessageBus extends EventEmitter {
     
     if (this.config.persistToDisk) {
       await this.ensureDataDirectory();
+      await this.recoverFromDisk();
     }
     
     // 🧹 Setup cleanup and monitoring
@@ -94,59 +286,427 @@ class AlgoCraticMessageBus extends EventEmitter {
     }
   }
 
+  /**
+   * ♻️ CRASH RECOVERY - Rebuild bus state from the persisted data directory
+   * 
+   * Reopens every `<topic>-<partition>/` segment directory to restore topics,
+   * partition contents and high-water marks, then loads `offsets-<group>.json`
+   * so each consumer group resumes from its last committed offset instead of 0.
+   */
+  async recoverFromDisk() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.config.dataDir, { withFileTypes: true });
+    } catch (error) {
+      console.error(`♻️ Recovery skipped, cannot read data directory: ${error.message}`);
+      return;
+    }
+
+    // 📋 Topic configs written by createTopic (logs alone can't tell us empty partitions)
+    const topicConfigs = await this.readJsonFile(path.join(this.config.dataDir, 'topics.json')) || {};
+
+    // 📂 Discover partition logs: "<topic>-<partition>/" (topic names may contain '-')
+    const partitionCounts = new Map(); // topic -> highest partition id + 1
+    for (const entry of entries) {
+      const match = entry.name.match(/^(.+)-(\d+)(\.log)?$/);
+      if (!match) continue;
+
+      const [, topicName, partitionId, legacyExtension] = match;
+      if (legacyExtension && entry.isFile()) {
+        await this.migrateLegacyLog(entry.name, topicName, Number(partitionId));
+      } else if (!entry.isDirectory()) {
+        continue;
+      }
+
+      partitionCounts.set(topicName, Math.max(partitionCounts.get(topicName) || 0, Number(partitionId) + 1));
+    }
+
+    const topicNames = new Set([...Object.keys(topicConfigs), ...partitionCounts.keys()]);
+    let recoveredMessages = 0;
+
+    for (const topicName of topicNames) {
+      const config = topicConfigs[topicName] || {};
+      const topic = await this.registerTopic(topicName, {
+        ...config,
+        partitionCount: Math.max(config.partitionCount || 0, partitionCounts.get(topicName) || 0)
+      });
+
+      for (const partition of topic.partitions) {
+        recoveredMessages += partition.log.recordCount;
+        await this.rebuildPartitionState(topicName, partition);
+      }
+    }
+
+    // 📐 Registered schemas (record headers refer to them by ID)
+    const schemas = await this.readJsonFile(path.join(this.config.dataDir, 'schemas.json'));
+    if (schemas) {
+      this.schemaRegistry.load(schemas);
+    }
+
+    // 👥 Restore committed offsets for every consumer group
+    let recoveredGroups = 0;
+    for (const entry of entries) {
+      const match = entry.name.match(/^offsets-(.+)\.json$/);
+      if (!match) continue;
+
+      const offsets = await this.readJsonFile(path.join(this.config.dataDir, entry.name));
+      if (!offsets) continue;
+
+      const group = this.getOrCreateConsumerGroup(match[1]);
+      for (const [offsetKey, offset] of Object.entries(offsets)) {
+        group.offsets.set(offsetKey, offset);
+      }
+      recoveredGroups++;
+    }
+
+    // 🧾 Finish or roll back transactions the crash interrupted
+    await this.recoverTransactions();
+
+    if (topicNames.size > 0 || recoveredGroups > 0) {
+      console.log(`♻️ Recovered ${topicNames.size} topics, ${recoveredMessages} messages and ${recoveredGroups} consumer groups from ${this.config.dataDir}`);
+    }
+  }
+
+  /**
+   * 🔂 Replay a partition's log to rebuild what isn't stored anywhere else:
+   * idempotent producer sequences (so retries after a restart are still
+   * deduplicated) and the transaction index (open and aborted transactions).
+   */
+  async rebuildPartitionState(topicName, partition) {
+    const records = await partition.log.read(partition.log.logStartOffset, partition.log.recordCount);
+    for (const record of records) {
+      if (record.control) {
+        const firstOffset = partition.ongoingTransactions.get(record.producerId);
+        if (record.control === 'abort' && firstOffset !== undefined) {
+          partition.abortedTransactions.push({ producerId: record.producerId, firstOffset, lastOffset: record.offset });
+        }
+        partition.ongoingTransactions.delete(record.producerId);
+        continue;
+      }
+
+      if (record.transactional && !partition.ongoingTransactions.has(record.producerId)) {
+        partition.ongoingTransactions.set(record.producerId, record.offset);
+      }
+
+      if (record.sequence === undefined) continue;
+
+      const producerState = this.getOrCreateProducerState(record.producerId);
+      producerState.producerEpoch = Math.max(producerState.producerEpoch, record.producerEpoch);
+      this.recordProducerSequence(topicName, partition.id, record);
+    }
+  }
+
+  async recoverTransactions() {
+    const transactionLog = await this.readJsonFile(path.join(this.config.dataDir, 'transactions.json')) || {};
+    let committed = 0;
+    let aborted = 0;
+
+    // ✅ The commit decision was logged before any marker - finish the job
+    for (const [producerId, entry] of Object.entries(transactionLog)) {
+      if (entry.state !== 'prepare_commit') continue;
+
+      await this.writeTransactionMarkers(producerId, {
+        producerEpoch: entry.producerEpoch,
+        partitions: new Map(entry.partitions.map(p => [`${p.topic}:${p.partition}`, p])),
+        offsets: entry.offsets
+      }, 'commit');
+      committed++;
+    }
+
+    // ❌ Anything still open lost its producer in the crash
+    const orphaned = new Map(); // producerId -> partitions
+    for (const [topicName, topic] of this.topics) {
+      for (const partition of topic.partitions) {
+        for (const producerId of partition.ongoingTransactions.keys()) {
+          if (!orphaned.has(producerId)) orphaned.set(producerId, new Map());
+          orphaned.get(producerId).set(`${topicName}:${partition.id}`, { topic: topicName, partition: partition.id });
+        }
+      }
+    }
+    for (const [producerId, partitions] of orphaned) {
+      await this.writeTransactionMarkers(producerId, {
+        producerEpoch: this.getOrCreateProducerState(producerId).producerEpoch,
+        partitions,
+        offsets: []
+      }, 'abort');
+      aborted++;
+    }
+
+    await this.persistTransactionLog();
+    if (committed > 0 || aborted > 0) {
+      console.log(`🧾 Recovered transactions: ${committed} completed, ${aborted} aborted`);
+    }
+  }
+
+  // 📦 Older versions wrote one flat "<topic>-<partition>.log" - adopt it as the first segment
+  async migrateLegacyLog(fileName, topicName, partitionId) {
+    const legacyPath = path.join(this.config.dataDir, fileName);
+    const partitionDir = this.getPartitionDir(topicName, partitionId);
+
+    try {
+      const firstLine = (await fs.readFile(legacyPath, 'utf8')).split('\n', 1)[0];
+      const baseOffset = firstLine ? JSON.parse(firstLine).offset : 0;
+
+      await fs.mkdir(partitionDir, { recursive: true });
+      await fs.rename(legacyPath, path.join(partitionDir, `${String(baseOffset).padStart(20, '0')}.log`));
+      console.log(`📦 Migrated legacy log ${fileName} into segmented storage`);
+    } catch (error) {
+      console.error(`📦 Failed to migrate legacy log ${fileName}: ${error.message}`);
+    }
+  }
+
+  getPartitionDir(topicName, partitionId) {
+    return path.join(this.config.dataDir, `${topicName}-${partitionId}`);
+  }
+
+  async readJsonFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return null; // Missing or unreadable file
+    }
+  }
+
   setupMaintenanceTasks() {
     // 🧹 Periodic cleanup of old messages
-    setInterval(() => {
+    this.maintenanceTimers = [];
+    this.maintenanceTimers.push(setInterval(() => {
       this.cleanupExpiredMessages();
-    }, 60000); // Every minute
+    }, 60000)); // Every minute
+    
+    // 🗜️ Log compaction for compactionEnabled topics
+    this.maintenanceTimers.push(setInterval(() => {
+      this.compactTopics().catch(error => {
+        console.error(`🗜️ Compaction failed: ${error.message}`);
+      });
+    }, this.config.compactionIntervalMs));
+    
+    // 💓 Evict consumers whose sessions have expired
+    this.maintenanceTimers.push(setInterval(() => {
+      this.checkConsumerSessions().catch(error => {
+        console.error(`💓 Session check failed: ${error.message}`);
+      });
+    }, this.config.sessionCheckIntervalMs));
+    
+    // ⌛ Abort transactions whose producer went quiet
+    this.maintenanceTimers.push(setInterval(() => {
+      this.abortExpiredTransactions().catch(error => {
+        console.error(`⌛ Transaction timeout check failed: ${error.message}`);
+      });
+    }, this.config.sessionCheckIntervalMs));
+    
+    // 🐢 Drop lagging followers from their ISRs
+    if (this.config.brokerCount > 1) {
+      this.maintenanceTimers.push(setInterval(() => {
+        this.replicaManager.checkReplicaLag();
+      }, this.config.sessionCheckIntervalMs));
+    }
+    
+    // 📉 Record consumer lag and raise lag:threshold alerts
+    this.maintenanceTimers.push(setInterval(() => {
+      this.sampleConsumerLag();
+    }, this.config.lagSampleIntervalMs));
     
     // 📊 Performance metrics calculation
-    setInterval(() => {
+    this.maintenanceTimers.push(setInterval(() => {
       this.calculatePerformanceMetrics();
-    }, 5000); // Every 5 seconds
+    }, 5000)); // Every 5 seconds
+  }
+
+  /**
+   * 🔌 CLOSE - Stop maintenance timers and flush pending log writes
+   */
+  async close() {
+    await this.ready;
+
+    this.maintenanceTimers.forEach(timer => clearInterval(timer));
+    this.maintenanceTimers = [];
+    this.replicaManager.close();
+
+    for (const topic of this.topics.values()) {
+      await Promise.all(topic.partitions.map(partition => partition.log.flush()));
+    }
+    await this.transactionLogChain;
+
+    console.log('🔌 Corporate message bus closed');
   }
 
   /**
    * 📝 CREATE TOPIC - Similar to Kafka's topic creation
    */
   async createTopic(topicName, options = {}) {
+    await this.ready;
+
     if (this.topics.has(topicName)) {
       console.log(`⚠️  Topic '${topicName}' already exists`);
       return;
     }
+    if ((options.replicationFactor || 1) > this.config.brokerCount) {
+      throw new Error(`Replication factor ${options.replicationFactor} is larger than the ${this.config.brokerCount} available brokers`);
+    }
+
+    const topic = await this.registerTopic(topicName, options);
+
+    // 💾 Remember topic configs so recovery can restore empty partitions too
+    if (this.config.persistToDisk) {
+      await this.persistTopicConfigs();
+    }
+    
+    console.log(`📝 Topic '${topicName}' created with ${topic.config.partitionCount} partitions`);
+    
+    this.emit('topic:created', { topicName, config: topic.config });
+  }
 
+  async registerTopic(topicName, options = {}) {
     const topicConfig = {
       partitionCount: options.partitionCount || 3,
-      replicationFactor: options.replicationFactor || 1, // Simulated
+      replicationFactor: options.replicationFactor || 1, // Copies kept by the simulated brokers
+      minInsyncReplicas: options.minInsyncReplicas || this.config.minInsyncReplicas,
       retentionMs: options.retentionMs || this.config.retentionMs,
+      retentionBytes: options.retentionBytes || this.config.retentionBytes,
       compactionEnabled: options.compactionEnabled || false,
-      createdAt: new Date().toISOString()
+      deleteRetentionMs: options.deleteRetentionMs || this.config.deleteRetentionMs,
+      segmentBytes: options.segmentBytes || this.config.segmentBytes,
+      segmentMs: options.segmentMs || this.config.segmentMs,
+      createdAt: options.createdAt || new Date().toISOString()
     };
 
-    // 🏗️ Initialize partitions
+    // 🏗️ Initialize partitions, each backed by its own segmented log
     const partitions = [];
     for (let i = 0; i < topicConfig.partitionCount; i++) {
-      partitions.push({
-        id: i,
-        messages: [],
-        highWaterMark: 0, // Kafka concept: highest offset
-        logStartOffset: 0
-      });
-      
-      // Initialize message storage for each partition
-      this.messageStorage.set(`${topicName}:${i}`, []);
+      partitions.push(await this.openPartition(topicName, topicConfig, i));
     }
 
-    this.topics.set(topicName, {
+    const topic = {
       config: topicConfig,
       partitions: partitions
-    });
+    };
+    this.topics.set(topicName, topic);
 
     this.metrics.totalTopics++;
-    
-    console.log(`📝 Topic '${topicName}' created with ${topicConfig.partitionCount} partitions`);
-    
-    this.emit('topic:created', { topicName, config: topicConfig });
+
+    return topic;
+  }
+
+  async openPartition(topicName, topicConfig, partitionId) {
+    const log = new PartitionLog({
+      dir: this.config.persistToDisk ? this.getPartitionDir(topicName, partitionId) : null,
+      segmentBytes: topicConfig.segmentBytes,
+      segmentMs: topicConfig.segmentMs,
+      indexIntervalBytes: this.config.indexIntervalBytes,
+      maxRecords: this.config.maxPartitionSize
+    });
+    await log.open();
+
+    const partition = {
+      id: partitionId,
+      log,
+      highWaterMark: log.logEndOffset, // Kafka concept: next offset to be written
+      logStartOffset: log.logStartOffset,
+      ongoingTransactions: new Map(), // producerId -> first offset of its open transaction
+      abortedTransactions: [] // [{ producerId, firstOffset, lastOffset }] for read_committed
+    };
+    this.replicaManager.assignReplicas(topicName, partition, topicConfig.replicationFactor);
+    return partition;
+  }
+
+  /**
+   * ➕ CREATE PARTITIONS - Grow a topic to `partitionCount` partitions
+   * 
+   * Like Kafka, partitions can only be added: removing one would delete its
+   * records. Existing records stay where they are, so keys hash to different
+   * partitions from now on - per-key ordering breaks across the change.
+   * Groups consuming the topic rebalance to pick up the new partitions.
+   */
+  async createPartitions(topicName, partitionCount) {
+    await this.ready;
+
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      throw new Error(`Topic '${topicName}' does not exist`);
+    }
+    const previousCount = topic.config.partitionCount;
+    if (!Number.isInteger(partitionCount) || partitionCount <= previousCount) {
+      throw new Error(`Topic '${topicName}' has ${previousCount} partitions - the new count must be a larger integer (got ${partitionCount})`);
+    }
+
+    for (let i = previousCount; i < partitionCount; i++) {
+      topic.partitions.push(await this.openPartition(topicName, topic.config, i));
+    }
+    topic.config.partitionCount = partitionCount;
+
+    if (this.config.persistToDisk) {
+      await this.persistTopicConfigs();
+    }
+
+    console.log(`➕ Topic '${topicName}' grown from ${previousCount} to ${partitionCount} partitions`);
+    this.emit('topic:partitionsCreated', { topicName, previousCount, partitionCount });
+
+    await this.rebalanceSubscribers(topicName);
+    return { topicName, previousCount, partitionCount };
+  }
+
+  /**
+   * 🗑️ DELETE TOPIC - Remove a topic, its partition logs and its offsets
+   * 
+   * Consumer groups keep running: they rebalance without the topic, and
+   * their committed offsets for it are dropped so a topic recreated under
+   * the same name starts from a clean slate.
+   */
+  async deleteTopic(topicName) {
+    await this.ready;
+
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      throw new Error(`Topic '${topicName}' does not exist`);
+    }
+
+    this.topics.delete(topicName);
+    this.metrics.totalTopics--;
+    for (const partition of topic.partitions) {
+      this.replicaManager.removePartition(partition);
+      await partition.log.flush();
+      if (this.config.persistToDisk) {
+        await fs.rm(this.getPartitionDir(topicName, partition.id), { recursive: true, force: true });
+      }
+    }
+
+    // 🧾 Forget producer sequences for the topic's partitions
+    for (const state of this.producerStates.values()) {
+      for (const partitionKey of Array.from(state.partitions.keys())) {
+        if (partitionKey.startsWith(`${topicName}:`)) state.partitions.delete(partitionKey);
+      }
+    }
+
+    // 👥 Drop committed offsets for the topic
+    for (const [groupId, group] of this.consumerGroups) {
+      const keys = Array.from(group.offsets.keys()).filter(offsetKey => offsetKey.startsWith(`${topicName}:`));
+      if (keys.length === 0) continue;
+      keys.forEach(offsetKey => group.offsets.delete(offsetKey));
+      if (this.config.persistToDisk) {
+        await this.persistGroupOffsets(groupId, group);
+      }
+    }
+
+    if (this.config.persistToDisk) {
+      await this.persistTopicConfigs();
+    }
+
+    console.log(`🗑️ Topic '${topicName}' deleted (${topic.partitions.length} partitions)`);
+    this.emit('topic:deleted', { topicName, partitionCount: topic.partitions.length });
+
+    await this.rebalanceSubscribers(topicName);
+    return { topicName, partitionCount: topic.partitions.length };
+  }
+
+  // 🔄 Rebalance every group with a member subscribed to the topic
+  async rebalanceSubscribers(topicName) {
+    const rebalances = [];
+    for (const [groupId, group] of this.consumerGroups) {
+      const subscribed = Array.from(group.consumers).some(member => member.subscribedTopics.has(topicName));
+      if (subscribed) rebalances.push(this.rebalanceConsumerGroup(groupId));
+    }
+    await Promise.all(rebalances);
   }
 
   /**
@@ -161,73 +721,434 @@ class AlgoCraticMessageBus extends EventEmitter {
   }
 
   async publishMessage(topicName, message, options = {}) {
-    const topic = this.topics.get(topicName);
-    if (!topic) {
-      throw new Error(`Topic '${topicName}' does not exist`);
-    }
+    await this.ready;
 
-    // 🎯 Partition selection (Kafka-like behavior)
-    let partitionId;
-    if (options.partition !== undefined) {
-      partitionId = options.partition;
-    } else if (options.key) {
-      // Hash-based partitioning (simplified)
-      partitionId = this.hashPartition(options.key, topic.config.partitionCount);
-    } else {
-      // Round-robin partitioning
-      partitionId = this.metrics.totalMessages % topic.config.partitionCount;
+    const partitionId = this.selectPartition(topicName, options);
+    const result = await this.appendRecords(topicName, partitionId, [{
+      key: options.key,
+      value: message,
+      headers: options.headers
+    }], options);
+
+    const published = { topic: topicName, partition: partitionId, offset: result.baseOffset };
+    return result.duplicate ? { ...published, duplicate: true } : published;
+  }
+
+  /**
+   * 📦 PUBLISH BATCH - Append several records to one partition as a unit
+   * 
+   * What a batching producer sends: one partition (options.partition, else
+   * the first record's key decides), one sequence range starting at
+   * options.sequence, one duplicate check, one log append. `batch` is either
+   * an array of { value, key, headers } or a compressed record batch from
+   * record-batch.js, which is stored compressed the same way.
+   * 
+   * Resolves to { topic, partition, baseOffset, recordCount }; record i of
+   * the batch has offset baseOffset + i.
+   */
+  async publishBatch(topicName, batch, options = {}) {
+    await this.ready;
+
+    const records = isRecordBatch(batch) ? decodeRecordBatch(batch) : batch;
+    if (records.length === 0) {
+      throw new Error('publishBatch() needs at least one record');
+    }
+    if (options.compression) {
+      assertCompressionType(options.compression);
     }
 
+    const partitionId = this.selectPartition(topicName, { partition: options.partition, key: records[0].key });
+    return this.appendRecords(topicName, partitionId, records, {
+      ...options,
+      compression: isRecordBatch(batch) ? batch.compression : options.compression
+    });
+  }
+
+  async appendRecords(topicName, partitionId, records, options = {}) {
+    const topic = this.topics.get(topicName);
     const partition = topic.partitions[partitionId];
-    
-    // 📦 Create message record (Kafka-like format)
-    const messageRecord = {
-      offset: partition.highWaterMark,
-      timestamp: Date.now(),
-      key: options.key || null,
-      value: message,
-      headers: options.headers || {},
-      partition: partitionId,
-      topic: topicName,
-      producerId: options.producerId || 'unknown'
-    };
 
-    // 💾 Store message
-    const storageKey = `${topicName}:${partitionId}`;
-    const messages = this.messageStorage.get(storageKey);
-    messages.push(messageRecord);
+    // 👑 Only a partition with a leader takes writes; acks=all also needs enough in-sync replicas
+    const acks = normalizeAcks(options.acks !== undefined ? options.acks : 1);
+    this.replicaManager.checkAppend(partition, acks, topic.config.minInsyncReplicas);
+
+    // 🔂 Idempotent producers: a retry of an already-appended send is dropped
+    if (options.sequence !== undefined) {
+      const duplicate = this.checkProducerSequence(topicName, partitionId, options);
+      if (duplicate) {
+        return { topic: topicName, partition: partitionId, baseOffset: duplicate.offset, recordCount: records.length, duplicate: true };
+      }
+    }
+
+    // 🧾 Transactional sends must belong to the producer's open transaction
+    const transaction = options.transactional
+      ? this.getOngoingTransaction(options.producerId, options.producerEpoch)
+      : null;
+    
+    // 📦 Create message records (Kafka-like format)
+    const timestamp = Date.now();
+    const messageRecords = records.map((record, i) => {
+      const messageRecord = {
+        offset: partition.log.logEndOffset + i,
+        timestamp,
+        key: record.key || null,
+        value: record.value,
+        headers: record.headers || {},
+        partition: partitionId,
+        topic: topicName,
+        producerId: options.producerId || 'unknown'
+      };
+      if (options.sequence !== undefined) {
+        messageRecord.producerEpoch = options.producerEpoch || 0;
+        messageRecord.sequence = options.sequence + i;
+      }
+      if (transaction) {
+        messageRecord.transactional = true;
+      }
+      return messageRecord;
+    });
+    const baseOffset = messageRecords[0].offset;
+
+    // 💾 Append to the partition log (written to disk if configured)
+    const appended = partition.log.appendBatch(messageRecords, { compression: options.compression || 'none' });
+    if (options.sequence !== undefined) {
+      this.recordProducerSequence(topicName, partitionId, {
+        producerId: options.producerId,
+        producerEpoch: options.producerEpoch || 0,
+        sequence: options.sequence,
+        lastSequence: options.sequence + messageRecords.length - 1,
+        offset: baseOffset
+      });
+    }
+    if (transaction) {
+      if (!partition.ongoingTransactions.has(options.producerId)) {
+        partition.ongoingTransactions.set(options.producerId, baseOffset);
+      }
+      transaction.partitions.set(`${topicName}:${partitionId}`, { topic: topicName, partition: partitionId });
+    }
     
-    // 📈 Update partition metadata
-    partition.highWaterMark++;
-    partition.messages.push(messageRecord);
+    // 📈 Update partition metadata (the high-water mark follows the followers)
+    this.replicaManager.onLeaderAppend(partition, baseOffset);
+    partition.logStartOffset = partition.log.logStartOffset;
     
-    // 💾 Persist to disk if configured
-    if (this.config.persistToDisk) {
-      await this.persistMessage(topicName, partitionId, messageRecord);
+    try {
+      await appended;
+    } catch (error) {
+      console.error(`💾 Failed to persist message: ${error.message}`);
     }
     
     // 📊 Update metrics
-    this.metrics.totalMessages++;
+    this.metrics.totalMessages += messageRecords.length;
     this.metrics.lastMessageTime = Date.now();
     
     // 📡 Notify consumers
-    this.emit('message:published', {
-      topic: topicName,
-      partition: partitionId,
-      offset: messageRecord.offset,
-      message: messageRecord
-    });
+    for (const messageRecord of messageRecords) {
+      this.emit('message:published', {
+        topic: topicName,
+        partition: partitionId,
+        offset: messageRecord.offset,
+        message: messageRecord
+      });
+    }
+
+    // ⏳ acks=all: not done until every in-sync replica has the batch
+    if (acks === 'all') {
+      await this.replicaManager.waitForReplication(partition, baseOffset + messageRecords.length - 1, this.config.requestTimeoutMs);
+    }
     
     return {
       topic: topicName,
       partition: partitionId,
-      offset: messageRecord.offset
+      baseOffset,
+      recordCount: messageRecords.length
     };
   }
 
-  hashPartition(key, partitionCount) {
-    // Simple hash function for partition selection
-    let hash = 0;
+  /**
+   * 🎯 SELECT PARTITION - Explicit partition, else key hash, else round-robin
+   * 
+   * Exposed so idempotent producers can pin a partition before sending:
+   * sequence numbers are per partition, so a retry must land on the same one.
+   */
+  selectPartition(topicName, { key, partition } = {}) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      throw new Error(`Topic '${topicName}' does not exist`);
+    }
+
+    if (partition !== undefined) {
+      if (!topic.partitions[partition]) {
+        throw new Error(`Partition ${partition} does not exist in topic '${topicName}'`);
+      }
+      return partition;
+    } else if (key) {
+      // Hash-based partitioning (simplified)
+      return this.hashPartition(key, topic.config.partitionCount);
+    }
+    // Round-robin partitioning
+    return this.metrics.totalMessages % topic.config.partitionCount;
+  }
+
+  /**
+   * 🔂 IDEMPOTENT PRODUCER STATE
+   * 
+   * Each producer instance gets an epoch from initProducerId() and numbers
+   * its sends per partition: 0, 1, 2, ... The bus remembers the last sequence
+   * (and the offsets of the last few) for every producer/partition pair:
+   * 
+   *   sequence <= last      → duplicate of an earlier send, return its offset
+   *   sequence === last + 1 → append
+   *   anything else         → a send went missing, OutOfOrderSequenceError
+   * 
+   * That turns "retry on timeout" from at-least-once into exactly-once
+   * appends - the Week 5 sagas rely on it to never charge an order twice.
+   */
+  async initProducerId(producerId) {
+    // 🧟 A previous instance's open transaction can never finish now
+    const abandoned = this.transactions.get(producerId);
+    if (abandoned && abandoned.state === 'ongoing') {
+      console.log(`🧟 Aborting transaction left open by '${producerId}' epoch ${abandoned.producerEpoch}`);
+      await this.finishTransaction(producerId, abandoned, 'abort');
+    }
+
+    const producerState = this.getOrCreateProducerState(producerId);
+    producerState.producerEpoch++;
+
+    console.log(`🔂 Producer '${producerId}' initialized with epoch ${producerState.producerEpoch}`);
+    return { producerId, producerEpoch: producerState.producerEpoch };
+  }
+
+  getOrCreateProducerState(producerId) {
+    if (!this.producerStates.has(producerId)) {
+      this.producerStates.set(producerId, { producerEpoch: -1, partitions: new Map() });
+    }
+    return this.producerStates.get(producerId);
+  }
+
+  checkProducerSequence(topicName, partitionId, { producerId, producerEpoch = 0, sequence }) {
+    const producerState = this.getOrCreateProducerState(producerId);
+    if (producerEpoch < producerState.producerEpoch) {
+      throw new ProducerFencedError(producerId, producerEpoch, producerState.producerEpoch);
+    }
+    producerState.producerEpoch = producerEpoch;
+
+    const sequenceState = producerState.partitions.get(`${topicName}:${partitionId}`);
+    if (!sequenceState) return null; // First send we've seen from this producer here
+
+    if (sequenceState.producerEpoch !== producerEpoch) {
+      // A new epoch starts numbering from scratch
+      if (sequence !== 0) {
+        throw new OutOfOrderSequenceError(producerId, topicName, partitionId, sequence, 0);
+      }
+      return null;
+    }
+
+    if (sequence <= sequenceState.lastSequence) {
+      const earlier = sequenceState.recent.find(entry => entry.sequence === sequence);
+      this.metrics.duplicatesDropped++;
+      console.log(`🔂 Dropped duplicate send ${producerId}#${sequence} to ${topicName}:${partitionId}`);
+      return {
+        topic: topicName,
+        partition: partitionId,
+        offset: earlier ? earlier.offset : null, // Older than the cached window
+        duplicate: true
+      };
+    }
+
+    if (sequence !== sequenceState.lastSequence + 1) {
+      throw new OutOfOrderSequenceError(producerId, topicName, partitionId, sequence, sequenceState.lastSequence + 1);
+    }
+    return null;
+  }
+
+  recordProducerSequence(topicName, partitionId, { producerId, producerEpoch, sequence, lastSequence = sequence, offset }) {
+    const producerState = this.getOrCreateProducerState(producerId);
+    const sequenceKey = `${topicName}:${partitionId}`;
+    const previous = producerState.partitions.get(sequenceKey);
+    const recent = previous && previous.producerEpoch === producerEpoch ? previous.recent : [];
+
+    recent.push({ sequence, offset }); // A batch is remembered by its first sequence and base offset
+    if (recent.length > 5) recent.shift(); // Like Kafka, remember the last 5 sends
+
+    producerState.partitions.set(sequenceKey, { producerEpoch, lastSequence, recent });
+  }
+
+  /**
+   * 🧾 TRANSACTIONS - Atomic read-process-write (Kafka-style)
+   * 
+   *   await producer.beginTransaction();
+   *   await producer.send('corporate.payments', payment);
+   *   await producer.send('corporate.notifications', receipt);
+   *   await producer.sendOffsetsToTransaction(consumedOffsets, consumer.groupMetadata());
+   *   await producer.commitTransaction(); // or abortTransaction()
+   * 
+   * Transactional records are appended immediately but flagged; nothing is
+   * rolled back on abort. Instead each partition gets a control marker
+   * ('commit' or 'abort') and a read_committed consumer:
+   * - never reads past the last stable offset (LSO) - the first offset of
+   *   the oldest still-open transaction - so undecided records stay hidden
+   * - skips records of aborted transactions using the partition's aborted index
+   * 
+   * The consumed offsets are committed only when the transaction commits, so
+   * "consumed X" and "produced Y" happen together or not at all. The commit
+   * or abort decision is logged to transactions.json before any marker is
+   * written, so a crash mid-commit is completed on recovery.
+   */
+  beginTransaction(producerId, producerEpoch) {
+    this.checkProducerEpoch(producerId, producerEpoch);
+    if (this.transactions.has(producerId)) {
+      throw new InvalidTxnStateError(producerId, 'already has a transaction in progress');
+    }
+
+    this.transactions.set(producerId, {
+      producerEpoch,
+      state: 'ongoing', // → prepare_commit | prepare_abort → (removed)
+      partitions: new Map(), // topic:partition -> { topic, partition }
+      offsets: [], // [{ groupId, topic, partition, offset }] committed with the transaction
+      startedAt: Date.now()
+    });
+  }
+
+  async sendOffsetsToTransaction(producerId, producerEpoch, groupId, offsets, { consumerId, generationId } = {}) {
+    const transaction = this.getOngoingTransaction(producerId, producerEpoch);
+
+    // 🚧 Same fencing as a direct commit - a zombie consumer can't sneak offsets in
+    const group = this.consumerGroups.get(groupId);
+    if (!group) {
+      throw new Error(`Consumer group '${groupId}' not found`);
+    }
+    if (consumerId !== undefined && !group.sessions.has(consumerId)) {
+      throw new UnknownMemberError(groupId, consumerId);
+    }
+    if (generationId !== undefined && generationId !== group.generationId) {
+      throw new IllegalGenerationError(groupId, generationId, group.generationId);
+    }
+
+    for (const { topic, partition, offset } of offsets) {
+      transaction.offsets.push({ groupId, topic, partition, offset });
+    }
+  }
+
+  async endTransaction(producerId, producerEpoch, commit) {
+    const transaction = this.getOngoingTransaction(producerId, producerEpoch);
+    return this.finishTransaction(producerId, transaction, commit ? 'commit' : 'abort');
+  }
+
+  async finishTransaction(producerId, transaction, result) {
+    transaction.state = result === 'commit' ? 'prepare_commit' : 'prepare_abort';
+    await this.persistTransactionLog();
+
+    await this.writeTransactionMarkers(producerId, transaction, result);
+    this.transactions.delete(producerId);
+    await this.persistTransactionLog();
+
+    // Aborting bumps the epoch: sequences restart, and a timed-out producer is fenced
+    const producerState = this.getOrCreateProducerState(producerId);
+    if (result === 'abort') {
+      producerState.producerEpoch++;
+    }
+
+    console.log(`🧾 Transaction of '${producerId}' ${result === 'commit' ? 'committed' : 'aborted'} across ${transaction.partitions.size} partitions`);
+    return { producerEpoch: producerState.producerEpoch };
+  }
+
+  async writeTransactionMarkers(producerId, transaction, result) {
+    const completedPartitions = [];
+
+    for (const { topic: topicName, partition: partitionId } of transaction.partitions.values()) {
+      const topic = this.topics.get(topicName);
+      const partition = topic && topic.partitions[partitionId];
+      const firstOffset = partition && partition.ongoingTransactions.get(producerId);
+      if (firstOffset === undefined) continue; // Already marked (e.g. finished before a crash)
+
+      const marker = {
+        offset: partition.log.logEndOffset,
+        timestamp: Date.now(),
+        key: null,
+        value: null,
+        headers: {},
+        partition: partitionId,
+        topic: topicName,
+        producerId,
+        producerEpoch: transaction.producerEpoch,
+        control: result // Never delivered to consumers
+      };
+
+      const appended = partition.log.append(marker);
+      this.replicaManager.onLeaderAppend(partition, marker.offset);
+      partition.logStartOffset = partition.log.logStartOffset;
+      partition.ongoingTransactions.delete(producerId);
+      if (result === 'abort') {
+        partition.abortedTransactions.push({ producerId, firstOffset, lastOffset: marker.offset });
+      }
+
+      try {
+        await appended;
+      } catch (error) {
+        console.error(`💾 Failed to persist transaction marker: ${error.message}`);
+      }
+      completedPartitions.push({ topic: topicName, partition: partitionId });
+    }
+
+    // ✅ Consumed offsets become committed together with the produced records
+    if (result === 'commit') {
+      const offsetsByGroup = new Map();
+      for (const { groupId, topic, partition, offset } of transaction.offsets) {
+        if (!offsetsByGroup.has(groupId)) offsetsByGroup.set(groupId, []);
+        offsetsByGroup.get(groupId).push({ topic, partition, offset });
+      }
+      for (const [groupId, offsets] of offsetsByGroup) {
+        this.getOrCreateConsumerGroup(groupId);
+        await this.commitOffsets(groupId, offsets);
+      }
+    }
+
+    this.emit('transaction:completed', { producerId, result, partitions: completedPartitions });
+  }
+
+  checkProducerEpoch(producerId, producerEpoch) {
+    const producerState = this.producerStates.get(producerId);
+    if (producerState && producerEpoch < producerState.producerEpoch) {
+      throw new ProducerFencedError(producerId, producerEpoch, producerState.producerEpoch);
+    }
+  }
+
+  getOngoingTransaction(producerId, producerEpoch) {
+    this.checkProducerEpoch(producerId, producerEpoch);
+
+    const transaction = this.transactions.get(producerId);
+    if (!transaction || transaction.state !== 'ongoing') {
+      throw new InvalidTxnStateError(producerId, 'has no transaction in progress');
+    }
+    return transaction;
+  }
+
+  // ⌛ A producer that died mid-transaction must not hold back read_committed consumers forever
+  async abortExpiredTransactions() {
+    const now = Date.now();
+    for (const [producerId, transaction] of this.transactions) {
+      if (transaction.state === 'ongoing' && now - transaction.startedAt > this.config.transactionTimeoutMs) {
+        console.log(`⌛ Transaction of '${producerId}' exceeded ${this.config.transactionTimeoutMs}ms - aborting`);
+        await this.finishTransaction(producerId, transaction, 'abort');
+      }
+    }
+  }
+
+  lastStableOffset(partition) {
+    return Math.min(partition.highWaterMark, ...partition.ongoingTransactions.values());
+  }
+
+  isAbortedRecord(partition, record) {
+    return record.transactional === true && partition.abortedTransactions.some(aborted =>
+      aborted.producerId === record.producerId &&
+      record.offset >= aborted.firstOffset &&
+      record.offset < aborted.lastOffset
+    );
+  }
+
+  hashPartition(key, partitionCount) {
+    // Simple hash function for partition selection
+    let hash = 0;
     for (let i = 0; i < key.length; i++) {
       const char = key.charCodeAt(i);
       hash = ((hash << 5) - hash) + char;
@@ -240,79 +1161,218 @@ class AlgoCraticMessageBus extends EventEmitter {
    * 📥 CONSUMER - Kafka-like message consumption
    */
   async createConsumer(groupId, options = {}) {
+    await this.ready;
+
     const consumer = new CorporateMessageConsumer(groupId, this, options);
     
     // 👥 Register consumer in group
+    this.joinGroup(groupId, consumer);
+    
+    this.metrics.totalConsumers++;
+    
+    return consumer;
+  }
+
+  getOrCreateConsumerGroup(groupId) {
     if (!this.consumerGroups.has(groupId)) {
       this.consumerGroups.set(groupId, {
         consumers: new Set(),
         offsets: new Map(), // topic:partition -> offset
+        sessions: new Map(), // consumerId -> { lastHeartbeat, sessionTimeoutMs }
+        generationId: 0,
+        assignor: null, // Chosen by the first member to join
+        rebalanceChain: Promise.resolve(), // Serializes rebalances
         createdAt: Date.now()
       });
     }
-    
-    const group = this.consumerGroups.get(groupId);
-    group.consumers.add(consumer);
-    
-    this.metrics.totalConsumers++;
-    
+    return this.consumerGroups.get(groupId);
+  }
+
+  /**
+   * 🤝 GROUP MEMBERSHIP - join, heartbeat, leave
+   * 
+   * A member is anything with a consumerId, a subscribedTopics Set and a
+   * handleAssignment() method (normally a CorporateMessageConsumer). Members
+   * must heartbeat within their sessionTimeoutMs or they are evicted and
+   * their partitions handed to someone who is still alive.
+   */
+  joinGroup(groupId, member) {
+    const group = this.getOrCreateConsumerGroup(groupId);
+
+    // 🧩 The group's assignment strategy is fixed by whoever joins an empty group
+    const requested = member.config.partitionAssignmentStrategy;
+    if (group.consumers.size === 0) {
+      group.assignor = resolveAssignor(requested || this.config.defaultAssignmentStrategy);
+    } else if (requested && resolveAssignor(requested).name !== group.assignor.name) {
+      throw new Error(`Consumer ${member.consumerId} wants '${resolveAssignor(requested).name}' but group '${groupId}' uses '${group.assignor.name}'`);
+    }
+
+    group.consumers.add(member);
+    group.sessions.set(member.consumerId, {
+      lastHeartbeat: Date.now(),
+      sessionTimeoutMs: member.config.sessionTimeoutMs
+    });
+
     console.log(`📥 Consumer joined group '${groupId}' (${group.consumers.size} total consumers)`);
-    
-    return consumer;
+    return group;
+  }
+
+  heartbeat(groupId, consumerId, generationId) {
+    const group = this.consumerGroups.get(groupId);
+    const session = group && group.sessions.get(consumerId);
+    if (!session) {
+      throw new UnknownMemberError(groupId, consumerId);
+    }
+
+    session.lastHeartbeat = Date.now();
+
+    if (generationId !== undefined && generationId !== group.generationId) {
+      throw new IllegalGenerationError(groupId, generationId, group.generationId);
+    }
+  }
+
+  async leaveGroup(groupId, consumerId) {
+    const group = this.consumerGroups.get(groupId);
+    if (!group) return;
+
+    const member = this.findMember(group, consumerId);
+    if (!member) return;
+
+    group.consumers.delete(member);
+    group.sessions.delete(consumerId);
+
+    // Trigger rebalancing for remaining consumers
+    if (group.consumers.size > 0) {
+      await this.rebalanceConsumerGroup(groupId);
+    }
+  }
+
+  findMember(group, consumerId) {
+    return Array.from(group.consumers).find(c => c.consumerId === consumerId);
+  }
+
+  /**
+   * 💓 SESSION TIMEOUTS - Evict members that stopped heartbeating
+   * 
+   * A consumer that crashes (or blocks its event loop) never calls close(),
+   * so without this its partitions would sit unconsumed forever.
+   */
+  async checkConsumerSessions() {
+    const now = Date.now();
+
+    for (const [groupId, group] of this.consumerGroups) {
+      let evicted = 0;
+
+      for (const [consumerId, session] of group.sessions) {
+        if ((now - session.lastHeartbeat) < session.sessionTimeoutMs) continue;
+
+        const member = this.findMember(group, consumerId);
+        group.sessions.delete(consumerId);
+        if (!member) continue;
+
+        group.consumers.delete(member);
+        evicted++;
+
+        console.log(`💀 Consumer ${consumerId} missed heartbeats for ${now - session.lastHeartbeat}ms - evicted from '${groupId}'`);
+        this.emit('member:evicted', { groupId, consumerId });
+
+        // Fence the zombie: it no longer owns anything
+        member.handleAssignment({ generationId: null, assigned: [], revoked: member.assignedPartitions });
+      }
+
+      if (evicted > 0) {
+        await this.rebalanceConsumerGroup(groupId);
+      }
+    }
   }
 
   /**
    * 🔄 CONSUMER GROUP REBALANCING
    * 
    * When consumers join/leave, redistribute partition assignments
-   * (Simplified version of Kafka's rebalancing protocol)
+   * (Simplified version of Kafka's rebalancing protocol):
+   * 1. The group's assignor computes the new assignment (see partition-assignors.js)
+   * 2. Members give up partitions (onPartitionsRevoked) while the old generation
+   *    is still current, so they can commit final offsets. Eager assignors
+   *    revoke everything; cooperative ones revoke only partitions that move
+   * 3. Bump the generation ID, fencing commits from anyone still on the old one
+   * 4. Hand out the new assignments (onPartitionsAssigned)
    */
   rebalanceConsumerGroup(groupId) {
     const group = this.consumerGroups.get(groupId);
-    if (!group || group.consumers.size === 0) return;
+    if (!group) return Promise.resolve();
 
-    console.log(`🔄 Rebalancing consumer group '${groupId}' with ${group.consumers.size} consumers`);
-    
-    // 📊 Collect all partitions across subscribed topics
-    const allPartitions = [];
-    for (const consumer of group.consumers) {
-      for (const topicName of consumer.subscribedTopics) {
+    group.rebalanceChain = group.rebalanceChain
+      .then(() => this.performRebalance(groupId, group))
+      .catch(error => {
+        console.error(`🔄 Rebalance of '${groupId}' failed: ${error.message}`);
+      });
+
+    return group.rebalanceChain;
+  }
+
+  async performRebalance(groupId, group) {
+    const members = Array.from(group.consumers).sort((a, b) => a.consumerId.localeCompare(b.consumerId));
+    if (members.length === 0) return;
+
+    const { assignor } = group;
+    console.log(`🔄 Rebalancing consumer group '${groupId}' with ${members.length} consumers (${assignor.name})`);
+
+    // 🎯 Ask the assignor - topics each member subscribed to, and what they own now
+    const topics = new Map();
+    for (const member of members) {
+      for (const topicName of member.subscribedTopics) {
         const topic = this.topics.get(topicName);
-        if (topic) {
-          for (let i = 0; i < topic.config.partitionCount; i++) {
-            allPartitions.push({ topic: topicName, partition: i });
-          }
-        }
+        if (topic) topics.set(topicName, topic.config.partitionCount);
       }
     }
 
-    // 🎯 Assign partitions to consumers (round-robin)
-    const consumers = Array.from(group.consumers);
-    const assignments = new Map();
-    
-    allPartitions.forEach((partition, index) => {
-      const consumerIndex = index % consumers.length;
-      const consumer = consumers[consumerIndex];
-      
-      if (!assignments.has(consumer)) {
-        assignments.set(consumer, []);
-      }
-      assignments.get(consumer).push(partition);
+    const proposed = assignor.assign({
+      members: members.map(member => ({ memberId: member.consumerId, topics: Array.from(member.subscribedTopics) })),
+      topics,
+      currentAssignment: new Map(members.map(member => [member.consumerId, member.assignedPartitions]))
     });
+    const assignments = new Map(members.map(member => [member, proposed.get(member.consumerId) || []]));
+
+    const samePartition = (a, b) => a.topic === b.topic && a.partition === b.partition;
+    const cooperative = assignor.protocol === 'cooperative';
+    let movedPartitions = 0;
+
+    // ↩️ Revoke first, while the old generation can still commit
+    await Promise.all(members.map(member => {
+      const next = assignments.get(member);
+      const moved = member.assignedPartitions.filter(p => !next.some(n => samePartition(p, n)));
+      movedPartitions += moved.length;
+      return member.handleRevocation(cooperative ? moved : member.assignedPartitions);
+    }));
+
+    // 🆕 New generation
+    group.generationId++;
 
     // 📋 Update consumer assignments
-    for (const [consumer, partitions] of assignments) {
-      consumer.assignedPartitions = partitions;
-      console.log(`📋 Consumer ${consumer.consumerId} assigned ${partitions.length} partitions`);
+    for (const [member, partitions] of assignments) {
+      member.handleAssignment({
+        generationId: group.generationId,
+        assigned: partitions,
+        revoked: [],
+        protocol: assignor.protocol || 'eager'
+      });
+      console.log(`📋 Consumer ${member.consumerId} assigned ${partitions.length} partitions (generation ${group.generationId})`);
     }
 
-    this.emit('group:rebalanced', { groupId, assignments: Array.from(assignments.entries()) });
+    this.emit('group:rebalanced', {
+      groupId,
+      generationId: group.generationId,
+      strategy: assignor.name,
+      movedPartitions,
+      assignments: Array.from(assignments, ([member, partitions]) => [member.consumerId, partitions])
+    });
   }
 
   /**
    * 📖 CONSUME MESSAGES - Fetch messages from assigned partitions
    */
-  async consumeMessages(groupId, consumerId, maxMessages = 100) {
+  async consumeMessages(groupId, consumerId, maxMessages = 100, { pausedPartitions = [], isolationLevel = 'read_uncommitted' } = {}) {
     const group = this.consumerGroups.get(groupId);
     if (!group) {
       throw new Error(`Consumer group '${groupId}' not found`);
@@ -327,15 +1387,14 @@ class AlgoCraticMessageBus extends EventEmitter {
     
     // 📥 Fetch from each assigned partition
     for (const { topic: topicName, partition: partitionId } of consumer.assignedPartitions) {
-      const offsetKey = `${topicName}:${partitionId}`;
-      const currentOffset = group.offsets.get(offsetKey) || 0;
-      
-      const storageKey = `${topicName}:${partitionId}`;
-      const partitionMessages = this.messageStorage.get(storageKey) || [];
+      const topic = this.topics.get(topicName);
+      if (!topic) continue;
+      if (pausedPartitions.includes(`${topicName}:${partitionId}`)) continue;
+
+      const partition = topic.partitions[partitionId];
+      const currentOffset = this.resolveFetchOffset(group, consumer, topicName, partition);
       
-      // 📖 Get messages from current offset
-      const availableMessages = partitionMessages.slice(currentOffset, currentOffset + maxMessages);
-      messages.push(...availableMessages);
+      messages.push(...await this.readVisibleRecords(partition, currentOffset, maxMessages - messages.length, isolationLevel));
       
       if (messages.length >= maxMessages) break;
     }
@@ -344,93 +1403,712 @@ class AlgoCraticMessageBus extends EventEmitter {
   }
 
   /**
-   * ✅ COMMIT OFFSETS - Mark messages as processed
+   * 📖 FETCH RECORDS - Read a partition by offset, outside any consumer group
+   * 
+   * For tools and gateways that track their own position (and for replaying
+   * history while debugging). Nothing is committed.
    */
-  async commitOffsets(groupId, offsets) {
-    const group = this.consumerGroups.get(groupId);
-    if (!group) {
-      throw new Error(`Consumer group '${groupId}' not found`);
+  async fetchRecords(topicName, partitionId, offset, { maxMessages = 100, isolationLevel = 'read_uncommitted' } = {}) {
+    const topic = this.topics.get(topicName);
+    if (!topic || !topic.partitions[partitionId]) {
+      throw new Error(`Partition ${topicName}:${partitionId} does not exist`);
     }
 
-    for (const { topic, partition, offset } of offsets) {
-      const offsetKey = `${topic}:${partition}`;
-      group.offsets.set(offsetKey, offset + 1); // Commit next offset to read
-      
-      // 💾 Persist offset if configured
-      if (this.config.persistToDisk) {
-        await this.persistOffset(groupId, topic, partition, offset + 1);
-      }
+    const partition = topic.partitions[partitionId];
+    if (offset < partition.logStartOffset || offset > partition.highWaterMark) {
+      throw new OffsetOutOfRangeError(topicName, partitionId, offset, partition.logStartOffset, partition.highWaterMark);
     }
 
-    this.emit('offsets:committed', { groupId, offsets });
+    return this.readVisibleRecords(partition, offset, maxMessages, isolationLevel);
   }
 
-  // 💾 PERSISTENCE METHODS
-  async persistMessage(topic, partition, message) {
-    try {
-      const filePath = path.join(this.config.dataDir, `${topic}-${partition}.log`);
-      const logEntry = JSON.stringify(message) + '\n';
-      await fs.appendFile(filePath, logEntry);
-    } catch (error) {
-      console.error(`💾 Failed to persist message: ${error.message}`);
+  // 📖 Read by offset - the log seeks via its segment index. Control markers
+  // (and aborted records for read_committed) are skipped, so keep reading
+  // until the batch is full or the fetch limit is reached.
+  async readVisibleRecords(partition, fromOffset, maxMessages, isolationLevel) {
+    if (!this.replicaManager.isAvailable(partition)) return []; // Offline: nobody to fetch from
+
+    const readCommitted = isolationLevel === 'read_committed';
+    const fetchLimit = readCommitted ? this.lastStableOffset(partition) : partition.highWaterMark;
+    const visible = [];
+
+    let fetchOffset = fromOffset;
+    while (fetchOffset < fetchLimit && visible.length < maxMessages) {
+      const records = await partition.log.read(fetchOffset, maxMessages - visible.length);
+      if (records.length === 0) break;
+
+      for (const record of records) {
+        if (record.offset >= fetchLimit) break;
+        if (record.control || (readCommitted && this.isAbortedRecord(partition, record))) continue;
+        visible.push(record);
+      }
+      fetchOffset = records[records.length - 1].offset + 1;
     }
+
+    return visible;
   }
 
-  async persistOffset(groupId, topic, partition, offset) {
-    try {
-      const filePath = path.join(this.config.dataDir, `offsets-${groupId}.json`);
-      const offsetKey = `${topic}:${partition}`;
-      
-      let offsets = {};
-      try {
-        const data = await fs.readFile(filePath, 'utf8');
-        offsets = JSON.parse(data);
-      } catch (error) {
-        // File doesn't exist yet, start with empty offsets
-      }
-      
-      offsets[offsetKey] = offset;
-      await fs.writeFile(filePath, JSON.stringify(offsets, null, 2));
-    } catch (error) {
-      console.error(`💾 Failed to persist offset: ${error.message}`);
-    }
+  /**
+   * 🔁 RETRY POLICIES & DEAD LETTER TOPICS
+   * 
+   * A message whose handler keeps failing shouldn't block its partition
+   * forever, and it shouldn't be silently committed either. With a retry
+   * policy, a failed record is republished to a delayed retry topic and the
+   * original is committed, so the partition keeps moving:
+   * 
+   *   corporate.orders → corporate.orders.retry.1 → .retry.2 → ... → corporate.orders.DLQ
+   * 
+   * Each hop carries headers describing the failure (x-failure-reason,
+   * x-attempt, x-original-topic/partition/offset, x-retry-not-before) so the
+   * consumer knows when to retry it and operators know why it ended up dead.
+   */
+  setRetryPolicy(groupId, policy = {}) {
+    const group = this.getOrCreateConsumerGroup(groupId);
+    const retryDelaysMs = policy.retryDelaysMs || [1000, 5000, 30000];
+
+    group.retryPolicy = {
+      maxRetries: policy.maxRetries !== undefined ? policy.maxRetries : retryDelaysMs.length,
+      retryDelaysMs // Delay before attempt N+1 is retryDelaysMs[N-1] (last value repeats)
+    };
+
+    console.log(`🔁 Retry policy for '${groupId}': ${group.retryPolicy.maxRetries} retries, delays ${retryDelaysMs.join('/')}ms, then DLQ`);
+    return group.retryPolicy;
   }
 
-  // 🧹 MAINTENANCE METHODS
-  cleanupExpiredMessages() {
-    const now = Date.now();
-    let cleanedCount = 0;
-    
-    for (const [storageKey, messages] of this.messageStorage) {
-      const retentionMs = this.config.retentionMs;
-      const originalLength = messages.length;
-      
-      // Remove messages older than retention period
-      const filteredMessages = messages.filter(msg => 
-        (now - msg.timestamp) < retentionMs
-      );
-      
-      if (filteredMessages.length !== originalLength) {
-        this.messageStorage.set(storageKey, filteredMessages);
-        cleanedCount += (originalLength - filteredMessages.length);
+  getRetryPolicy(groupId) {
+    const group = this.consumerGroups.get(groupId);
+    return (group && group.retryPolicy) || null;
+  }
+
+  isRetryOrDeadLetterTopic(topicName) {
+    return /\.retry\.\d+$/.test(topicName) || topicName.endsWith('.DLQ');
+  }
+
+  // 📝 Create the retry/DLQ topics a group needs and return their names
+  async prepareRetryTopics(groupId, topicNames) {
+    const policy = this.getRetryPolicy(groupId);
+    if (!policy) return [];
+
+    const retryTopics = [];
+    for (const topicName of topicNames) {
+      const topic = this.topics.get(topicName);
+      if (!topic || this.isRetryOrDeadLetterTopic(topicName)) continue;
+
+      const { partitionCount } = topic.config;
+      for (let attempt = 1; attempt <= policy.maxRetries; attempt++) {
+        const retryTopic = `${topicName}.retry.${attempt}`;
+        if (!this.topics.has(retryTopic)) {
+          await this.createTopic(retryTopic, { partitionCount });
+        }
+        retryTopics.push(retryTopic);
+      }
+
+      if (!this.topics.has(`${topicName}.DLQ`)) {
+        await this.createTopic(`${topicName}.DLQ`, { partitionCount });
       }
     }
-    
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedCount} expired messages`);
-    }
+
+    return retryTopics;
   }
 
-  calculatePerformanceMetrics() {
+  /**
+   * ☠️ ROUTE FAILED MESSAGE - Send to the next retry topic, or the DLQ when out of retries
+   */
+  async routeFailedMessage(groupId, message, error) {
+    const policy = this.getRetryPolicy(groupId);
+    if (!policy) {
+      throw new Error(`Consumer group '${groupId}' has no retry policy`);
+    }
+
+    const headers = message.headers || {};
+    const originalTopic = headers['x-original-topic'] || message.topic;
+    const attempt = Number(headers['x-attempt'] || 0) + 1; // Failed attempts so far, this one included
     const now = Date.now();
-    const uptimeMs = now - this.metrics.startTime;
-    const recentMessages = this.metrics.totalMessages;
-    
-    this.metrics.messagesPerSecond = Math.round((recentMessages / uptimeMs) * 1000);
-    
-    // Emit metrics for monitoring
-    this.emit('metrics:updated', { ...this.metrics, uptimeMs });
-  }
+
+    const failureHeaders = {
+      ...headers,
+      'x-original-topic': originalTopic,
+      'x-original-partition': headers['x-original-partition'] !== undefined ? headers['x-original-partition'] : message.partition,
+      'x-original-offset': headers['x-original-offset'] !== undefined ? headers['x-original-offset'] : message.offset,
+      'x-failure-reason': error.message,
+      'x-attempt': attempt,
+      'x-retry-group': groupId,
+      'x-first-failure-at': headers['x-first-failure-at'] || now
+    };
+
+    let targetTopic;
+    if (attempt <= policy.maxRetries) {
+      const delays = policy.retryDelaysMs;
+      targetTopic = `${originalTopic}.retry.${attempt}`;
+      failureHeaders['x-retry-not-before'] = now + delays[Math.min(attempt, delays.length) - 1];
+    } else {
+      targetTopic = `${originalTopic}.DLQ`;
+      delete failureHeaders['x-retry-not-before'];
+    }
+
+    await this.prepareRetryTopics(groupId, [originalTopic]);
+    const result = await this.publishMessage(targetTopic, message.value, {
+      key: message.key,
+      headers: failureHeaders,
+      partition: message.partition % this.topics.get(targetTopic).config.partitionCount,
+      producerId: `${groupId}-retry-router`
+    });
+
+    const destination = targetTopic.endsWith('.DLQ') ? 'dead letter queue' : `retry ${attempt}/${policy.maxRetries}`;
+    console.log(`☠️ ${originalTopic}@${failureHeaders['x-original-offset']} failed (${error.message}) → ${destination}`);
+    this.emit('message:failed', { groupId, originalTopic, targetTopic, attempt, reason: error.message, ...result });
+
+    return result;
+  }
+
+  /**
+   * 🔍 DLQ INSPECTION - Read dead letters for a source topic
+   *
+   * fromOffset is an offset within one partition, so it only applies when
+   * `partition` is given; otherwise every partition is read from its start.
+   */
+  async getDeadLetters(topicName, { partition, fromOffset = 0, limit = 100 } = {}) {
+    const dlqTopic = `${topicName}.DLQ`;
+    const dlq = this.topics.get(dlqTopic);
+    if (!dlq) return [];
+
+    if (partition !== undefined) {
+      if (!dlq.partitions[partition]) {
+        throw new Error(`Partition ${dlqTopic}:${partition} does not exist`);
+      }
+      return dlq.partitions[partition].log.read(fromOffset, limit);
+    }
+
+    const deadLetters = [];
+    for (const p of dlq.partitions) {
+      deadLetters.push(...await p.log.read(p.log.logStartOffset, limit - deadLetters.length));
+      if (deadLetters.length >= limit) break;
+    }
+
+    return deadLetters;
+  }
+
+  /**
+   * 🚑 DLQ RE-DRIVE - Republish dead letters to the source topic (after a fix)
+   * 
+   * Progress is tracked as a consumer group ("__dlq-redrive.<topic>") so
+   * calling this twice never re-drives the same dead letter twice. Pass a
+   * filter to re-drive only some of them; skipped ones are left behind.
+   */
+  async redriveDeadLetters(topicName, { limit = 100, filter = null } = {}) {
+    const dlqTopic = `${topicName}.DLQ`;
+    const dlq = this.topics.get(dlqTopic);
+    if (!dlq) return { redriven: 0, skipped: 0 };
+
+    const redriveGroupId = `__dlq-redrive.${topicName}`;
+    const group = this.getOrCreateConsumerGroup(redriveGroupId);
+    const committed = [];
+    let redriven = 0;
+    let skipped = 0;
+
+    for (const partition of dlq.partitions) {
+      const offsetKey = `${dlqTopic}:${partition.id}`;
+      const fromOffset = Math.max(group.offsets.get(offsetKey) || 0, partition.logStartOffset);
+      const records = await partition.log.read(fromOffset, limit - redriven - skipped);
+
+      for (const record of records) {
+        if (filter && !filter(record)) {
+          skipped++;
+        } else {
+          const headers = { ...record.headers };
+          for (const name of Object.keys(headers)) {
+            if (name.startsWith('x-') && name !== 'x-first-failure-at') delete headers[name];
+          }
+          headers['x-redriven-from'] = `${dlqTopic}:${partition.id}:${record.offset}`;
+
+          await this.publishMessage(topicName, record.value, {
+            key: record.key,
+            headers,
+            producerId: 'dlq-redrive'
+          });
+          redriven++;
+        }
+        committed.push({ topic: dlqTopic, partition: partition.id, offset: record.offset });
+      }
+    }
+
+    if (committed.length > 0) {
+      await this.commitOffsets(redriveGroupId, committed);
+    }
+
+    console.log(`🚑 Re-drove ${redriven} dead letters from ${dlqTopic} to ${topicName} (${skipped} skipped)`);
+    return { redriven, skipped };
+  }
+
+  /**
+   * 🎯 RESOLVE FETCH OFFSET - Validate the committed offset against the log
+   * 
+   * Retention moves logStartOffset forward, so a committed offset can point at
+   * records that no longer exist (or past the end after a topic is recreated).
+   * The consumer's `autoOffsetReset` policy decides what happens next:
+   * - 'earliest' → jump to logStartOffset (default, replays what's left)
+   * - 'latest'   → jump to the high-water mark (only new messages)
+   * - 'none'     → throw OffsetOutOfRangeError and let the caller decide
+   */
+  resolveFetchOffset(group, consumer, topicName, partition) {
+    const offsetKey = `${topicName}:${partition.id}`;
+    const policy = consumer.config.autoOffsetReset || 'earliest';
+    const committedOffset = group.offsets.get(offsetKey);
+
+    // 🆕 No committed offset yet - start according to the reset policy
+    if (committedOffset === undefined) {
+      if (policy !== 'latest') return partition.logStartOffset;
+
+      // Pin "latest" now - re-reading the high-water mark every fetch would never catch up to it
+      group.offsets.set(offsetKey, partition.highWaterMark);
+      return partition.highWaterMark;
+    }
+
+    if (committedOffset >= partition.logStartOffset && committedOffset <= partition.highWaterMark) {
+      return committedOffset;
+    }
+
+    if (policy !== 'earliest' && policy !== 'latest') {
+      throw new OffsetOutOfRangeError(topicName, partition.id, committedOffset, partition.logStartOffset, partition.highWaterMark);
+    }
+
+    const resetOffset = policy === 'latest' ? partition.highWaterMark : partition.logStartOffset;
+    group.offsets.set(offsetKey, resetOffset);
+
+    console.log(`⏮️  Offset ${committedOffset} out of range for ${offsetKey} [${partition.logStartOffset}, ${partition.highWaterMark}] - reset to ${policy} (${resetOffset})`);
+    this.emit('offset:reset', {
+      groupId: consumer.groupId,
+      topic: topicName,
+      partition: partition.id,
+      fromOffset: committedOffset,
+      toOffset: resetOffset,
+      policy
+    });
+
+    return resetOffset;
+  }
+
+  /**
+   * ✅ COMMIT OFFSETS - Mark messages as processed
+   */
+  async commitOffsets(groupId, offsets, { consumerId, generationId } = {}) {
+    const group = this.consumerGroups.get(groupId);
+    if (!group) {
+      throw new Error(`Consumer group '${groupId}' not found`);
+    }
+
+    this.checkMemberFencing(groupId, group, { consumerId, generationId });
+
+    for (const { topic, partition, offset } of offsets) {
+      await this.storeGroupOffset(groupId, group, topic, partition, offset + 1); // Commit next offset to read
+    }
+
+    this.emit('offsets:committed', { groupId, offsets });
+  }
+
+  // 🚧 Fence members that were evicted or missed a rebalance
+  checkMemberFencing(groupId, group, { consumerId, generationId }) {
+    if (consumerId !== undefined && !group.sessions.has(consumerId)) {
+      throw new UnknownMemberError(groupId, consumerId);
+    }
+    if (generationId !== undefined && generationId !== group.generationId) {
+      throw new IllegalGenerationError(groupId, generationId, group.generationId);
+    }
+  }
+
+  /**
+   * 🕰️ OFFSET FOR TIMESTAMP - Where a partition stood at a point in time
+   * 
+   * The first offset whose record timestamp is >= the target, found through
+   * the partition's time index. When nothing is that new the answer is the
+   * high-water mark (with timestamp null) - "start with whatever comes next".
+   */
+  async offsetForTimestamp(topicName, partitionId, timestamp) {
+    const topic = this.topics.get(topicName);
+    if (!topic || !topic.partitions[partitionId]) {
+      throw new Error(`Partition ${topicName}:${partitionId} does not exist`);
+    }
+
+    const partition = topic.partitions[partitionId];
+    const found = await partition.log.offsetForTimestamp(timestamp);
+    if (!found || found.offset >= partition.highWaterMark) {
+      return { offset: partition.highWaterMark, timestamp: null }; // Not yet replicated counts as not there
+    }
+    return found;
+  }
+
+  /**
+   * ⏩ SEEK - A member moves its own fetch position
+   * 
+   * Here the committed offset *is* the fetch position, so a seek is stored
+   * like a commit of the new position (the next offset to read) - unlike
+   * Kafka, where a seek stays local to the consumer until it next commits.
+   * Only partitions the member currently owns can be moved.
+   */
+  async seekOffsets(groupId, offsets, { consumerId, generationId } = {}) {
+    const group = this.consumerGroups.get(groupId);
+    if (!group) {
+      throw new Error(`Consumer group '${groupId}' not found`);
+    }
+
+    this.checkMemberFencing(groupId, group, { consumerId, generationId });
+    const member = consumerId !== undefined ? this.findMember(group, consumerId) : null;
+
+    const moved = [];
+    for (const { topic, partition, offset } of offsets) {
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`Cannot seek ${topic}:${partition} to offset ${offset}`);
+      }
+      if (member && !member.assignedPartitions.some(p => p.topic === topic && p.partition === partition)) {
+        throw new Error(`Consumer ${consumerId} cannot seek ${topic}:${partition} - it is not assigned to it`);
+      }
+
+      const offsetKey = `${topic}:${partition}`;
+      moved.push({ topic, partition, offset, previousOffset: group.offsets.has(offsetKey) ? group.offsets.get(offsetKey) : null });
+      await this.storeGroupOffset(groupId, group, topic, partition, offset);
+    }
+
+    for (const { topic, partition, previousOffset, offset } of moved) {
+      console.log(`⏩ ${consumerId || groupId} seeked ${topic}:${partition} ${previousOffset === null ? '-' : previousOffset} → ${offset}`);
+    }
+    this.emit('offsets:seek', { groupId, consumerId: consumerId || null, offsets: moved });
+    return moved;
+  }
+
+  /**
+   * ⏪ RESET GROUP OFFSETS - The admin way to move a whole group
+   * 
+   *   await bus.resetGroupOffsets('alert-processors', {
+   *     topics: ['corporate.alerts'],       // default: every topic the group has committed
+   *     to: { durationMs: 60 * 60 * 1000 }, // replay the last hour
+   *     dryRun: true                        // show the plan, change nothing
+   *   });
+   * 
+   * `to` is one of:
+   *   'earliest' | 'latest'    logStartOffset / high-water mark
+   *   { offset: 1200 }         an absolute offset
+   *   { timestamp: ms }        first record at or after a point in time
+   *   { durationMs: ms }       first record at or after (now - durationMs)
+   *   { shiftBy: -100 }        relative to the current committed offset
+   * 
+   * New offsets are clamped into [logStartOffset, highWaterMark]. A topic can
+   * be narrowed to some partitions with { topic, partitions: [0, 2] }. The
+   * group must have no active members (see GroupNotEmptyError) unless this
+   * is a dry run. Returns the plan: one row per partition, before and after.
+   */
+  async resetGroupOffsets(groupId, { topics, to = 'earliest', dryRun = false } = {}) {
+    const group = dryRun ? this.consumerGroups.get(groupId) : this.getOrCreateConsumerGroup(groupId);
+    const committed = group ? group.offsets : new Map();
+
+    if (!dryRun && group.consumers.size > 0) {
+      throw new GroupNotEmptyError(groupId, group.consumers.size);
+    }
+
+    const targets = (topics || Array.from(new Set(Array.from(committed.keys(), key => key.slice(0, key.lastIndexOf(':'))))))
+      .map(target => (typeof target === 'string' ? { topic: target } : target));
+
+    const partitions = [];
+    for (const { topic: topicName, partitions: partitionIds } of targets) {
+      const topic = this.topics.get(topicName);
+      if (!topic) {
+        throw new Error(`Topic '${topicName}' does not exist`);
+      }
+
+      for (const partition of topic.partitions) {
+        if (partitionIds && !partitionIds.includes(partition.id)) continue;
+
+        const offsetKey = `${topicName}:${partition.id}`;
+        const currentOffset = committed.has(offsetKey) ? committed.get(offsetKey) : null;
+        const target = await this.resolveResetOffset(partition, topicName, currentOffset, to);
+        partitions.push({
+          topic: topicName,
+          partition: partition.id,
+          currentOffset,
+          newOffset: Math.min(Math.max(target, partition.logStartOffset), partition.highWaterMark),
+          logStartOffset: partition.logStartOffset,
+          highWaterMark: partition.highWaterMark
+        });
+      }
+    }
+
+    console.log(`⏪ ${dryRun ? 'Dry run: would reset' : 'Resetting'} '${groupId}' to ${describeResetTarget(to)}`);
+    for (const row of partitions) {
+      console.log(`   ${row.topic}:${row.partition}  ${row.currentOffset === null ? '-' : row.currentOffset} → ${row.newOffset}  (log ${row.logStartOffset}-${row.highWaterMark})`);
+    }
+
+    if (!dryRun) {
+      for (const { topic, partition, newOffset } of partitions) {
+        await this.storeGroupOffset(groupId, group, topic, partition, newOffset);
+      }
+      this.emit('offsets:reset', { groupId, to, partitions });
+    }
+
+    return { groupId, to, dryRun, partitions };
+  }
+
+  async resolveResetOffset(partition, topicName, currentOffset, to) {
+    if (to === 'earliest') return partition.logStartOffset;
+    if (to === 'latest') return partition.highWaterMark;
+
+    if (to && Number.isInteger(to.offset)) return to.offset;
+    if (to && Number.isInteger(to.shiftBy)) {
+      return (currentOffset === null ? partition.logStartOffset : currentOffset) + to.shiftBy;
+    }
+    if (to && (Number.isFinite(to.timestamp) || Number.isFinite(to.durationMs))) {
+      const timestamp = Number.isFinite(to.timestamp) ? to.timestamp : Date.now() - to.durationMs;
+      return (await this.offsetForTimestamp(topicName, partition.id, timestamp)).offset;
+    }
+
+    throw new Error(`Unknown offset reset target ${JSON.stringify(to)} - expected 'earliest', 'latest', { offset }, { timestamp }, { durationMs } or { shiftBy }`);
+  }
+
+  async storeGroupOffset(groupId, group, topic, partition, offset) {
+    group.offsets.set(`${topic}:${partition}`, offset);
+
+    // 💾 Persist offset if configured
+    if (this.config.persistToDisk) {
+      await this.persistOffset(groupId, topic, partition, offset);
+    }
+  }
+
+  // 💾 PERSISTENCE METHODS
+  async persistTopicConfigs() {
+    try {
+      const filePath = path.join(this.config.dataDir, 'topics.json');
+      const configs = {};
+      for (const [topicName, topic] of this.topics) {
+        configs[topicName] = topic.config;
+      }
+      await fs.writeFile(filePath, JSON.stringify(configs, null, 2));
+    } catch (error) {
+      console.error(`💾 Failed to persist topic configs: ${error.message}`);
+    }
+  }
+
+  // 🧾 Only decided-but-unfinished transactions need to survive a crash
+  persistTransactionLog() {
+    if (!this.config.persistToDisk) return Promise.resolve();
+
+    this.transactionLogChain = this.transactionLogChain.then(async () => {
+      const transactionLog = {};
+      for (const [producerId, transaction] of this.transactions) {
+        if (transaction.state === 'ongoing') continue;
+        transactionLog[producerId] = {
+          producerEpoch: transaction.producerEpoch,
+          state: transaction.state,
+          partitions: Array.from(transaction.partitions.values()),
+          offsets: transaction.offsets
+        };
+      }
+
+      try {
+        await fs.writeFile(path.join(this.config.dataDir, 'transactions.json'), JSON.stringify(transactionLog, null, 2));
+      } catch (error) {
+        console.error(`💾 Failed to persist transaction log: ${error.message}`);
+      }
+    });
+    return this.transactionLogChain;
+  }
+
+  async persistOffset(groupId, topic, partition, offset) {
+    try {
+      const filePath = path.join(this.config.dataDir, `offsets-${groupId}.json`);
+      const offsetKey = `${topic}:${partition}`;
+      
+      let offsets = {};
+      try {
+        const data = await fs.readFile(filePath, 'utf8');
+        offsets = JSON.parse(data);
+      } catch (error) {
+        // File doesn't exist yet, start with empty offsets
+      }
+      
+      offsets[offsetKey] = offset;
+      await fs.writeFile(filePath, JSON.stringify(offsets, null, 2));
+    } catch (error) {
+      console.error(`💾 Failed to persist offset: ${error.message}`);
+    }
+  }
+
+  // 💾 Rewrite the whole offsets file, e.g. after a topic's offsets were dropped
+  async persistGroupOffsets(groupId, group) {
+    try {
+      const filePath = path.join(this.config.dataDir, `offsets-${groupId}.json`);
+      await fs.writeFile(filePath, JSON.stringify(Object.fromEntries(group.offsets), null, 2));
+    } catch (error) {
+      console.error(`💾 Failed to persist offsets: ${error.message}`);
+    }
+  }
+
+  // 🧹 MAINTENANCE METHODS
+  /**
+   * 🧹 RETENTION - Delete whole segments that fall outside the topic's limits
+   * 
+   * Time-based: a segment goes once its newest record is older than the
+   * topic's retentionMs. Size-based: the oldest segments go while the
+   * partition would still hold at least retentionBytes without them.
+   * Either way logStartOffset advances, and offsets are never renumbered.
+   * Compacted topics are exempt - compaction bounds them instead.
+   */
+  cleanupExpiredMessages() {
+    const now = Date.now();
+    let cleanedCount = 0;
+    
+    for (const [topicName, topic] of this.topics) {
+      const { retentionMs, retentionBytes } = topic.config;
+
+      for (const partition of topic.partitions) {
+        // 🔄 Roll idle segments so their records become eligible for deletion
+        partition.log.maybeRoll(now);
+
+        // 🗜️ Compacted topics keep the latest value per key indefinitely
+        if (topic.config.compactionEnabled) continue;
+
+        // ⏰ Time-based retention
+        cleanedCount += partition.log.deleteOldestSegments(
+          segment => (now - segment.maxTimestamp) >= retentionMs
+        );
+
+        // 📏 Size-based retention
+        if (retentionBytes > 0) {
+          cleanedCount += partition.log.deleteOldestSegments(
+            (segment, log) => (log.sizeBytes - segment.size) >= retentionBytes
+          );
+        }
+
+        if (partition.log.logStartOffset !== partition.logStartOffset) {
+          partition.logStartOffset = partition.log.logStartOffset;
+          partition.abortedTransactions = partition.abortedTransactions.filter(
+            aborted => aborted.lastOffset >= partition.logStartOffset
+          );
+          this.emit('partition:truncated', {
+            topic: topicName,
+            partition: partition.id,
+            logStartOffset: partition.logStartOffset
+          });
+        }
+      }
+    }
+    
+    if (cleanedCount > 0) {
+      console.log(`🧹 Cleaned up ${cleanedCount} expired messages`);
+    }
+  }
+
+  /**
+   * 🗜️ LOG COMPACTION - Keep only the latest record per key
+   * 
+   * For "current state" feeds (e.g. the latest status of each department)
+   * history doesn't matter, only the newest value per key. Superseded records
+   * are removed from closed segments, `value: null` tombstones delete a key
+   * once deleteRetentionMs has passed, and surviving records keep their offsets.
+   */
+  async compactTopic(topicName) {
+    const topic = this.topics.get(topicName);
+    if (!topic) {
+      throw new Error(`Topic '${topicName}' does not exist`);
+    }
+    if (topic.compacting) return null; // Previous pass still running
+
+    topic.compacting = true;
+    const totals = { segmentsCleaned: 0, recordsRemoved: 0, tombstonesRemoved: 0 };
+
+    try {
+      for (const partition of topic.partitions) {
+        const stats = await partition.log.compact({ deleteRetentionMs: topic.config.deleteRetentionMs });
+        totals.segmentsCleaned += stats.segmentsCleaned;
+        totals.recordsRemoved += stats.recordsRemoved;
+        totals.tombstonesRemoved += stats.tombstonesRemoved;
+      }
+    } finally {
+      topic.compacting = false;
+    }
+
+    if (totals.recordsRemoved > 0) {
+      console.log(`🗜️ Compacted '${topicName}': removed ${totals.recordsRemoved} superseded records (${totals.tombstonesRemoved} tombstones)`);
+      this.emit('topic:compacted', { topicName, ...totals });
+    }
+
+    return totals;
+  }
+
+  async compactTopics() {
+    for (const [topicName, topic] of this.topics) {
+      if (topic.config.compactionEnabled) {
+        await this.compactTopic(topicName);
+      }
+    }
+  }
+
+  calculatePerformanceMetrics() {
+    const now = Date.now();
+    const uptimeMs = now - this.metrics.startTime;
+    const recentMessages = this.metrics.totalMessages;
+    
+    this.metrics.messagesPerSecond = Math.round((recentMessages / uptimeMs) * 1000);
+    
+    // Emit metrics for monitoring
+    this.emit('metrics:updated', { ...this.metrics, uptimeMs });
+  }
+
+  /**
+   * 📐 SCHEMA REGISTRY - Versioned JSON Schemas per subject (`<topic>-value`)
+   * 
+   * Producers validate against the latest version and stamp its ID on each
+   * record; consumers decode by that ID. See schema-registry.js.
+   */
+  async registerSchema(subject, schema) {
+    await this.ready;
+
+    const versionCount = this.schemaRegistry.getVersions(subject).length;
+    const registered = this.schemaRegistry.register(subject, schema);
+    if (this.schemaRegistry.getVersions(subject).length !== versionCount && this.config.persistToDisk) {
+      await this.persistSchemas();
+    }
+
+    this.emit('schema:registered', { subject, id: registered.id, version: registered.version });
+    return registered;
+  }
+
+  checkSchemaCompatibility(subject, schema) {
+    return this.schemaRegistry.checkCompatibility(subject, schema);
+  }
+
+  async setSchemaCompatibility(subject, compatibility) {
+    this.schemaRegistry.setCompatibility(subject, compatibility);
+    if (this.config.persistToDisk) {
+      await this.persistSchemas();
+    }
+    return compatibility;
+  }
+
+  getSchemaById(id) {
+    return this.schemaRegistry.getSchemaById(id);
+  }
+
+  getLatestSchema(subject) {
+    return this.schemaRegistry.getLatestSchema(subject);
+  }
+
+  getSchema(subject, version) {
+    return this.schemaRegistry.getSchema(subject, version);
+  }
+
+  getSchemaSubjects() {
+    return this.schemaRegistry.getSubjects().map(subject => ({
+      subject,
+      compatibility: this.schemaRegistry.getCompatibility(subject),
+      versions: this.schemaRegistry.getVersions(subject)
+    }));
+  }
+
+  async persistSchemas() {
+    try {
+      await fs.writeFile(path.join(this.config.dataDir, 'schemas.json'), JSON.stringify(this.schemaRegistry, null, 2));
+    } catch (error) {
+      console.error(`💾 Failed to persist schemas: ${error.message}`);
+    }
+  }
 
   // 📊 STATUS AND MONITORING
   getTopicInfo(topicName) {
@@ -442,91 +2120,552 @@ class AlgoCraticMessageBus extends EventEmitter {
       config: topic.config,
       partitions: topic.partitions.map(p => ({
         id: p.id,
-        messageCount: p.messages.length,
+        messageCount: p.log.recordCount,
         highWaterMark: p.highWaterMark,
-        logStartOffset: p.logStartOffset
+        logStartOffset: p.logStartOffset,
+        segmentCount: p.log.segments.length,
+        sizeBytes: p.log.sizeBytes,
+        ...this.replicaManager.describePartition(p)
       }))
     };
   }
 
-  getConsumerGroupInfo(groupId) {
-    const group = this.consumerGroups.get(groupId);
-    if (!group) return null;
-    
-    return {
-      groupId,
-      consumerCount: group.consumers.size,
-      offsets: Object.fromEntries(group.offsets),
-      createdAt: group.createdAt
-    };
+  getMetadata() {
+    return {
+      topics: Array.from(this.topics.keys(), topicName => this.getTopicInfo(topicName)),
+      consumerGroups: Array.from(this.consumerGroups.keys())
+    };
+  }
+
+  getPartitionOffsets(topicName, partitionId) {
+    const topic = this.topics.get(topicName);
+    if (!topic || !topic.partitions[partitionId]) {
+      throw new Error(`Partition ${topicName}:${partitionId} does not exist`);
+    }
+
+    const partition = topic.partitions[partitionId];
+    return {
+      logStartOffset: partition.logStartOffset,
+      highWaterMark: partition.highWaterMark,
+      lastStableOffset: this.lastStableOffset(partition)
+    };
+  }
+
+  getConsumerGroupInfo(groupId) {
+    const group = this.consumerGroups.get(groupId);
+    if (!group) return null;
+    
+    return {
+      groupId,
+      consumerCount: group.consumers.size,
+      generationId: group.generationId,
+      assignmentStrategy: group.assignor ? group.assignor.name : null,
+      retryPolicy: group.retryPolicy || null,
+      members: Array.from(group.consumers, member => ({
+        consumerId: member.consumerId,
+        subscribedTopics: Array.from(member.subscribedTopics),
+        assignedPartitions: member.assignedPartitions
+      })),
+      offsets: Object.fromEntries(group.offsets),
+      lag: this.getConsumerLag(groupId),
+      createdAt: group.createdAt
+    };
+  }
+
+  /**
+   * 📉 CONSUMER LAG - How far behind the high-water mark each partition is
+   * 
+   *   lag = highWaterMark - committed offset (the next offset the group will read)
+   * 
+   * Covers every partition the group has committed or currently owns. Before
+   * its first commit, an 'earliest' owner still has everything from
+   * logStartOffset ahead of it; for a 'latest' owner lag is unknown (null,
+   * like Kafka's "-") and doesn't count towards the totals.
+   */
+  getConsumerLag(groupId) {
+    const group = this.consumerGroups.get(groupId);
+    if (!group) return null;
+
+    const owners = new Map(); // topic:partition -> member
+    for (const member of group.consumers) {
+      for (const { topic, partition } of member.assignedPartitions) {
+        owners.set(`${topic}:${partition}`, member);
+      }
+    }
+
+    const partitions = [];
+    for (const offsetKey of new Set([...group.offsets.keys(), ...owners.keys()])) {
+      const separator = offsetKey.lastIndexOf(':');
+      const topicName = offsetKey.slice(0, separator);
+      const partitionId = Number(offsetKey.slice(separator + 1));
+      const topic = this.topics.get(topicName);
+      if (!topic || !topic.partitions[partitionId]) continue; // Offsets for a deleted topic
+
+      const { highWaterMark, logStartOffset } = topic.partitions[partitionId];
+      const owner = owners.get(offsetKey);
+      const committedOffset = group.offsets.has(offsetKey) ? group.offsets.get(offsetKey) : null;
+      const startsFromEarliest = !owner || (owner.config.autoOffsetReset || 'earliest') === 'earliest';
+      const position = committedOffset !== null ? committedOffset : startsFromEarliest ? logStartOffset : null;
+      partitions.push({
+        topic: topicName,
+        partition: partitionId,
+        committedOffset,
+        highWaterMark,
+        lag: position === null ? null : Math.max(0, highWaterMark - position),
+        consumerId: owner ? owner.consumerId : null
+      });
+    }
+
+    const lags = partitions.filter(p => p.lag !== null).map(p => p.lag);
+    return {
+      groupId,
+      timestamp: Date.now(),
+      totalLag: lags.reduce((sum, lag) => sum + lag, 0),
+      maxLag: lags.length > 0 ? Math.max(...lags) : 0,
+      level: group.lagLevel || 'ok', // As of the last sample - see sampleConsumerLag()
+      partitions
+    };
+  }
+
+  getLagHistory(groupId, { since = 0 } = {}) {
+    return (this.lagHistory.get(groupId) || []).filter(sample => sample.timestamp >= since);
+  }
+
+  // 🚦 Per-group limits on total lag; groups without their own use config.lagThresholds
+  setLagThresholds(groupId, thresholds = {}) {
+    const group = this.getOrCreateConsumerGroup(groupId);
+    group.lagThresholds = { ...this.config.lagThresholds, ...thresholds };
+
+    console.log(`🚦 Lag thresholds for '${groupId}': warning ${group.lagThresholds.warning}, critical ${group.lagThresholds.critical}`);
+    return group.lagThresholds;
+  }
+
+  getLagThresholds(groupId) {
+    const group = this.consumerGroups.get(groupId);
+    return (group && group.lagThresholds) || this.config.lagThresholds;
+  }
+
+  /**
+   * 📈 SAMPLE LAG - Append to each group's history and check its thresholds
+   * 
+   * 'lag:threshold' fires when a group's level changes (ok → warning →
+   * critical, and back down again), not on every sample - an alert per
+   * crossing, not a flood while a group stays behind.
+   */
+  sampleConsumerLag() {
+    for (const [groupId, group] of this.consumerGroups) {
+      const { timestamp, totalLag, maxLag, partitions } = this.getConsumerLag(groupId);
+
+      const history = this.lagHistory.get(groupId) || [];
+      history.push({
+        timestamp,
+        totalLag,
+        maxLag,
+        partitions: Object.fromEntries(partitions.map(p => [`${p.topic}:${p.partition}`, p.lag]))
+      });
+      if (history.length > this.config.lagHistorySize) {
+        history.splice(0, history.length - this.config.lagHistorySize);
+      }
+      this.lagHistory.set(groupId, history);
+
+      const thresholds = this.getLagThresholds(groupId);
+      const level = totalLag >= thresholds.critical ? 'critical' : totalLag >= thresholds.warning ? 'warning' : 'ok';
+      const previousLevel = group.lagLevel || 'ok';
+      if (level === previousLevel) continue;
+
+      group.lagLevel = level;
+      console.log(`🚦 Consumer group '${groupId}' lag ${previousLevel} → ${level} (${totalLag} messages behind)`);
+      this.emit('lag:threshold', { groupId, level, previousLevel, totalLag, maxLag, thresholds, partitions, timestamp });
+    }
+  }
+
+  getAllMetrics() {
+    return {
+      ...this.metrics,
+      topics: Array.from(this.topics.keys()),
+      consumerGroups: Array.from(this.consumerGroups.keys()),
+      activeProducers: this.producers.size
+    };
+  }
+
+  /**
+   * 🗄️ SIMULATED CLUSTER - See replica-manager.js for how replication works
+   * 
+   *   await bus.killBroker(1);     // its partitions fail over to other replicas
+   *   await bus.restartBroker(1);  // it catches up and rejoins the ISRs
+   */
+  async killBroker(brokerId) {
+    await this.ready;
+    await this.replicaManager.killBroker(brokerId);
+  }
+
+  async restartBroker(brokerId) {
+    await this.ready;
+    await this.replicaManager.restartBroker(brokerId);
+  }
+
+  setBrokerLag(brokerId, lagMs) {
+    this.replicaManager.setBrokerLag(brokerId, lagMs);
+  }
+
+  describeCluster() {
+    return this.replicaManager.describeCluster();
+  }
+
+  forwardReplicationEvents() {
+    const events = {
+      highWatermark: 'partition:highWatermark',
+      leaderElected: 'partition:leaderElected',
+      isrChanged: 'partition:isrChanged',
+      brokerStopped: 'broker:stopped',
+      brokerStarted: 'broker:started'
+    };
+    for (const [event, busEvent] of Object.entries(events)) {
+      this.replicaManager.on(event, data => this.emit(busEvent, data));
+    }
+  }
+
+  // ✂️ A new leader cut the log back - forget sequences and transactions that went with it
+  async rebuildAfterTruncation(partition) {
+    const topicName = partition.replication.topic;
+    for (const producerState of this.producerStates.values()) {
+      producerState.partitions.delete(`${topicName}:${partition.id}`);
+    }
+    partition.ongoingTransactions.clear();
+    partition.abortedTransactions = [];
+    await this.rebuildPartitionState(topicName, partition);
+  }
+}
+
+/**
+ * 📤 CORPORATE MESSAGE PRODUCER
+ */
+class CorporateMessageProducer {
+  constructor(producerId, messageBus, options = {}) {
+    this.producerId = producerId;
+    this.messageBus = messageBus;
+
+    const acks = normalizeAcks(options.acks !== undefined ? options.acks : 'all');
+    this.config = {
+      batchSize: options.batchSize || 100, // Records per partition batch
+      lingerMs: options.lingerMs || 0, // How long a batch may wait to fill up before it's sent
+      compressionType: options.compressionType || 'none', // 'none' | 'gzip' | 'brotli'
+      acks, // 0 | 1 | 'all' - see replica-manager.js
+      retries: options.retries !== undefined ? options.retries : 3,
+      retryBackoffMs: options.retryBackoffMs || 100, // Doubles on every retry
+      idempotent: options.idempotent !== undefined ? options.idempotent : acks === 'all', // Sequence-numbered sends, deduplicated by the bus
+      transactional: options.transactional || false, // The producer ID doubles as Kafka's transactional.id
+      validateSchemas: options.validateSchemas !== false, // Check records against their topic's registered schema
+      schemaCacheMs: options.schemaCacheMs || 30000, // How long a looked-up latest schema is trusted
+      ...options,
+      acks
+    };
+
+    if (this.config.idempotent && this.config.acks !== 'all') {
+      throw new Error(`Idempotent producer '${producerId}' requires acks='all' (got acks=${this.config.acks})`);
+    }
+    if (this.config.transactional && !this.config.idempotent) {
+      throw new Error(`Transactional producer '${producerId}' requires idempotence`);
+    }
+    assertCompressionType(this.config.compressionType);
+    
+    this.messagesSent = 0;
+    this.messagesFailed = 0;
+    this.duplicatesDropped = 0;
+    
+    // 📦 Batching state
+    this.accumulator = new Map(); // topic:partition -> batch still filling up
+    this.inFlight = new Map(); // topic:partition -> batch being sent (one at a time keeps sequences in order)
+    this.preparing = new Set(); // send() calls still validating / picking a partition
+    this.batchesSent = 0;
+    this.uncompressedBytes = 0;
+    this.compressedBytes = 0;
+    
+    // 🔂 Idempotence state
+    this.producerEpoch = null;
+    this.initializing = null;
+    this.sequences = new Map(); // topic:partition -> next sequence number
+    this.inTransaction = false;
+    
+    // 📐 subject -> { schema (null = none registered), fetchedAt }
+    this.schemaCache = new Map();
+  }
+
+  /**
+   * 📤 SEND - Queue a message into its partition's batch
+   * 
+   * Resolves with { topic, partition, offset } once the batch it joined has
+   * been appended. Messages for the same partition collect into one batch
+   * until `batchSize` records have arrived or `lingerMs` has passed, then go
+   * out in a single publishBatch() - compressed if `compressionType` says so.
+   * With lingerMs = 0, only sends made in the same tick share a batch.
+   */
+  async send(topicName, message, options = {}) {
+    const preparing = this.prepareRecord(topicName, message, options);
+    this.preparing.add(preparing);
+    let prepared;
+    try {
+      prepared = await preparing;
+    } finally {
+      this.preparing.delete(preparing);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.accumulate(topicName, prepared.partition, { ...prepared.record, resolve, reject });
+    });
+  }
+
+  async prepareRecord(topicName, message, options) {
+    let headers = options.headers;
+
+    // 📐 Reject records that don't match the topic's schema before they reach the log
+    if (this.config.validateSchemas && message !== null) {
+      const schema = await this.getLatestSchema(subjectForTopic(topicName));
+      if (schema) {
+        const errors = validateValue(schema.schema, message);
+        if (errors.length > 0) {
+          this.messagesFailed++;
+          throw new SchemaValidationError(schema.subject, schema.id, errors);
+        }
+        headers = { ...options.headers, [SCHEMA_ID_HEADER]: schema.id };
+      }
+    }
+
+    if (this.config.transactional && !this.inTransaction) {
+      throw new Error(`Transactional producer '${this.producerId}' can only send inside beginTransaction()/commitTransaction()`);
+    }
+
+    // Keyless messages in one batch share a partition (Kafka's sticky partitioner)
+    const partition = await this.messageBus.selectPartition(topicName, options);
+    return { partition, record: { value: message, key: options.key, headers } };
+  }
+
+  accumulate(topicName, partition, entry) {
+    const batchKey = `${topicName}:${partition}`;
+
+    let batch = this.accumulator.get(batchKey);
+    if (!batch) {
+      batch = { topic: topicName, partition, entries: [], timer: null };
+      batch.timer = setTimeout(() => this.flushBatch(batchKey), this.config.lingerMs);
+      this.accumulator.set(batchKey, batch);
+    }
+
+    batch.entries.push(entry);
+    if (batch.entries.length >= this.config.batchSize) {
+      this.flushBatch(batchKey);
+    }
+  }
+
+  flushBatch(batchKey) {
+    const batch = this.accumulator.get(batchKey);
+    if (!batch) return;
+
+    this.accumulator.delete(batchKey);
+    clearTimeout(batch.timer);
+
+    const previous = this.inFlight.get(batchKey) || Promise.resolve();
+    const sending = previous.then(() => this.sendRecordBatch(batch));
+    this.inFlight.set(batchKey, sending);
+    sending.then(() => {
+      if (this.inFlight.get(batchKey) === sending) this.inFlight.delete(batchKey);
+    });
+  }
+
+  /**
+   * 🚿 FLUSH - Send every lingering batch now and wait until all have landed
+   */
+  async flush() {
+    await Promise.allSettled(Array.from(this.preparing)); // Let sends already under way join a batch
+    for (const batchKey of Array.from(this.accumulator.keys())) {
+      this.flushBatch(batchKey);
+    }
+    await Promise.all(this.inFlight.values());
+  }
+
+  // Settles every send() waiting on this batch - never rejects itself
+  async sendRecordBatch({ topic, partition, entries }) {
+    const records = entries.map(({ value, key, headers }) => ({ value, key, headers }));
+
+    try {
+      const result = await this.publishWithRetries(topic, partition, records);
+      entries.forEach((entry, i) => {
+        const published = { topic, partition, offset: result.baseOffset === null ? null : result.baseOffset + i };
+        entry.resolve(result.duplicate ? { ...published, duplicate: true } : published);
+      });
+    } catch (error) {
+      entries.forEach(entry => entry.reject(error));
+    }
+  }
+
+  /**
+   * 🔁 PUBLISH WITH RETRIES - Bounded, backed-off retries of one batch
+   * 
+   * With idempotence on, the batch's sequence numbers are fixed before the
+   * first attempt and reused by every retry, so a batch that actually landed
+   * but "failed" on the way back is recognized and not appended twice.
+   */
+  async publishWithRetries(topicName, partition, records) {
+    const sendOptions = { partition, producerId: this.producerId, acks: this.config.acks };
+    if (this.config.transactional) {
+      sendOptions.transactional = true;
+    }
+
+    if (this.config.idempotent) {
+      await this.initProducerId();
+      sendOptions.producerEpoch = this.producerEpoch;
+      sendOptions.sequence = this.nextSequence(topicName, partition, records.length);
+    }
+
+    const batch = this.encodeBatch(records);
+
+    // 🔥 acks=0: fire and forget - no offset comes back, and a lost batch is never retried
+    if (this.config.acks === 0) {
+      this.messageBus.publishBatch(topicName, batch, sendOptions).catch(error => {
+        console.error(`🔥 acks=0 batch to ${topicName}:${partition} was lost: ${error.message}`);
+      });
+      this.messagesSent += records.length;
+      this.batchesSent++;
+      return { baseOffset: null };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.messageBus.publishBatch(topicName, batch, sendOptions);
+
+        // A duplicate means an earlier attempt landed - the messages are sent either way
+        this.messagesSent += records.length;
+        this.batchesSent++;
+        if (result.duplicate) this.duplicatesDropped += records.length;
+        return result;
+
+      } catch (error) {
+        const retriesLeft = this.config.retries - attempt;
+        if (retriesLeft > 0 && this.isRetriable(error)) {
+          const backoffMs = this.config.retryBackoffMs * Math.pow(2, attempt);
+          console.log(`🔄 Retrying failed batch in ${backoffMs}ms (${retriesLeft} retries left)`);
+          await new Promise(resolve => setTimeout(resolve, backoffMs));
+          continue;
+        }
+
+        this.messagesFailed += records.length;
+        if (this.config.idempotent && !this.inTransaction) {
+          // The sequences we gave up on leave a gap - start over under a new epoch
+          // (inside a transaction, abortTransaction() does this for us)
+          this.producerEpoch = null;
+          this.sequences.clear();
+        }
+        throw error;
+      }
+    }
+  }
+
+  // 🗜️ Compressed batches cross the wire (and land on disk) as one packed blob
+  encodeBatch(records) {
+    if (this.config.compressionType === 'none') return records;
+
+    const batch = encodeRecordBatch(records, this.config.compressionType);
+    this.uncompressedBytes += batch.sizeBytes;
+    this.compressedBytes += batch.compressedBytes;
+    return batch;
+  }
+
+  async getLatestSchema(subject) {
+    const cached = this.schemaCache.get(subject);
+    if (cached && Date.now() - cached.fetchedAt < this.config.schemaCacheMs) {
+      return cached.schema;
+    }
+
+    const schema = await this.messageBus.getLatestSchema(subject);
+    this.schemaCache.set(subject, { schema, fetchedAt: Date.now() });
+    return schema;
+  }
+
+  async initProducerId() {
+    if (this.producerEpoch !== null) return;
+
+    if (!this.initializing) {
+      this.initializing = Promise.resolve(this.messageBus.initProducerId(this.producerId))
+        .then(({ producerEpoch }) => {
+          this.producerEpoch = producerEpoch;
+        })
+        .finally(() => {
+          this.initializing = null;
+        });
+    }
+    await this.initializing;
+  }
+
+  /**
+   * 🧾 TRANSACTIONS - See AlgoCraticMessageBus#beginTransaction for the full story
+   */
+  async beginTransaction() {
+    if (!this.config.transactional) {
+      throw new Error(`Producer '${this.producerId}' is not transactional (create it with { transactional: true })`);
+    }
+
+    await this.initProducerId();
+    await this.messageBus.beginTransaction(this.producerId, this.producerEpoch);
+    this.inTransaction = true;
   }
 
-  getAllMetrics() {
-    return {
-      ...this.metrics,
-      topics: Array.from(this.topics.keys()),
-      consumerGroups: Array.from(this.consumerGroups.keys()),
-      activeProducers: this.producers.size
-    };
+  // offsets: [{ topic, partition, offset }] of the last messages processed; group from consumer.groupMetadata()
+  async sendOffsetsToTransaction(offsets, { groupId, consumerId, generationId }) {
+    await this.messageBus.sendOffsetsToTransaction(this.producerId, this.producerEpoch, groupId, offsets, {
+      consumerId,
+      generationId
+    });
   }
-}
 
-/**
- * 📤 CORPORATE MESSAGE PRODUCER
- */
-class CorporateMessageProducer {
-  constructor(producerId, messageBus, options = {}) {
-    this.producerId = producerId;
-    this.messageBus = messageBus;
-    this.config = {
-      batchSize: options.batchSize || 100,
-      compressionType: options.compressionType || 'none',
-      acks: options.acks || 'all', // Kafka concept
-      retries: options.retries || 3,
-      ...options
-    };
-    
-    this.messagesSent = 0;
-    this.messagesFailed = 0;
+  async commitTransaction() {
+    await this.endTransaction(true);
   }
 
-  async send(topicName, message, options = {}) {
-    try {
-      const result = await this.messageBus.publishMessage(topicName, message, {
-        ...options,
-        producerId: this.producerId
-      });
-      
-      this.messagesSent++;
-      return result;
-      
-    } catch (error) {
-      this.messagesFailed++;
-      
-      if (this.config.retries > 0) {
-        console.log(`🔄 Retrying failed message (${this.config.retries} retries left)`);
-        return this.send(topicName, message, { ...options, retries: this.config.retries - 1 });
-      }
-      
-      throw error;
+  async abortTransaction() {
+    await this.endTransaction(false);
+  }
+
+  async endTransaction(commit) {
+    await this.flush(); // Lingering batches belong to this transaction
+    const { producerEpoch } = await this.messageBus.endTransaction(this.producerId, this.producerEpoch, commit);
+    this.inTransaction = false;
+
+    if (producerEpoch !== this.producerEpoch) {
+      // New epoch after an abort - sequence numbers start again from 0
+      this.producerEpoch = producerEpoch;
+      this.sequences.clear();
     }
   }
 
+  // First sequence number of the next `count` records to this partition
+  nextSequence(topicName, partition, count = 1) {
+    const sequenceKey = `${topicName}:${partition}`;
+    const sequence = this.sequences.get(sequenceKey) || 0;
+    this.sequences.set(sequenceKey, sequence + count);
+    return sequence;
+  }
+
+  isRetriable(error) {
+    // Out-of-order may just mean an earlier send is still retrying; fenced never recovers
+    return error.code !== 'PRODUCER_FENCED';
+  }
+
   async sendBatch(topicName, messages) {
     const results = [];
     const errors = [];
     
-    for (const message of messages) {
-      try {
-        const result = await this.send(topicName, message.value, {
-          key: message.key,
-          headers: message.headers
-        });
-        results.push(result);
-      } catch (error) {
-        errors.push({ message, error });
+    // All queued in the same tick, so they share per-partition batches
+    const outcomes = await Promise.allSettled(messages.map(message => this.send(topicName, message.value, {
+      key: message.key,
+      headers: message.headers
+    })));
+
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        errors.push({ message: messages[i], error: outcome.reason });
       }
-    }
+    });
     
     return { results, errors };
   }
@@ -536,7 +2675,14 @@ class CorporateMessageProducer {
       producerId: this.producerId,
       messagesSent: this.messagesSent,
       messagesFailed: this.messagesFailed,
-      successRate: this.messagesSent / (this.messagesSent + this.messagesFailed) || 0
+      duplicatesDropped: this.duplicatesDropped,
+      producerEpoch: this.producerEpoch,
+      acks: this.config.acks,
+      successRate: this.messagesSent / (this.messagesSent + this.messagesFailed) || 0,
+      batchesSent: this.batchesSent,
+      averageBatchSize: this.batchesSent > 0 ? this.messagesSent / this.batchesSent : 0,
+      compressionType: this.config.compressionType,
+      compressionRatio: this.compressedBytes > 0 ? this.uncompressedBytes / this.compressedBytes : 1 // Original / compressed size
     };
   }
 }
@@ -553,11 +2699,25 @@ class CorporateMessageConsumer extends EventEmitter {
     this.messageBus = messageBus;
     this.subscribedTopics = new Set();
     this.assignedPartitions = [];
+    this.generationId = null; // Group generation our assignment belongs to
     
     this.config = {
       autoCommit: options.autoCommit !== false,
       autoCommitInterval: options.autoCommitInterval || 5000,
       maxPollRecords: options.maxPollRecords || 500,
+      autoOffsetReset: options.autoOffsetReset || 'earliest', // 'earliest' | 'latest' | 'none'
+      maxWaitMs: options.maxWaitMs || 5000, // Idle re-check when no publish wakes us
+      retryBackoffMs: options.retryBackoffMs || 1000, // Pause before redelivering after a handler error
+      sessionTimeoutMs: options.sessionTimeoutMs || 10000, // Evicted if no heartbeat for this long
+      heartbeatIntervalMs: options.heartbeatIntervalMs || 3000,
+      onPartitionsAssigned: options.onPartitionsAssigned || null, // async (partitions, { generationId }) => {}
+      onPartitionsRevoked: options.onPartitionsRevoked || null, // async (partitions) => {}
+      partitionAssignmentStrategy: options.partitionAssignmentStrategy || null, // Defaults to the bus's strategy
+      retryPolicy: options.retryPolicy || null, // { maxRetries, retryDelaysMs } - see bus.setRetryPolicy()
+      isolationLevel: options.isolationLevel || 'read_uncommitted', // 'read_committed' hides open and aborted transactions
+      decodeSchemas: options.decodeSchemas !== false, // Upcast schema-stamped records to their subject's latest version
+      upcasters: options.upcasters || {}, // { [subject]: { [fromVersion]: value => valueOfNextVersion } }
+      schemaCacheMs: options.schemaCacheMs || 30000,
       ...options
     };
     
@@ -566,9 +2726,21 @@ class CorporateMessageConsumer extends EventEmitter {
     this.isPolling = false;
     this.pendingOffsets = [];
     
+    // 🔁 Push-based consumption state (run() / for await)
+    this.running = false;
+    this.runLoop = null;
+    this.wakeUp = null;
+    this.pausedPartitions = new Map(); // topic:partition -> resume timer (null = paused until resume())
+    this.seekEpoch = 0; // Bumped by every seek - a batch fetched before it is abandoned
+    this.rejoining = false;
+    this.schemasById = new Map(); // Schema IDs never change meaning - cached for good
+    this.latestSchemas = new Map(); // subject -> { schema, fetchedAt }
+    
     if (this.config.autoCommit) {
       this.startAutoCommit();
     }
+    
+    this.startHeartbeat();
   }
 
   async subscribe(topics) {
@@ -577,11 +2749,106 @@ class CorporateMessageConsumer extends EventEmitter {
     for (const topic of topicArray) {
       this.subscribedTopics.add(topic);
     }
+
+    // 🔁 With a retry policy, the group also consumes its retry topics
+    if (this.config.retryPolicy && !this.messageBus.getRetryPolicy(this.groupId)) {
+      this.messageBus.setRetryPolicy(this.groupId, this.config.retryPolicy);
+    }
+    for (const retryTopic of await this.messageBus.prepareRetryTopics(this.groupId, topicArray)) {
+      this.subscribedTopics.add(retryTopic);
+    }
     
     console.log(`📥 Consumer ${this.consumerId} subscribed to: ${Array.from(this.subscribedTopics).join(', ')}`);
     
     // 🔄 Trigger rebalancing
-    this.messageBus.rebalanceConsumerGroup(this.groupId);
+    await this.messageBus.rebalanceConsumerGroup(this.groupId);
+  }
+
+  /**
+   * 📋 ASSIGNMENT CALLBACKS - Invoked by the bus during a rebalance
+   */
+  async handleRevocation(partitions) {
+    if (partitions.length === 0) return;
+
+    this.emit('partitions:revoked', partitions);
+    if (this.config.onPartitionsRevoked) {
+      try {
+        await this.config.onPartitionsRevoked(partitions);
+      } catch (error) {
+        console.error(`❌ onPartitionsRevoked failed for ${this.consumerId}: ${error.message}`);
+      }
+    }
+  }
+
+  handleAssignment({ generationId, assigned, revoked, protocol = 'eager' }) {
+    const previous = this.assignedPartitions;
+    this.generationId = generationId;
+    this.assignedPartitions = assigned;
+
+    // Offsets fetched under the old assignment can no longer be committed
+    this.pendingOffsets = this.pendingOffsets.filter(
+      o => assigned.some(p => p.topic === o.topic && p.partition === o.partition)
+    );
+
+    // Pauses don't survive losing the partition
+    for (const key of this.pausedPartitions.keys()) {
+      if (!assigned.some(p => `${p.topic}:${p.partition}` === key)) {
+        clearTimeout(this.pausedPartitions.get(key));
+        this.pausedPartitions.delete(key);
+      }
+    }
+
+    if (revoked.length > 0) {
+      this.handleRevocation(revoked);
+    }
+
+    // Eager rebalances revoked everything, so every partition counts as newly added
+    const added = protocol === 'eager'
+      ? assigned
+      : assigned.filter(p => !previous.some(q => q.topic === p.topic && q.partition === p.partition));
+    if (generationId === null) return; // Evicted - nothing new to announce
+
+    this.emit('partitions:assigned', assigned, { generationId, added });
+    if (this.config.onPartitionsAssigned) {
+      Promise.resolve()
+        .then(() => this.config.onPartitionsAssigned(assigned, { generationId, added }))
+        .catch(error => {
+          console.error(`❌ onPartitionsAssigned failed for ${this.consumerId}: ${error.message}`);
+        });
+    }
+  }
+
+  /**
+   * 💓 HEARTBEATS - Prove to the group we're still alive
+   */
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      this.sendHeartbeat().catch(error => {
+        console.error(`💓 Heartbeat failed for ${this.consumerId}: ${error.message}`);
+      });
+    }, this.config.heartbeatIntervalMs);
+  }
+
+  async sendHeartbeat() {
+    try {
+      await this.messageBus.heartbeat(this.groupId, this.consumerId, this.generationId === null ? undefined : this.generationId);
+    } catch (error) {
+      if (error.code === 'UNKNOWN_MEMBER_ID') {
+        if (this.rejoining) return; // The next heartbeat fired before the rejoin finished
+
+        // 🔁 We were evicted (e.g. a long GC pause) - rejoin and get a fresh assignment
+        console.log(`🔁 Consumer ${this.consumerId} was evicted from '${this.groupId}' - rejoining`);
+        this.rejoining = true;
+        try {
+          await this.messageBus.joinGroup(this.groupId, this);
+          await this.messageBus.rebalanceConsumerGroup(this.groupId);
+        } finally {
+          this.rejoining = false;
+        }
+      } else if (error.code !== 'ILLEGAL_GENERATION') {
+        throw error; // A stale generation just means a rebalance is delivering our new one
+      }
+    }
   }
 
   async poll(timeout = 1000) {
@@ -590,13 +2857,7 @@ class CorporateMessageConsumer extends EventEmitter {
     this.isPolling = true;
     
     try {
-      const messages = await this.messageBus.consumeMessages(
-        this.groupId,
-        this.consumerId,
-        this.config.maxPollRecords
-      );
-      
-      this.messagesConsumed += messages.length;
+      const messages = await this.fetchMessages();
       
       // 📋 Track offsets for potential commit
       for (const message of messages) {
@@ -614,12 +2875,434 @@ class CorporateMessageConsumer extends EventEmitter {
     }
   }
 
+  async fetchMessages() {
+    const messages = await this.messageBus.consumeMessages(
+      this.groupId,
+      this.consumerId,
+      this.config.maxPollRecords,
+      {
+        pausedPartitions: Array.from(this.pausedPartitions.keys()),
+        isolationLevel: this.config.isolationLevel
+      }
+    );
+    
+    this.messagesConsumed += messages.length;
+    return this.config.decodeSchemas ? this.decodeMessages(messages) : messages;
+  }
+
+  /**
+   * 📐 DECODE - Bring schema-stamped records up to their subject's latest version
+   * 
+   * Returns copies carrying the upcast value, the reader schema's ID and a
+   * `schema` summary; the records the bus handed out are never modified.
+   */
+  async decodeMessages(messages) {
+    const decoded = [];
+
+    for (const message of messages) {
+      const schemaId = message.headers && message.headers[SCHEMA_ID_HEADER];
+      if (schemaId === undefined || message.value === null) {
+        decoded.push(message);
+        continue;
+      }
+
+      const writer = await this.getSchemaById(schemaId);
+      const latest = await this.getLatestSchema(writer.subject);
+      const reader = latest && latest.version > writer.version ? latest : writer;
+
+      decoded.push({
+        ...message,
+        value: upcastValue(message.value, writer.version, reader, this.config.upcasters[writer.subject]),
+        headers: { ...message.headers, [SCHEMA_ID_HEADER]: reader.id },
+        schema: {
+          subject: writer.subject,
+          id: reader.id,
+          version: reader.version,
+          writerId: writer.id,
+          writerVersion: writer.version
+        }
+      });
+    }
+
+    return decoded;
+  }
+
+  async getSchemaById(id) {
+    if (!this.schemasById.has(Number(id))) {
+      this.schemasById.set(Number(id), await this.messageBus.getSchemaById(Number(id)));
+    }
+    return this.schemasById.get(Number(id));
+  }
+
+  async getLatestSchema(subject) {
+    const cached = this.latestSchemas.get(subject);
+    if (cached && Date.now() - cached.fetchedAt < this.config.schemaCacheMs) {
+      return cached.schema;
+    }
+
+    const schema = await this.messageBus.getLatestSchema(subject);
+    this.latestSchemas.set(subject, { schema, fetchedAt: Date.now() });
+    return schema;
+  }
+
+  /**
+   * 🔁 RUN - Push-based consumption (kafkajs-style)
+   * 
+   * Instead of hand-rolling a setInterval around poll(), hand the consumer a
+   * handler and let it drive:
+   * 
+   *   await consumer.run({ eachMessage: async ({ topic, partition, message }) => { ... } });
+   *   await consumer.run({ eachBatch: async ({ batch }) => { ... } });
+   * 
+   * - Wakes as soon as the bus emits 'message:published' for an assigned partition
+   *   (or 'partition:highWatermark', when replication makes records readable)
+   * - Fetches at most maxPollRecords per round
+   * - Commits an offset only after the handler for it has resolved, so a crash
+   *   or handler error means redelivery (at-least-once), never silent loss
+   * - With a retry policy, a failing eachMessage handler sends the message on
+   *   to the next retry topic / DLQ instead (eachBatch handles its own failures)
+   * 
+   * Resolves once the loop has started; call stop() (or close()) to end it.
+   */
+  async run({ eachMessage, eachBatch } = {}) {
+    if (!eachMessage && !eachBatch) {
+      throw new Error('run() requires an eachMessage or eachBatch handler');
+    }
+    if (this.running) {
+      throw new Error(`Consumer ${this.consumerId} is already running`);
+    }
+
+    this.running = true;
+    this.runLoop = this.consumeLoop({ eachMessage, eachBatch });
+  }
+
+  async consumeLoop(handlers) {
+    while (this.running) {
+      let messages;
+      try {
+        messages = await this.fetchMessages();
+      } catch (error) {
+        console.error(`❌ Consumer ${this.consumerId} fetch failed: ${error.message}`);
+        await this.waitForMessages(this.config.retryBackoffMs);
+        continue;
+      }
+
+      if (messages.length === 0) {
+        await this.waitForMessages(this.config.maxWaitMs);
+        continue;
+      }
+
+      try {
+        await this.dispatch(messages, handlers);
+      } catch (error) {
+        if (this.isFencingError(error)) {
+          // 🚧 A rebalance happened mid-batch - refetch under the new assignment
+          console.log(`🚧 Consumer ${this.consumerId}: ${error.message} - refetching`);
+          continue;
+        }
+
+        // ⏸️ Uncommitted messages are redelivered on the next fetch
+        console.error(`❌ Consumer ${this.consumerId} handler failed: ${error.message}`);
+        this.emit('handler:error', error);
+        await this.waitForMessages(this.config.retryBackoffMs);
+      }
+    }
+  }
+
+  async dispatch(messages, { eachMessage, eachBatch }) {
+    const seekEpoch = this.seekEpoch;
+
+    for (const batch of await this.groupIntoBatches(messages)) {
+      if (!this.running || this.seekEpoch !== seekEpoch) return;
+
+      if (eachBatch) {
+        await eachBatch({ batch });
+        if (this.seekEpoch !== seekEpoch) return; // The handler seeked - committing would undo it
+        await this.commitSync([this.toCommitOffset(batch.messages[batch.messages.length - 1])]);
+        continue;
+      }
+
+      for (const message of batch.messages) {
+        if (!this.running || this.seekEpoch !== seekEpoch) return;
+
+        const headers = message.headers || {};
+        if (headers['x-retry-group'] !== undefined && headers['x-retry-group'] !== this.groupId) {
+          // Retry topics are shared - another group's retries aren't ours to process
+          await this.commitSync([this.toCommitOffset(message)]);
+          continue;
+        }
+
+        const notBefore = Number(headers['x-retry-not-before'] || 0);
+        if (notBefore > Date.now()) {
+          // ⏳ Not due yet - and nothing behind it in this retry topic is either
+          this.pauseUntil({ topic: message.topic, partition: message.partition }, notBefore);
+          break;
+        }
+
+        try {
+          await eachMessage({
+            topic: message.topic,
+            partition: message.partition,
+            message,
+            originalTopic: headers['x-original-topic'] || message.topic,
+            attempt: Number(headers['x-attempt'] || 0) + 1
+          });
+        } catch (error) {
+          if (this.isFencingError(error) || !this.messageBus.getRetryPolicy(this.groupId)) throw error;
+          await this.messageBus.routeFailedMessage(this.groupId, message, error);
+        }
+        if (this.seekEpoch !== seekEpoch) return;
+        await this.commitSync([this.toCommitOffset(message)]);
+      }
+    }
+  }
+
+  async groupIntoBatches(messages) {
+    const batches = new Map(); // topic:partition -> batch
+    for (const message of messages) {
+      const key = `${message.topic}:${message.partition}`;
+      if (!batches.has(key)) {
+        const { highWaterMark } = await this.messageBus.getPartitionOffsets(message.topic, message.partition);
+        batches.set(key, {
+          topic: message.topic,
+          partition: message.partition,
+          highWaterMark,
+          messages: []
+        });
+      }
+      batches.get(key).messages.push(message);
+    }
+    return batches.values();
+  }
+
+  /**
+   * ⏸️ PAUSE / RESUME - Stop fetching from partitions without leaving the group
+   */
+  pause(partitions) {
+    for (const { topic, partition } of partitions) {
+      const key = `${topic}:${partition}`;
+      clearTimeout(this.pausedPartitions.get(key));
+      this.pausedPartitions.set(key, null);
+    }
+  }
+
+  resume(partitions) {
+    for (const { topic, partition } of partitions) {
+      const key = `${topic}:${partition}`;
+      clearTimeout(this.pausedPartitions.get(key));
+      this.pausedPartitions.delete(key);
+    }
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  pauseUntil(topicPartition, timestamp) {
+    this.pause([topicPartition]);
+    const timer = setTimeout(() => this.resume([topicPartition]), Math.max(0, timestamp - Date.now()));
+    this.pausedPartitions.set(`${topicPartition.topic}:${topicPartition.partition}`, timer);
+  }
+
+  getPausedPartitions() {
+    return Array.from(this.pausedPartitions.keys(), key => {
+      const separator = key.lastIndexOf(':');
+      return { topic: key.slice(0, separator), partition: Number(key.slice(separator + 1)) };
+    });
+  }
+
+  /**
+   * ⏩ SEEK - Move this consumer's position on partitions it owns
+   * 
+   *   await consumer.seek('corporate.alerts', 0, 1200);
+   *   await consumer.seekToTimestamp(Date.now() - 60 * 60 * 1000); // Replay the last hour
+   * 
+   * The helpers default to every assigned partition. The next fetch starts
+   * at the new position: offsets fetched before the seek are never
+   * committed, and run() drops the rest of a batch fetched before it.
+   */
+  seek(topic, partition, offset) {
+    return this.seekPartitions([{ topic, partition, offset }]);
+  }
+
+  async seekToBeginning(partitions = this.assignedPartitions) {
+    const offsets = [];
+    for (const { topic, partition } of partitions) {
+      const { logStartOffset } = await this.messageBus.getPartitionOffsets(topic, partition);
+      offsets.push({ topic, partition, offset: logStartOffset });
+    }
+    return this.seekPartitions(offsets);
+  }
+
+  async seekToEnd(partitions = this.assignedPartitions) {
+    const offsets = [];
+    for (const { topic, partition } of partitions) {
+      const { highWaterMark, lastStableOffset } = await this.messageBus.getPartitionOffsets(topic, partition);
+      // read_committed fetches stop at the last stable offset, so that's our "end"
+      offsets.push({ topic, partition, offset: this.config.isolationLevel === 'read_committed' ? lastStableOffset : highWaterMark });
+    }
+    return this.seekPartitions(offsets);
+  }
+
+  async seekToTimestamp(timestamp, partitions = this.assignedPartitions) {
+    const offsets = [];
+    for (const { topic, partition } of partitions) {
+      const { offset } = await this.messageBus.offsetForTimestamp(topic, partition, timestamp);
+      offsets.push({ topic, partition, offset });
+    }
+    return this.seekPartitions(offsets);
+  }
+
+  async seekPartitions(offsets) {
+    if (offsets.length === 0) return [];
+
+    const moved = await this.messageBus.seekOffsets(this.groupId, offsets, {
+      consumerId: this.consumerId,
+      generationId: this.generationId === null ? undefined : this.generationId
+    });
+
+    this.seekEpoch++;
+    this.pendingOffsets = this.pendingOffsets.filter(
+      o => !offsets.some(p => p.topic === o.topic && p.partition === o.partition)
+    );
+    if (this.wakeUp) this.wakeUp();
+
+    this.emit('offsets:seek', moved);
+    return moved;
+  }
+
+  // 🧾 What a transactional producer needs to commit our offsets in its transaction
+  groupMetadata() {
+    return {
+      groupId: this.groupId,
+      consumerId: this.consumerId,
+      generationId: this.generationId === null ? undefined : this.generationId
+    };
+  }
+
+  isFencingError(error) {
+    return error.code === 'ILLEGAL_GENERATION' || error.code === 'UNKNOWN_MEMBER_ID';
+  }
+
+  toCommitOffset(message) {
+    return { topic: message.topic, partition: message.partition, offset: message.offset };
+  }
+
+  /**
+   * ⏳ WAIT FOR MESSAGES - Sleep until a relevant publish or transaction end, a rebalance, stop() or timeout
+   */
+  waitForMessages(timeoutMs) {
+    return new Promise(resolve => {
+      const onPublished = ({ topic, partition }) => {
+        if (this.assignedPartitions.some(p => p.topic === topic && p.partition === partition)) {
+          done();
+        }
+      };
+      const onRebalanced = ({ groupId }) => {
+        if (groupId === this.groupId) done();
+      };
+      const onTransactionCompleted = ({ partitions }) => {
+        // A commit can advance the last stable offset for read_committed
+        if (partitions.some(({ topic, partition }) => this.assignedPartitions.some(p => p.topic === topic && p.partition === partition))) {
+          done();
+        }
+      };
+      const done = () => {
+        clearTimeout(timer);
+        this.messageBus.removeListener('message:published', onPublished);
+        this.messageBus.removeListener('partition:highWatermark', onPublished);
+        this.messageBus.removeListener('group:rebalanced', onRebalanced);
+        this.messageBus.removeListener('transaction:completed', onTransactionCompleted);
+        this.wakeUp = null;
+        resolve();
+      };
+
+      const timer = setTimeout(done, timeoutMs);
+      this.messageBus.on('message:published', onPublished);
+      this.messageBus.on('partition:highWatermark', onPublished); // Replicated records become readable
+      this.messageBus.on('group:rebalanced', onRebalanced);
+      this.messageBus.on('transaction:completed', onTransactionCompleted);
+      this.wakeUp = done;
+    });
+  }
+
+  /**
+   * 🔂 ASYNC ITERATOR - `for await (const message of consumer) { ... }`
+   * 
+   * Each message's offset is committed when the loop asks for the next one,
+   * i.e. after the loop body has finished with it. Breaking out of the loop
+   * (or throwing) leaves the in-flight message uncommitted for redelivery.
+   */
+  [Symbol.asyncIterator]() {
+    if (this.running) {
+      throw new Error(`Consumer ${this.consumerId} is already running`);
+    }
+    this.running = true;
+
+    let buffered = [];
+    let inFlight = null;
+    let seekEpoch = this.seekEpoch;
+
+    return {
+      next: async () => {
+        if (this.seekEpoch !== seekEpoch) {
+          // Seeked since the last fetch - neither commit nor hand out stale records
+          seekEpoch = this.seekEpoch;
+          buffered = [];
+          inFlight = null;
+        }
+
+        if (inFlight) {
+          try {
+            await this.commitSync([this.toCommitOffset(inFlight)]);
+          } catch (error) {
+            if (!this.isFencingError(error)) throw error;
+            buffered = []; // Assignment changed - drop what we prefetched
+          }
+          inFlight = null;
+        }
+
+        while (this.running) {
+          if (buffered.length > 0) {
+            inFlight = buffered.shift();
+            return { value: inFlight, done: false };
+          }
+
+          seekEpoch = this.seekEpoch;
+          buffered = await this.fetchMessages();
+          if (buffered.length === 0) {
+            await this.waitForMessages(this.config.maxWaitMs);
+          }
+        }
+
+        return { value: undefined, done: true };
+      },
+      return: async () => {
+        this.running = false;
+        return { value: undefined, done: true };
+      }
+    };
+  }
+
+  /**
+   * ⏹️ STOP - End run() / async iteration after the current handler finishes
+   */
+  async stop() {
+    this.running = false;
+    if (this.wakeUp) this.wakeUp();
+
+    if (this.runLoop) {
+      await this.runLoop;
+      this.runLoop = null;
+    }
+  }
+
   async commitSync(offsets = null) {
     const offsetsToCommit = offsets || this.pendingOffsets;
     
     if (offsetsToCommit.length === 0) return;
     
-    await this.messageBus.commitOffsets(this.groupId, offsetsToCommit);
+    await this.messageBus.commitOffsets(this.groupId, offsetsToCommit, {
+      consumerId: this.consumerId,
+      generationId: this.generationId === null ? undefined : this.generationId
+    });
     
     this.messagesProcessed += offsetsToCommit.length;
     this.pendingOffsets = [];
@@ -628,7 +3311,7 @@ class CorporateMessageConsumer extends EventEmitter {
   }
 
   startAutoCommit() {
-    setInterval(async () => {
+    this.autoCommitTimer = setInterval(async () => {
       if (this.pendingOffsets.length > 0) {
         try {
           await this.commitSync();
@@ -654,21 +3337,20 @@ class CorporateMessageConsumer extends EventEmitter {
   async close() {
     console.log(`📥 Closing consumer ${this.consumerId}`);
     
+    // Finish the in-flight handler of run() before leaving the group
+    await this.stop();
+    clearInterval(this.autoCommitTimer);
+    this.pausedPartitions.forEach(timer => clearTimeout(timer));
+    this.pausedPartitions.clear();
+    
     // Commit any pending offsets
     if (this.pendingOffsets.length > 0) {
       await this.commitSync();
     }
     
-    // Remove from consumer group
-    const group = this.messageBus.consumerGroups.get(this.groupId);
-    if (group) {
-      group.consumers.delete(this);
-      
-      // Trigger rebalancing for remaining consumers
-      if (group.consumers.size > 0) {
-        this.messageBus.rebalanceConsumerGroup(this.groupId);
-      }
-    }
+    // Remove from consumer group (remaining consumers rebalance)
+    clearInterval(this.heartbeatTimer);
+    await this.messageBus.leaveGroup(this.groupId, this.consumerId);
     
     this.removeAllListeners();
   }
@@ -852,5 +3534,18 @@ if (require.main === module) {
 module.exports = {
   AlgoCraticMessageBus,
   CorporateMessageProducer,
-  CorporateMessageConsumer
+  CorporateMessageConsumer,
+  OffsetOutOfRangeError,
+  UnknownMemberError,
+  IllegalGenerationError,
+  OutOfOrderSequenceError,
+  ProducerFencedError,
+  InvalidTxnStateError,
+  GroupNotEmptyError,
+  SchemaValidationError,
+  IncompatibleSchemaError,
+  SchemaNotFoundError,
+  NotLeaderOrFollowerError,
+  NotEnoughReplicasError,
+  RequestTimedOutError
 };
\ No newline at end of file
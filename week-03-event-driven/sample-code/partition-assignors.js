@@ -0,0 +1,223 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 PARTITION ASSIGNMENT STRATEGIES
+ * "Who Works Which Queue: Corporate Workload Distribution Policies"
+ *
+ * 🎯 When a consumer group rebalances, an assignor decides which member
+ * reads which partition. Same idea (and same names) as Kafka's
+ * partition.assignment.strategy:
+ * - range       → contiguous block of each topic's partitions per member
+ * - roundrobin  → deal all partitions out like cards
+ * - sticky      → keep what you had, move only what balance requires
+ *
+ * 🧩 ASSIGNOR INTERFACE - any object with:
+ *   name      'range' | 'roundrobin' | 'sticky' | your own
+ *   protocol  'eager'  → every member gives up everything on each rebalance
+ *             'cooperative' → members only give up partitions that move
+ *   assign({ members, topics, currentAssignment }) → Map<memberId, [{ topic, partition }]>
+ *     members           [{ memberId, topics: [topicName] }] sorted by memberId
+ *     topics            Map<topicName, partitionCount>
+ *     currentAssignment Map<memberId, [{ topic, partition }]>
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Members may subscribe to different topics - never hand out a partition
+ *   to someone who didn't ask for its topic
+ * - Every partition goes to exactly one member (no duplicates, no orphans)
+ * - Eager rebalances stop the whole group; cooperative ones don't
+ */
+
+const partitionKey = ({ topic, partition }) => `${topic}:${partition}`;
+
+function emptyAssignment(members) {
+  return new Map(members.map(member => [member.memberId, []]));
+}
+
+function subscribersOf(members, topicName) {
+  return members.filter(member => member.topics.includes(topicName));
+}
+
+/**
+ * 📏 RANGE - Each topic split into contiguous ranges, one per subscriber
+ *
+ * 7 partitions, 3 members → [0,1,2] [3,4] [5,6]. Simple and predictable, but
+ * the first members get the extra partition of *every* topic.
+ */
+const RangeAssignor = {
+  name: 'range',
+  protocol: 'eager',
+
+  assign({ members, topics }) {
+    const assignment = emptyAssignment(members);
+
+    for (const [topicName, partitionCount] of topics) {
+      const subscribers = subscribersOf(members, topicName);
+      if (subscribers.length === 0) continue;
+
+      const perMember = Math.floor(partitionCount / subscribers.length);
+      const extra = partitionCount % subscribers.length;
+      let next = 0;
+
+      subscribers.forEach((member, index) => {
+        const count = perMember + (index < extra ? 1 : 0);
+        for (let i = 0; i < count; i++) {
+          assignment.get(member.memberId).push({ topic: topicName, partition: next++ });
+        }
+      });
+    }
+
+    return assignment;
+  }
+};
+
+/**
+ * 🔁 ROUND ROBIN - Deal every topic-partition out in turn
+ *
+ * Balances totals across topics better than range, skipping members that
+ * aren't subscribed to the partition's topic.
+ */
+const RoundRobinAssignor = {
+  name: 'roundrobin',
+  protocol: 'eager',
+
+  assign({ members, topics }) {
+    const assignment = emptyAssignment(members);
+    let cursor = 0;
+
+    for (const topicName of Array.from(topics.keys()).sort()) {
+      const partitionCount = topics.get(topicName);
+      if (subscribersOf(members, topicName).length === 0) continue;
+
+      for (let partition = 0; partition < partitionCount; partition++) {
+        // Advance to the next member that actually subscribed to this topic
+        while (!members[cursor % members.length].topics.includes(topicName)) {
+          cursor++;
+        }
+        assignment.get(members[cursor % members.length].memberId).push({ topic: topicName, partition });
+        cursor++;
+      }
+    }
+
+    return assignment;
+  }
+};
+
+/**
+ * 🧲 STICKY (COOPERATIVE) - Balanced, but moves as few partitions as possible
+ *
+ * 1. Everyone keeps current partitions that are still valid for them
+ * 2. Orphaned partitions go to the least-loaded eligible member
+ * 3. While some member has 2+ more partitions than an eligible peer, move
+ *    one across - the minimum movement needed to even things out
+ *
+ * Because the protocol is cooperative, only moved partitions are revoked;
+ * everyone else keeps consuming straight through the rebalance.
+ */
+const StickyAssignor = {
+  name: 'sticky',
+  protocol: 'cooperative',
+
+  assign({ members, topics, currentAssignment = new Map() }) {
+    const assignment = emptyAssignment(members);
+    const owner = new Map(); // topic:partition -> memberId
+    const memberById = new Map(members.map(member => [member.memberId, member]));
+
+    const isEligible = (memberId, { topic, partition }) =>
+      memberById.get(memberId).topics.includes(topic) &&
+      topics.has(topic) &&
+      partition < topics.get(topic);
+
+    const give = (memberId, topicPartition) => {
+      assignment.get(memberId).push(topicPartition);
+      owner.set(partitionKey(topicPartition), memberId);
+    };
+
+    // 1️⃣ Keep still-valid current partitions
+    for (const member of members) {
+      for (const topicPartition of currentAssignment.get(member.memberId) || []) {
+        if (isEligible(member.memberId, topicPartition) && !owner.has(partitionKey(topicPartition))) {
+          give(member.memberId, { topic: topicPartition.topic, partition: topicPartition.partition });
+        }
+      }
+    }
+
+    // 2️⃣ Place orphans on the least-loaded eligible member
+    for (const topicName of Array.from(topics.keys()).sort()) {
+      const subscribers = subscribersOf(members, topicName);
+      if (subscribers.length === 0) continue;
+
+      for (let partition = 0; partition < topics.get(topicName); partition++) {
+        if (owner.has(`${topicName}:${partition}`)) continue;
+
+        const target = subscribers.reduce((least, member) =>
+          assignment.get(member.memberId).length < assignment.get(least.memberId).length ? member : least
+        );
+        give(target.memberId, { topic: topicName, partition });
+      }
+    }
+
+    // 3️⃣ Even out the load one move at a time
+    let moved = true;
+    while (moved) {
+      moved = false;
+      const byLoad = members.slice().sort((a, b) =>
+        assignment.get(b.memberId).length - assignment.get(a.memberId).length
+      );
+
+      for (const donor of byLoad) {
+        const donorPartitions = assignment.get(donor.memberId);
+
+        for (let i = donorPartitions.length - 1; i >= 0 && !moved; i--) {
+          const topicPartition = donorPartitions[i];
+          const receiver = byLoad
+            .slice()
+            .reverse()
+            .find(member =>
+              member !== donor &&
+              isEligible(member.memberId, topicPartition) &&
+              assignment.get(member.memberId).length + 1 < donorPartitions.length
+            );
+
+          if (receiver) {
+            donorPartitions.splice(i, 1);
+            give(receiver.memberId, topicPartition);
+            moved = true;
+          }
+        }
+
+        if (moved) break;
+      }
+    }
+
+    return assignment;
+  }
+};
+
+const BUILT_IN_ASSIGNORS = {
+  [RangeAssignor.name]: RangeAssignor,
+  [RoundRobinAssignor.name]: RoundRobinAssignor,
+  [StickyAssignor.name]: StickyAssignor
+};
+
+/**
+ * 🔎 Resolve a strategy name (or pass through a custom assignor object)
+ */
+function resolveAssignor(strategy) {
+  if (strategy && typeof strategy === 'object') {
+    if (typeof strategy.assign !== 'function' || !strategy.name) {
+      throw new Error('Custom assignors need a name and an assign() method');
+    }
+    return strategy; // Protocol defaults to 'eager' when not declared
+  }
+
+  const assignor = BUILT_IN_ASSIGNORS[strategy];
+  if (!assignor) {
+    throw new Error(`Unknown partition assignment strategy '${strategy}' (expected ${Object.keys(BUILT_IN_ASSIGNORS).join(', ')})`);
+  }
+  return assignor;
+}
+
+module.exports = {
+  RangeAssignor,
+  RoundRobinAssignor,
+  StickyAssignor,
+  resolveAssignor
+};
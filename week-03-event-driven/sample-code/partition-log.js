@@ -0,0 +1,782 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 PARTITION LOG STORAGE
+ * "Corporate Records Management: Filing Cabinets, Not One Giant Drawer"
+ *
+ * 📂 STORAGE STRATEGY: Each partition is an append-only log split into
+ * segments, exactly like Kafka's on-disk layout:
+ *
+ *   <dataDir>/<topic>-<partition>/00000000000000000000.log    (records, NDJSON)
+ *   <dataDir>/<topic>-<partition>/00000000000000000000.index  (sparse offset index)
+ *   <dataDir>/<topic>-<partition>/00000000000000000000.timeindex  (sparse time index)
+ *   <dataDir>/<topic>-<partition>/00000000000000001873.log    (next segment...)
+ *
+ * - The newest ("active") segment receives appends and stays cached in memory
+ * - Closed segments live only on disk; the sparse index maps an offset to a
+ *   byte position so reads seek straight to the right neighbourhood
+ * - The time index does the same for timestamps, so "where was this
+ *   partition an hour ago?" doesn't mean reading the whole log
+ * - Retention deletes whole segments instead of filtering individual records
+ * - Compaction rewrites closed segments keeping the latest record per key
+ * - Truncation cuts the log back to an offset when a new leader's copy is
+ *   shorter (see replica-manager.js)
+ * - A compressed batch is stored as ONE line (see record-batch.js) holding
+ *   all of its records; uncompressed records get a line each
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Offsets are NOT array indexes once old segments have been deleted
+ * - Sparse indexes only get you close - you still scan forward a little
+ * - Timestamps don't have to increase with offsets (clocks jump backwards),
+ *   so the time index tracks the highest timestamp seen so far
+ * - Appends must be serialized or concurrent writes interleave on disk
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { encodeRecordBatch, decodeRecordBatch } = require('./record-batch');
+
+const INDEX_ENTRY_BYTES = 8; // 4-byte relative offset + 4-byte file position
+const TIME_INDEX_ENTRY_BYTES = 12; // 8-byte timestamp + 4-byte relative offset
+const READ_CHUNK_BYTES = 64 * 1024;
+const READ_BATCH_RECORDS = 500; // Records per step when scanning for a timestamp
+
+function segmentFileName(baseOffset, extension) {
+  return `${String(baseOffset).padStart(20, '0')}${extension}`;
+}
+
+function encodeIndexEntry(relativeOffset, position) {
+  const buffer = Buffer.alloc(INDEX_ENTRY_BYTES);
+  buffer.writeUInt32BE(relativeOffset, 0);
+  buffer.writeUInt32BE(position, 4);
+  return buffer;
+}
+
+function encodeTimeIndexEntry(timestamp, relativeOffset) {
+  const buffer = Buffer.alloc(TIME_INDEX_ENTRY_BYTES);
+  buffer.writeBigInt64BE(BigInt(timestamp), 0);
+  buffer.writeUInt32BE(relativeOffset, 8);
+  return buffer;
+}
+
+// 📦 One log line -> its records (a compressed batch line holds several)
+function parseLogLine(line) {
+  const entry = JSON.parse(line);
+  return entry.batch ? decodeRecordBatch(entry.batch) : [entry];
+}
+
+/**
+ * 📄 LOG SEGMENT - One file's worth of a partition log
+ */
+class LogSegment {
+  constructor(baseOffset, options = {}) {
+    this.baseOffset = baseOffset;
+    this.dir = options.dir || null;
+    this.createdAt = options.createdAt || Date.now();
+
+    this.records = []; // In-memory copy (null once a closed segment is flushed to disk)
+    this.index = []; // Sparse index: [{ offset, position }]
+    this.timeIndex = []; // Sparse time index: [{ timestamp, offset }] - nothing up to offset is newer than timestamp
+    this.size = 0; // Bytes appended so far
+    this.nextOffset = baseOffset; // One past the last offset in this segment
+    this.recordCount = 0; // Can be less than the offset range once compacted
+    this.maxTimestamp = 0;
+    this.bytesSinceIndexEntry = 0;
+  }
+
+  get logPath() {
+    return path.join(this.dir, segmentFileName(this.baseOffset, '.log'));
+  }
+
+  get indexPath() {
+    return path.join(this.dir, segmentFileName(this.baseOffset, '.index'));
+  }
+
+  get timeIndexPath() {
+    return path.join(this.dir, segmentFileName(this.baseOffset, '.timeindex'));
+  }
+
+  get filePaths() {
+    return [this.logPath, this.indexPath, this.timeIndexPath];
+  }
+
+  get isEmpty() {
+    return this.nextOffset === this.baseOffset;
+  }
+
+  // 🔎 Last index entry at or before the target offset (binary search)
+  lookup(offset) {
+    let low = 0;
+    let high = this.index.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.index[mid].offset <= offset) {
+        found = this.index[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  // 🕰️ Last time index entry older than the target - every record up to its offset is too
+  lookupTimestamp(timestamp) {
+    let low = 0;
+    let high = this.timeIndex.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.timeIndex[mid].timestamp < timestamp) {
+        found = this.timeIndex[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  // 📌 Called before each indexed line with the newest timestamp of the lines before it
+  addTimeIndexEntry(maxTimestamp, offset) {
+    const last = this.timeIndex[this.timeIndex.length - 1];
+    if (offset <= this.baseOffset || maxTimestamp <= (last ? last.timestamp : 0)) return null;
+
+    const entry = { timestamp: maxTimestamp, offset: offset - 1 };
+    this.timeIndex.push(entry);
+    return entry;
+  }
+}
+
+/**
+ * 📚 PARTITION LOG - Segmented, indexed, append-only storage for one partition
+ *
+ * Works purely in memory when no directory is given (segments are then just
+ * arrays that retention can drop), or on disk when `dir` is set.
+ */
+class PartitionLog {
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.segmentBytes = options.segmentBytes || 1024 * 1024; // 1MB
+    this.segmentMs = options.segmentMs || 60 * 60 * 1000; // 1 hour
+    this.indexIntervalBytes = options.indexIntervalBytes || 4096;
+    this.maxRecords = options.maxRecords || Infinity;
+
+    this.segments = [new LogSegment(0, { dir: this.dir })];
+    this.writeChain = Promise.resolve(); // Serializes all disk mutations
+  }
+
+  get activeSegment() {
+    return this.segments[this.segments.length - 1];
+  }
+
+  get logStartOffset() {
+    return this.segments[0].baseOffset;
+  }
+
+  get logEndOffset() {
+    return this.activeSegment.nextOffset;
+  }
+
+  get recordCount() {
+    return this.segments.reduce((sum, segment) => sum + segment.recordCount, 0);
+  }
+
+  get sizeBytes() {
+    return this.segments.reduce((sum, segment) => sum + segment.size, 0);
+  }
+
+  /**
+   * 📂 OPEN - Load existing segments from disk (no-op for in-memory logs)
+   */
+  async open() {
+    if (!this.dir) return this;
+
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const files = (await fs.readdir(this.dir))
+      .filter(file => /^\d{20}\.log$/.test(file))
+      .sort();
+
+    if (files.length === 0) return this;
+
+    this.segments = [];
+    for (const file of files) {
+      const segment = new LogSegment(Number(file.slice(0, 20)), { dir: this.dir });
+      const stat = await fs.stat(segment.logPath);
+      segment.size = stat.size;
+      segment.createdAt = stat.mtimeMs;
+      segment.maxTimestamp = stat.mtimeMs;
+      this.segments.push(segment);
+    }
+
+    // 🧊 Closed segments: bounds come from the next segment, index from disk
+    for (let i = 0; i < this.segments.length - 1; i++) {
+      const segment = this.segments[i];
+      if (await this.loadIndex(segment) && await this.loadTimeIndex(segment)) {
+        segment.recordCount = this.segments[i + 1].baseOffset - segment.baseOffset; // Estimate - compaction may have thinned it
+      } else {
+        await this.rebuildSegment(segment, { keepRecords: false });
+      }
+      segment.nextOffset = this.segments[i + 1].baseOffset;
+      segment.records = null;
+    }
+
+    // 🔥 Active segment: always rescanned so a torn final write is trimmed
+    await this.rebuildSegment(this.activeSegment, { keepRecords: true });
+
+    return this;
+  }
+
+  async loadIndex(segment) {
+    try {
+      const data = await fs.readFile(segment.indexPath);
+      segment.index = [];
+      for (let pos = 0; pos + INDEX_ENTRY_BYTES <= data.length; pos += INDEX_ENTRY_BYTES) {
+        segment.index.push({
+          offset: segment.baseOffset + data.readUInt32BE(pos),
+          position: data.readUInt32BE(pos + 4)
+        });
+      }
+      return segment.index.length > 0 || segment.size === 0;
+    } catch (error) {
+      return false; // Missing index - caller rebuilds it
+    }
+  }
+
+  async loadTimeIndex(segment) {
+    try {
+      const data = await fs.readFile(segment.timeIndexPath);
+      segment.timeIndex = [];
+      for (let pos = 0; pos + TIME_INDEX_ENTRY_BYTES <= data.length; pos += TIME_INDEX_ENTRY_BYTES) {
+        segment.timeIndex.push({
+          timestamp: Number(data.readBigInt64BE(pos)),
+          offset: segment.baseOffset + data.readUInt32BE(pos + 8)
+        });
+      }
+      return true;
+    } catch (error) {
+      return false; // Missing (e.g. written before time indexes existed) - caller rebuilds it
+    }
+  }
+
+  // 🔧 Scan a segment file, rebuilding its indexes (and in-memory records if asked)
+  async rebuildSegment(segment, { keepRecords }) {
+    const data = await fs.readFile(segment.logPath, 'utf8');
+    const records = [];
+    const index = [];
+    let position = 0;
+    let validBytes = 0;
+    let bytesSinceIndexEntry = 0;
+    let recordCount = 0;
+    let maxTimestamp = 0;
+    segment.timeIndex = [];
+
+    for (const line of data.split('\n')) {
+      const lineBytes = Buffer.byteLength(line) + 1;
+      if (!line.trim()) {
+        position += lineBytes;
+        continue;
+      }
+
+      let lineRecords;
+      try {
+        lineRecords = parseLogLine(line);
+      } catch (error) {
+        // A crash mid-append leaves a torn final line - stop at the last good record
+        console.error(`📂 Truncating corrupt tail of ${path.basename(segment.logPath)}`);
+        break;
+      }
+
+      if (index.length === 0 || bytesSinceIndexEntry >= this.indexIntervalBytes) {
+        index.push({ offset: lineRecords[0].offset, position });
+        segment.addTimeIndexEntry(maxTimestamp, lineRecords[0].offset);
+        bytesSinceIndexEntry = 0;
+      }
+      bytesSinceIndexEntry += lineBytes;
+      position += lineBytes;
+      validBytes = position;
+
+      for (const record of lineRecords) {
+        segment.nextOffset = record.offset + 1;
+        maxTimestamp = Math.max(maxTimestamp, record.timestamp || 0);
+        recordCount++;
+        if (keepRecords) records.push(record);
+      }
+    }
+
+    if (validBytes < Buffer.byteLength(data)) {
+      await fs.truncate(segment.logPath, validBytes);
+    }
+
+    segment.size = validBytes;
+    segment.maxTimestamp = maxTimestamp; // Scanned, so the file mtime fallback isn't needed (and mustn't reach the time index)
+    segment.recordCount = recordCount;
+    segment.index = index;
+    segment.bytesSinceIndexEntry = bytesSinceIndexEntry;
+    segment.records = keepRecords ? records : null;
+
+    await this.writeIndexes(segment);
+  }
+
+  writeIndexes(segment) {
+    return Promise.all([
+      fs.writeFile(
+        segment.indexPath,
+        Buffer.concat(segment.index.map(entry => encodeIndexEntry(entry.offset - segment.baseOffset, entry.position)))
+      ),
+      fs.writeFile(
+        segment.timeIndexPath,
+        Buffer.concat(segment.timeIndex.map(entry => encodeTimeIndexEntry(entry.timestamp, entry.offset - segment.baseOffset)))
+      )
+    ]);
+  }
+
+  /**
+   * ✍️ APPEND - Assign the next offset and write the record to the active segment
+   *
+   * In-memory state updates synchronously (so offsets are assigned in call
+   * order); the returned promise resolves once the record is on disk.
+   */
+  append(record) {
+    return this.appendBatch([record]).then(() => record);
+  }
+
+  /**
+   * 📦 APPEND BATCH - Records with consecutive offsets, written as one unit
+   *
+   * Uncompressed, each record is its own line as usual. Compressed, the
+   * batch becomes a single line - fewer bytes on disk, and one index entry
+   * (its base offset) is enough to find any record in it. The in-memory copy
+   * always holds plain records, so reading the active segment never pays
+   * for decompression.
+   */
+  appendBatch(records, { compression = 'none' } = {}) {
+    this.maybeRoll(records[0].timestamp);
+
+    const segment = this.activeSegment;
+    if (segment.isEmpty) {
+      segment.createdAt = Date.now(); // Age a segment from its first record
+    }
+    records.forEach((record, i) => {
+      record.offset = segment.nextOffset + i;
+    });
+
+    const lines = compression === 'none'
+      ? records.map(record => ({ offset: record.offset, records: [record], text: JSON.stringify(record) + '\n' }))
+      : [{ offset: records[0].offset, records, text: this.encodeBatchLine(records, compression) }];
+
+    const indexEntries = [];
+    const timeIndexEntries = [];
+    for (const line of lines) {
+      const lineBytes = Buffer.byteLength(line.text);
+      if (segment.index.length === 0 || segment.bytesSinceIndexEntry >= this.indexIntervalBytes) {
+        const indexEntry = { offset: line.offset, position: segment.size };
+        segment.index.push(indexEntry);
+        indexEntries.push(indexEntry);
+        const timeIndexEntry = segment.addTimeIndexEntry(segment.maxTimestamp, line.offset);
+        if (timeIndexEntry) timeIndexEntries.push(timeIndexEntry);
+        segment.bytesSinceIndexEntry = 0;
+      }
+      segment.bytesSinceIndexEntry += lineBytes;
+      segment.size += lineBytes;
+      segment.maxTimestamp = Math.max(segment.maxTimestamp, ...line.records.map(record => record.timestamp || 0));
+    }
+
+    const last = records[records.length - 1];
+    segment.nextOffset = last.offset + 1;
+    segment.recordCount += records.length;
+    segment.records.push(...records);
+
+    if (!this.dir) return Promise.resolve(records);
+
+    return this.enqueueWrite(async () => {
+      await fs.appendFile(segment.logPath, lines.map(line => line.text).join(''));
+      if (indexEntries.length > 0) {
+        await fs.appendFile(segment.indexPath, Buffer.concat(
+          indexEntries.map(entry => encodeIndexEntry(entry.offset - segment.baseOffset, entry.position))
+        ));
+      }
+      if (timeIndexEntries.length > 0) {
+        await fs.appendFile(segment.timeIndexPath, Buffer.concat(
+          timeIndexEntries.map(entry => encodeTimeIndexEntry(entry.timestamp, entry.offset - segment.baseOffset))
+        ));
+      }
+    }).then(() => records);
+  }
+
+  encodeBatchLine(records, compression) {
+    const { count, data } = encodeRecordBatch(records, compression);
+    return JSON.stringify({
+      batch: {
+        baseOffset: records[0].offset,
+        lastOffset: records[records.length - 1].offset,
+        compression,
+        count,
+        data
+      }
+    }) + '\n';
+  }
+
+  enqueueWrite(operation) {
+    const result = this.writeChain.then(operation);
+    this.writeChain = result.catch(() => {}); // Keep the chain alive after a failed write
+    return result;
+  }
+
+  /**
+   * 🔄 ROLL - Close the active segment once it is too big or too old
+   */
+  maybeRoll(now = Date.now()) {
+    const active = this.activeSegment;
+    if (active.isEmpty) return false;
+    if (active.size < this.segmentBytes && (now - active.createdAt) < this.segmentMs) return false;
+
+    this.roll();
+    return true;
+  }
+
+  roll() {
+    const closed = this.activeSegment;
+    this.segments.push(new LogSegment(closed.nextOffset, { dir: this.dir }));
+
+    if (this.dir) {
+      // 🧊 Drop the cached records once every pending write has reached disk
+      this.enqueueWrite(async () => {
+        closed.records = null;
+      });
+    }
+
+    this.enforceMaxRecords();
+  }
+
+  /**
+   * 📖 READ - Up to maxRecords records starting at the given offset
+   */
+  async read(offset, maxRecords = 100) {
+    const results = [];
+    let position = Math.max(offset, this.logStartOffset);
+
+    // Snapshot: retention may delete segments while we await disk reads
+    const segments = this.segments.slice(this.findSegmentIndex(position));
+
+    for (const segment of segments) {
+      if (results.length >= maxRecords) break;
+      if (segment.nextOffset <= position) continue;
+
+      const remaining = maxRecords - results.length;
+      const records = segment.records
+        ? this.readFromMemory(segment, position, remaining)
+        : await this.readFromDisk(segment, position, remaining);
+
+      results.push(...records);
+      position = segment.nextOffset;
+    }
+
+    return results;
+  }
+
+  /**
+   * 🕰️ OFFSET FOR TIMESTAMP - The first record whose timestamp is >= the target
+   *
+   * Segments whose newest record is older are skipped outright; inside the
+   * first candidate the time index says where the target can't be yet, and
+   * we scan forward from there. Resolves to { offset, timestamp }, or null
+   * when every record is older (callers usually fall back to the log end).
+   */
+  async offsetForTimestamp(timestamp) {
+    for (const segment of this.segments.slice()) {
+      if (segment.isEmpty || segment.maxTimestamp < timestamp) continue;
+
+      const entry = segment.lookupTimestamp(timestamp);
+      let position = entry ? entry.offset + 1 : segment.baseOffset;
+
+      while (position < segment.nextOffset) {
+        const records = segment.records
+          ? this.readFromMemory(segment, position, READ_BATCH_RECORDS)
+          : await this.readFromDisk(segment, position, READ_BATCH_RECORDS);
+        if (records.length === 0) break;
+
+        const found = records.find(record => (record.timestamp || 0) >= timestamp);
+        if (found) return { offset: found.offset, timestamp: found.timestamp };
+        position = records[records.length - 1].offset + 1;
+      }
+    }
+
+    return null;
+  }
+
+  // 🔎 Index of the segment that would contain the offset (binary search on baseOffset)
+  findSegmentIndex(offset) {
+    let low = 0;
+    let high = this.segments.length - 1;
+    let found = 0;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.segments[mid].baseOffset <= offset) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  readFromMemory(segment, offset, maxRecords) {
+    const records = segment.records;
+    let low = 0;
+    let high = records.length;
+
+    // First record with record.offset >= offset
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (records[mid].offset < offset) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return records.slice(low, low + maxRecords);
+  }
+
+  async readFromDisk(segment, offset, maxRecords) {
+    const entry = segment.lookup(offset);
+    let position = entry ? entry.position : 0;
+    const records = [];
+
+    let handle;
+    try {
+      handle = await fs.open(segment.logPath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return records; // Deleted by retention mid-read
+      throw error;
+    }
+
+    try {
+      const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+      const decoder = new StringDecoder('utf8');
+      let leftover = '';
+
+      while (position < segment.size && records.length < maxRecords) {
+        const length = Math.min(buffer.length, segment.size - position);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        if (bytesRead === 0) break;
+        position += bytesRead;
+
+        const lines = (leftover + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+        leftover = lines.pop();
+
+        for (const line of lines) {
+          if (!line) continue;
+          for (const record of parseLogLine(line)) {
+            if (record.offset < offset) continue;
+            records.push(record);
+            if (records.length >= maxRecords) break;
+          }
+          if (records.length >= maxRecords) break;
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return records;
+  }
+
+  /**
+   * 🗑️ DELETE SEGMENTS - Drop the oldest closed segments while predicate holds
+   *
+   * The active segment is never deleted. Returns the number of records removed.
+   */
+  deleteOldestSegments(predicate) {
+    const deleted = [];
+
+    while (this.segments.length > 1 && predicate(this.segments[0], this)) {
+      deleted.push(this.segments.shift());
+    }
+
+    if (deleted.length > 0 && this.dir) {
+      this.enqueueWrite(async () => {
+        for (const segment of deleted) {
+          for (const filePath of segment.filePaths) {
+            await fs.rm(filePath, { force: true });
+          }
+        }
+      });
+    }
+
+    return deleted.reduce((sum, segment) => sum + segment.recordCount, 0);
+  }
+
+  // 📏 Keep the partition near maxRecords by dropping whole segments
+  enforceMaxRecords() {
+    if (this.maxRecords === Infinity) return 0;
+    return this.deleteOldestSegments(
+      segment => (this.logEndOffset - segment.nextOffset) >= this.maxRecords
+    );
+  }
+
+  /**
+   * 🗜️ COMPACT - Keep only the latest record for each key in closed segments
+   *
+   * Pass 1 maps every key to its newest offset (active segment included, so a
+   * fresh update makes older copies obsolete). Pass 2 rewrites each closed
+   * segment without the superseded records. Surviving records keep their
+   * original offsets - compaction leaves gaps, it never renumbers.
+   *
+   * Tombstones (value === null) are kept for deleteRetentionMs so slow
+   * consumers still see the delete, then removed entirely.
+   */
+  async compact({ deleteRetentionMs = 24 * 60 * 60 * 1000, now = Date.now() } = {}) {
+    const closedSegments = this.segments.slice(0, -1);
+    const stats = { segmentsCleaned: 0, recordsRemoved: 0, tombstonesRemoved: 0 };
+    if (closedSegments.length === 0) return stats;
+
+    // 🗺️ Pass 1: newest offset per key
+    const latestOffsets = new Map();
+    for (const segment of this.segments.slice()) {
+      for (const record of await this.readSegment(segment)) {
+        if (record.key !== null && record.key !== undefined) {
+          latestOffsets.set(record.key, record.offset);
+        }
+      }
+    }
+
+    // ✂️ Pass 2: rewrite closed segments without superseded records
+    for (const segment of closedSegments) {
+      const records = await this.readSegment(segment);
+      const kept = records.filter(record => {
+        if (record.key === null || record.key === undefined) return true;
+        if (latestOffsets.get(record.key) !== record.offset) return false;
+        if (record.value === null && (now - record.timestamp) >= deleteRetentionMs) {
+          stats.tombstonesRemoved++;
+          return false;
+        }
+        return true;
+      });
+
+      if (kept.length === records.length) continue;
+
+      stats.segmentsCleaned++;
+      stats.recordsRemoved += records.length - kept.length;
+      await this.replaceSegment(segment, kept);
+    }
+
+    return stats;
+  }
+
+  readSegment(segment) {
+    return segment.records
+      ? Promise.resolve(segment.records.slice())
+      : this.readFromDisk(segment, segment.baseOffset, Infinity);
+  }
+
+  /**
+   * ✂️ TRUNCATE - Throw away every record at or after the given offset
+   *
+   * The opposite of retention: the *newest* records go. Later segments are
+   * deleted and the one containing the offset is rewritten and becomes the
+   * active segment again. Returns the number of records removed.
+   */
+  async truncateTo(offset) {
+    if (offset >= this.logEndOffset) return 0;
+
+    const position = this.findSegmentIndex(Math.max(offset, this.logStartOffset));
+    const dropped = this.segments.splice(position + 1);
+    const segment = this.segments[position];
+
+    const records = await this.readSegment(segment);
+    const kept = records.filter(record => record.offset < offset);
+    const removed = dropped.reduce((sum, droppedSegment) => sum + droppedSegment.recordCount, records.length - kept.length);
+
+    if (dropped.length > 0 && this.dir) {
+      this.enqueueWrite(async () => {
+        for (const droppedSegment of dropped) {
+          for (const filePath of droppedSegment.filePaths) {
+            await fs.rm(filePath, { force: true });
+          }
+        }
+      });
+    }
+    await this.replaceSegment(segment, kept, { nextOffset: Math.max(offset, segment.baseOffset), active: true });
+
+    return removed;
+  }
+
+  // 🔁 Swap a segment for a rewritten copy covering the same offset range
+  // (survivors of compressed batches are written back as plain records).
+  // An `active` replacement keeps its records in memory and is never removed.
+  async replaceSegment(segment, records, { nextOffset = segment.nextOffset, active = false } = {}) {
+    const replacement = new LogSegment(segment.baseOffset, { dir: this.dir, createdAt: segment.createdAt });
+    const lines = [];
+    let maxTimestamp = 0;
+
+    for (const record of records) {
+      const line = JSON.stringify(record) + '\n';
+      const lineBytes = Buffer.byteLength(line);
+      if (replacement.index.length === 0 || replacement.bytesSinceIndexEntry >= this.indexIntervalBytes) {
+        replacement.index.push({ offset: record.offset, position: replacement.size });
+        replacement.addTimeIndexEntry(maxTimestamp, record.offset);
+        replacement.bytesSinceIndexEntry = 0;
+      }
+      maxTimestamp = Math.max(maxTimestamp, record.timestamp || 0);
+      replacement.bytesSinceIndexEntry += lineBytes;
+      replacement.size += lineBytes;
+      lines.push(line);
+    }
+
+    replacement.nextOffset = nextOffset;
+    replacement.maxTimestamp = segment.maxTimestamp;
+    replacement.recordCount = records.length;
+    replacement.records = this.dir && !active ? null : records;
+
+    if (this.dir) {
+      await this.enqueueWrite(async () => {
+        // Retention may have deleted the segment meanwhile - writing it back would resurrect it
+        if (!this.segments.includes(segment)) return;
+
+        // Write aside, then rename over the original so a crash never leaves half a segment
+        const cleanedPath = `${replacement.logPath}.cleaned`;
+        await fs.writeFile(cleanedPath, lines.join(''));
+        await fs.rename(cleanedPath, replacement.logPath);
+        await this.writeIndexes(replacement);
+      });
+    }
+
+    const position = this.segments.indexOf(segment);
+    if (position === -1) return; // Deleted by retention while we were rewriting
+
+    // 🗑️ Emptied segments (other than the first, which anchors logStartOffset) disappear
+    if (records.length === 0 && position > 0 && !active) {
+      this.segments.splice(position, 1);
+      if (this.dir) {
+        this.enqueueWrite(async () => {
+          for (const filePath of replacement.filePaths) {
+            await fs.rm(filePath, { force: true });
+          }
+        });
+      }
+      return;
+    }
+
+    this.segments[position] = replacement;
+  }
+
+  // ⏳ Wait until every queued write and delete has reached disk
+  flush() {
+    return this.writeChain;
+  }
+}
+
+module.exports = {
+  PartitionLog,
+  LogSegment
+};
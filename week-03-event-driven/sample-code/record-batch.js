@@ -0,0 +1,84 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 RECORD BATCHES
+ * "Ship Memos by the Crate, Not the Envelope"
+ *
+ * 📦 A batching producer sends many records to one partition at once. When
+ * compression is on, the batch travels - and is stored - as a single packed
+ * blob, exactly like a Kafka record batch:
+ *
+ *   { compression: 'gzip', count: 100, sizeBytes: 48213, data: '<base64>' }
+ *
+ * The same encoding is used by CorporateMessageProducer (what it sends), the
+ * wire protocol (what crosses TCP) and PartitionLog (one NDJSON line per
+ * compressed batch on disk). Codecs come from Node's built-in zlib.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Compression pays off on big, repetitive batches - a batch of one record
+ *   can come out *larger* than it went in
+ * - A compressed batch is all-or-nothing: reading one record means
+ *   decompressing all of them
+ */
+
+const zlib = require('zlib');
+
+const CODECS = {
+  none: {
+    compress: buffer => buffer,
+    decompress: buffer => buffer
+  },
+  gzip: {
+    compress: buffer => zlib.gzipSync(buffer),
+    decompress: buffer => zlib.gunzipSync(buffer)
+  },
+  brotli: {
+    compress: buffer => zlib.brotliCompressSync(buffer),
+    decompress: buffer => zlib.brotliDecompressSync(buffer)
+  }
+};
+
+const COMPRESSION_TYPES = Object.keys(CODECS);
+
+function assertCompressionType(compression) {
+  if (!CODECS[compression]) {
+    throw new Error(`Unknown compression type '${compression}' - expected one of: ${COMPRESSION_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * 🗜️ ENCODE - Pack records into a (compressed) record batch
+ */
+function encodeRecordBatch(records, compression = 'none') {
+  assertCompressionType(compression);
+
+  const plain = Buffer.from(JSON.stringify(records));
+  const packed = CODECS[compression].compress(plain);
+  return {
+    compression,
+    count: records.length,
+    sizeBytes: plain.length,
+    compressedBytes: packed.length,
+    data: packed.toString('base64')
+  };
+}
+
+/**
+ * 📂 DECODE - Unpack a record batch back into its records
+ */
+function decodeRecordBatch(batch) {
+  assertCompressionType(batch.compression);
+
+  const plain = CODECS[batch.compression].decompress(Buffer.from(batch.data, 'base64'));
+  return JSON.parse(plain.toString('utf8'));
+}
+
+function isRecordBatch(value) {
+  return Boolean(value) && !Array.isArray(value) && typeof value.data === 'string' && typeof value.compression === 'string';
+}
+
+module.exports = {
+  COMPRESSION_TYPES,
+  assertCompressionType,
+  encodeRecordBatch,
+  decodeRecordBatch,
+  isRecordBatch
+};
@@ -0,0 +1,515 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 REPLICATION SIMULATION
+ * "Three Copies of Every Memo, One Clerk Allowed to Write"
+ *
+ * 🗄️ A Kafka cluster keeps every partition on several brokers. One replica
+ * is the LEADER (all writes go to it); the others are FOLLOWERS that keep
+ * fetching whatever the leader appended. This module simulates that cluster
+ * inside one process, on top of the single PartitionLog each partition has:
+ *
+ *   partition corporate.orders:0   replicas [1, 2, 0]   leader 1   isr [1, 2, 0]
+ *
+ *   leader 1    |0|1|2|3|4|5|6|      log end offset 7
+ *   follower 2  |0|1|2|3|4|5|        fetched up to 6
+ *   follower 0  |0|1|2|3|            fetched up to 4   <- high-water mark
+ *
+ * - Followers are just offsets: "how far into the leader's log have I copied"
+ * - The ISR (in-sync replicas) is every replica that kept up within
+ *   replicaLagTimeMaxMs; a follower that falls behind is dropped from it
+ * - The HIGH-WATER MARK is the lowest log end offset in the ISR - only
+ *   records every in-sync replica holds are visible to consumers
+ *
+ * 📬 What the producer's `acks` buys:
+ *
+ *   acks=0    don't wait at all        fastest, a failed send is never noticed
+ *   acks=1    the leader appended it   lost if the leader dies before followers copy it
+ *   acks=all  every ISR member has it  survives any clean leader election
+ *
+ * 💥 killBroker() takes a broker down. Its partitions elect a new leader from
+ * the surviving ISR members; the new leader's copy is the truth, so records
+ * only the old leader had are truncated away. With no ISR member left the
+ * partition goes OFFLINE - unless uncleanLeaderElection lets an out-of-sync
+ * replica take over and lose committed data.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - acks=all with one replica in the ISR is no safer than acks=1 -
+ *   minInsyncReplicas is what stops that
+ * - "Written to the leader" is not "committed": consumers only ever read up
+ *   to the high-water mark
+ * - A dead follower slows acks=all down until it leaves the ISR
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * 👑 NOT LEADER OR FOLLOWER - The partition has no leader right now
+ * (offline, or mid-election). Retriable: a new leader will turn up.
+ */
+class NotLeaderOrFollowerError extends Error {
+  constructor(topic, partition, reason) {
+    super(`No leader for ${topic}:${partition} (${reason})`);
+    this.name = 'NotLeaderOrFollowerError';
+    this.code = 'NOT_LEADER_OR_FOLLOWER';
+    this.topic = topic;
+    this.partition = partition;
+  }
+}
+
+/**
+ * 🧮 NOT ENOUGH REPLICAS - acks=all refused: the ISR is smaller than minInsyncReplicas
+ */
+class NotEnoughReplicasError extends Error {
+  constructor(topic, partition, isrSize, minInsyncReplicas) {
+    super(`${topic}:${partition} has ${isrSize} in-sync replicas, acks=all needs at least ${minInsyncReplicas}`);
+    this.name = 'NotEnoughReplicasError';
+    this.code = 'NOT_ENOUGH_REPLICAS';
+    this.topic = topic;
+    this.partition = partition;
+    this.isrSize = isrSize;
+    this.minInsyncReplicas = minInsyncReplicas;
+  }
+}
+
+/**
+ * ⏰ REQUEST TIMED OUT - acks=all waited too long for the followers
+ */
+class RequestTimedOutError extends Error {
+  constructor(topic, partition, offset, timeoutMs) {
+    super(`Offset ${offset} of ${topic}:${partition} was not replicated within ${timeoutMs}ms`);
+    this.name = 'RequestTimedOutError';
+    this.code = 'REQUEST_TIMED_OUT';
+    this.topic = topic;
+    this.partition = partition;
+    this.offset = offset;
+  }
+}
+
+// 0 | 1 | 'all' - also accepts Kafka's -1 and string forms
+function normalizeAcks(acks) {
+  if (acks === 'all' || acks === -1 || acks === '-1') return 'all';
+  if (acks === 0 || acks === '0') return 0;
+  if (acks === 1 || acks === '1') return 1;
+  throw new Error(`Invalid acks '${acks}' - expected 0, 1 or 'all'`);
+}
+
+/**
+ * 🗄️ REPLICA MANAGER - Brokers, leaders, ISRs and high-water marks
+ *
+ * Works on the bus's partition objects ({ id, log, highWaterMark }) and
+ * keeps its own state under partition.replication. Emits:
+ *   'highWatermark'  { topic, partition, highWaterMark }
+ *   'leaderElected'  { topic, partition, leader, leaderEpoch, unclean, truncatedRecords }
+ *   'isrChanged'     { topic, partition, isr }
+ *   'brokerStopped' / 'brokerStarted'  { brokerId }
+ */
+class ReplicaManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      brokerCount: options.brokerCount || 1,
+      replicaLagMs: options.replicaLagMs !== undefined ? options.replicaLagMs : 10, // How long a follower takes to copy new records
+      replicaLagTimeMaxMs: options.replicaLagTimeMaxMs || 10000, // Behind for longer than this = out of the ISR
+      uncleanLeaderElection: options.uncleanLeaderElection || false,
+      // Called after a log was cut back, before the partition takes writes again
+      onTruncated: options.onTruncated || (async () => {})
+    };
+
+    this.brokers = new Map(); // brokerId -> { id, alive, lagMs }
+    for (let id = 0; id < this.config.brokerCount; id++) {
+      this.brokers.set(id, { id, alive: true, lagMs: null });
+    }
+    this.partitions = new Map(); // topic:partition -> partition
+  }
+
+  /**
+   * 🗺️ ASSIGN REPLICAS - Spread a new partition's replicas over the brokers
+   *
+   * Partition i gets brokers i, i+1, ... (round the ring), so leadership is
+   * balanced. The first replica is the preferred leader.
+   */
+  assignReplicas(topicName, partition, replicationFactor) {
+    const replicaCount = Math.min(replicationFactor, this.config.brokerCount);
+    const replicas = [];
+    for (let i = 0; i < replicaCount; i++) {
+      replicas.push((partition.id + i) % this.config.brokerCount);
+    }
+
+    const logEndOffset = partition.log.logEndOffset;
+    partition.replication = {
+      topic: topicName,
+      replicas,
+      leader: replicas.find(id => this.brokers.get(id).alive),
+      leaderEpoch: 0,
+      isr: replicas.filter(id => this.brokers.get(id).alive),
+      followerOffsets: new Map(replicas.map(id => [id, logEndOffset])), // Log end offset each follower has copied
+      lastCaughtUpAt: new Map(replicas.map(id => [id, Date.now()])),
+      fetchTimers: new Map(), // brokerId -> pending fetch
+      waiters: [] // acks=all sends: { offset, resolve, reject, timer }
+    };
+    if (partition.replication.leader === undefined) {
+      partition.replication.leader = -1;
+    }
+    partition.highWaterMark = logEndOffset;
+
+    this.partitions.set(`${topicName}:${partition.id}`, partition);
+    return partition.replication;
+  }
+
+  isAvailable(partition) {
+    return partition.replication.leader !== -1;
+  }
+
+  /**
+   * ✅ CHECK APPEND - Can this partition take a write with these acks?
+   */
+  checkAppend(partition, acks, minInsyncReplicas) {
+    const state = partition.replication;
+    if (state.leader === -1) {
+      throw new NotLeaderOrFollowerError(state.topic, partition.id, state.electing ? 'leader election in progress' : 'partition offline');
+    }
+    if (acks === 'all' && state.isr.length < minInsyncReplicas) {
+      throw new NotEnoughReplicasError(state.topic, partition.id, state.isr.length, minInsyncReplicas);
+    }
+  }
+
+  /**
+   * ✍️ LEADER APPENDED - Followers have something new to fetch
+   *
+   * A follower that had everything up to this append was caught up until
+   * now - its lag clock only starts ticking here.
+   */
+  onLeaderAppend(partition, previousLogEndOffset) {
+    const state = partition.replication;
+    const now = Date.now();
+    for (const brokerId of state.replicas) {
+      if (brokerId === state.leader) continue;
+
+      if (state.followerOffsets.get(brokerId) >= previousLogEndOffset) {
+        state.lastCaughtUpAt.set(brokerId, now);
+      }
+      this.scheduleFetch(partition, brokerId);
+    }
+    this.updateHighWatermark(partition);
+  }
+
+  // 📥 Simulated follower fetch: after the broker's lag, copy up to the leader's log end
+  scheduleFetch(partition, brokerId) {
+    const state = partition.replication;
+    const broker = this.brokers.get(brokerId);
+    if (!broker.alive || state.fetchTimers.has(brokerId)) return;
+
+    const lagMs = broker.lagMs !== null ? broker.lagMs : this.config.replicaLagMs;
+    state.fetchTimers.set(brokerId, setTimeout(() => {
+      state.fetchTimers.delete(brokerId);
+      this.followerFetch(partition, brokerId);
+    }, lagMs));
+  }
+
+  followerFetch(partition, brokerId) {
+    const state = partition.replication;
+    if (state.leader === -1 || !this.brokers.get(brokerId).alive) return;
+
+    state.followerOffsets.set(brokerId, partition.log.logEndOffset);
+    state.lastCaughtUpAt.set(brokerId, Date.now());
+
+    // 🤝 A caught-up follower (back from the dead, or no longer slow) rejoins the ISR
+    if (!state.isr.includes(brokerId)) {
+      state.isr.push(brokerId);
+      console.log(`🤝 Broker ${brokerId} rejoined the ISR of ${state.topic}:${partition.id}`);
+      this.emit('isrChanged', { topic: state.topic, partition: partition.id, isr: state.isr.slice() });
+    }
+
+    this.updateHighWatermark(partition);
+  }
+
+  logEndOffsetOf(partition, brokerId) {
+    return brokerId === partition.replication.leader
+      ? partition.log.logEndOffset
+      : partition.replication.followerOffsets.get(brokerId);
+  }
+
+  /**
+   * 🌊 HIGH-WATER MARK - Lowest log end offset in the ISR (it only moves forward)
+   */
+  updateHighWatermark(partition) {
+    const state = partition.replication;
+    if (state.leader === -1) return;
+
+    const highWaterMark = Math.min(...state.isr.map(brokerId => this.logEndOffsetOf(partition, brokerId)));
+    if (highWaterMark <= partition.highWaterMark) return;
+
+    partition.highWaterMark = highWaterMark;
+    this.settleWaiters(partition);
+    this.emit('highWatermark', { topic: state.topic, partition: partition.id, highWaterMark });
+  }
+
+  /**
+   * ⏳ WAIT FOR REPLICATION - acks=all resolves once the HW passes `offset`
+   */
+  waitForReplication(partition, offset, timeoutMs) {
+    if (partition.highWaterMark > offset) return Promise.resolve();
+
+    const state = partition.replication;
+    return new Promise((resolve, reject) => {
+      const waiter = { offset, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        state.waiters = state.waiters.filter(other => other !== waiter);
+        reject(new RequestTimedOutError(state.topic, partition.id, offset, timeoutMs));
+      }, timeoutMs);
+      state.waiters.push(waiter);
+    });
+  }
+
+  settleWaiters(partition, truncatedTo = Infinity) {
+    const state = partition.replication;
+    state.waiters = state.waiters.filter(waiter => {
+      if (waiter.offset >= truncatedTo) {
+        clearTimeout(waiter.timer);
+        waiter.reject(new NotLeaderOrFollowerError(state.topic, partition.id, `offset ${waiter.offset} was lost in a leader election`));
+        return false;
+      }
+      if (waiter.offset < partition.highWaterMark) {
+        clearTimeout(waiter.timer);
+        waiter.resolve();
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * 🐢 ISR CHECK - Drop followers that haven't caught up for replicaLagTimeMaxMs
+   */
+  checkReplicaLag(now = Date.now()) {
+    for (const partition of this.partitions.values()) {
+      const state = partition.replication;
+      if (state.leader === -1) continue;
+
+      const lagging = state.isr.filter(brokerId =>
+        brokerId !== state.leader &&
+        state.followerOffsets.get(brokerId) < partition.log.logEndOffset &&
+        now - state.lastCaughtUpAt.get(brokerId) > this.config.replicaLagTimeMaxMs
+      );
+      if (lagging.length === 0) continue;
+
+      state.isr = state.isr.filter(brokerId => !lagging.includes(brokerId));
+      console.log(`🐢 Broker(s) ${lagging.join(', ')} fell behind on ${state.topic}:${partition.id} - ISR is now [${state.isr.join(', ')}]`);
+      this.emit('isrChanged', { topic: state.topic, partition: partition.id, isr: state.isr.slice() });
+      this.updateHighWatermark(partition); // Fewer replicas to wait for
+    }
+  }
+
+  /**
+   * 💥 KILL BROKER - Take a broker down and fail over its partitions
+   *
+   * The (simulated) controller notices straight away: the broker leaves
+   * every ISR, and partitions it led elect a new leader.
+   */
+  async killBroker(brokerId) {
+    const broker = this.getBroker(brokerId);
+    if (!broker.alive) return;
+
+    broker.alive = false;
+    console.log(`💥 Broker ${brokerId} is down`);
+    this.emit('brokerStopped', { brokerId });
+
+    for (const partition of this.partitions.values()) {
+      const state = partition.replication;
+      if (!state.replicas.includes(brokerId)) continue;
+
+      clearTimeout(state.fetchTimers.get(brokerId));
+      state.fetchTimers.delete(brokerId);
+
+      if (state.leader === brokerId) {
+        state.followerOffsets.set(brokerId, partition.log.logEndOffset); // What the old leader had
+        await this.electLeader(partition, brokerId);
+      } else if (state.isr.includes(brokerId)) {
+        state.isr = state.isr.filter(id => id !== brokerId);
+        this.emit('isrChanged', { topic: state.topic, partition: partition.id, isr: state.isr.slice() });
+        this.updateHighWatermark(partition);
+      }
+    }
+  }
+
+  /**
+   * 🔌 RESTART BROKER - Bring a broker back as a follower (or as the leader
+   * of a partition that went offline waiting for it)
+   */
+  async restartBroker(brokerId) {
+    const broker = this.getBroker(brokerId);
+    if (broker.alive) return;
+
+    broker.alive = true;
+    console.log(`🔌 Broker ${brokerId} is back`);
+    this.emit('brokerStarted', { brokerId });
+
+    for (const partition of this.partitions.values()) {
+      const state = partition.replication;
+      if (!state.replicas.includes(brokerId)) continue;
+
+      const canLead = state.isr.includes(brokerId) || this.config.uncleanLeaderElection;
+      if (state.leader === -1 && !state.electing && canLead) {
+        await this.electLeader(partition, null);
+        continue;
+      }
+
+      // 📉 Like Kafka, a returning follower drops anything past the high-water mark and refetches
+      state.followerOffsets.set(brokerId, Math.min(state.followerOffsets.get(brokerId), partition.highWaterMark));
+      this.scheduleFetch(partition, brokerId);
+    }
+  }
+
+  /**
+   * 🗳️ ELECT LEADER - Pick the first live ISR member (in preferred order)
+   *
+   * The new leader's log is the truth: anything past its log end offset is
+   * truncated, and acks=all sends waiting on those records fail (retriably).
+   * With no live ISR member, uncleanLeaderElection decides between staying
+   * offline and promoting an out-of-sync replica.
+   */
+  async electLeader(partition, failedLeader) {
+    const state = partition.replication;
+    const alive = brokerId => this.brokers.get(brokerId).alive;
+
+    let unclean = false;
+    let candidate = state.replicas.find(brokerId => alive(brokerId) && state.isr.includes(brokerId));
+    if (candidate === undefined && this.config.uncleanLeaderElection) {
+      candidate = state.replicas.find(alive);
+      unclean = candidate !== undefined;
+    }
+
+    if (candidate === undefined) {
+      // 🚫 Offline: the ISR keeps the last leader, who is the only one allowed back
+      state.leader = -1;
+      if (failedLeader !== null) {
+        state.isr = [failedLeader];
+      }
+      console.log(`🚫 ${state.topic}:${partition.id} is offline - no in-sync replica left to lead it`);
+      this.emit('leaderElected', { topic: state.topic, partition: partition.id, leader: -1, leaderEpoch: state.leaderEpoch, unclean: false, truncatedRecords: 0 });
+      return;
+    }
+
+    // ✂️ Cut the log back to what the new leader actually has
+    state.leader = -1;
+    state.electing = true;
+    const newLogEndOffset = state.followerOffsets.get(candidate);
+    let truncatedRecords = 0;
+    if (newLogEndOffset < partition.log.logEndOffset) {
+      truncatedRecords = await partition.log.truncateTo(newLogEndOffset);
+      await this.config.onTruncated(partition, newLogEndOffset);
+    }
+    for (const [brokerId, offset] of state.followerOffsets) {
+      state.followerOffsets.set(brokerId, Math.min(offset, newLogEndOffset));
+    }
+    if (partition.highWaterMark > newLogEndOffset) {
+      partition.highWaterMark = newLogEndOffset; // Only an unclean election can lose committed records
+    }
+    this.settleWaiters(partition, newLogEndOffset);
+
+    state.electing = false;
+    state.leader = candidate;
+    state.leaderEpoch++;
+    state.isr = unclean ? [candidate] : state.isr.filter(brokerId => alive(brokerId));
+
+    const lostNote = truncatedRecords > 0 ? `, ${truncatedRecords} unreplicated records lost` : '';
+    console.log(`🗳️ Broker ${candidate} leads ${state.topic}:${partition.id} (epoch ${state.leaderEpoch}${unclean ? ', UNCLEAN' : ''}${lostNote})`);
+    this.emit('leaderElected', {
+      topic: state.topic,
+      partition: partition.id,
+      leader: candidate,
+      leaderEpoch: state.leaderEpoch,
+      unclean,
+      truncatedRecords
+    });
+    this.emit('isrChanged', { topic: state.topic, partition: partition.id, isr: state.isr.slice() });
+
+    for (const brokerId of state.replicas) {
+      if (brokerId !== candidate) this.scheduleFetch(partition, brokerId);
+    }
+    this.updateHighWatermark(partition);
+  }
+
+  // 🐢 Simulate a slow broker (null = back to replicaLagMs); pending fetches use the new lag
+  setBrokerLag(brokerId, lagMs) {
+    this.getBroker(brokerId).lagMs = lagMs;
+
+    for (const partition of this.partitions.values()) {
+      const state = partition.replication;
+      if (!state.fetchTimers.has(brokerId)) continue;
+
+      clearTimeout(state.fetchTimers.get(brokerId));
+      state.fetchTimers.delete(brokerId);
+      this.scheduleFetch(partition, brokerId);
+    }
+  }
+
+  getBroker(brokerId) {
+    const broker = this.brokers.get(brokerId);
+    if (!broker) {
+      throw new Error(`Broker ${brokerId} does not exist (brokers 0-${this.config.brokerCount - 1})`);
+    }
+    return broker;
+  }
+
+  describePartition(partition) {
+    const state = partition.replication;
+    return {
+      leader: state.leader,
+      leaderEpoch: state.leaderEpoch,
+      replicas: state.replicas.slice(),
+      isr: state.isr.slice(),
+      offline: state.leader === -1
+    };
+  }
+
+  describeCluster() {
+    const partitions = Array.from(this.partitions.values(), partition => partition.replication);
+    return {
+      brokers: Array.from(this.brokers.values(), ({ id, alive, lagMs }) => ({
+        id,
+        alive,
+        lagMs: lagMs !== null ? lagMs : this.config.replicaLagMs,
+        leaderFor: partitions.filter(state => state.leader === id).length
+      })),
+      underReplicatedPartitions: partitions.filter(state => state.leader !== -1 && state.isr.length < state.replicas.length).length,
+      offlinePartitions: partitions.filter(state => state.leader === -1).length
+    };
+  }
+
+  /**
+   * 🗑️ REMOVE PARTITION - Forget a deleted topic's partition
+   *
+   * Follower fetches stop and acks=all sends still waiting fail (retriable -
+   * but the retry will find the topic gone).
+   */
+  removePartition(partition) {
+    const state = partition.replication;
+    state.fetchTimers.forEach(timer => clearTimeout(timer));
+    state.fetchTimers.clear();
+    state.waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new NotLeaderOrFollowerError(state.topic, partition.id, 'topic deleted'));
+    });
+    state.waiters = [];
+    this.partitions.delete(`${state.topic}:${partition.id}`);
+  }
+
+  close() {
+    for (const partition of this.partitions.values()) {
+      const state = partition.replication;
+      state.fetchTimers.forEach(timer => clearTimeout(timer));
+      state.fetchTimers.clear();
+      state.waiters.forEach(waiter => clearTimeout(waiter.timer));
+      state.waiters = [];
+    }
+  }
+}
+
+module.exports = {
+  ReplicaManager,
+  NotLeaderOrFollowerError,
+  NotEnoughReplicasError,
+  RequestTimedOutError,
+  normalizeAcks
+};
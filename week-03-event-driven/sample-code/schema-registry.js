@@ -0,0 +1,425 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 3 SCHEMA REGISTRY
+ * "Approved Memo Templates Only"
+ *
+ * 📐 Messages are plain JS objects, so a producer typo (`cpuUsgae`) sails
+ * straight through the bus and breaks consumers far away. The registry keeps
+ * versioned JSON Schemas per *subject* - `<topic>-value`, Kafka's
+ * TopicNameStrategy - and every record carries the ID of the schema it was
+ * written with in its `x-schema-id` header:
+ *
+ *   producer  validate against the subject's latest schema → stamp x-schema-id
+ *   consumer  look up the writer's schema by ID → upcast to the latest version
+ *
+ * 🔀 COMPATIBILITY - checked when a new version is registered:
+ *   BACKWARD  new schema can read data written with the previous one (default)
+ *   FORWARD   previous schema can read data written with the new one
+ *   FULL      both
+ *   *_TRANSITIVE  ...against every earlier version, not just the latest
+ *   NONE      anything goes
+ *
+ * 🧩 Supported JSON Schema keywords: type, enum, properties, required,
+ * additionalProperties, items, minimum, maximum, minLength, maxLength, default.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Adding a required field without a default breaks BACKWARD compatibility
+ *   (old records don't have it); removing one breaks FORWARD
+ * - Schema IDs are global and never reused, versions are per subject
+ * - Consumers must never upcast in place - the log's records are shared
+ */
+
+const COMPATIBILITY_LEVELS = [
+  'NONE',
+  'BACKWARD',
+  'BACKWARD_TRANSITIVE',
+  'FORWARD',
+  'FORWARD_TRANSITIVE',
+  'FULL',
+  'FULL_TRANSITIVE'
+];
+
+const SCHEMA_ID_HEADER = 'x-schema-id';
+
+const subjectForTopic = topic => `${topic}-value`;
+
+/**
+ * 🚫 SCHEMA VALIDATION - A record doesn't match the schema it claims
+ */
+class SchemaValidationError extends Error {
+  constructor(subject, schemaId, errors) {
+    super(`Record for '${subject}' does not match schema ${schemaId}: ${errors.join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.code = 'INVALID_RECORD';
+    this.subject = subject;
+    this.schemaId = schemaId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * 🔀 INCOMPATIBLE SCHEMA - Registering this version would break readers or writers
+ */
+class IncompatibleSchemaError extends Error {
+  constructor(subject, compatibility, problems) {
+    super(`Schema is not ${compatibility} compatible with '${subject}': ${problems.join('; ')}`);
+    this.name = 'IncompatibleSchemaError';
+    this.code = 'INCOMPATIBLE_SCHEMA';
+    this.subject = subject;
+    this.compatibility = compatibility;
+    this.problems = problems;
+  }
+}
+
+/**
+ * 🔍 SCHEMA NOT FOUND - Unknown schema ID, subject or version
+ */
+class SchemaNotFoundError extends Error {
+  constructor(description) {
+    super(`Schema not found: ${description}`);
+    this.name = 'SchemaNotFoundError';
+    this.code = 'SCHEMA_NOT_FOUND';
+  }
+}
+
+// 🔤 Key-order-independent JSON, so re-registering the same schema is a no-op
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function typesOf(schema) {
+  if (schema.type === undefined) return null; // Any type
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function typeOfValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(types, valueType) {
+  return types.includes(valueType) || (valueType === 'integer' && types.includes('number'));
+}
+
+/**
+ * ✅ VALIDATE - Every way `value` breaks `schema`, as "path: problem" strings
+ */
+function validateValue(schema, value, path = '$') {
+  const errors = [];
+  const types = typesOf(schema);
+  const valueType = typeOfValue(value);
+
+  if (types && !typeMatches(types, valueType)) {
+    errors.push(`${path}: expected ${types.join(' | ')}, got ${valueType}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => canonicalJson(allowed) === canonicalJson(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+  }
+
+  if (valueType === 'integer' || valueType === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (valueType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+  }
+
+  if (valueType === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${path}.${field}: is required`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === undefined) continue;
+      if (properties[field]) {
+        errors.push(...validateValue(properties[field], fieldValue, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateValue(schema.additionalProperties, fieldValue, `${path}.${field}`));
+      }
+    }
+  }
+
+  if (valueType === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * 🔀 CAN READ - Problems a `reader` schema would have with data valid under `writer`
+ */
+function readProblems(reader, writer, path = '$') {
+  const problems = [];
+  const readerTypes = typesOf(reader);
+  const writerTypes = typesOf(writer);
+
+  if (readerTypes) {
+    const unreadable = writerTypes
+      ? writerTypes.filter(type => !typeMatches(readerTypes, type))
+      : ['any type'];
+    if (unreadable.length > 0) {
+      problems.push(`${path}: reader expects ${readerTypes.join(' | ')} but writer allows ${unreadable.join(' | ')}`);
+      return problems;
+    }
+  }
+
+  if (reader.enum) {
+    const missing = writer.enum
+      ? writer.enum.filter(value => !reader.enum.some(allowed => canonicalJson(allowed) === canonicalJson(value)))
+      : ['values outside the enum'];
+    if (missing.length > 0) {
+      problems.push(`${path}: reader enum does not accept ${missing.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+  }
+
+  if (reader.properties || writer.properties) {
+    const readerProperties = reader.properties || {};
+    const writerProperties = writer.properties || {};
+    const writerRequired = new Set(writer.required || []);
+
+    for (const field of reader.required || []) {
+      const hasDefault = readerProperties[field] && readerProperties[field].default !== undefined;
+      if (!writerRequired.has(field) && !hasDefault) {
+        problems.push(`${path}.${field}: required by reader, may be missing from writer's records (add a default)`);
+      }
+    }
+
+    for (const [field, writerField] of Object.entries(writerProperties)) {
+      if (readerProperties[field]) {
+        problems.push(...readProblems(readerProperties[field], writerField, `${path}.${field}`));
+      } else if (reader.additionalProperties === false) {
+        problems.push(`${path}.${field}: written by writer but not allowed by reader`);
+      } else if (reader.additionalProperties && typeof reader.additionalProperties === 'object') {
+        problems.push(...readProblems(reader.additionalProperties, writerField, `${path}.${field}`));
+      }
+    }
+  }
+
+  if (reader.items && writer.items) {
+    problems.push(...readProblems(reader.items, writer.items, `${path}[]`));
+  }
+
+  return problems;
+}
+
+/**
+ * ⬆️ APPLY DEFAULTS - A copy of `value` with the schema's defaults filled in
+ */
+function applyDefaults(schema, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || !schema.properties) {
+    return value;
+  }
+
+  const result = { ...value };
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    if (result[field] === undefined) {
+      if (fieldSchema.default !== undefined) {
+        result[field] = JSON.parse(JSON.stringify(fieldSchema.default));
+      }
+    } else {
+      result[field] = applyDefaults(fieldSchema, result[field]);
+    }
+  }
+  return result;
+}
+
+/**
+ * ⬆️ UPCAST - Bring a value written with `writerVersion` up to `reader`
+ *
+ * `upcasters` maps a version number to a function turning a value of that
+ * version into one of the next (renames, unit changes...). Whatever the
+ * upcasters leave missing is filled from the reader schema's defaults.
+ */
+function upcastValue(value, writerVersion, reader, upcasters = {}) {
+  let current = value;
+  for (let version = writerVersion; version < reader.version; version++) {
+    if (upcasters[version]) {
+      current = upcasters[version](current);
+    }
+  }
+  return applyDefaults(reader.schema, current);
+}
+
+/**
+ * 📚 SCHEMA REGISTRY
+ */
+class SchemaRegistry {
+  constructor(options = {}) {
+    this.config = {
+      defaultCompatibility: options.defaultCompatibility || 'BACKWARD',
+      ...options
+    };
+
+    this.subjects = new Map(); // subject -> { compatibility, versions: [{ id, subject, version, schema }] }
+    this.schemasById = new Map(); // id -> { id, subject, version, schema }
+    this.nextId = 1;
+  }
+
+  getOrCreateSubject(subject) {
+    if (!this.subjects.has(subject)) {
+      this.subjects.set(subject, { compatibility: null, versions: [] });
+    }
+    return this.subjects.get(subject);
+  }
+
+  /**
+   * 📝 REGISTER - Add a new version (or return the existing identical one)
+   */
+  register(subject, schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error(`Schema for '${subject}' must be a JSON Schema object`);
+    }
+
+    const existing = this.findVersion(subject, schema);
+    if (existing) return existing;
+
+    const { compatible, compatibility, problems } = this.checkCompatibility(subject, schema);
+    if (!compatible) {
+      throw new IncompatibleSchemaError(subject, compatibility, problems);
+    }
+
+    const entry = this.getOrCreateSubject(subject);
+    const registered = {
+      id: this.nextId++,
+      subject,
+      version: entry.versions.length + 1,
+      schema: JSON.parse(JSON.stringify(schema)) // Frozen in time - later edits to the caller's object don't leak in
+    };
+    entry.versions.push(registered);
+    this.schemasById.set(registered.id, registered);
+
+    console.log(`📐 Registered schema '${subject}' v${registered.version} (id ${registered.id})`);
+    return registered;
+  }
+
+  findVersion(subject, schema) {
+    const entry = this.subjects.get(subject);
+    if (!entry) return null;
+
+    const canonical = canonicalJson(schema);
+    return entry.versions.find(version => canonicalJson(version.schema) === canonical) || null;
+  }
+
+  /**
+   * 🔀 CHECK COMPATIBILITY - Would `schema` be accepted as the subject's next version?
+   */
+  checkCompatibility(subject, schema) {
+    const compatibility = this.getCompatibility(subject);
+    const entry = this.subjects.get(subject);
+    const versions = entry ? entry.versions : [];
+
+    if (compatibility === 'NONE' || versions.length === 0) {
+      return { compatible: true, compatibility, problems: [] };
+    }
+
+    const against = compatibility.endsWith('_TRANSITIVE') ? versions : versions.slice(-1);
+    const level = compatibility.replace('_TRANSITIVE', '');
+    const problems = [];
+
+    for (const previous of against) {
+      const label = `v${previous.version}`;
+      if (level === 'BACKWARD' || level === 'FULL') {
+        problems.push(...readProblems(schema, previous.schema).map(problem => `reading ${label} data: ${problem}`));
+      }
+      if (level === 'FORWARD' || level === 'FULL') {
+        problems.push(...readProblems(previous.schema, schema).map(problem => `${label} reading new data: ${problem}`));
+      }
+    }
+
+    return { compatible: problems.length === 0, compatibility, problems };
+  }
+
+  setCompatibility(subject, compatibility) {
+    if (!COMPATIBILITY_LEVELS.includes(compatibility)) {
+      throw new Error(`Unknown compatibility level '${compatibility}' - expected one of: ${COMPATIBILITY_LEVELS.join(', ')}`);
+    }
+    this.getOrCreateSubject(subject).compatibility = compatibility;
+    return compatibility;
+  }
+
+  getCompatibility(subject) {
+    const entry = this.subjects.get(subject);
+    return (entry && entry.compatibility) || this.config.defaultCompatibility;
+  }
+
+  /**
+   * 🔍 LOOKUPS
+   */
+  getSchemaById(id) {
+    const schema = this.schemasById.get(Number(id));
+    if (!schema) throw new SchemaNotFoundError(`id ${id}`);
+    return schema;
+  }
+
+  getLatestSchema(subject) {
+    const entry = this.subjects.get(subject);
+    return entry && entry.versions.length > 0 ? entry.versions[entry.versions.length - 1] : null;
+  }
+
+  getSchema(subject, version) {
+    const entry = this.subjects.get(subject);
+    const schema = entry && entry.versions[version - 1];
+    if (!schema) throw new SchemaNotFoundError(`'${subject}' v${version}`);
+    return schema;
+  }
+
+  getSubjects() {
+    return Array.from(this.subjects.keys()).filter(subject => this.subjects.get(subject).versions.length > 0);
+  }
+
+  getVersions(subject) {
+    const entry = this.subjects.get(subject);
+    return entry ? entry.versions.map(({ version }) => version) : [];
+  }
+
+  /**
+   * 💾 PERSISTENCE - Plain JSON snapshot (the bus writes it to schemas.json)
+   */
+  toJSON() {
+    return {
+      nextId: this.nextId,
+      subjects: Object.fromEntries(Array.from(this.subjects, ([subject, { compatibility, versions }]) => [
+        subject,
+        { compatibility, versions: versions.map(({ id, version, schema }) => ({ id, version, schema })) }
+      ]))
+    };
+  }
+
+  load({ nextId, subjects }) {
+    this.subjects.clear();
+    this.schemasById.clear();
+
+    for (const [subject, { compatibility, versions }] of Object.entries(subjects || {})) {
+      const entry = { compatibility, versions: versions.map(version => ({ ...version, subject })) };
+      this.subjects.set(subject, entry);
+      entry.versions.forEach(version => this.schemasById.set(version.id, version));
+    }
+    this.nextId = nextId || this.schemasById.size + 1;
+  }
+}
+
+module.exports = {
+  SchemaRegistry,
+  SchemaValidationError,
+  IncompatibleSchemaError,
+  SchemaNotFoundError,
+  COMPATIBILITY_LEVELS,
+  SCHEMA_ID_HEADER,
+  subjectForTopic,
+  validateValue,
+  upcastValue
+};
@@ -0,0 +1,63 @@
+/**
+ * 🧪 CRASH RECOVERY - A persisted bus picks up where it left off
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+
+console.log = () => {}; // The bus narrates every step
+
+async function createDataDir(t) {
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bus-recovery-'));
+  t.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+async function openBus(dataDir) {
+  const bus = new AlgoCraticMessageBus({ persistToDisk: true, dataDir });
+  await bus.ready;
+  return bus;
+}
+
+test('topics, high-water marks and committed offsets survive a restart', async (t) => {
+  const dataDir = await createDataDir(t);
+  const first = await openBus(dataDir);
+  await first.createTopic('orders', { partitionCount: 2 });
+  await first.createTopic('refunds', { partitionCount: 1 }); // Stays empty
+
+  const producer = await first.createProducer('order-service');
+  for (const orderId of [1, 2, 3]) {
+    await producer.send('orders', { orderId }, { partition: 0 });
+  }
+  await producer.send('orders', { orderId: 4 }, { partition: 1 });
+
+  const consumer = await first.createConsumer('billing', { autoCommit: false });
+  await consumer.subscribe(['orders']);
+  await consumer.commitSync([{ topic: 'orders', partition: 0, offset: 1 }]);
+  await consumer.close();
+  await first.close();
+
+  const second = await openBus(dataDir);
+  assert.deepEqual(Array.from(second.topics.keys()).sort(), ['orders', 'refunds']);
+  assert.deepEqual(second.topics.get('orders').partitions.map(partition => partition.highWaterMark), [3, 1]);
+  assert.equal(second.topics.get('refunds').partitions.length, 1);
+
+  // billing committed through offset 1 of partition 0 - it resumes at 2, not 0
+  const resumed = await second.createConsumer('billing', { autoCommit: false });
+  await resumed.subscribe(['orders']);
+  const messages = await resumed.poll();
+  assert.deepEqual(messages.map(message => message.value.orderId).sort(), [3, 4]);
+
+  // New writes continue the offsets instead of overwriting them
+  const sent = await (await second.createProducer('order-service-2')).send('orders', { orderId: 5 }, { partition: 0 });
+  assert.equal(sent.offset, 3);
+
+  await resumed.close();
+  await second.close();
+});
@@ -0,0 +1,32 @@
+/**
+ * 🧪 DEAD LETTER QUEUE - Inspecting what consumers gave up on
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+
+console.log = () => {}; // The bus narrates every step
+
+test('getDeadLetters reads one partition from an offset, or all of them from the start', async (t) => {
+  const bus = new AlgoCraticMessageBus();
+  t.after(() => bus.close());
+  await bus.createTopic('orders.DLQ', { partitionCount: 2 });
+
+  const producer = await bus.createProducer('dlq-writer');
+  for (const orderId of [1, 2, 3]) {
+    await producer.send('orders.DLQ', { orderId }, { partition: 0 });
+  }
+  await producer.send('orders.DLQ', { orderId: 4 }, { partition: 1 });
+
+  const fromPartition = await bus.getDeadLetters('orders', { partition: 0, fromOffset: 1 });
+  assert.deepEqual(fromPartition.map(entry => entry.value.orderId), [2, 3]);
+
+  // fromOffset is per partition - without one it must not skip records
+  const everything = await bus.getDeadLetters('orders', { fromOffset: 1 });
+  assert.deepEqual(everything.map(entry => entry.value.orderId).sort(), [1, 2, 3, 4]);
+
+  await assert.rejects(bus.getDeadLetters('orders', { partition: 5 }), /Partition orders\.DLQ:5 does not exist/);
+});
@@ -0,0 +1,77 @@
+/**
+ * 🧪 REST GATEWAY - Request validation in front of the message bus
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBusGateway } = require('../sample-code/message-bus-gateway');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+
+console.log = () => {}; // The gateway and bus narrate every step
+
+async function startGateway(t) {
+  const messageBus = new AlgoCraticMessageBus();
+  await messageBus.createTopic('orders', { partitionCount: 2 });
+  const gateway = new MessageBusGateway({ port: 0, messageBus });
+  await gateway.start();
+  t.after(async () => {
+    await gateway.stop();
+    await messageBus.close();
+  });
+
+  const baseUrl = `http://127.0.0.1:${gateway.server.address().port}`;
+  const call = async (method, url, body) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: body === undefined ? {} : { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { gateway, call };
+}
+
+test('records must be objects with integer partitions', async (t) => {
+  const { call } = await startGateway(t);
+
+  assert.equal((await call('POST', '/topics/orders/records', { records: [null] })).status, 400);
+  assert.equal((await call('POST', '/topics/orders/records', { records: [42] })).status, 400);
+  assert.equal((await call('POST', '/topics/orders/records', { value: 1, partition: '1' })).status, 400);
+
+  const sent = await call('POST', '/topics/orders/records', { records: [{ value: { id: 1 }, partition: 1 }] });
+  assert.equal(sent.status, 200);
+  assert.deepEqual(sent.body.offsets, [{ topic: 'orders', partition: 1, offset: 0 }]);
+});
+
+test('partition, offset and limit must be non-negative integers', async (t) => {
+  const { call } = await startGateway(t);
+
+  for (const url of [
+    '/topics/orders/partitions/x/records',
+    '/topics/orders/partitions/1/records?offset=abc',
+    '/topics/orders/partitions/1/records?limit=-1',
+    '/topics/orders/stream?partition=1.5',
+    '/topics/orders/stream?from=soon'
+  ]) {
+    const { status, body } = await call('GET', url);
+    assert.equal(status, 400, url);
+    assert.match(body.error, /must be a non-negative integer/);
+  }
+  assert.equal((await call('GET', '/topics/orders/stream?partition=7')).status, 404);
+});
+
+test('consumer instances need a list of topic names', async (t) => {
+  const { gateway, call } = await startGateway(t);
+
+  for (const topics of ['orders', [], [''], [7]]) {
+    const { status } = await call('POST', '/consumers/billing', { topics });
+    assert.equal(status, 400, JSON.stringify(topics));
+  }
+  assert.equal(gateway.consumerInstances.size, 0, 'nothing registered for a refused request');
+
+  const created = await call('POST', '/consumers/billing', { topics: ['orders'] });
+  assert.equal(created.status, 201);
+  assert.equal((await call('POST', `${created.body.baseUri}/subscription`, { topics: 'orders' })).status, 400);
+});
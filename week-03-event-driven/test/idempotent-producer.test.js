@@ -0,0 +1,60 @@
+/**
+ * 🧪 IDEMPOTENT PRODUCER - Retries never append a record twice
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+
+console.log = () => {}; // The bus narrates every step
+
+async function createBus(t) {
+  const bus = new AlgoCraticMessageBus();
+  t.after(() => bus.close());
+  await bus.createTopic('payments', { partitionCount: 1 });
+  return bus;
+}
+
+test('the bus drops repeated sequences and rejects gaps and zombie epochs', async (t) => {
+  const bus = await createBus(t);
+  const { producerEpoch } = await bus.initProducerId('billing');
+  const publish = (sequence, epoch = producerEpoch) => bus.publishMessage('payments', { sequence }, {
+    partition: 0,
+    producerId: 'billing',
+    producerEpoch: epoch,
+    sequence
+  });
+
+  assert.deepEqual(await publish(0), { topic: 'payments', partition: 0, offset: 0 });
+  assert.deepEqual(await publish(0), { topic: 'payments', partition: 0, offset: 0, duplicate: true });
+  await assert.rejects(publish(2), { code: 'OUT_OF_ORDER_SEQUENCE_NUMBER', expectedSequence: 1 });
+  assert.equal((await publish(1)).offset, 1);
+  assert.equal(bus.topics.get('payments').partitions[0].highWaterMark, 2);
+
+  // 🧟 A restarted instance takes over - the old epoch is fenced
+  await bus.initProducerId('billing');
+  await assert.rejects(publish(2), { code: 'PRODUCER_FENCED' });
+});
+
+test('a retry of a send whose acknowledgement was lost is deduplicated', async (t) => {
+  const bus = await createBus(t);
+  const producer = await bus.createProducer('billing', { retryBackoffMs: 1 });
+
+  // 📡 The first attempt lands but its answer never arrives
+  const publishBatch = bus.publishBatch.bind(bus);
+  const attempts = [];
+  bus.publishBatch = async (topicName, batch, options) => {
+    attempts.push(options.sequence);
+    const result = await publishBatch(topicName, batch, options);
+    if (attempts.length === 1) throw new Error('Request timed out');
+    return result;
+  };
+
+  const sent = await producer.send('payments', { orderId: 42, amount: 100 }, { partition: 0 });
+  assert.deepEqual(attempts, [0, 0], 'the retry reuses the sequence number');
+  assert.equal(sent.offset, 0);
+  assert.equal(producer.duplicatesDropped, 1);
+  assert.equal((await bus.fetchRecords('payments', 0, 0)).length, 1, 'charged once');
+});
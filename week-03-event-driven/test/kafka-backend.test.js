@@ -0,0 +1,136 @@
+/**
+ * 🧪 KAFKA BACKEND - KafkaMessageBus against the in-process FakeKafka
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMessageBus } = require('../sample-code/message-bus-backends');
+const { FakeKafka } = require('../sample-code/fake-kafka-broker');
+
+console.log = () => {}; // The bus narrates every step
+
+function createKafkaBus() {
+  return createMessageBus({ backend: 'kafka', kafka: { client: new FakeKafka() } });
+}
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function consumeAll(bus, groupId, topic, options = {}) {
+  const consumer = await bus.createConsumer(groupId, options);
+  const received = [];
+  await consumer.subscribe([topic]);
+  await consumer.run({ eachMessage: async ({ message }) => { received.push(message); } });
+  return { consumer, received };
+}
+
+test('produce and consume round-trip values, keys and headers', async () => {
+  const bus = createKafkaBus();
+  await bus.createTopic('orders', { partitionCount: 2 });
+
+  const producer = await bus.createProducer('order-service');
+  const sent = await producer.send('orders', { orderId: 1 }, { key: 'customer-7', headers: { source: 'web' } });
+  await producer.sendBatch('orders', [{ value: { orderId: 2 }, key: 'customer-7' }, { value: { orderId: 3 }, key: 'customer-7' }]);
+  assert.equal(typeof sent.offset, 'number');
+
+  const { received } = await consumeAll(bus, 'billing', 'orders');
+  await waitFor(() => received.length === 3);
+
+  assert.deepEqual(received.map(message => message.value.orderId), [1, 2, 3]);
+  assert.ok(received.every(message => message.key === 'customer-7' && message.partition === sent.partition));
+  assert.deepEqual(received.map(message => message.offset), [0, 1, 2]);
+  assert.equal(received[0].headers.source, 'web');
+
+  const info = await bus.getTopicInfo('orders');
+  assert.equal(info.partitions.length, 2);
+  assert.equal(producer.getStats().messagesSent, 3);
+  await bus.close();
+});
+
+test('subscribe after run() and poll() are refused', async () => {
+  const bus = createKafkaBus();
+  await bus.createTopic('orders', { partitionCount: 1 });
+
+  const { consumer } = await consumeAll(bus, 'billing', 'orders');
+  await assert.rejects(consumer.subscribe(['orders']), /subscribe\(\) before run\(\)/);
+  assert.throws(() => consumer.poll(), /poll\(\) is not available on the Kafka backend/);
+  await bus.close();
+});
+
+test('commitSync() without offsets commits what run() processed', async () => {
+  const bus = createKafkaBus();
+  await bus.createTopic('orders', { partitionCount: 1 });
+  const producer = await bus.createProducer('order-service');
+  for (let orderId = 1; orderId <= 3; orderId++) {
+    await producer.send('orders', { orderId }, { partition: 0 });
+  }
+
+  const { consumer, received } = await consumeAll(bus, 'billing', 'orders', { autoCommit: false });
+  await waitFor(() => received.length === 3);
+  assert.deepEqual((await bus.getConsumerGroupInfo('billing')).offsets, {});
+
+  await consumer.commitSync();
+  // Kafka stores the next offset to read
+  assert.deepEqual((await bus.getConsumerGroupInfo('billing')).offsets, { 'orders:0': 3 });
+
+  await consumer.commitSync([{ topic: 'orders', partition: 0, offset: 0 }]);
+  assert.deepEqual((await bus.getConsumerGroupInfo('billing')).offsets, { 'orders:0': 1 });
+  await bus.close();
+});
+
+test('transactions: read_committed skips aborted records and stops at open ones', async () => {
+  const bus = createKafkaBus();
+  await bus.createTopic('ledger', { partitionCount: 1 });
+
+  const producer = await bus.createProducer('ledger-writer', { transactional: true });
+  await assert.rejects(producer.send('ledger', { entry: 'outside' }), /only send inside beginTransaction/);
+
+  await producer.beginTransaction();
+  await producer.send('ledger', { entry: 'aborted' }, { partition: 0 });
+  await producer.abortTransaction();
+
+  await producer.beginTransaction();
+  await producer.send('ledger', { entry: 'committed' }, { partition: 0 });
+  await producer.commitTransaction();
+
+  await producer.beginTransaction();
+  await producer.send('ledger', { entry: 'open' }, { partition: 0 });
+
+  const committed = await consumeAll(bus, 'auditors', 'ledger', { isolationLevel: 'read_committed' });
+  const uncommitted = await consumeAll(bus, 'snoops', 'ledger');
+  await waitFor(() => committed.received.length === 1 && uncommitted.received.length === 3);
+  assert.deepEqual(committed.received.map(message => message.value.entry), ['committed']);
+
+  await producer.commitTransaction();
+  await waitFor(() => committed.received.length === 2);
+  assert.deepEqual(committed.received.map(message => message.value.entry), ['committed', 'open']);
+  await bus.close();
+});
+
+test('sendOffsetsToTransaction commits group offsets only with the transaction', async () => {
+  const bus = createKafkaBus();
+  await bus.createTopic('input', { partitionCount: 1 });
+  await bus.createTopic('output', { partitionCount: 1 });
+
+  const producer = await bus.createProducer('processor', { transactional: true });
+
+  await producer.beginTransaction();
+  await producer.send('output', { result: 1 });
+  await producer.sendOffsetsToTransaction([{ topic: 'input', partition: 0, offset: 4 }], { groupId: 'processors' });
+  await producer.abortTransaction();
+  assert.deepEqual((await bus.getConsumerGroupInfo('processors')).offsets, {});
+
+  await producer.beginTransaction();
+  await producer.send('output', { result: 1 });
+  await producer.sendOffsetsToTransaction([{ topic: 'input', partition: 0, offset: 4 }], { groupId: 'processors' });
+  await producer.commitTransaction();
+  assert.deepEqual((await bus.getConsumerGroupInfo('processors')).offsets, { 'input:0': 5 });
+  await bus.close();
+});
@@ -0,0 +1,134 @@
+/**
+ * 🧪 PARTITION LOG - Segments, retention and compaction on disk
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PartitionLog } = require('../sample-code/partition-log');
+
+async function createLogDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'partition-log-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function record(key, value) {
+  return { key, value, timestamp: Date.now() };
+}
+
+test('compaction never writes back a segment retention deleted mid-pass', async (t) => {
+  const dir = await createLogDir(t);
+  // segmentBytes: 1 rolls before every append - one record per segment
+  const log = await new PartitionLog({ dir, segmentBytes: 1, maxRecords: 4 }).open();
+  for (const key of ['a', 'a', 'b', 'a']) {
+    await log.append(record(key, 'v'));
+  }
+  const firstSegmentPath = log.segments[0].logPath;
+
+  // 🧨 Retention strikes once pass 1 is done and pass 2 starts reading
+  const readSegment = log.readSegment.bind(log);
+  const segmentsInPassOne = log.segments.length;
+  let reads = 0;
+  log.readSegment = async (segment) => {
+    const records = await readSegment(segment);
+    if (++reads === segmentsInPassOne + 1) {
+      await log.append(record('c', 'v'));
+      await log.append(record('d', 'v'));
+    }
+    return records;
+  };
+
+  await log.compact();
+  await log.flush();
+  assert.equal(log.logStartOffset, 1);
+  assert.equal(fs.existsSync(firstSegmentPath), false, 'deleted segment stays deleted');
+
+  const reopened = await new PartitionLog({ dir, segmentBytes: 1, maxRecords: 4 }).open();
+  assert.equal(reopened.logStartOffset, 1);
+  assert.deepEqual((await reopened.read(1, 10)).map(entry => [entry.offset, entry.key]), [[2, 'b'], [3, 'a'], [4, 'c'], [5, 'd']]);
+});
+
+test('segments roll by size and reads seek through their sparse indexes', async (t) => {
+  const dir = await createLogDir(t);
+  const options = { dir, segmentBytes: 400, indexIntervalBytes: 100 };
+  const log = await new PartitionLog(options).open();
+  for (let i = 0; i < 30; i++) {
+    await log.append(record(`key-${i}`, 'x'.repeat(20)));
+  }
+  await log.flush();
+
+  const closed = log.segments.slice(0, -1);
+  assert.ok(closed.length >= 2, 'rolled into several segments');
+  for (const segment of closed) {
+    assert.equal(segment.records, null, 'closed segments are read from disk');
+    assert.ok(segment.index.length > 1, 'index entries every indexIntervalBytes');
+    for (const filePath of segment.filePaths) {
+      assert.ok(fs.existsSync(filePath), `${path.basename(filePath)} written`);
+    }
+  }
+
+  const offsetsOf = entries => entries.map(entry => entry.offset);
+  assert.deepEqual(offsetsOf(await log.read(17, 5)), [17, 18, 19, 20, 21]);
+  assert.deepEqual(offsetsOf(await log.read(0, 100)), Array.from({ length: 30 }, (_, i) => i));
+
+  const reopened = await new PartitionLog(options).open();
+  assert.equal(reopened.segments.length, log.segments.length);
+  assert.equal(reopened.logEndOffset, 30);
+  assert.deepEqual(await reopened.read(11, 3), await log.read(11, 3));
+  assert.equal((await reopened.append(record('key-30', 'x'))).offset, 30);
+});
+
+test('opening a log trims a torn final write and rebuilds a missing index', async (t) => {
+  t.mock.method(console, 'error', () => {}); // The torn tail is reported
+  const dir = await createLogDir(t);
+  const options = { dir, segmentBytes: 200 };
+  const log = await new PartitionLog(options).open();
+  for (let i = 0; i < 10; i++) {
+    await log.append(record(`key-${i}`, 'x'.repeat(20)));
+  }
+  await log.flush();
+  assert.ok(log.segments.length > 1);
+
+  const closedIndexPath = log.segments[0].indexPath;
+  await fs.promises.rm(closedIndexPath);
+  await fs.promises.appendFile(log.activeSegment.logPath, '{"offset":10,"key":"key-1');
+
+  const reopened = await new PartitionLog(options).open();
+  assert.equal(reopened.logEndOffset, 10);
+  assert.ok(fs.existsSync(closedIndexPath), 'index rebuilt from the segment file');
+  assert.deepEqual((await reopened.read(0, 100)).map(entry => entry.key), Array.from({ length: 10 }, (_, i) => `key-${i}`));
+  assert.equal((await reopened.append(record('key-10', 'x'))).offset, 10);
+  await reopened.flush();
+
+  const again = await new PartitionLog(options).open();
+  assert.deepEqual((await again.read(9, 10)).map(entry => entry.key), ['key-9', 'key-10']);
+});
+
+test('compaction keeps the newest record per key at its original offset', async (t) => {
+  const dir = await createLogDir(t);
+  const options = { dir, segmentBytes: 1 };
+  const log = await new PartitionLog(options).open();
+  const now = Date.now();
+  for (const [key, value] of [['alice', 'v1'], ['bob', 'v1'], [null, 'audit'], ['alice', 'v2'], ['bob', null], ['carol', 'v1']]) {
+    await log.append(record(key, value));
+  }
+
+  // 🪦 bob's tombstone is fresh - it stays so slow consumers still see the delete
+  const first = await log.compact({ deleteRetentionMs: 60 * 1000, now });
+  assert.deepEqual(first, { segmentsCleaned: 2, recordsRemoved: 2, tombstonesRemoved: 0 });
+  const entriesOf = async target => (await target.read(0, 100)).map(entry => [entry.offset, entry.key, entry.value]);
+  assert.deepEqual(await entriesOf(log), [[2, null, 'audit'], [3, 'alice', 'v2'], [4, 'bob', null], [5, 'carol', 'v1']]);
+
+  const second = await log.compact({ deleteRetentionMs: 60 * 1000, now: now + 2 * 60 * 1000 });
+  assert.equal(second.tombstonesRemoved, 1);
+  await log.flush();
+
+  const reopened = await new PartitionLog(options).open();
+  assert.deepEqual(await entriesOf(reopened), [[2, null, 'audit'], [3, 'alice', 'v2'], [5, 'carol', 'v1']]);
+  assert.equal(reopened.logEndOffset, 6);
+});
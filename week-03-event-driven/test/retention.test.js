@@ -0,0 +1,64 @@
+/**
+ * 🧪 RETENTION - Whole segments go, offsets stay put
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+
+console.log = () => {}; // The bus narrates every step
+
+// segmentBytes: 1 puts every record in its own segment, so retention can drop them one by one
+async function createTopicWithRecords(bus, topicName, options, count = 4) {
+  await bus.createTopic(topicName, { partitionCount: 1, segmentBytes: 1, ...options });
+  const producer = await bus.createProducer(`${topicName}-writer`);
+  for (let sequence = 0; sequence < count; sequence++) {
+    await producer.send(topicName, { sequence }, { partition: 0 });
+  }
+  return bus.topics.get(topicName).partitions[0];
+}
+
+test('retention advances logStartOffset and honours per-topic limits', async (t) => {
+  const bus = new AlgoCraticMessageBus();
+  t.after(() => bus.close());
+
+  const bySize = await createTopicWithRecords(bus, 'audit', { retentionBytes: 1 });
+  const byAge = await createTopicWithRecords(bus, 'clickstream', { retentionMs: 1 });
+  const kept = await createTopicWithRecords(bus, 'ledger', {});
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  bus.cleanupExpiredMessages();
+
+  assert.equal(bySize.logStartOffset, 3, 'size retention keeps the newest segment');
+  assert.equal(byAge.logStartOffset, 4, 'the topic\'s own retentionMs, not the 7-day default');
+  assert.equal(kept.logStartOffset, 0);
+  assert.equal(bySize.highWaterMark, 4, 'offsets are never renumbered');
+
+  const [survivor] = await bus.fetchRecords('audit', 0, 3);
+  assert.deepEqual([survivor.offset, survivor.value], [3, { sequence: 3 }]);
+  await assert.rejects(bus.fetchRecords('audit', 0, 1), { code: 'OFFSET_OUT_OF_RANGE', logStartOffset: 3 });
+});
+
+test('a consumer behind logStartOffset follows its autoOffsetReset policy', async (t) => {
+  const bus = new AlgoCraticMessageBus();
+  t.after(() => bus.close());
+  await createTopicWithRecords(bus, 'audit', { retentionBytes: 1 });
+
+  const consumers = {};
+  for (const policy of ['earliest', 'latest', 'none']) {
+    const consumer = await bus.createConsumer(`${policy}-group`, { autoCommit: false, autoOffsetReset: policy });
+    await consumer.subscribe(['audit']);
+    await consumer.commitSync([{ topic: 'audit', partition: 0, offset: 0 }]);
+    consumers[policy] = consumer;
+    t.after(() => consumer.close());
+  }
+
+  bus.cleanupExpiredMessages(); // The committed offset 1 now sits below logStartOffset 3
+  await (await bus.createProducer('late-writer')).send('audit', { sequence: 4 }, { partition: 0 });
+
+  assert.deepEqual((await consumers.earliest.poll()).map(message => message.offset), [3, 4]);
+  assert.deepEqual(await consumers.latest.poll(), []);
+  await assert.rejects(consumers.none.poll(), { name: 'OffsetOutOfRangeError', offset: 1 });
+});
@@ -0,0 +1,82 @@
+/**
+ * 🧪 STREAMS DSL - Event-time windows, grace periods and late records
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+const { StreamsBuilder, StreamsApp, TimeWindows, SessionWindows } = require('../sample-code/message-bus-streams');
+
+console.log = () => {}; // The bus and the app narrate every step
+
+// ▶️ The bus stamps records with the wall clock, so event times are fed straight to the topology
+async function startApp(t, buildTopology) {
+  const messageBus = new AlgoCraticMessageBus();
+  await messageBus.createTopic('clicks', { partitionCount: 1 });
+  await messageBus.createTopic('clicks-per-window', { partitionCount: 1 });
+
+  const builder = new StreamsBuilder();
+  buildTopology(builder.stream('clicks'));
+  const app = new StreamsApp(builder, { applicationId: 'click-analytics', messageBus });
+  await app.start();
+  t.after(async () => {
+    await app.close();
+    await messageBus.close();
+  });
+
+  let offset = 0;
+  const click = (userId, timestamp) => app.processRecord('clicks', 0, { key: userId, value: { userId }, timestamp, offset: offset++ });
+  return { app, messageBus, click };
+}
+
+test('time windows are tumbling or hopping and close after their grace period', () => {
+  assert.deepEqual(TimeWindows.of(60000).windowsFor(125000), [{ start: 120000, end: 180000 }]);
+  assert.deepEqual(
+    TimeWindows.of(60000).advanceBy(15000).windowsFor(125000).map(window => window.start),
+    [75000, 90000, 105000, 120000]
+  );
+  assert.equal(TimeWindows.of(60000).grace(5000).closeTime({ start: 0, end: 60000 }), 65000);
+  assert.equal(SessionWindows.with(30000).grace(5000).closeTime({ start: 0, end: 1000 }), 36000);
+  assert.throws(() => TimeWindows.of(1000).advanceBy(2000), /Invalid time window/);
+});
+
+test('a final windowed count takes records within the grace period and drops later ones', async (t) => {
+  const { app, messageBus, click } = await startApp(t, clicks => clicks
+    .groupByKey()
+    .windowedBy(TimeWindows.of(1000).grace(500))
+    .count({ store: 'clicks-per-user', emit: 'final' })
+    .toStream()
+    .to('clicks-per-window'));
+  const late = [];
+  app.on('record:late', event => late.push(event.timestamp));
+
+  await click('alice', 100);
+  await click('alice', 900);
+  await click('alice', 1200); // Stream time 1200 - [0, 1000) is over but still in its grace period
+  await click('alice', 400);
+  await click('alice', 1600); // Stream time passes 1500 - [0, 1000) closes with 3 clicks
+  await click('alice', 700);
+  await app.producer.flush();
+
+  const results = await messageBus.fetchRecords('clicks-per-window', 0, 0);
+  assert.deepEqual(results.map(record => [record.key, record.value]), [['alice@0-1000', 3]]);
+  assert.deepEqual(late, [700]);
+  assert.equal(app.getStats().lateRecordsDropped, 1);
+  assert.deepEqual(app.store('clicks-per-user').get('alice'), [{ start: 1000, end: 2000, value: 2 }]);
+});
+
+test('a record bridging two sessions merges them', async (t) => {
+  const { app, click } = await startApp(t, clicks => clicks
+    .groupByKey()
+    .windowedBy(SessionWindows.with(100).grace(1000)) // Keeps both sessions open for the bridging record
+    .count({ store: 'sessions' }));
+
+  await click('bob', 50);
+  await click('bob', 200);
+  assert.equal(app.store('sessions').get('bob').length, 2, 'more than the gap apart');
+
+  await click('bob', 120);
+  assert.deepEqual(app.store('sessions').get('bob'), [{ start: 50, end: 200, value: 3 }]);
+});
@@ -0,0 +1,71 @@
+/**
+ * 🧪 TRANSACTIONS - Read-process-write that happens completely or not at all
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlgoCraticMessageBus } = require('../sample-code/message-queue-patterns');
+
+console.log = () => {}; // The bus narrates every step
+
+async function createBus(t) {
+  const bus = new AlgoCraticMessageBus();
+  t.after(() => bus.close());
+  for (const topicName of ['orders', 'invoices', 'shipments']) {
+    await bus.createTopic(topicName, { partitionCount: 1 });
+  }
+  return bus;
+}
+
+async function visibleValues(bus, topicName, isolationLevel) {
+  const records = await bus.fetchRecords(topicName, 0, 0, { isolationLevel });
+  return records.map(record => record.value);
+}
+
+test('a committed transaction publishes to every topic and commits the consumed offsets with it', async (t) => {
+  const bus = await createBus(t);
+  await (await bus.createProducer('storefront')).send('orders', { orderId: 1 }, { partition: 0 });
+
+  const consumer = await bus.createConsumer('fulfilment', { autoCommit: false });
+  t.after(() => consumer.close());
+  await consumer.subscribe(['orders']);
+  const [order] = await consumer.poll();
+
+  const producer = await bus.createProducer('fulfiller', { transactional: true });
+  await producer.beginTransaction();
+  await producer.send('invoices', { orderId: order.value.orderId }, { partition: 0 });
+  await producer.send('shipments', { orderId: order.value.orderId }, { partition: 0 });
+  await producer.sendOffsetsToTransaction([{ topic: 'orders', partition: 0, offset: order.offset }], consumer.groupMetadata());
+
+  // ⏳ Undecided: only read_uncommitted sees it, and the order isn't consumed yet
+  assert.deepEqual(await visibleValues(bus, 'invoices', 'read_committed'), []);
+  assert.deepEqual(await visibleValues(bus, 'invoices', 'read_uncommitted'), [{ orderId: 1 }]);
+  assert.equal(bus.consumerGroups.get('fulfilment').offsets.get('orders:0'), undefined);
+
+  await producer.commitTransaction();
+  assert.deepEqual(await visibleValues(bus, 'invoices', 'read_committed'), [{ orderId: 1 }]);
+  assert.deepEqual(await visibleValues(bus, 'shipments', 'read_committed'), [{ orderId: 1 }]);
+  assert.equal(bus.consumerGroups.get('fulfilment').offsets.get('orders:0'), 1);
+});
+
+test('read_committed consumers never see an aborted transaction', async (t) => {
+  const bus = await createBus(t);
+  const producer = await bus.createProducer('fulfiller', { transactional: true });
+
+  await producer.beginTransaction();
+  await producer.send('invoices', { orderId: 1, amount: 'wrong' }, { partition: 0 });
+  await producer.abortTransaction();
+
+  await producer.beginTransaction();
+  await producer.send('invoices', { orderId: 1, amount: 100 }, { partition: 0 });
+  await producer.commitTransaction();
+
+  assert.deepEqual(await visibleValues(bus, 'invoices', 'read_committed'), [{ orderId: 1, amount: 100 }]);
+  // The aborted record is still in the log - only the control markers are hidden from everyone
+  assert.deepEqual(await visibleValues(bus, 'invoices', 'read_uncommitted'), [{ orderId: 1, amount: 'wrong' }, { orderId: 1, amount: 100 }]);
+
+  await assert.rejects(producer.send('invoices', { orderId: 2 }), /can only send inside beginTransaction/);
+  await assert.rejects(producer.commitTransaction(), { code: 'INVALID_TXN_STATE' });
+});
@@ -0,0 +1,152 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 4 HUB CLUSTER ADAPTERS
+ * "One Corporate Hub, However Many Processes It Takes"
+ *
+ * 🌐 A hub only sees the WebSockets connected to its own process. Behind a
+ * load balancer, Engineering ends up split across instances and each half
+ * only hears its own broadcasts. An adapter (the idea comes from Socket.IO
+ * adapters) relays every broadcast and presence change to the other hub
+ * nodes, which deliver it to their local connections:
+ *
+ *   hub A: broadcastToDepartment('Engineering', msg)
+ *     -> deliver locally
+ *     -> adapter.publish({ nodeId: 'A', type: 'broadcast', scope: 'department', ... })
+ *   hub B: adapter 'envelope' event -> deliver to B's Engineering connections
+ *
+ * Every envelope carries the sender's nodeId, so a node drops its own
+ * envelopes when they come back around (no echo, no double delivery).
+ *
+ * 📦 Adapters:
+ * - InMemoryHubAdapter: hubs in one process sharing a channel (tests, demos)
+ * - MessageBusHubAdapter: through the Week 3 AlgoCraticMessageBus - in-process
+ *   or, with a RemoteMessageBus, a TCP broker shared by every node
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Fan-out is fire-and-forget: a node that is down misses what it was sent
+ * - Counts (memberCount, sentCount) are per node unless you aggregate them
+ * - Crashed nodes never say goodbye - their presence entries must expire
+ * - Envelopes cross a wire: everything in them must survive JSON
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * 🔌 HUB ADAPTER - Base class: publish envelopes, emit the ones from other nodes
+ *
+ * Subclasses implement send(envelope) and call receive(envelope) for every
+ * envelope that arrives. The hub listens for 'envelope'.
+ */
+class HubAdapter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.nodeId = options.nodeId || `hub-${uuidv4().slice(0, 8)}`;
+    this.stats = { published: 0, received: 0, echoesDropped: 0 };
+  }
+
+  async init() {}
+
+  async publish(envelope) {
+    this.stats.published++;
+    await this.send({ ...envelope, nodeId: this.nodeId, sentAt: Date.now() });
+  }
+
+  async send() {
+    throw new Error(`${this.constructor.name} must implement send(envelope)`);
+  }
+
+  receive(envelope) {
+    if (!envelope || envelope.nodeId === this.nodeId) {
+      this.stats.echoesDropped++;
+      return;
+    }
+    this.stats.received++;
+    this.emit('envelope', envelope);
+  }
+
+  async close() {}
+}
+
+/**
+ * 🧪 IN-MEMORY ADAPTER - Hubs in the same process, connected by a channel
+ *
+ * Pass the same `channel` (any EventEmitter) to every hub's adapter. Each
+ * hub gets a private channel by default, which makes it a single node.
+ * Envelopes go through JSON and arrive asynchronously, like over a network.
+ */
+class InMemoryHubAdapter extends HubAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.channel = options.channel || new EventEmitter();
+    this.channel.setMaxListeners(0);
+    this.listener = data => this.receive(JSON.parse(data));
+  }
+
+  async init() {
+    this.channel.on('envelope', this.listener);
+  }
+
+  async send(envelope) {
+    const data = JSON.stringify(envelope);
+    setImmediate(() => this.channel.emit('envelope', data));
+  }
+
+  async close() {
+    this.channel.off('envelope', this.listener);
+  }
+}
+
+/**
+ * 📨 MESSAGE BUS ADAPTER - Fan out through a Week 3 bus topic
+ *
+ * Every node produces to one topic and consumes it in a consumer group of
+ * its own, so each node sees every envelope (pub/sub, not work sharing).
+ * Consumption starts at 'latest' - a node joining late has nothing to catch
+ * up on. Works with AlgoCraticMessageBus, RemoteMessageBus (TCP broker) or
+ * anything createMessageBus() returns.
+ */
+class MessageBusHubAdapter extends HubAdapter {
+  constructor(options = {}) {
+    super(options);
+    if (!options.messageBus) {
+      throw new Error('MessageBusHubAdapter needs a messageBus');
+    }
+
+    this.messageBus = options.messageBus;
+    this.config = {
+      topic: options.topic || 'corporate.hub.fanout',
+      ...options
+    };
+    this.producer = null;
+    this.consumer = null;
+  }
+
+  async init() {
+    // One partition keeps envelopes from a node in the order it sent them
+    await this.messageBus.createTopic(this.config.topic, { partitionCount: 1 });
+
+    this.producer = await this.messageBus.createProducer(`${this.nodeId}-fanout`);
+    this.consumer = await this.messageBus.createConsumer(`${this.nodeId}-fanout`, { autoOffsetReset: 'latest' });
+    await this.consumer.subscribe([this.config.topic]);
+    await this.consumer.run({
+      eachMessage: async ({ message }) => this.receive(message.value)
+    });
+
+    console.log(`🌐 Hub node ${this.nodeId} fanning out through topic '${this.config.topic}'`);
+  }
+
+  async send(envelope) {
+    await this.producer.send(this.config.topic, envelope, { key: envelope.nodeId });
+  }
+
+  async close() {
+    if (this.producer) await this.producer.flush();
+    if (this.consumer) await this.consumer.close();
+  }
+}
+
+module.exports = {
+  HubAdapter,
+  InMemoryHubAdapter,
+  MessageBusHubAdapter
+};
@@ -0,0 +1,282 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 4 HUB AUTHENTICATION & AUTHORIZATION
+ * "Your Badge Says Who You Are - Not Your Message Payload"
+ *
+ * 🔐 Until now any client could claim any userId in corporate:join_department.
+ * Connections now present a signed token during the WebSocket handshake:
+ * an HMAC-SHA256 JWT (HS256) whose claims fix the identity for the whole
+ * connection:
+ *
+ *   { sub: 'alice-engineer', role: 'employee', departments: ['Engineering'], exp: ... }
+ *
+ * 🎫 Two ways to present it (browsers can't set headers on WebSockets):
+ *   ws://hub:8080/?token=<jwt>
+ *   new WebSocket(url, ['algocratic-jwt', '<jwt>'])   // Sec-WebSocket-Protocol
+ *
+ * 🛂 Once connected, an AuthorizationPolicy decides per message who may
+ * join a department, broadcast, join a room or send a direct message.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Always check the algorithm: a token with "alg": "none" must never pass
+ * - Compare signatures in constant time (crypto.timingSafeEqual)
+ * - Query strings end up in access logs - prefer the subprotocol in production
+ * - A token is valid until it expires: long-lived connections outlive
+ *   revocations unless the hub re-checks expiry
+ */
+
+const crypto = require('crypto');
+
+// 🎫 Offered subprotocol that says "the next protocol entry is my token"
+const AUTH_SUBPROTOCOL = 'algocratic-jwt';
+
+// 🧪 Only for demos - real deployments set HUB_AUTH_SECRET
+const DEVELOPMENT_SECRET = 'algocratic-development-secret-do-not-use-in-production';
+
+// 📈 Corporate hierarchy, lowest first
+const ROLE_RANKS = {
+  contractor: 0,
+  employee: 1,
+  manager: 2,
+  executive: 3,
+  admin: 4
+};
+
+/**
+ * 🚫 AUTHENTICATION ERROR - Missing, malformed, forged or expired token
+ */
+class AuthenticationError extends Error {
+  constructor(message, code = 'INVALID_TOKEN') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.code = code;
+  }
+}
+
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function base64UrlDecodeJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hmacSignature(signingInput, secret) {
+  return crypto.createHmac('sha256', secret).update(signingInput).digest();
+}
+
+/**
+ * ✍️ SIGN TOKEN - Issue an HS256 JWT for the given claims
+ *
+ * `sub` (the user ID) is required; `iat` and, with expiresInSeconds, `exp`
+ * are filled in.
+ */
+function signToken(claims, secret, { expiresInSeconds = 8 * 60 * 60 } = {}) {
+  if (!claims || !claims.sub) {
+    throw new Error('Token claims need a sub (user ID)');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...claims };
+  if (expiresInSeconds && payload.exp === undefined) {
+    payload.exp = now + expiresInSeconds;
+  }
+
+  const signingInput = `${base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  return `${signingInput}.${hmacSignature(signingInput, secret).toString('base64url')}`;
+}
+
+/**
+ * 🔍 VERIFY TOKEN - Check signature, algorithm and lifetime; return the claims
+ */
+function verifyToken(token, secret, { clockToleranceSeconds = 30, now = Date.now() } = {}) {
+  if (typeof token !== 'string') {
+    throw new AuthenticationError('Authentication token required', 'MISSING_TOKEN');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = base64UrlDecodeJson(parts[0]);
+    claims = base64UrlDecodeJson(parts[1]);
+  } catch (error) {
+    throw new AuthenticationError('Malformed token');
+  }
+  // `null` or `[]` parse fine but would crash the property reads below
+  if (!isPlainObject(header) || !isPlainObject(claims)) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  // Never let the token pick its own algorithm ("alg": "none" attacks)
+  if (header.alg !== 'HS256') {
+    throw new AuthenticationError(`Unsupported token algorithm '${header.alg}'`);
+  }
+
+  const expected = hmacSignature(`${parts[0]}.${parts[1]}`, secret);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (claims.exp !== undefined && nowSeconds > claims.exp + clockToleranceSeconds) {
+    throw new AuthenticationError('Token expired', 'TOKEN_EXPIRED');
+  }
+  if (claims.nbf !== undefined && nowSeconds + clockToleranceSeconds < claims.nbf) {
+    throw new AuthenticationError('Token not valid yet');
+  }
+  if (!claims.sub) {
+    throw new AuthenticationError('Token has no subject (user ID)');
+  }
+
+  return claims;
+}
+
+/**
+ * 🎫 EXTRACT TOKEN - Find the token in an upgrade request
+ *
+ * Looks at ?token= first, then at a Sec-WebSocket-Protocol list of the form
+ * "algocratic-jwt, <token>".
+ */
+function extractToken(request) {
+  const url = new URL(request.url || '/', 'ws://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const protocols = (request.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim())
+    .filter(Boolean);
+  const marker = protocols.indexOf(AUTH_SUBPROTOCOL);
+  return marker !== -1 && protocols[marker + 1] ? protocols[marker + 1] : null;
+}
+
+// 👤 Verified claims -> what the hub keeps on the connection
+function principalFromClaims(claims) {
+  const role = ROLE_RANKS[claims.role] !== undefined ? claims.role : 'employee';
+  return {
+    userId: String(claims.sub),
+    name: claims.name || String(claims.sub),
+    role,
+    departments: Array.isArray(claims.departments) ? claims.departments : [],
+    expiresAt: claims.exp !== undefined ? claims.exp * 1000 : null
+  };
+}
+
+// 📖 The default rules in plain words, for the protocol document (GET /protocol)
+const DEFAULT_RULE_DESCRIPTIONS = {
+  'department:join': 'Executives, or a token whose departments include the department (or "*")',
+  'department:broadcast': 'Members of the department (executives anywhere); high/urgent priority needs manager or above',
+  'room:join': 'Anyone, unless the room is restricted to roles or departments in the hub config (admins always)',
+  'direct:message': 'Colleagues in the same department, or when sender or recipient is manager or above'
+};
+
+/**
+ * 🛂 AUTHORIZATION POLICY - Per-message access rules
+ *
+ * Each rule returns null when the action is allowed, or the reason it
+ * isn't. The defaults:
+ * - department:join   the token lists the department (or '*'); executives go anywhere
+ * - department:broadcast  members (or executives); 'high'/'urgent' priority needs a manager
+ * - room:join         open, unless `rooms` restricts the room by role or department
+ * - direct:message    within your department, up to any manager, or from a manager down
+ *
+ * Override any of them with `rules: { 'room:join': (principal, context) => ... }`,
+ * and say what the override allows with `descriptions: { 'room:join': '...' }`.
+ */
+class AuthorizationPolicy {
+  constructor(options = {}) {
+    this.config = {
+      elevatedPriorities: options.elevatedPriorities || ['high', 'urgent'],
+      rooms: options.rooms || {}, // roomId -> { roles: [...], departments: [...] }
+      ...options
+    };
+
+    this.rules = {
+      'department:join': (principal, context) => this.checkDepartmentJoin(principal, context),
+      'department:broadcast': (principal, context) => this.checkDepartmentBroadcast(principal, context),
+      'room:join': (principal, context) => this.checkRoomJoin(principal, context),
+      'direct:message': (principal, context) => this.checkDirectMessage(principal, context),
+      ...(options.rules || {})
+    };
+
+    // 📖 An overridden rule loses its default description - the old text would be a lie
+    const defaultDescriptions = Object.entries(DEFAULT_RULE_DESCRIPTIONS)
+      .filter(([action]) => !(options.rules && options.rules[action]));
+    this.descriptions = {
+      ...Object.fromEntries(defaultDescriptions),
+      ...(options.descriptions || {})
+    };
+  }
+
+  // 📖 What the rule for an action allows, in plain words
+  describe(action) {
+    return this.descriptions[action] || 'Custom AuthorizationPolicy rule';
+  }
+
+  hasRole(principal, role) {
+    return ROLE_RANKS[principal.role] >= ROLE_RANKS[role];
+  }
+
+  // 🛂 null = allowed, otherwise the reason for the refusal
+  authorize(action, principal, context = {}) {
+    const rule = this.rules[action];
+    if (!rule) return null;
+    return rule(principal, context) || null;
+  }
+
+  checkDepartmentJoin(principal, { department }) {
+    if (this.hasRole(principal, 'executive')) return null;
+    if (principal.departments.includes('*') || principal.departments.includes(department)) return null;
+    return `${principal.userId} is not cleared for department ${department}`;
+  }
+
+  checkDepartmentBroadcast(principal, { department, memberDepartment, priority }) {
+    if (memberDepartment !== department && !this.hasRole(principal, 'executive')) {
+      return `Must be a member of ${department} to broadcast there`;
+    }
+    if (this.config.elevatedPriorities.includes(priority) && !this.hasRole(principal, 'manager')) {
+      return `Only managers may send ${priority}-priority broadcasts`;
+    }
+    return null;
+  }
+
+  checkRoomJoin(principal, { roomId }) {
+    const restriction = this.config.rooms[roomId];
+    if (!restriction || this.hasRole(principal, 'admin')) return null;
+
+    if (restriction.roles && !restriction.roles.some(role => this.hasRole(principal, role))) {
+      return `Room ${roomId} is restricted to ${restriction.roles.join('/')}`;
+    }
+    if (restriction.departments && !restriction.departments.some(dept => principal.departments.includes(dept))) {
+      return `Room ${roomId} is restricted to ${restriction.departments.join('/')}`;
+    }
+    return null;
+  }
+
+  checkDirectMessage(principal, { target, senderDepartment, targetDepartment }) {
+    if (this.hasRole(principal, 'manager') || this.hasRole(target, 'manager')) return null;
+    if (senderDepartment && senderDepartment === targetDepartment) return null;
+    return `${principal.userId} may only message colleagues in their own department or a manager`;
+  }
+}
+
+module.exports = {
+  AUTH_SUBPROTOCOL,
+  DEVELOPMENT_SECRET,
+  ROLE_RANKS,
+  AuthenticationError,
+  AuthorizationPolicy,
+  signToken,
+  verifyToken,
+  extractToken,
+  principalFromClaims
+};
@@ -0,0 +1,174 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 4 HUB DELIVERY GUARANTEES
+ * "Every Memo Numbered, Every Memo Accounted For"
+ *
+ * 📬 A WebSocket send is fire-and-forget: when a connection drops, whatever
+ * was in flight - and everything broadcast before the employee reconnects -
+ * is gone. The hub now numbers every message it sends a user and keeps the
+ * numbered frames in a bounded per-user outbox until the client acks them:
+ *
+ *   hub    -> { type: 'corporate:department_broadcast', seq: 41, data: ... }
+ *   hub    -> { type: 'corporate:direct_message', seq: 42, data: ... }
+ *   client -> { type: 'corporate:ack', data: { seq: 42 } }      // cumulative
+ *
+ * 🔄 After a reconnect the client asks for what it missed:
+ *
+ *   client -> { type: 'corporate:resume', data: { lastSeq: 40 } }
+ *   hub    -> seq 41 and 42 again (replayed: true), then corporate:resumed
+ *
+ * If the outbox no longer reaches back to lastSeq (it overflowed, the frames
+ * aged out, or this node never saw the user) the hub answers
+ * corporate:resync_required and the client starts again from fresh state.
+ *
+ * 👥 A seq belongs to the user, not the socket: a message fanned out to
+ * someone with three tabs open is numbered once and all three get the same
+ * frame, so an ack from any tab covers them all. Replies to one connection's
+ * request (department_joined, message_delivered, errors) are not numbered.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Replays mean duplicates: clients must drop anything at or below lastSeq
+ * - Sequence numbers are per user, shared by every tab/device they have open
+ * - Outboxes live in one node's memory - resuming on another node resyncs
+ * - Control frames (welcome, pong, errors) are not worth replaying
+ */
+
+// 📭 Transient frames - never numbered, never replayed
+const UNSEQUENCED_TYPES = new Set([
+  'corporate:welcome',
+  'corporate:pong',
+  'corporate:resumed',
+  'corporate:resync_required',
+  'corporate:server_shutdown',
+  'corporate:history', // A lost page is simply requested again
+  'error'
+]);
+
+/**
+ * 📒 DELIVERY LEDGER - Per-user sequence numbers and outboxes
+ *
+ * record() numbers a frame and keeps it, acknowledge() releases everything
+ * up to a sequence number, replay() hands back what came after one.
+ * Outboxes are bounded by count (outboxSize) and age (retentionMs).
+ */
+class DeliveryLedger {
+  constructor(options = {}) {
+    this.config = {
+      outboxSize: options.outboxSize || 500, // Unacked frames kept per user
+      retentionMs: options.retentionMs || 2 * 60 * 1000, // How long an unacked frame stays replayable
+      ...options
+    };
+
+    this.outboxes = new Map(); // userId -> { lastSeq, ackedSeq, entries: [{ seq, frame, sentAt }] }
+    this.stats = { sequenced: 0, acked: 0, replayed: 0, evicted: 0, resyncs: 0 };
+  }
+
+  isSequenced(message) {
+    return !UNSEQUENCED_TYPES.has(message.type);
+  }
+
+  getOutbox(userId) {
+    if (!this.outboxes.has(userId)) {
+      this.outboxes.set(userId, { lastSeq: 0, ackedSeq: 0, entries: [] });
+    }
+    return this.outboxes.get(userId);
+  }
+
+  lastSeq(userId) {
+    const outbox = this.outboxes.get(userId);
+    return outbox ? outbox.lastSeq : 0;
+  }
+
+  // 🔢 Number a frame for a user and keep it until it's acked
+  record(userId, message) {
+    const outbox = this.getOutbox(userId);
+    const frame = { ...message, seq: ++outbox.lastSeq };
+
+    outbox.entries.push({ seq: frame.seq, frame, sentAt: Date.now() });
+    this.stats.sequenced++;
+
+    // Overflow drops the oldest - a resume from before it will have to resync
+    if (outbox.entries.length > this.config.outboxSize) {
+      outbox.entries.shift();
+      this.stats.evicted++;
+    }
+
+    return frame;
+  }
+
+  // ✅ Cumulative ack: the client has everything up to seq
+  acknowledge(userId, seq) {
+    const outbox = this.outboxes.get(userId);
+    if (!outbox || !(seq > outbox.ackedSeq)) return 0;
+
+    outbox.ackedSeq = Math.min(seq, outbox.lastSeq);
+    let released = 0;
+    while (outbox.entries.length > 0 && outbox.entries[0].seq <= outbox.ackedSeq) {
+      outbox.entries.shift();
+      released++;
+    }
+
+    this.stats.acked += released;
+    return released;
+  }
+
+  /**
+   * 🔄 REPLAY - The frames after lastSeq, or the reason they're gone
+   *
+   * Returns { frames, currentSeq } or { resync: reason, currentSeq }.
+   */
+  replay(userId, lastSeq) {
+    const outbox = this.outboxes.get(userId);
+    const currentSeq = outbox ? outbox.lastSeq : 0;
+
+    let reason = null;
+    if (!outbox) {
+      reason = 'No delivery history for this user on this hub node';
+    } else if (lastSeq > outbox.lastSeq) {
+      reason = `lastSeq ${lastSeq} is ahead of the hub (${outbox.lastSeq})`;
+    } else {
+      const oldestSeq = outbox.entries.length > 0 ? outbox.entries[0].seq : outbox.lastSeq + 1;
+      if (oldestSeq > lastSeq + 1) {
+        reason = `Messages ${lastSeq + 1}-${oldestSeq - 1} are no longer retained`;
+      }
+    }
+
+    if (reason) {
+      this.stats.resyncs++;
+      return { resync: reason, currentSeq };
+    }
+
+    const frames = outbox.entries
+      .filter(entry => entry.seq > lastSeq)
+      .map(entry => ({ ...entry.frame, replayed: true }));
+    this.stats.replayed += frames.length;
+    return { frames, currentSeq };
+  }
+
+  // 🧹 Age out unacked frames nobody came back for
+  prune(now = Date.now()) {
+    const cutoff = now - this.config.retentionMs;
+    for (const outbox of this.outboxes.values()) {
+      while (outbox.entries.length > 0 && outbox.entries[0].sentAt < cutoff) {
+        outbox.entries.shift();
+        this.stats.evicted++;
+      }
+    }
+  }
+
+  forget(userId) {
+    this.outboxes.delete(userId);
+  }
+
+  getStats() {
+    let buffered = 0;
+    for (const outbox of this.outboxes.values()) {
+      buffered += outbox.entries.length;
+    }
+    return { ...this.stats, outboxes: this.outboxes.size, buffered };
+  }
+}
+
+module.exports = {
+  UNSEQUENCED_TYPES,
+  DeliveryLedger
+};
@@ -0,0 +1,295 @@
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 4 HUB MESSAGE HISTORY
+ * "The Minutes of Every Meeting You Weren't Invited To Yet"
+ *
+ * 🗄️ Room messages and department broadcasts used to exist only on the wire:
+ * whoever joined a room afterwards saw nothing that came before. The hub
+ * now records them per channel ('room:<id>', 'department:<name>') and
+ * serves them back a page at a time:
+ *
+ *   client -> { type: 'corporate:history', data: { roomId: 'war-room', before: 120, limit: 50 } }
+ *   hub    -> { type: 'corporate:history', data: { messages: [...], hasMore: true, ... } }
+ *   GET /rooms/war-room/messages?before=120&limit=50
+ *
+ * 🔖 Cursors are message IDs, increasing per channel. `before` pages back
+ * towards older messages, `after` pages forward from one; pages always come
+ * oldest first.
+ *
+ * 📦 Stores:
+ * - MessageHistoryStore: in memory, gone on restart
+ * - FileHistoryStore: the same, plus one NDJSON file per channel
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Offset pagination breaks while messages arrive - page by cursor
+ * - Retention must bound both memory and the files on disk
+ * - Each hub node records its own copy, so cursors are only valid on that node
+ * - History is data at rest: check membership before serving it
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCOPES = ['room', 'department'];
+
+/**
+ * 🗄️ MESSAGE HISTORY STORE - Per-channel message logs with cursor paging
+ *
+ * Retention is { maxMessages, maxAgeMs }: a default for every channel,
+ * overridden per room or department through the `rooms` / `departments`
+ * options or setRetention().
+ */
+class MessageHistoryStore {
+  constructor(options = {}) {
+    this.config = {
+      defaultRetention: { maxMessages: 1000, maxAgeMs: 7 * 24 * 60 * 60 * 1000 },
+      rooms: {}, // roomId -> { maxMessages, maxAgeMs }
+      departments: {}, // department -> { maxMessages, maxAgeMs }
+      defaultPageSize: 50,
+      maxPageSize: 200,
+      ...options
+    };
+
+    this.channels = new Map(); // 'room:<id>' -> { nextId, messages: [{ id, ... }] }
+    this.retention = new Map(); // 'room:<id>' -> retention override
+    for (const [roomId, policy] of Object.entries(this.config.rooms)) {
+      this.setRetention('room', roomId, policy);
+    }
+    for (const [department, policy] of Object.entries(this.config.departments)) {
+      this.setRetention('department', department, policy);
+    }
+  }
+
+  async init() {}
+
+  async close() {}
+
+  channelKey(scope, target) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown history scope '${scope}'`);
+    }
+    return `${scope}:${target}`;
+  }
+
+  getChannel(key) {
+    if (!this.channels.has(key)) {
+      this.channels.set(key, { nextId: 1, messages: [] });
+    }
+    return this.channels.get(key);
+  }
+
+  setRetention(scope, target, policy) {
+    this.retention.set(this.channelKey(scope, target), { ...this.config.defaultRetention, ...policy });
+  }
+
+  getRetention(key) {
+    return this.retention.get(key) || this.config.defaultRetention;
+  }
+
+  // 📝 Record a message; returns the stored entry with its cursor ID
+  append(scope, target, record) {
+    const key = this.channelKey(scope, target);
+    const channel = this.getChannel(key);
+    const entry = {
+      id: channel.nextId++,
+      timestamp: new Date().toISOString(),
+      ...record
+    };
+
+    channel.messages.push(entry);
+    this.persistAppend(key, entry);
+    this.applyRetention(key, channel);
+    return entry;
+  }
+
+  /**
+   * 📖 QUERY - One page of a channel, oldest first
+   *
+   * `after`: the messages following that ID. Otherwise the newest messages,
+   * or the newest before `before`. hasMore says whether the next page in
+   * the same direction has anything.
+   */
+  query(scope, target, { before = null, after = null, limit } = {}) {
+    const key = this.channelKey(scope, target);
+    const pageSize = Math.min(Math.max(Number(limit) || this.config.defaultPageSize, 1), this.config.maxPageSize);
+    const channel = this.channels.get(key);
+    if (channel) {
+      this.applyRetention(key, channel);
+    }
+
+    const messages = channel ? channel.messages : [];
+    let matching;
+    let page;
+    if (after !== null) {
+      matching = messages.filter(entry => entry.id > after && (before === null || entry.id < before));
+      page = matching.slice(0, pageSize);
+    } else {
+      matching = before !== null ? messages.filter(entry => entry.id < before) : messages;
+      page = matching.slice(-pageSize);
+    }
+
+    return {
+      scope,
+      target,
+      messages: page,
+      hasMore: matching.length > page.length,
+      before: page.length > 0 ? page[0].id : null, // cursor for the next older page
+      after: page.length > 0 ? page[page.length - 1].id : null // cursor for the next newer page
+    };
+  }
+
+  // 🧹 Trim by count and age; returns how many messages were dropped
+  applyRetention(key, channel) {
+    const { maxMessages, maxAgeMs } = this.getRetention(key);
+    const before = channel.messages.length;
+
+    if (maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      const firstKept = channel.messages.findIndex(entry => Date.parse(entry.timestamp) >= cutoff);
+      channel.messages.splice(0, firstKept === -1 ? channel.messages.length : firstKept);
+    }
+    if (maxMessages && channel.messages.length > maxMessages) {
+      channel.messages.splice(0, channel.messages.length - maxMessages);
+    }
+
+    const dropped = before - channel.messages.length;
+    if (dropped > 0) {
+      this.persistTrim(key, channel);
+    }
+    return dropped;
+  }
+
+  prune() {
+    let dropped = 0;
+    for (const [key, channel] of this.channels) {
+      dropped += this.applyRetention(key, channel);
+    }
+    return dropped;
+  }
+
+  // 💾 Persistence hooks - no-ops in memory
+  persistAppend() {}
+
+  persistTrim() {}
+
+  getStats() {
+    let messages = 0;
+    for (const channel of this.channels.values()) {
+      messages += channel.messages.length;
+    }
+    return { channels: this.channels.size, messages };
+  }
+}
+
+/**
+ * 💾 FILE HISTORY STORE - In-memory store backed by NDJSON files
+ *
+ * <dataDir>/room/<roomId>.ndjson, <dataDir>/department/<name>.ndjson, one
+ * entry per line. Appends go to the end of the file; once retention has
+ * dropped enough lines the file is rewritten with only what's left.
+ * Give each hub node a directory of its own.
+ *
+ * A rewrite can drop the newest IDs too (everything aged out), so it first
+ * saves the channel's nextId to <name>.meta.json - cursors never go back
+ * to 1 after a restart.
+ */
+class FileHistoryStore extends MessageHistoryStore {
+  constructor(options = {}) {
+    super(options);
+    if (!options.dataDir) {
+      throw new Error('FileHistoryStore needs a dataDir');
+    }
+
+    this.dataDir = options.dataDir;
+    this.fileLines = new Map(); // channel key -> lines currently in its file
+    this.writeChain = Promise.resolve(); // Writes happen one at a time, in order
+  }
+
+  channelFile(key) {
+    const separator = key.indexOf(':');
+    return path.join(this.dataDir, key.slice(0, separator), `${encodeURIComponent(key.slice(separator + 1))}.ndjson`);
+  }
+
+  metaFile(key) {
+    return this.channelFile(key).replace(/\.ndjson$/, '.meta.json');
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metaFile(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`🗄️ Ignoring unreadable history metadata for ${key}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  async init() {
+    for (const scope of SCOPES) {
+      const scopeDir = path.join(this.dataDir, scope);
+      await fs.promises.mkdir(scopeDir, { recursive: true });
+
+      for (const file of await fs.promises.readdir(scopeDir)) {
+        if (!file.endsWith('.ndjson')) continue;
+
+        const key = `${scope}:${decodeURIComponent(file.slice(0, -'.ndjson'.length))}`;
+        const lines = (await fs.promises.readFile(path.join(scopeDir, file), 'utf8')).split('\n').filter(Boolean);
+        const channel = this.getChannel(key);
+        for (const line of lines) {
+          try {
+            channel.messages.push(JSON.parse(line));
+          } catch (error) {
+            console.warn(`🗄️ Skipping corrupt history line in ${file}`);
+          }
+        }
+
+        // 🔖 IDs continue from the high-water mark, even if retention emptied the file
+        const lastId = channel.messages.length > 0 ? channel.messages[channel.messages.length - 1].id : 0;
+        const { nextId = 1 } = await this.readMeta(key);
+        channel.nextId = Math.max(lastId + 1, nextId);
+        this.fileLines.set(key, lines.length);
+        this.applyRetention(key, channel);
+      }
+    }
+
+    console.log(`🗄️ Message history loaded from ${this.dataDir} (${this.getStats().messages} messages)`);
+  }
+
+  enqueueWrite(task) {
+    this.writeChain = this.writeChain.then(task).catch(error => {
+      console.error('🗄️ History write failed:', error.message);
+    });
+    return this.writeChain;
+  }
+
+  persistAppend(key, entry) {
+    this.fileLines.set(key, (this.fileLines.get(key) || 0) + 1);
+    const line = `${JSON.stringify(entry)}\n`;
+    this.enqueueWrite(() => fs.promises.appendFile(this.channelFile(key), line));
+  }
+
+  // ✂️ Rewrite only once the file is mostly dead lines
+  persistTrim(key, channel) {
+    const fileLines = this.fileLines.get(key) || 0;
+    if (fileLines < 100 || fileLines < channel.messages.length * 2) return;
+
+    this.fileLines.set(key, channel.messages.length);
+    const contents = channel.messages.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    const meta = JSON.stringify({ nextId: channel.nextId });
+    const file = this.channelFile(key);
+    this.enqueueWrite(async () => {
+      await fs.promises.writeFile(this.metaFile(key), meta);
+      await fs.promises.writeFile(`${file}.tmp`, contents);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
+
+module.exports = {
+  MessageHistoryStore,
+  FileHistoryStore
+};
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+/**
+ * 🏢 ALGOCRATIC FUTURES: WEEK 4 HUB PROTOCOL REGISTRY
+ * "Every Memo Type Has a Form, and Every Form Has Mandatory Fields"
+ *
+ * 📋 The hub used to route frames through one big switch, and handlers
+ * destructured `data` on trust: a join without a department fell through to
+ * a generic "Message processing failed". Every corporate:* type is now
+ * declared once, with:
+ *
+ * - schema       a JSON Schema for its `data` payload
+ * - handler      (hub, connectionMeta, data) => ...
+ * - permissions  { policy } - the AuthorizationPolicy action its handler
+ *                checks (hub-auth.js); FORBIDDEN when the policy refuses
+ *
+ * 🚫 Frames that fail their schema get a field-level error back:
+ *
+ *   { type: 'error', data: { code: 'INVALID_PAYLOAD', requestType: 'corporate:join_department',
+ *     errors: [{ field: 'data.department', message: 'is required' }] } }
+ *
+ * 📖 describe(policy) turns the registry into a protocol document for client
+ * authors - served at GET /protocol, or printed with `npm run protocol`. The
+ * permission text comes from the hub's own AuthorizationPolicy, overrides included.
+ *
+ * ⚠️  STUDENT CHALLENGES TO WATCH FOR:
+ * - Validate at the edge, once - then handlers can trust their input
+ * - additionalProperties: false catches typos, but breaks older clients
+ *   the day you add a field
+ * - The document is generated from the same registry that routes
+ *   messages, so it can't drift from what the hub actually accepts
+ * - Only a subset of JSON Schema is checked here (see validatePayload)
+ */
+
+const { AUTH_SUBPROTOCOL, AuthorizationPolicy } = require('./hub-auth');
+
+const PROTOCOL_VERSION = 1;
+
+/**
+ * ✅ VALIDATE PAYLOAD - Check a value against a JSON Schema subset
+ *
+ * Supports type (including type lists), properties, required,
+ * additionalProperties: false, enum, minLength, maxLength, minimum,
+ * maximum, items and oneOf. Returns [{ field, message }], empty when valid.
+ */
+function validatePayload(schema, value, field = 'data') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ field, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validatePayload(schema.items, item, `${field}[${index}]`)));
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: `${field}.${name}`, message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validatePayload(properties[name], propertyValue, `${field}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${field}.${name}`, message: 'is not an allowed field' });
+      }
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validatePayload(option, value, field).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ field, message: schema.oneOfMessage || `must match exactly one of ${schema.oneOf.length} shapes (matched ${matches})` });
+    }
+  }
+
+  return errors;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * 📋 PROTOCOL REGISTRY - Message types, their payload schemas, handlers and permissions
+ */
+class ProtocolRegistry {
+  constructor(options = {}) {
+    this.name = options.name || 'algocratic-corporate-hub';
+    this.version = options.version || PROTOCOL_VERSION;
+    this.types = new Map(); // type -> { description, schema, handler, permissions }
+    this.serverMessages = new Map(); // type -> description (hub -> client)
+  }
+
+  register(type, { description = '', schema = { type: 'object' }, handler, permissions = {} }) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Protocol type ${type} needs a handler`);
+    }
+
+    this.types.set(type, { type, description, schema, handler, permissions });
+    return this;
+  }
+
+  describeServerMessage(type, description) {
+    this.serverMessages.set(type, description);
+    return this;
+  }
+
+  get(type) {
+    return this.types.get(type) || null;
+  }
+
+  // ✅ [{ field, message }] - a missing payload counts as {}
+  validate(type, data) {
+    const definition = this.get(type);
+    if (!definition) return [{ field: 'type', message: `unknown message type '${type}'` }];
+    return validatePayload(definition.schema, data === undefined ? {} : data);
+  }
+
+  /**
+   * 📖 DESCRIBE - The machine-readable protocol document for client authors
+   *
+   * `policy` is the AuthorizationPolicy the hub enforces; its descriptions
+   * fill in each type's permissions.rule.
+   */
+  describe(policy = new AuthorizationPolicy()) {
+    const clientMessages = {};
+    for (const [type, { description, schema, permissions }] of this.types) {
+      clientMessages[type] = {
+        description,
+        permissions: permissions.policy
+          ? { policy: permissions.policy, rule: policy.describe(permissions.policy) }
+          : null,
+        schema
+      };
+    }
+
+    return {
+      protocol: this.name,
+      version: this.version,
+      jsonSchemaDialect: 'http://json-schema.org/draft-07/schema#',
+      transport: {
+        frame: '{ "type": string, "data": object } as JSON text, one per WebSocket message',
+        authentication: `Signed token as ?token=<jwt>, or subprotocols ['${AUTH_SUBPROTOCOL}', '<jwt>']`,
+        sequencing: 'Frames from the hub may carry a per-user seq; ack them with corporate:ack'
+      },
+      errors: {
+        frame: '{ "type": "error", "data": { "code": string, "message": string, "requestType"?: string, "errors"?: [{ "field", "message" }] } }',
+        codes: [
+          'MISSING_TOKEN', 'INVALID_TOKEN', 'TOKEN_EXPIRED', 'INVALID_JSON', 'UNKNOWN_MESSAGE_TYPE',
+          'INVALID_PAYLOAD', 'FORBIDDEN', 'IDENTITY_MISMATCH', 'NOT_A_MEMBER', 'USER_NOT_FOUND',
+          'INVALID_ACK', 'INVALID_RESUME', 'RATE_LIMITED', 'INTERNAL_ERROR'
+        ]
+      },
+      clientMessages,
+      serverMessages: Object.fromEntries(this.serverMessages)
+    };
+  }
+}
+
+// 🧱 Reusable payload pieces
+const nonEmptyString = (maxLength = 200) => ({ type: 'string', minLength: 1, maxLength });
+const cursor = { type: 'integer', minimum: 0 };
+
+/**
+ * 🏢 CORPORATE PROTOCOL - Every corporate:* type the hub accepts
+ */
+function createCorporateProtocol() {
+  const registry = new ProtocolRegistry();
+
+  registry
+    .register('corporate:join_department', {
+      description: 'Join a department (leaving the current one). userId is only honoured when the hub runs without auth.',
+      schema: {
+        type: 'object',
+        properties: { department: nonEmptyString(100), userId: nonEmptyString(100) },
+        required: ['department'],
+        additionalProperties: false
+      },
+      permissions: { policy: 'department:join' },
+      handler: (hub, connectionMeta, data) => hub.handleJoinDepartment(connectionMeta, data)
+    })
+    .register('corporate:leave_department', {
+      description: 'Leave a department - the current one when none is given.',
+      schema: {
+        type: 'object',
+        properties: { department: nonEmptyString(100) },
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleLeaveDepartment(connectionMeta, data)
+    })
+    .register('corporate:broadcast', {
+      description: 'Broadcast to your department, or (authenticated) to the named one.',
+      schema: {
+        type: 'object',
+        properties: {
+          message: nonEmptyString(4000),
+          priority: { type: 'string', enum: ['low', 'normal', 'high', 'urgent'] },
+          department: nonEmptyString(100)
+        },
+        required: ['message'],
+        additionalProperties: false
+      },
+      permissions: { policy: 'department:broadcast' },
+      handler: (hub, connectionMeta, data) => hub.handleDepartmentBroadcast(connectionMeta, data)
+    })
+    .register('corporate:join_room', {
+      description: 'Join a chat room, creating it if needed.',
+      schema: {
+        type: 'object',
+        properties: { roomId: nonEmptyString(100) },
+        required: ['roomId'],
+        additionalProperties: false
+      },
+      permissions: { policy: 'room:join' },
+      handler: (hub, connectionMeta, data) => hub.handleJoinRoom(connectionMeta, data)
+    })
+    .register('corporate:leave_room', {
+      description: 'Leave a chat room.',
+      schema: {
+        type: 'object',
+        properties: { roomId: nonEmptyString(100) },
+        required: ['roomId'],
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleLeaveRoom(connectionMeta, data)
+    })
+    .register('corporate:room_message', {
+      description: 'Send a message to a room you have joined.',
+      schema: {
+        type: 'object',
+        properties: { roomId: nonEmptyString(100), message: nonEmptyString(4000) },
+        required: ['roomId', 'message'],
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleRoomMessage(connectionMeta, data)
+    })
+    .register('corporate:set_presence', {
+      description: 'Set your presence status, shared with your department and the cluster.',
+      schema: {
+        type: 'object',
+        properties: { status: nonEmptyString(32), statusMessage: { type: 'string', maxLength: 200 } },
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleSetPresence(connectionMeta, data)
+    })
+    .register('corporate:direct_message', {
+      description: 'Send a message to one user, on any hub node.',
+      schema: {
+        type: 'object',
+        properties: { targetUserId: nonEmptyString(100), message: nonEmptyString(4000) },
+        required: ['targetUserId', 'message'],
+        additionalProperties: false
+      },
+      permissions: { policy: 'direct:message' },
+      handler: (hub, connectionMeta, data) => hub.handleDirectMessage(connectionMeta, data)
+    })
+    .register('corporate:history', {
+      description: 'Page through a room or department you belong to. Pages come oldest first; before/after are message IDs.',
+      schema: {
+        type: 'object',
+        properties: {
+          roomId: nonEmptyString(100),
+          department: nonEmptyString(100),
+          before: cursor,
+          after: cursor,
+          limit: { type: 'integer', minimum: 1 }
+        },
+        oneOf: [{ required: ['roomId'] }, { required: ['department'] }],
+        oneOfMessage: 'needs either a roomId or a department, not both',
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleHistoryRequest(connectionMeta, data)
+    })
+    .register('corporate:ack', {
+      description: 'Acknowledge every hub frame up to and including seq.',
+      schema: {
+        type: 'object',
+        properties: { seq: cursor },
+        required: ['seq'],
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleAck(connectionMeta, data)
+    })
+    .register('corporate:resume', {
+      description: 'After a reconnect: replay what was missed since lastSeq. userId is only honoured when the hub runs without auth.',
+      schema: {
+        type: 'object',
+        properties: { lastSeq: cursor, userId: nonEmptyString(100) },
+        required: ['lastSeq'],
+        additionalProperties: false
+      },
+      handler: (hub, connectionMeta, data) => hub.handleResume(connectionMeta, data)
+    })
+    .register('corporate:ping', {
+      description: 'Application-level ping; answered with corporate:pong.',
+      schema: { type: 'object' },
+      handler: (hub, connectionMeta) => hub.handlePing(connectionMeta)
+    });
+
+  registry
+    .describeServerMessage('corporate:welcome', 'Sent on connect: connectionId, userId, role, lastSeq, capabilities')
+    .describeServerMessage('corporate:department_joined', 'Your join succeeded: department, memberCount, departmentMembers')
+    .describeServerMessage('corporate:department_join', 'Someone joined your department')
+    .describeServerMessage('corporate:department_leave', 'Someone left your department')
+    .describeServerMessage('corporate:department_broadcast', 'A broadcast in your department')
+    .describeServerMessage('corporate:room_joined', 'Your room join succeeded: roomId, memberCount')
+    .describeServerMessage('corporate:room_join', 'Someone joined one of your rooms')
+    .describeServerMessage('corporate:room_leave', 'Someone left one of your rooms')
+    .describeServerMessage('corporate:room_message', 'A message in one of your rooms')
+    .describeServerMessage('corporate:presence_update', 'A department member changed presence')
+    .describeServerMessage('corporate:direct_message', 'A direct message to you')
+    .describeServerMessage('corporate:message_delivered', 'Your direct message was delivered, relayed or queued')
+    .describeServerMessage('corporate:history', 'A page of history: messages, hasMore, before, after')
+    .describeServerMessage('corporate:resumed', 'Resume done: replayed count, currentSeq, restored department and rooms')
+    .describeServerMessage('corporate:resync_required', 'Resume impossible: rejoin from scratch; currentSeq is the new baseline')
+    .describeServerMessage('corporate:pong', 'Answer to corporate:ping')
+    .describeServerMessage('corporate:server_shutdown', 'This hub node is going down')
+    .describeServerMessage('error', 'A request failed: code, message, and for INVALID_PAYLOAD the field errors');
+
+  return registry;
+}
+
+// 📖 Print the protocol document: node hub-protocol.js > protocol.json
+if (require.main === module) {
+  console.log(JSON.stringify(createCorporateProtocol().describe(), null, 2));
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ProtocolRegistry,
+  createCorporateProtocol,
+  validatePayload
+};
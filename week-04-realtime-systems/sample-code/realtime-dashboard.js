@@ -12,7 +12,51 @@ const express = require('express');
 const WebSocket = require('ws');
 const { Server } = require('socket.io');
 const { createServer } = require('http');
-const { AlgoCraticMessageBus } = require('../../week-03-event-driven/sample-code/message-queue-patterns');
+const { createMessageBus } = require('../../week-03-event-driven/sample-code/message-bus-backends');
+const { subjectForTopic } = require('../../week-03-event-driven/sample-code/schema-registry');
+
+// 📐 Message contracts for the dashboard's topics - registered on the bus at startup,
+// so a producer typo is rejected at send time instead of silently zeroing a chart
+const DASHBOARD_SCHEMAS = {
+  'corporate.metrics': {
+    type: 'object',
+    required: ['timestamp', 'realTimeConnections', 'messagesThroughput'],
+    properties: {
+      timestamp: { type: 'integer' },
+      realTimeConnections: { type: 'integer', minimum: 0 },
+      messagesThroughput: { type: 'number', minimum: 0 },
+      cpuUsage: { type: 'number', minimum: 0, maximum: 100 },
+      memoryUsage: { type: 'number', minimum: 0, maximum: 100 },
+      diskUsage: { type: 'number', minimum: 0, maximum: 100 },
+      departmentActivity: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: { activeUsers: { type: 'integer', minimum: 0 } }
+        }
+      }
+    },
+    additionalProperties: false
+  },
+  'corporate.alerts': {
+    type: 'object',
+    required: ['message', 'priority', 'source'],
+    properties: {
+      message: { type: 'string', minLength: 1 },
+      priority: { enum: ['low', 'medium', 'high', 'critical'] },
+      source: { type: 'string' },
+      timestamp: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+};
+
+// 📉 How far behind (total messages) the dashboard's own consumers may fall - a
+// dashboard that is minutes behind is showing history, not the present
+const DASHBOARD_LAG_THRESHOLDS = {
+  'dashboard-monitoring-group': { warning: 50, critical: 200 },
+  'dashboard-alert-group': { warning: 10, critical: 50 }
+};
 
 /**
  * 🎛️ CORPORATE EXECUTIVE DASHBOARD HUB
@@ -27,9 +71,15 @@ class CorporateExecutiveDashboard {
       httpPort: options.httpPort || 3000,
       wsPort: options.wsPort || 8080,
       messageBusEnabled: options.messageBusEnabled !== false,
-      kafkaMode: options.kafkaMode || false, // Future: bridge to Kafka
+      kafkaMode: options.kafkaMode || false, // Shorthand for messageBusBackend: 'kafka'
+      messageBusBroker: options.messageBusBroker || process.env.MESSAGE_BUS_BROKER || null, // "host:port" of a shared broker
+      kafkaBrokers: options.kafkaBrokers || (process.env.KAFKA_BROKERS || 'localhost:9092').split(','),
+      kafkaClient: options.kafkaClient || null, // Pre-built kafkajs-compatible client (e.g. FakeKafka)
       ...options
     };
+    this.config.messageBusBackend = options.messageBusBackend
+      || process.env.MESSAGE_BUS_BACKEND
+      || (this.config.kafkaMode ? 'kafka' : this.config.messageBusBroker ? 'remote' : 'algocratic');
 
     // 🏢 Corporate monitoring state
     this.dashboardClients = new Set();
@@ -44,6 +94,7 @@ class CorporateExecutiveDashboard {
     // 📊 Performance tracking
     this.metricsHistory = [];
     this.alertQueue = [];
+    this.consumerLag = new Map(); // groupId -> latest lag snapshot + recent history
     
     this.initializeDashboard();
   }
@@ -63,9 +114,17 @@ class CorporateExecutiveDashboard {
 
     // 📡 Initialize message bus (Week 3 integration)
     if (this.config.messageBusEnabled) {
-      this.messageBus = new AlgoCraticMessageBus({
-        persistToDisk: false,
-        maxPartitionSize: 5000
+      // 🔌 Backend chosen by config alone - in-process, shared broker or Kafka
+      const [brokerHost, brokerPort] = (this.config.messageBusBroker || '').split(':');
+      this.messageBus = createMessageBus({
+        backend: this.config.messageBusBackend,
+        algocratic: { persistToDisk: false, maxPartitionSize: 5000 },
+        remote: { host: brokerHost || undefined, port: Number(brokerPort) || 9092 },
+        kafka: {
+          clientId: 'executive-dashboard',
+          brokers: this.config.kafkaBrokers,
+          client: this.config.kafkaClient || undefined
+        }
       });
       await this.setupMessageBusIntegration();
     }
@@ -80,7 +139,7 @@ class CorporateExecutiveDashboard {
       console.log(`✅ Executive Dashboard operational on http://localhost:${this.config.httpPort}`);
       console.log(`📊 WebSocket endpoint: ws://localhost:${this.config.httpPort}`);
       if (this.config.messageBusEnabled) {
-        console.log(`📡 Integrated with AlgoCratic Message Bus (Kafka-ready architecture)`);
+        console.log(`📡 Integrated with message bus (backend: ${this.config.messageBusBackend})`);
       }
     });
   }
@@ -94,6 +153,13 @@ class CorporateExecutiveDashboard {
     await this.messageBus.createTopic('corporate.system.health', { partitionCount: 1 });
     await this.messageBus.createTopic('corporate.dashboard.events', { partitionCount: 2 });
 
+    // 📐 Register message schemas (Kafka clusters keep theirs in their own registry)
+    if (this.messageBus.registerSchema) {
+      for (const [topic, schema] of Object.entries(DASHBOARD_SCHEMAS)) {
+        await this.messageBus.registerSchema(subjectForTopic(topic), schema);
+      }
+    }
+
     // 📤 Create monitoring producer
     this.metricsProducer = await this.messageBus.createProducer('dashboard-metrics');
     this.alertProducer = await this.messageBus.createProducer('dashboard-alerts');
@@ -106,50 +172,43 @@ class CorporateExecutiveDashboard {
     await this.metricsConsumer.subscribe(['corporate.metrics', 'corporate.system.health']);
     await this.alertConsumer.subscribe(['corporate.alerts']);
 
+    // 📉 Lag monitoring (AlgoCratic backends) - know when our own consumers fall behind
+    if (typeof this.messageBus.setLagThresholds === 'function') {
+      for (const [groupId, thresholds] of Object.entries(DASHBOARD_LAG_THRESHOLDS)) {
+        await this.messageBus.setLagThresholds(groupId, thresholds);
+      }
+      this.messageBus.on('lag:threshold', event => this.processLagEvent(event));
+    }
+
     // 🔄 Start consuming messages for dashboard updates
-    this.startMessageBusConsumption();
+    await this.startMessageBusConsumption();
     
     console.log('✅ Message Bus integration complete - ready for Kafka migration');
   }
 
   async startMessageBusConsumption() {
-    // 📊 Metrics consumption loop
-    setInterval(async () => {
-      try {
-        const messages = await this.metricsConsumer.poll(1000);
-        for (const message of messages) {
-          this.processMetricsMessage(message);
-        }
-        if (messages.length > 0) {
-          await this.metricsConsumer.commitSync();
-        }
-      } catch (error) {
-        console.error('📊 Metrics consumption error:', error.message);
+    // 📊 Metrics consumption - pushed as soon as they're published,
+    // offsets committed only after each message has been processed
+    await this.metricsConsumer.run({
+      eachMessage: async ({ message }) => {
+        this.processMetricsMessage(message);
       }
-    }, 2000);
+    });
 
-    // 🚨 Alert consumption loop
-    setInterval(async () => {
-      try {
-        const messages = await this.alertConsumer.poll(1000);
-        for (const message of messages) {
-          this.processAlertMessage(message);
-        }
-        if (messages.length > 0) {
-          await this.alertConsumer.commitSync();
-        }
-      } catch (error) {
-        console.error('🚨 Alert consumption error:', error.message);
+    // 🚨 Alert consumption
+    await this.alertConsumer.run({
+      eachMessage: async ({ message }) => {
+        this.processAlertMessage(message);
       }
-    }, 1000);
+    });
   }
 
   processMetricsMessage(message) {
     const metrics = message.value;
     
     // 📊 Update dashboard metrics
-    this.systemMetrics.messagesThroughput = metrics.messagesPerSecond || 0;
-    this.systemMetrics.realTimeConnections = metrics.activeConnections || 0;
+    this.systemMetrics.messagesThroughput = metrics.messagesThroughput || 0;
+    this.systemMetrics.realTimeConnections = metrics.realTimeConnections || 0;
     
     if (metrics.departmentActivity) {
       this.systemMetrics.departmentActivity = new Map(Object.entries(metrics.departmentActivity));
@@ -196,6 +255,55 @@ class CorporateExecutiveDashboard {
     this.broadcastToDashboard('alerts:update', this.alertQueue);
   }
 
+  processLagEvent(event) {
+    const { groupId, level, previousLevel, totalLag } = event;
+    this.consumerLag.set(groupId, { ...this.consumerLag.get(groupId), ...event });
+
+    if (level === 'ok') {
+      this.broadcastToDashboard('system:event', {
+        message: `Consumer group ${groupId} caught up (was ${previousLevel})`
+      });
+    } else {
+      // 🚨 Raised directly, not via corporate.alerts - that topic's consumer may be the one that's behind
+      this.processAlertMessage({
+        value: {
+          message: `Consumer group ${groupId} is ${totalLag} messages behind`,
+          priority: level === 'critical' ? 'critical' : 'high',
+          source: 'lag-monitor'
+        }
+      });
+    }
+
+    this.broadcastToDashboard('lag:update', this.getConsumerLagSummary());
+  }
+
+  async refreshConsumerLag() {
+    const since = Date.now() - 10 * 60 * 1000; // Sparkline covers the last 10 minutes
+
+    for (const groupId of Object.keys(DASHBOARD_LAG_THRESHOLDS)) {
+      const lag = await this.messageBus.getConsumerLag(groupId);
+      if (!lag) continue;
+
+      const history = await this.messageBus.getLagHistory(groupId, { since });
+      this.consumerLag.set(groupId, {
+        ...lag,
+        history: history.map(sample => sample.totalLag)
+      });
+    }
+
+    this.broadcastToDashboard('lag:update', this.getConsumerLagSummary());
+  }
+
+  getConsumerLagSummary() {
+    return Array.from(this.consumerLag.values(), ({ groupId, totalLag, maxLag, level, history }) => ({
+      groupId,
+      totalLag,
+      maxLag,
+      level,
+      history: history || []
+    }));
+  }
+
   updateSystemAlertLevel(alert) {
     if (alert.severity === 'critical' || alert.priority === 'critical') {
       this.systemMetrics.alertLevel = 'critical';
@@ -251,6 +359,11 @@ class CorporateExecutiveDashboard {
               <div id="alerts" class="log">No alerts</div>
             </div>
             
+            <div class="panel">
+              <h2>📉 Consumer Lag</h2>
+              <div id="lag">No lag data</div>
+            </div>
+            
             <div class="panel">
               <h2>📡 Real-time Log</h2>
               <div id="log" class="log">Dashboard initializing...</div>
@@ -304,6 +417,24 @@ class CorporateExecutiveDashboard {
               alertsDiv.innerHTML = alertsHtml || 'No alerts';
             });
             
+            const LAG_STATUS = { ok: 'operational', warning: 'degraded', critical: 'critical' };
+            const SPARK = '▁▂▃▄▅▆▇█';
+            
+            function sparkline(values) {
+              const max = Math.max(1, ...values);
+              return values.slice(-30).map(v => SPARK[Math.round((v / max) * (SPARK.length - 1))]).join('');
+            }
+            
+            socket.on('lag:update', (groups) => {
+              let lagHtml = '';
+              groups.forEach(group => {
+                lagHtml += '<div class="metric">' + group.groupId + ': ' +
+                  '<span class="status-' + LAG_STATUS[group.level] + '">' + group.totalLag + ' behind (' + group.level.toUpperCase() + ')</span>' +
+                  ' <span>' + sparkline(group.history) + '</span></div>';
+              });
+              document.getElementById('lag').innerHTML = lagHtml || 'No lag data';
+            });
+            
             socket.on('system:event', (event) => {
               log('📊 ' + event.message);
             });
@@ -320,7 +451,8 @@ class CorporateExecutiveDashboard {
       res.json({
         current: this.systemMetrics,
         history: this.metricsHistory,
-        alerts: this.alertQueue
+        alerts: this.alertQueue,
+        consumerLag: this.getConsumerLagSummary()
       });
     });
 
@@ -334,7 +466,12 @@ class CorporateExecutiveDashboard {
       };
 
       if (this.config.messageBusEnabled) {
-        await this.alertProducer.send('corporate.alerts', alert);
+        try {
+          await this.alertProducer.send('corporate.alerts', alert);
+        } catch (error) {
+          const status = error.code === 'INVALID_RECORD' ? 422 : 500;
+          return res.status(status).json({ success: false, error: error.message });
+        }
       } else {
         this.processAlertMessage({ value: alert });
       }
@@ -357,6 +494,7 @@ class CorporateExecutiveDashboard {
       });
       
       socket.emit('alerts:update', this.alertQueue);
+      socket.emit('lag:update', this.getConsumerLagSummary());
 
       socket.on('disconnect', () => {
         console.log(`🎛️ Dashboard client disconnected: ${socket.id}`);
@@ -373,14 +511,34 @@ class CorporateExecutiveDashboard {
   }
 
   setupSystemMonitoring() {
-    // 📊 Generate periodic system metrics
+    // 📊 Generate periodic system metrics (they're published to the bus, which can refuse them)
     setInterval(async () => {
-      await this.generateSystemMetrics();
+      try {
+        await this.generateSystemMetrics();
+      } catch (error) {
+        console.error('📊 System metrics update failed:', error.message);
+      }
     }, 5000);
 
+    // 📉 Consumer lag panel (thresholds push alerts as they're crossed; this keeps the numbers fresh)
+    if (this.messageBus && typeof this.messageBus.getConsumerLag === 'function') {
+      setInterval(async () => {
+        try {
+          await this.refreshConsumerLag();
+        } catch (error) {
+          // A broker outage must not become an unhandled rejection every 5s
+          console.error('📉 Consumer lag refresh failed:', error.message);
+        }
+      }, 5000);
+    }
+
     // 🔍 System health checks
     setInterval(async () => {
-      await this.performHealthChecks();
+      try {
+        await this.performHealthChecks();
+      } catch (error) {
+        console.error('🔍 Health check failed:', error.message);
+      }
     }, 15000);
 
     // 🧹 Cleanup old data
@@ -484,6 +642,7 @@ class CorporateExecutiveDashboard {
     if (this.messageBus) {
       await this.metricsConsumer.close();
       await this.alertConsumer.close();
+      await this.messageBus.close();
     }
     
     this.server.close();
@@ -501,33 +660,24 @@ async function demonstrateExecutiveDashboard() {
   const dashboard = new CorporateExecutiveDashboard({
     httpPort: 3000,
     messageBusEnabled: true,
-    kafkaMode: false // Set to true for future Kafka bridge
+    kafkaMode: false // Set to true (plus KAFKA_BROKERS) to run on a Kafka cluster
   });
 
   // 🚨 Generate some test alerts
-  setTimeout(async () => {
-    await dashboard.generateAlert({
-      message: 'High CPU usage detected on web servers',
-      priority: 'medium',
-      source: 'infrastructure-monitor'
-    });
-  }, 5000);
-
-  setTimeout(async () => {
-    await dashboard.generateAlert({
-      message: 'New employee onboarding system deployment successful',
-      priority: 'low',
-      source: 'deployment-system'
-    });
-  }, 10000);
-
-  setTimeout(async () => {
-    await dashboard.generateAlert({
-      message: 'Unusual network traffic pattern detected',
-      priority: 'high',
-      source: 'security-monitor'
-    });
-  }, 15000);
+  const testAlerts = [
+    { delayMs: 5000, message: 'High CPU usage detected on web servers', priority: 'medium', source: 'infrastructure-monitor' },
+    { delayMs: 10000, message: 'New employee onboarding system deployment successful', priority: 'low', source: 'deployment-system' },
+    { delayMs: 15000, message: 'Unusual network traffic pattern detected', priority: 'high', source: 'security-monitor' }
+  ];
+  for (const { delayMs, ...alert } of testAlerts) {
+    setTimeout(async () => {
+      try {
+        await dashboard.generateAlert(alert);
+      } catch (error) {
+        console.error('🚨 Test alert failed:', error.message);
+      }
+    }, delayMs);
+  }
 
   // 🛑 Graceful shutdown
   process.on('SIGINT', async () => {
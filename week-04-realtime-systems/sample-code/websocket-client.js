@@ -6,10 +6,18 @@
  * 
  * 📡 Demonstrates WebSocket client patterns, connection management,
  * and integration with the Corporate Communications Hub
+ * 
+ * 🔐 The hub requires a signed token: pass `token`, or `authSecret` to have
+ * the employee sign its own (demos only - real tokens come from an issuer)
+ * 
+ * 📬 Every numbered frame is acked; after a reconnect the employee sends
+ * corporate:resume with the last seq it saw, so nothing broadcast while it
+ * was away goes missing
  */
 
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
+const { AUTH_SUBPROTOCOL, DEVELOPMENT_SECRET, signToken } = require('./hub-auth');
 
 class AlgoCraticEmployee {
   constructor(options = {}) {
@@ -17,30 +25,53 @@ class AlgoCraticEmployee {
       serverUrl: options.serverUrl || 'ws://localhost:8080',
       employeeId: options.employeeId || `emp-${uuidv4().slice(0, 8)}`,
       department: options.department || 'Engineering',
+      role: options.role || 'employee',
       reconnectDelay: options.reconnectDelay || 5000,
+      ackInterval: options.ackInterval || 1000, // Acks are cumulative, so batch them
+      ackBatchSize: options.ackBatchSize || 50,
       ...options
     };
     
+    // 🎫 Token presented in the handshake (Sec-WebSocket-Protocol)
+    this.token = this.config.token || (this.config.authSecret ? signToken({
+      sub: this.config.employeeId,
+      role: this.config.role,
+      departments: [this.config.department]
+    }, this.config.authSecret) : null);
+    
     this.ws = null;
     this.isConnected = false;
     this.connectionId = null;
     this.messageQueue = [];
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
+    
+    // 📬 Delivery tracking
+    this.lastSeq = 0; // Highest seq handled
+    this.unackedCount = 0;
+    this.ackTimer = null;
+    this.resuming = false;
+    this.heldDuringResume = []; // Live frames that arrive while the replay is still coming
   }
 
   async connect() {
     console.log(`🔌 Employee ${this.config.employeeId} connecting to corporate hub...`);
     
-    this.ws = new WebSocket(this.config.serverUrl);
+    this.ws = this.token
+      ? new WebSocket(this.config.serverUrl, [AUTH_SUBPROTOCOL, this.token])
+      : new WebSocket(this.config.serverUrl);
     
     this.ws.on('open', () => {
       console.log(`✅ Connected to corporate communications hub`);
       this.isConnected = true;
       this.reconnectAttempts = 0;
       
-      // Join department
-      this.joinDepartment(this.config.department);
+      // Resume where we left off, or join the department on a first connect
+      if (this.lastSeq > 0) {
+        this.resume();
+      } else {
+        this.joinDepartment(this.config.department);
+      }
       
       // Process queued messages
       this.processMessageQueue();
@@ -58,6 +89,12 @@ class AlgoCraticEmployee {
     this.ws.on('close', (code, reason) => {
       console.log(`🔌 Disconnected from corporate hub: ${code} ${reason}`);
       this.isConnected = false;
+      clearTimeout(this.ackTimer);
+      this.ackTimer = null;
+      if (code === 4401) {
+        console.error('🔐 Token rejected - not reconnecting until a new token is supplied');
+        return;
+      }
       this.attemptReconnect();
     });
     
@@ -67,12 +104,35 @@ class AlgoCraticEmployee {
   }
 
   handleMessage(message) {
+    if (message.seq !== undefined && !this.trackSequence(message)) {
+      return;
+    }
+
     switch (message.type) {
       case 'corporate:welcome':
         this.connectionId = message.data.connectionId;
+        if (!this.resuming) {
+          this.lastSeq = message.data.lastSeq || 0;
+        }
         console.log(`🏢 Welcome message: ${message.data.message}`);
         break;
         
+      case 'corporate:resumed':
+        console.log(`🔄 Resumed from seq ${message.data.lastSeq}: ${message.data.replayed} missed messages replayed`);
+        this.finishResume();
+        if (!message.data.department) {
+          this.joinDepartment(this.config.department);
+        }
+        break;
+        
+      case 'corporate:resync_required':
+        console.warn(`🔄 Resync required: ${message.data.reason}`);
+        this.lastSeq = 0;
+        this.finishResume();
+        this.lastSeq = Math.max(this.lastSeq, message.data.currentSeq);
+        this.joinDepartment(this.config.department);
+        break;
+        
       case 'corporate:department_joined':
         console.log(`🏢 Joined department: ${message.data.department} (${message.data.memberCount} members)`);
         break;
@@ -85,8 +145,12 @@ class AlgoCraticEmployee {
         console.log(`📨 Direct message from ${message.data.fromUserId}: ${message.data.message}`);
         break;
         
+      case 'corporate:history':
+        console.log(`🗄️ History for ${message.data.roomId || message.data.department}: ${message.data.messages.length} messages${message.data.hasMore ? ` (older before ${message.data.before})` : ''}`);
+        break;
+        
       case 'error':
-        console.error(`❌ Server error: ${message.data.message}`);
+        console.error(`❌ Server error${message.data.code ? ` [${message.data.code}]` : ''}: ${message.data.message}`);
         break;
         
       default:
@@ -94,6 +158,64 @@ class AlgoCraticEmployee {
     }
   }
 
+  /**
+   * 🔢 TRACK SEQUENCE - Drop replayed duplicates, note gaps, schedule the ack
+   * 
+   * Returns false when the frame should not be handled (yet).
+   */
+  trackSequence(message) {
+    // Live frames wait until the replay of older ones is done
+    if (this.resuming && !message.replayed) {
+      this.heldDuringResume.push(message);
+      return false;
+    }
+    if (message.seq <= this.lastSeq) {
+      return false;
+    }
+    if (this.lastSeq > 0 && message.seq > this.lastSeq + 1) {
+      console.warn(`📬 Missed messages ${this.lastSeq + 1}-${message.seq - 1}`);
+    }
+
+    this.lastSeq = message.seq;
+    this.scheduleAck();
+    return true;
+  }
+
+  scheduleAck() {
+    this.unackedCount++;
+    if (this.unackedCount >= this.config.ackBatchSize) {
+      this.sendAck();
+    } else if (!this.ackTimer) {
+      this.ackTimer = setTimeout(() => this.sendAck(), this.config.ackInterval);
+    }
+  }
+
+  sendAck() {
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+    this.unackedCount = 0;
+
+    // Never queued - after a reconnect the resume handshake covers it
+    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'corporate:ack', data: { seq: this.lastSeq } }));
+    }
+  }
+
+  resume() {
+    this.resuming = true;
+    this.ws.send(JSON.stringify({
+      type: 'corporate:resume',
+      data: { lastSeq: this.lastSeq, userId: this.config.employeeId }
+    }));
+  }
+
+  finishResume() {
+    this.resuming = false;
+    const held = this.heldDuringResume;
+    this.heldDuringResume = [];
+    held.forEach(message => this.handleMessage(message));
+  }
+
   sendMessage(type, data) {
     const message = { type, data };
     
@@ -124,6 +246,11 @@ class AlgoCraticEmployee {
     this.sendMessage('corporate:set_presence', { status, statusMessage });
   }
 
+  // 🗄️ { roomId } or { department }, plus optional before/after cursors and limit
+  requestHistory(target, { before, after, limit } = {}) {
+    this.sendMessage('corporate:history', { ...target, before, after, limit });
+  }
+
   processMessageQueue() {
     while (this.messageQueue.length > 0) {
       const message = this.messageQueue.shift();
@@ -146,6 +273,7 @@ class AlgoCraticEmployee {
   }
 
   disconnect() {
+    clearTimeout(this.ackTimer);
     if (this.ws) {
       this.ws.close(1000, 'Client disconnect');
     }
@@ -158,10 +286,11 @@ async function demonstrateEmployeeConnection() {
   console.log('===================================');
   
   // Create multiple employees
+  const authSecret = process.env.HUB_AUTH_SECRET || DEVELOPMENT_SECRET;
   const employees = [
-    new AlgoCraticEmployee({ employeeId: 'alice-engineer', department: 'Engineering' }),
-    new AlgoCraticEmployee({ employeeId: 'bob-sales', department: 'Sales' }),
-    new AlgoCraticEmployee({ employeeId: 'carol-marketing', department: 'Marketing' })
+    new AlgoCraticEmployee({ employeeId: 'alice-engineer', department: 'Engineering', role: 'manager', authSecret }),
+    new AlgoCraticEmployee({ employeeId: 'bob-sales', department: 'Sales', authSecret }),
+    new AlgoCraticEmployee({ employeeId: 'carol-marketing', department: 'Marketing', authSecret })
   ];
   
   // Connect all employees
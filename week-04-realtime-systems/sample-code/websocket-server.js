@@ -19,6 +19,11 @@
  * - Integrating with HTTP servers properly
  * - Rate limiting and security considerations
  * - Scaling WebSocket connections across processes
+ * - Trusting identity from the token, never from the message payload
+ * - Broadcasts reach other hub nodes only through the cluster adapter
+ * - A reconnect is only seamless if the client resumes from its last seq
+ * - History is only as complete as what this node recorded
+ * - Validating payloads before any handler sees them
  */
 
 const WebSocket = require('ws');
@@ -27,6 +32,19 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { performance } = require('perf_hooks');
 const EventEmitter = require('events');
+const {
+  AUTH_SUBPROTOCOL,
+  DEVELOPMENT_SECRET,
+  AuthorizationPolicy,
+  verifyToken,
+  extractToken,
+  principalFromClaims
+} = require('./hub-auth');
+const { InMemoryHubAdapter, MessageBusHubAdapter } = require('./hub-adapters');
+const { DeliveryLedger } = require('./hub-delivery');
+const { MessageHistoryStore, FileHistoryStore } = require('./hub-history');
+const { createCorporateProtocol } = require('./hub-protocol');
+const { createMessageBus } = require('../../week-03-event-driven/sample-code/message-bus-backends');
 
 /**
  * 🏢 ALGOCRATIC CORPORATE COMMUNICATIONS HUB
@@ -34,6 +52,25 @@ const EventEmitter = require('events');
  * Central WebSocket server that manages real-time communication across
  * all corporate departments, enabling instant coordination and decision
  * propagation throughout the organizational hierarchy.
+ * 
+ * 🔐 Connections authenticate with a signed token during the handshake
+ * (see hub-auth.js); the token fixes the user ID and role, and an
+ * AuthorizationPolicy vets department, room and direct-message requests.
+ * 
+ * 🌐 Broadcasts and presence changes also go out through a cluster adapter
+ * (see hub-adapters.js), so several hub processes act as one hub.
+ * 
+ * 📬 Messages to a user carry a per-user seq and wait in an outbox until
+ * acked (see hub-delivery.js); a reconnecting client sends corporate:resume
+ * and gets what it missed, including what was broadcast while it was away.
+ * 
+ * 🗄️ Room messages and department broadcasts are recorded in a history store
+ * (see hub-history.js) and served back with corporate:history or
+ * GET /rooms/:roomId/messages.
+ * 
+ * 📋 Incoming frames are routed through a protocol registry (see
+ * hub-protocol.js): each corporate:* type's payload is checked against its
+ * JSON Schema before its handler runs. GET /protocol describes them all.
  */
 class AlgoCraticCommunicationsHub extends EventEmitter {
   constructor(options = {}) {
@@ -46,14 +83,42 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       connectionTimeout: options.connectionTimeout || 60000,
       rateLimitWindow: options.rateLimitWindow || 60000,
       rateLimitMax: options.rateLimitMax || 100,
+      requireAuth: options.requireAuth !== false, // Reject handshakes without a valid token
+      authSecret: options.authSecret || process.env.HUB_AUTH_SECRET || null, // HMAC key tokens are signed with
+      nodeHeartbeatInterval: options.nodeHeartbeatInterval || 5000, // Cluster liveness; silent nodes expire after 3 intervals
+      outboxSize: options.outboxSize || 500, // Unacked messages kept per user for replay
+      resumeWindow: options.resumeWindow || 2 * 60 * 1000, // How long a disconnected user's messages are kept
+      history: options.history || {}, // { dataDir, defaultRetention, rooms: { roomId: { maxMessages, maxAgeMs } } }
       ...options
     };
 
+    if (this.config.requireAuth && !this.config.authSecret) {
+      console.warn('⚠️  No authSecret or HUB_AUTH_SECRET configured - using the development secret');
+      this.config.authSecret = DEVELOPMENT_SECRET;
+    }
+
     // 🏢 Corporate infrastructure state
     this.departments = new Map(); // departmentId -> Set<connections>
     this.connections = new Map(); // connectionId -> connection metadata
     this.rooms = new Map(); // roomId -> Set<connectionIds>
-    this.presence = new Map(); // userId -> presence info
+    this.presence = new Map(); // userId -> presence info (nodeId says which hub node has them)
+    
+    // 🌐 Cluster membership - a private in-memory adapter makes a single node
+    this.adapter = options.adapter || new InMemoryHubAdapter({ nodeId: options.nodeId });
+    this.nodeId = this.adapter.nodeId;
+    this.clusterNodes = new Map(); // nodeId -> last time we heard from it
+    
+    // 📬 Delivery guarantees - sequence numbers, outboxes, and users away mid-reconnect
+    this.deliveryLedger = new DeliveryLedger({
+      outboxSize: this.config.outboxSize,
+      retentionMs: this.config.resumeWindow
+    });
+    this.detachedSessions = new Map(); // userId -> { department, rooms, principal, detachedAt }
+    
+    // 🗄️ Message history - on disk when a dataDir is configured
+    this.historyStore = options.historyStore || (this.config.history.dataDir
+      ? new FileHistoryStore(this.config.history)
+      : new MessageHistoryStore(this.config.history));
     
     // 📊 Real-time metrics and monitoring
     this.metrics = {
@@ -68,8 +133,18 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     
     // 🛡️ Security and rate limiting
     this.rateLimits = new Map(); // connectionId -> { count, window }
+    this.authorizationPolicy = options.authorizationPolicy || new AuthorizationPolicy(options.authorization);
+    
+    // 📋 Message types this hub accepts - schemas, handlers, permissions
+    this.protocol = options.protocol || createCorporateProtocol();
     
-    this.initializeCorporateHub();
+    // ⏳ Resolves once the cluster adapter is connected and the server listens
+    this.ready = this.initializeCorporateHub();
+    // 🚨 A start that fails (broker down, port taken) is reported even if nobody awaits ready
+    this.ready.catch(error => {
+      console.error('🚨 Corporate Communications Hub failed to start:', error.message);
+      this.emit('server:error', error);
+    });
   }
 
   async initializeCorporateHub() {
@@ -83,6 +158,8 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     this.wss = new WebSocket.Server({ 
       server: this.server,
       maxPayload: 16 * 1024, // 16KB max message size
+      // 🎫 Answer with the auth marker, never echo the token itself back
+      handleProtocols: (protocols) => protocols.has(AUTH_SUBPROTOCOL) ? AUTH_SUBPROTOCOL : protocols.values().next().value,
       perMessageDeflate: {
         zlibDeflateOptions: {
           level: 3
@@ -92,15 +169,84 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     
     this.setupWebSocketHandlers();
     this.setupHTTPEndpoints();
+    await this.historyStore.init();
+    await this.setupClusterAdapter();
     this.setupMaintenanceTasks();
     
     // 🚀 Start server
-    this.server.listen(this.config.port, () => {
-      console.log(`✅ Corporate Communications Hub operational on port ${this.config.port}`);
-      console.log(`📊 Configuration: Max Connections=${this.config.maxConnections}, Rate Limit=${this.config.rateLimitMax}/min`);
+    await new Promise(resolve => this.server.listen(this.config.port, resolve));
+    console.log(`✅ Corporate Communications Hub operational on port ${this.config.port} (node ${this.nodeId})`);
+    console.log(`📊 Configuration: Max Connections=${this.config.maxConnections}, Rate Limit=${this.config.rateLimitMax}/min`);
+  }
+
+  /**
+   * 🌐 CLUSTER ADAPTER - Hear what the other hub nodes broadcast
+   */
+  async setupClusterAdapter() {
+    this.adapter.on('envelope', envelope => this.handleClusterEnvelope(envelope));
+    await this.adapter.init(this);
+
+    // 👋 Nodes already running answer with their presence entries
+    this.publishToCluster({ type: 'presence:sync' });
+  }
+
+  // Fire-and-forget: a failed fan-out must not fail the local delivery
+  publishToCluster(envelope) {
+    this.adapter.publish(envelope).catch(error => {
+      console.error(`🌐 Cluster publish failed (${envelope.type}):`, error.message);
     });
   }
 
+  handleClusterEnvelope(envelope) {
+    this.clusterNodes.set(envelope.nodeId, Date.now());
+
+    switch (envelope.type) {
+      case 'broadcast':
+        this.recordHistory(envelope.message);
+        this.deliverBroadcast(envelope.scope, envelope.target, envelope.message, envelope.excludeConnectionId);
+        break;
+
+      case 'presence:set':
+        this.presence.set(envelope.userId, envelope.presence);
+        // 🚚 Back on another node - stop collecting for them here
+        this.dropDetachedSession(envelope.userId);
+        break;
+
+      case 'presence:delete': {
+        // Only if they haven't since turned up somewhere else
+        const entry = this.presence.get(envelope.userId);
+        if (entry && entry.nodeId === envelope.nodeId) {
+          this.presence.delete(envelope.userId);
+        }
+        break;
+      }
+
+      case 'presence:sync':
+        for (const [userId, entry] of this.presence) {
+          if (entry.nodeId === this.nodeId) {
+            this.publishToCluster({ type: 'presence:set', userId, presence: entry });
+          }
+        }
+        break;
+
+      case 'node:down':
+        this.forgetClusterNode(envelope.nodeId);
+        break;
+    }
+  }
+
+  // 🪦 A node left (or stopped answering) - its users are gone with it
+  forgetClusterNode(nodeId) {
+    this.clusterNodes.delete(nodeId);
+    for (const [userId, entry] of this.presence) {
+      if (entry.nodeId === nodeId) {
+        this.presence.delete(userId);
+      }
+    }
+    console.log(`🌐 Hub node ${nodeId} left the cluster`);
+    this.emit('cluster:node_down', { nodeId });
+  }
+
   setupWebSocketHandlers() {
     this.wss.on('connection', (ws, request) => {
       this.handleNewConnection(ws, request);
@@ -138,10 +284,46 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       res.json(departmentStats);
     });
 
+    // 🗄️ Room history - a page at a time, ?before= / ?after= / ?limit=
+    this.app.get('/rooms/:roomId/messages', (req, res) => {
+      const { roomId } = req.params;
+
+      // 🔐 Anyone allowed to join the room may read it
+      if (this.config.requireAuth) {
+        const authorization = req.headers.authorization || '';
+        let principal;
+        try {
+          const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : extractToken(req);
+          principal = principalFromClaims(verifyToken(token, this.config.authSecret));
+        } catch (error) {
+          return res.status(401).json({ error: error.message, code: error.code || 'UNAUTHORIZED' });
+        }
+
+        const reason = this.authorizationPolicy.authorize('room:join', principal, { roomId });
+        if (reason) {
+          return res.status(403).json({ error: reason, code: 'FORBIDDEN' });
+        }
+      }
+
+      const query = this.parseHistoryQuery(req.query);
+      if (!query) {
+        return res.status(400).json({ error: 'before, after and limit must be non-negative integers', code: 'INVALID_CURSOR' });
+      }
+
+      const page = this.historyStore.query('room', roomId, query);
+      res.json({ roomId, messages: page.messages, hasMore: page.hasMore, before: page.before, after: page.after });
+    });
+
+    // 📋 Protocol document for client authors
+    this.app.get('/protocol', (req, res) => {
+      res.json(this.protocol.describe(this.authorizationPolicy));
+    });
+
     // 📡 Health check for load balancers
     this.app.get('/health', (req, res) => {
       res.json({
         status: 'healthy',
+        nodeId: this.nodeId,
         uptime: Date.now() - this.metrics.uptime,
         connections: this.metrics.activeConnections,
         lastActivity: this.metrics.lastActivity
@@ -162,6 +344,23 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     // 🆔 Generate unique connection identifier
     const connectionId = uuidv4();
     const clientIP = request.socket.remoteAddress;
+
+    // 🔐 Authenticate the handshake - the token decides who this connection is
+    let principal = null;
+    if (this.config.requireAuth) {
+      try {
+        principal = principalFromClaims(verifyToken(extractToken(request), this.config.authSecret));
+      } catch (error) {
+        console.log(`🔐 Rejected connection from ${clientIP}: ${error.message}`);
+        ws.send(JSON.stringify({
+          type: 'error',
+          data: { code: error.code || 'UNAUTHORIZED', message: error.message }
+        }));
+        ws.close(4401, 'Unauthorized');
+        this.emit('connection:rejected', { clientIP, reason: error.message });
+        return;
+      }
+    }
     
     const connectionMeta = {
       connectionId,
@@ -170,7 +369,8 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       lastActivity: Date.now(),
       clientIP,
       department: null,
-      userId: null,
+      userId: principal ? principal.userId : null,
+      principal, // { userId, name, role, departments, expiresAt } - null when auth is off
       rooms: new Set(),
       messageCount: 0,
       isAlive: true
@@ -181,24 +381,28 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     this.metrics.totalConnections++;
     this.metrics.activeConnections++;
 
-    console.log(`📡 New corporate connection: ${connectionId} from ${clientIP} (${this.metrics.activeConnections} active)`);
+    console.log(`📡 New corporate connection: ${connectionId} from ${clientIP}${principal ? ` as ${principal.userId} (${principal.role})` : ''} (${this.metrics.activeConnections} active)`);
 
     // 🔧 Setup connection handlers
     this.setupConnectionHandlers(ws, connectionMeta);
+    this.announcePresence(connectionMeta);
 
     // 📤 Send welcome message
     this.sendToConnection(connectionId, {
       type: 'corporate:welcome',
       data: {
         connectionId,
+        userId: connectionMeta.userId,
+        role: principal ? principal.role : null,
+        lastSeq: connectionMeta.userId ? this.deliveryLedger.lastSeq(connectionMeta.userId) : 0,
         timestamp: new Date().toISOString(),
         message: 'Welcome to AlgoCratic Corporate Communications Hub',
         availableDepartments: ['Engineering', 'Sales', 'Marketing', 'HR', 'Finance', 'Operations', 'Executive'],
-        serverCapabilities: ['chat', 'notifications', 'presence', 'broadcasting', 'rooms']
+        serverCapabilities: ['chat', 'notifications', 'presence', 'broadcasting', 'rooms', 'resume']
       }
     });
 
-    this.emit('connection:established', { connectionId, clientIP });
+    this.emit('connection:established', { connectionId, clientIP, userId: connectionMeta.userId });
   }
 
   setupConnectionHandlers(ws, connectionMeta) {
@@ -210,10 +414,7 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
         await this.handleIncomingMessage(connectionMeta, data);
       } catch (error) {
         console.error(`🚨 Message handling error for ${connectionId}:`, error.message);
-        this.sendToConnection(connectionId, {
-          type: 'error',
-          data: { message: 'Message processing failed', error: error.message }
-        });
+        this.sendError(connectionId, 'INTERNAL_ERROR', 'Message processing failed', { error: error.message });
       }
     });
 
@@ -240,10 +441,15 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     
     // 🛡️ Rate limiting check
     if (!this.checkRateLimit(connectionId)) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Rate limit exceeded', retryAfter: this.config.rateLimitWindow }
-      });
+      this.sendError(connectionId, 'RATE_LIMITED', 'Rate limit exceeded', { retryAfter: this.config.rateLimitWindow });
+      return;
+    }
+
+    // ⌛ Tokens expire mid-connection too
+    const { principal } = connectionMeta;
+    if (principal && principal.expiresAt !== null && Date.now() > principal.expiresAt) {
+      this.sendError(connectionId, 'TOKEN_EXPIRED', 'Token expired - reconnect with a fresh one');
+      connectionMeta.ws.close(4401, 'Token expired');
       return;
     }
 
@@ -251,10 +457,7 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     try {
       message = JSON.parse(rawData.toString());
     } catch (error) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Invalid JSON format' }
-      });
+      this.sendError(connectionId, 'INVALID_JSON', 'Invalid JSON format');
       return;
     }
 
@@ -264,68 +467,51 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     this.metrics.totalMessages++;
     this.metrics.lastActivity = Date.now();
 
-    console.log(`📨 Message from ${connectionId}: ${message.type}`);
+    const type = message && typeof message.type === 'string' ? message.type : null;
+    console.log(`📨 Message from ${connectionId}: ${type}`);
 
-    // 🎯 Route message based on type
-    switch (message.type) {
-      case 'corporate:join_department':
-        await this.handleJoinDepartment(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:leave_department':
-        await this.handleLeaveDepartment(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:broadcast':
-        await this.handleDepartmentBroadcast(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:join_room':
-        await this.handleJoinRoom(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:leave_room':
-        await this.handleLeaveRoom(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:room_message':
-        await this.handleRoomMessage(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:set_presence':
-        await this.handleSetPresence(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:direct_message':
-        await this.handleDirectMessage(connectionMeta, message.data);
-        break;
-        
-      case 'corporate:ping':
-        this.sendToConnection(connectionId, {
-          type: 'corporate:pong',
-          data: { timestamp: Date.now() }
-        });
-        break;
-        
-      default:
-        this.sendToConnection(connectionId, {
-          type: 'error',
-          data: { message: `Unknown message type: ${message.type}` }
-        });
+    // 🎯 Route message through the protocol registry
+    const definition = type && this.protocol.get(type);
+    if (!definition) {
+      this.sendError(connectionId, 'UNKNOWN_MESSAGE_TYPE', type ? `Unknown message type: ${type}` : 'Message type required', { requestType: type });
+      return;
+    }
+
+    // ✅ Payload must match the type's schema - handlers can trust it after this
+    const data = message.data === undefined ? {} : message.data;
+    const errors = this.protocol.validate(type, data);
+    if (errors.length > 0) {
+      this.sendError(connectionId, 'INVALID_PAYLOAD', `Invalid ${type} payload: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, {
+        requestType: type,
+        errors
+      });
+      return;
     }
+
+    // 🛂 Permissions are the handler's job - it asks the AuthorizationPolicy with the context it has
+    await definition.handler(this, connectionMeta, data);
   }
 
   async handleJoinDepartment(connectionMeta, data) {
     const { connectionId } = connectionMeta;
     const { department, userId } = data;
 
-    if (!department) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Department name required' }
+    // 🔐 The token says who you are - a different userId in the payload is refused
+    if (connectionMeta.principal && userId && userId !== connectionMeta.principal.userId) {
+      this.sendError(connectionId, 'IDENTITY_MISMATCH', `Authenticated as ${connectionMeta.principal.userId}, cannot join as ${userId}`, {
+        requestType: 'corporate:join_department'
       });
       return;
     }
+    if (!this.authorize(connectionMeta, 'department:join', { department }, 'corporate:join_department')) {
+      return;
+    }
+    if (!connectionMeta.principal) {
+      connectionMeta.userId = userId || connectionMeta.userId || `user-${connectionId.slice(0, 8)}`;
+    }
+
+    // 🆕 Joining afresh instead of resuming ends any detached session
+    this.detachedSessions.delete(connectionMeta.userId);
 
     // 🏢 Leave current department if any
     if (connectionMeta.department) {
@@ -345,7 +531,7 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     const departmentConnections = this.departments.get(department);
     departmentConnections.add(connectionMeta);
     connectionMeta.department = department;
-    connectionMeta.userId = userId || `user-${connectionId.slice(0, 8)}`;
+    this.announcePresence(connectionMeta);
 
     console.log(`🏢 ${connectionId} joined department: ${department} as ${connectionMeta.userId}`);
 
@@ -415,22 +601,18 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
   }
 
   async handleDepartmentBroadcast(connectionMeta, data) {
-    const { connectionId, department } = connectionMeta;
+    const { connectionId } = connectionMeta;
     const { message, priority = 'normal' } = data;
+    // Authenticated senders may name another department (the policy decides)
+    const department = (connectionMeta.principal && data.department) || connectionMeta.department;
 
     if (!department) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Must join a department before broadcasting' }
-      });
+      this.sendError(connectionId, 'NOT_A_MEMBER', 'Must join a department before broadcasting', { requestType: 'corporate:broadcast' });
       return;
     }
 
-    if (!message) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Broadcast message required' }
-      });
+    const context = { department, memberDepartment: connectionMeta.department, priority };
+    if (!this.authorize(connectionMeta, 'department:broadcast', context, 'corporate:broadcast')) {
       return;
     }
 
@@ -442,8 +624,8 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       deptStats.messagesExchanged++;
     }
 
-    // 📡 Broadcast to department
-    this.broadcastToDepartment(department, {
+    // 📡 Broadcast to department (and into its history)
+    const broadcast = {
       type: 'corporate:department_broadcast',
       data: {
         fromUserId: connectionMeta.userId,
@@ -453,7 +635,9 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
         priority,
         timestamp: new Date().toISOString()
       }
-    }, connectionId);
+    };
+    this.recordHistory(broadcast);
+    this.broadcastToDepartment(department, broadcast, connectionId);
 
     this.emit('department:broadcast', { department, fromUserId: connectionMeta.userId, message });
   }
@@ -462,13 +646,10 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     const { connectionId } = connectionMeta;
     const { roomId } = data;
 
-    if (!roomId) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Room ID required' }
-      });
+    if (!this.authorize(connectionMeta, 'room:join', { roomId }, 'corporate:join_room')) {
       return;
     }
+    this.detachedSessions.delete(connectionMeta.userId);
 
     // 🏢 Create room if it doesn't exist
     if (!this.rooms.has(roomId)) {
@@ -536,26 +717,15 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     const { connectionId } = connectionMeta;
     const { roomId, message } = data;
 
-    if (!roomId || !message) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Room ID and message required' }
-      });
-      return;
-    }
-
     if (!connectionMeta.rooms.has(roomId)) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Not a member of this room' }
-      });
+      this.sendError(connectionId, 'NOT_A_MEMBER', 'Not a member of this room', { requestType: 'corporate:room_message' });
       return;
     }
 
     console.log(`💬 Room message from ${connectionMeta.userId} in ${roomId}: ${message.substring(0, 50)}...`);
 
-    // 📡 Broadcast to room
-    this.broadcastToRoom(roomId, {
+    // 📡 Broadcast to room (and into its history)
+    const roomMessage = {
       type: 'corporate:room_message',
       data: {
         fromUserId: connectionMeta.userId,
@@ -564,7 +734,99 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
         message,
         timestamp: new Date().toISOString()
       }
-    }, connectionId);
+    };
+    this.recordHistory(roomMessage);
+    this.broadcastToRoom(roomId, roomMessage, connectionId);
+  }
+
+  /**
+   * 🗄️ HISTORY REQUEST - A page of a room's or department's past messages
+   * 
+   * { roomId | department, before?, after?, limit? } - members only.
+   */
+  async handleHistoryRequest(connectionMeta, data = {}) {
+    const { connectionId } = connectionMeta;
+    const { roomId, department, before, after, limit } = data;
+
+    const isMember = roomId ? connectionMeta.rooms.has(roomId) : connectionMeta.department === department;
+    if (!isMember) {
+      this.sendError(connectionId, 'NOT_A_MEMBER', `Not a member of ${roomId ? `room ${roomId}` : `department ${department}`}`, {
+        requestType: 'corporate:history'
+      });
+      return;
+    }
+
+    const query = { before, after, limit };
+    const page = roomId
+      ? this.historyStore.query('room', roomId, query)
+      : this.historyStore.query('department', department, query);
+
+    this.sendToConnection(connectionId, {
+      type: 'corporate:history',
+      data: {
+        ...(roomId ? { roomId } : { department }),
+        messages: page.messages,
+        hasMore: page.hasMore,
+        before: page.before,
+        after: page.after
+      }
+    });
+  }
+
+  // 🔖 before/after/limit from a query string - null if any is invalid
+  parseHistoryQuery(source = {}) {
+    const query = {};
+    for (const field of ['before', 'after', 'limit']) {
+      const raw = source[field];
+      if (raw === undefined || raw === null || raw === '') continue;
+
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < 0) return null;
+      query[field] = value;
+    }
+    return query;
+  }
+
+  // 📝 Room messages and department broadcasts go into the history store
+  recordHistory(message) {
+    const { fromConnectionId, ...data } = message.data || {};
+    switch (message.type) {
+      case 'corporate:room_message':
+        return this.historyStore.append('room', data.roomId, data);
+      case 'corporate:department_broadcast':
+        return this.historyStore.append('department', data.department, data);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 👤 ANNOUNCE PRESENCE - Let the cluster know which node has this user
+   *
+   * Direct messages find users on other nodes through presence, so every
+   * identified connection gets an entry - not only users who set a status.
+   * A status set with corporate:set_presence is kept.
+   */
+  announcePresence(connectionMeta) {
+    const { userId, principal } = connectionMeta;
+    if (!userId) return;
+
+    const current = this.presence.get(userId);
+    const presenceInfo = {
+      status: 'online',
+      statusMessage: '',
+      ...(current && current.nodeId === this.nodeId ? current : {}),
+      userId,
+      connectionId: connectionMeta.connectionId,
+      lastSeen: Date.now(),
+      department: connectionMeta.department,
+      role: principal ? principal.role : null,
+      departments: principal ? principal.departments : [],
+      nodeId: this.nodeId
+    };
+
+    this.presence.set(userId, presenceInfo);
+    this.publishToCluster({ type: 'presence:set', userId, presence: presenceInfo });
   }
 
   async handleSetPresence(connectionMeta, data) {
@@ -577,10 +839,15 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       status: status || 'online',
       statusMessage: statusMessage || '',
       lastSeen: Date.now(),
-      department: connectionMeta.department
+      department: connectionMeta.department,
+      role: connectionMeta.principal ? connectionMeta.principal.role : null,
+      departments: connectionMeta.principal ? connectionMeta.principal.departments : [],
+      nodeId: this.nodeId
     };
 
-    this.presence.set(connectionMeta.userId || connectionId, presenceInfo);
+    const presenceKey = connectionMeta.userId || connectionId;
+    this.presence.set(presenceKey, presenceInfo);
+    this.publishToCluster({ type: 'presence:set', userId: presenceKey, presence: presenceInfo });
 
     console.log(`👤 Presence update for ${connectionMeta.userId}: ${status}`);
 
@@ -597,48 +864,182 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     const { connectionId } = connectionMeta;
     const { targetUserId, message } = data;
 
-    if (!targetUserId || !message) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: 'Target user ID and message required' }
-      });
-      return;
-    }
-
-    // 🔍 Find target connection
+    // 🔍 Find target connection - here, on another hub node via presence,
+    // or detached mid-reconnect (the message waits in their outbox).
+    // Presence elsewhere beats a detached session here: they reconnected there.
     const targetConnection = Array.from(this.connections.values())
       .find(conn => conn.userId === targetUserId);
+    const remotePresence = targetConnection ? null : this.presence.get(targetUserId);
+    const remoteNodeId = remotePresence && remotePresence.nodeId !== this.nodeId ? remotePresence.nodeId : null;
+    if (remoteNodeId) {
+      this.dropDetachedSession(targetUserId);
+    }
+    const detachedTarget = targetConnection || remoteNodeId ? null : this.detachedSessions.get(targetUserId);
 
-    if (!targetConnection) {
-      this.sendToConnection(connectionId, {
-        type: 'error',
-        data: { message: `User ${targetUserId} not found or offline` }
-      });
+    if (!targetConnection && !detachedTarget && !remoteNodeId) {
+      this.sendError(connectionId, 'USER_NOT_FOUND', `User ${targetUserId} not found or offline`, { requestType: 'corporate:direct_message' });
       return;
     }
 
-    console.log(`📨 Direct message from ${connectionMeta.userId} to ${targetUserId}`);
+    const context = targetConnection || detachedTarget ? {
+      target: (targetConnection || detachedTarget).principal,
+      senderDepartment: connectionMeta.department,
+      targetDepartment: (targetConnection || detachedTarget).department
+    } : {
+      target: { userId: targetUserId, role: remotePresence.role, departments: remotePresence.departments || [] },
+      senderDepartment: connectionMeta.department,
+      targetDepartment: remotePresence.department
+    };
+    if (context.target && !this.authorize(connectionMeta, 'direct:message', context, 'corporate:direct_message')) {
+      return;
+    }
+
+    console.log(`📨 Direct message from ${connectionMeta.userId} to ${targetUserId}${remoteNodeId ? ` (via node ${remoteNodeId})` : ''}`);
 
     // 📤 Send direct message
-    this.sendToConnection(targetConnection.connectionId, {
+    const directMessage = {
       type: 'corporate:direct_message',
       data: {
         fromUserId: connectionMeta.userId,
         message,
         timestamp: new Date().toISOString()
       }
-    });
+    };
+    if (targetConnection) {
+      this.deliverToUser(targetUserId, directMessage);
+    } else if (detachedTarget) {
+      this.queueForDetached(targetUserId, directMessage);
+    } else {
+      this.publishToCluster({ type: 'broadcast', scope: 'user', target: targetUserId, message: directMessage });
+    }
 
-    // ✅ Confirm delivery to sender
+    // ✅ Confirm delivery to sender (relayed: handed to the node that has them;
+    // queued: waiting for them to resume)
     this.sendToConnection(connectionId, {
       type: 'corporate:message_delivered',
       data: {
         targetUserId,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        ...(remoteNodeId ? { relayedTo: remoteNodeId } : {}),
+        ...(detachedTarget ? { queued: true } : {})
       }
     });
   }
 
+  // ✅ Cumulative ack - the client has everything up to data.seq
+  handleAck(connectionMeta, data) {
+    if (!connectionMeta.userId) {
+      this.sendError(connectionMeta.connectionId, 'INVALID_ACK', 'Join a department or resume before acking', {
+        requestType: 'corporate:ack'
+      });
+      return;
+    }
+
+    this.deliveryLedger.acknowledge(connectionMeta.userId, data.seq);
+  }
+
+  /**
+   * 🔄 RESUME - Replay what a reconnecting user missed since lastSeq
+   * 
+   * Replays the outbox, then restores the department and rooms the user had
+   * when they dropped. If the outbox can't reach back to lastSeq the client
+   * gets corporate:resync_required and rejoins from scratch.
+   */
+  async handleResume(connectionMeta, data = {}) {
+    const { connectionId, principal } = connectionMeta;
+    const { lastSeq } = data;
+
+    // 🔐 With a token the identity is fixed; without one the payload names it
+    const userId = principal ? principal.userId : (data.userId || connectionMeta.userId);
+    if (!userId) {
+      this.sendError(connectionId, 'INVALID_RESUME', 'Resume needs a userId when the hub runs without auth', {
+        requestType: 'corporate:resume'
+      });
+      return;
+    }
+    if (principal && data.userId && data.userId !== principal.userId) {
+      this.sendError(connectionId, 'IDENTITY_MISMATCH', `Authenticated as ${principal.userId}, cannot resume as ${data.userId}`, {
+        requestType: 'corporate:resume'
+      });
+      return;
+    }
+    connectionMeta.userId = userId;
+    this.announcePresence(connectionMeta);
+
+    const session = this.detachedSessions.get(userId);
+    this.detachedSessions.delete(userId);
+
+    const result = this.deliveryLedger.replay(userId, lastSeq);
+    if (result.resync) {
+      console.log(`🔄 ${userId} must resync: ${result.resync}`);
+      this.sendToConnection(connectionId, {
+        type: 'corporate:resync_required',
+        data: { reason: result.resync, lastSeq, currentSeq: result.currentSeq }
+      });
+      this.emit('delivery:resync', { connectionId, userId, lastSeq, reason: result.resync });
+      return;
+    }
+
+    // 📬 Replay first - anything sent from here on is numbered after it
+    for (const frame of result.frames) {
+      this.transmit(connectionMeta, frame);
+    }
+
+    if (session) {
+      if (session.department) {
+        await this.handleJoinDepartment(connectionMeta, { department: session.department, userId });
+      }
+      for (const roomId of session.rooms) {
+        await this.handleJoinRoom(connectionMeta, { roomId });
+      }
+    }
+
+    console.log(`🔄 ${userId} resumed from seq ${lastSeq}: ${result.frames.length} replayed`);
+    this.sendToConnection(connectionId, {
+      type: 'corporate:resumed',
+      data: {
+        lastSeq,
+        replayed: result.frames.length,
+        currentSeq: this.deliveryLedger.lastSeq(userId),
+        department: connectionMeta.department,
+        rooms: Array.from(connectionMeta.rooms)
+      }
+    });
+    this.emit('delivery:resumed', { connectionId, userId, lastSeq, replayed: result.frames.length });
+  }
+
+  handlePing(connectionMeta) {
+    this.sendToConnection(connectionMeta.connectionId, {
+      type: 'corporate:pong',
+      data: { timestamp: Date.now() }
+    });
+  }
+
+  /**
+   * 🛂 AUTHORIZE - Ask the policy; on refusal send a FORBIDDEN error frame
+   * 
+   * Connections without a principal (auth disabled) are not policed.
+   */
+  authorize(connectionMeta, action, context, requestType) {
+    if (!connectionMeta.principal) return true;
+
+    const reason = this.authorizationPolicy.authorize(action, connectionMeta.principal, context);
+    if (!reason) return true;
+
+    console.log(`🛂 Denied ${action} for ${connectionMeta.userId}: ${reason}`);
+    this.sendError(connectionMeta.connectionId, 'FORBIDDEN', reason, { action, requestType });
+    this.emit('authorization:denied', { connectionId: connectionMeta.connectionId, userId: connectionMeta.userId, action, reason });
+    return false;
+  }
+
+  // 🚨 Structured error frame: { type: 'error', data: { code, message, ...details } }
+  sendError(connectionId, code, message, details = {}) {
+    return this.sendToConnection(connectionId, {
+      type: 'error',
+      data: { code, message, ...details }
+    });
+  }
+
   checkRateLimit(connectionId) {
     const now = Date.now();
     const limit = this.rateLimits.get(connectionId);
@@ -659,46 +1060,103 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     return limit.count <= this.config.rateLimitMax;
   }
 
+  // 📤 Replies to what one connection asked for - unnumbered, that socket only
   sendToConnection(connectionId, message) {
     const connectionMeta = this.connections.get(connectionId);
-    if (!connectionMeta || connectionMeta.ws.readyState !== WebSocket.OPEN) {
+    if (!connectionMeta) {
+      return false;
+    }
+
+    return this.transmit(connectionMeta, message);
+  }
+
+  /**
+   * 🔢 FRAME FOR USER - Number a message once per user, however many tabs they have
+   *
+   * `frames` (userId -> numbered frame) lives for one delivery, so every
+   * connection of a user - and their outbox - gets the same seq. Numbered and
+   * kept before the send: a frame lost on a dying socket is still in the
+   * outbox when the user resumes.
+   */
+  frameFor(userId, message, frames) {
+    if (!userId || !this.deliveryLedger.isSequenced(message)) {
+      return message;
+    }
+    if (!frames.has(userId)) {
+      frames.set(userId, this.deliveryLedger.record(userId, message));
+    }
+    return frames.get(userId);
+  }
+
+  transmit(connectionMeta, frame) {
+    if (connectionMeta.ws.readyState !== WebSocket.OPEN) {
       return false;
     }
 
     try {
-      connectionMeta.ws.send(JSON.stringify(message));
+      connectionMeta.ws.send(JSON.stringify(frame));
       return true;
     } catch (error) {
-      console.error(`📡 Send error to ${connectionId}:`, error.message);
-      this.handleDisconnection(connectionId, 1006, 'Send error');
+      console.error(`📡 Send error to ${connectionMeta.connectionId}:`, error.message);
+      this.handleDisconnection(connectionMeta.connectionId, 1006, 'Send error');
       return false;
     }
   }
 
-  broadcastToDepartment(department, message, excludeConnectionId = null) {
-    const departmentConnections = this.departments.get(department);
-    if (!departmentConnections) return 0;
+  // 📭 Users away mid-reconnect still get a seq - the frame waits for their resume
+  queueForDetached(userId, message, frames = new Map()) {
+    if (!this.deliveryLedger.isSequenced(message)) return false;
+    this.frameFor(userId, message, frames);
+    return true;
+  }
 
-    let sentCount = 0;
-    for (const connectionMeta of departmentConnections) {
-      if (connectionMeta.connectionId !== excludeConnectionId) {
-        if (this.sendToConnection(connectionMeta.connectionId, message)) {
-          sentCount++;
-        }
+  queueForDetachedMembers(isMember, message, frames) {
+    let queuedCount = 0;
+    for (const [userId, session] of this.detachedSessions) {
+      if (isMember(session) && this.queueForDetached(userId, message, frames)) {
+        queuedCount++;
       }
     }
+    return queuedCount;
+  }
 
-    return sentCount;
+  // 📡 CLUSTER-WIDE BROADCASTS - deliver here, and relay to the other hub nodes
+  broadcastToDepartment(department, message, excludeConnectionId = null) {
+    this.publishToCluster({ type: 'broadcast', scope: 'department', target: department, message, excludeConnectionId });
+    return this.deliverToDepartment(department, message, excludeConnectionId);
   }
 
   broadcastToRoom(roomId, message, excludeConnectionId = null) {
-    const room = this.rooms.get(roomId);
-    if (!room) return 0;
+    this.publishToCluster({ type: 'broadcast', scope: 'room', target: roomId, message, excludeConnectionId });
+    return this.deliverToRoom(roomId, message, excludeConnectionId);
+  }
+
+  broadcastToAll(message, excludeConnectionId = null) {
+    this.publishToCluster({ type: 'broadcast', scope: 'all', target: null, message, excludeConnectionId });
+    return this.deliverToAll(message, excludeConnectionId);
+  }
+
+  // 📬 LOCAL DELIVERY - this node's connections only
+  deliverBroadcast(scope, target, message, excludeConnectionId = null) {
+    switch (scope) {
+      case 'department':
+        return this.deliverToDepartment(target, message, excludeConnectionId);
+      case 'room':
+        return this.deliverToRoom(target, message, excludeConnectionId);
+      case 'all':
+        return this.deliverToAll(message, excludeConnectionId);
+      case 'user':
+        return this.deliverToUser(target, message);
+      default:
+        return 0;
+    }
+  }
 
+  deliverToConnections(connectionMetas, message, frames, excludeConnectionId = null) {
     let sentCount = 0;
-    for (const connectionId of room) {
-      if (connectionId !== excludeConnectionId) {
-        if (this.sendToConnection(connectionId, message)) {
+    for (const connectionMeta of connectionMetas) {
+      if (connectionMeta && connectionMeta.connectionId !== excludeConnectionId) {
+        if (this.transmit(connectionMeta, this.frameFor(connectionMeta.userId, message, frames))) {
           sentCount++;
         }
       }
@@ -707,14 +1165,41 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
     return sentCount;
   }
 
-  broadcastToAll(message, excludeConnectionId = null) {
-    let sentCount = 0;
-    for (const [connectionId] of this.connections) {
-      if (connectionId !== excludeConnectionId) {
-        if (this.sendToConnection(connectionId, message)) {
-          sentCount++;
-        }
-      }
+  deliverToDepartment(department, message, excludeConnectionId = null) {
+    const frames = new Map();
+    this.queueForDetachedMembers(session => session.department === department, message, frames);
+
+    const departmentConnections = this.departments.get(department);
+    if (!departmentConnections) return 0;
+
+    return this.deliverToConnections(departmentConnections, message, frames, excludeConnectionId);
+  }
+
+  deliverToRoom(roomId, message, excludeConnectionId = null) {
+    const frames = new Map();
+    this.queueForDetachedMembers(session => session.rooms.has(roomId), message, frames);
+
+    const room = this.rooms.get(roomId);
+    if (!room) return 0;
+
+    const roomConnections = Array.from(room, connectionId => this.connections.get(connectionId));
+    return this.deliverToConnections(roomConnections, message, frames, excludeConnectionId);
+  }
+
+  deliverToAll(message, excludeConnectionId = null) {
+    const frames = new Map();
+    this.queueForDetachedMembers(() => true, message, frames);
+
+    return this.deliverToConnections(this.connections.values(), message, frames, excludeConnectionId);
+  }
+
+  // 👥 Every tab the user has open here gets the same numbered frame
+  deliverToUser(userId, message) {
+    const frames = new Map();
+    const userConnections = Array.from(this.connections.values()).filter(conn => conn.userId === userId);
+    const sentCount = this.deliverToConnections(userConnections, message, frames);
+    if (sentCount === 0 && this.detachedSessions.has(userId)) {
+      this.queueForDetached(userId, message, frames);
     }
 
     return sentCount;
@@ -726,32 +1211,53 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
 
     console.log(`🔌 Connection ${connectionId} disconnected: ${code} ${reason}`);
 
+    const { userId, department } = connectionMeta;
+    const rooms = new Set(connectionMeta.rooms);
+
     // 🏢 Leave department
     if (connectionMeta.department) {
       this.handleLeaveDepartment(connectionMeta, { department: connectionMeta.department });
     }
 
     // 🏠 Leave all rooms
-    for (const roomId of connectionMeta.rooms) {
+    for (const roomId of rooms) {
       this.handleLeaveRoom(connectionMeta, { roomId });
     }
 
-    // 👤 Remove presence
-    if (connectionMeta.userId) {
-      this.presence.delete(connectionMeta.userId);
-    }
-
     // 🧹 Cleanup
     this.connections.delete(connectionId);
     this.rateLimits.delete(connectionId);
     this.metrics.activeConnections--;
 
+    // 👤 Remove presence once their last tab here closes (unless it's an entry from another node)
+    const stillConnected = userId && Array.from(this.connections.values()).some(conn => conn.userId === userId);
+    const presenceKey = userId || connectionId;
+    const presenceEntry = this.presence.get(presenceKey);
+    if (!stillConnected && presenceEntry && presenceEntry.nodeId === this.nodeId) {
+      this.presence.delete(presenceKey);
+      this.publishToCluster({ type: 'presence:delete', userId: presenceKey });
+    }
+
+    // 📭 Last connection for this user - keep collecting for them until they
+    // resume or the resume window closes
+    if (userId && !stillConnected) {
+      this.detachedSessions.set(userId, {
+        userId,
+        department,
+        rooms,
+        principal: connectionMeta.principal,
+        detachedAt: Date.now()
+      });
+    }
+
     this.emit('connection:closed', { connectionId, code, reason });
   }
 
   setupMaintenanceTasks() {
+    this.maintenanceTimers = [];
+
     // 💓 Heartbeat/ping to detect dead connections
-    setInterval(() => {
+    this.maintenanceTimers.push(setInterval(() => {
       this.wss.clients.forEach((ws) => {
         const connectionMeta = Array.from(this.connections.values())
           .find(conn => conn.ws === ws);
@@ -767,26 +1273,66 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
           ws.ping();
         }
       });
-    }, this.config.pingInterval);
+    }, this.config.pingInterval));
 
     // 🧹 Rate limit cleanup
-    setInterval(() => {
+    this.maintenanceTimers.push(setInterval(() => {
       const now = Date.now();
       for (const [connectionId, limit] of this.rateLimits) {
         if (now - limit.window > this.config.rateLimitWindow * 2) {
           this.rateLimits.delete(connectionId);
         }
       }
-    }, this.config.rateLimitWindow);
+    }, this.config.rateLimitWindow));
+
+    // 📭 Close resume windows nobody came back for
+    this.maintenanceTimers.push(setInterval(() => {
+      this.expireDetachedSessions();
+    }, Math.min(this.config.resumeWindow, 30000)));
+
+    // 🗄️ History retention for channels nobody is writing to
+    this.maintenanceTimers.push(setInterval(() => {
+      this.historyStore.prune();
+    }, 60000));
 
     // 📊 Metrics calculation
-    setInterval(() => {
+    this.maintenanceTimers.push(setInterval(() => {
       this.calculateMetrics();
-    }, 5000);
+    }, 5000));
+
+    // 🌐 Cluster heartbeat - and forget nodes that went quiet
+    this.clusterHeartbeatTimer = setInterval(() => {
+      this.publishToCluster({ type: 'heartbeat' });
+
+      const cutoff = Date.now() - this.config.nodeHeartbeatInterval * 3;
+      for (const [nodeId, lastSeen] of this.clusterNodes) {
+        if (lastSeen < cutoff) {
+          this.forgetClusterNode(nodeId);
+        }
+      }
+    }, this.config.nodeHeartbeatInterval);
+    this.maintenanceTimers.push(this.clusterHeartbeatTimer);
 
     console.log('🔧 Maintenance tasks configured');
   }
 
+  expireDetachedSessions(now = Date.now()) {
+    for (const [userId, session] of this.detachedSessions) {
+      if (now - session.detachedAt > this.config.resumeWindow) {
+        this.dropDetachedSession(userId);
+      }
+    }
+    this.deliveryLedger.prune(now);
+  }
+
+  // 📭 End a resume window, and the outbox with it unless they're connected here
+  dropDetachedSession(userId) {
+    if (!this.detachedSessions.delete(userId)) return;
+    if (!Array.from(this.connections.values()).some(conn => conn.userId === userId)) {
+      this.deliveryLedger.forget(userId);
+    }
+  }
+
   calculateMetrics() {
     const now = Date.now();
     
@@ -804,7 +1350,12 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       departments: Array.from(this.departments.keys()),
       rooms: Array.from(this.rooms.keys()),
       presenceCount: this.presence.size,
-      uptime: Date.now() - this.metrics.uptime
+      uptime: Date.now() - this.metrics.uptime,
+      nodeId: this.nodeId,
+      clusterNodes: Array.from(this.clusterNodes.keys()),
+      adapter: { type: this.adapter.constructor.name, ...this.adapter.stats },
+      delivery: { ...this.deliveryLedger.getStats(), detachedSessions: this.detachedSessions.size },
+      history: this.historyStore.getStats()
     };
   }
 
@@ -812,8 +1363,8 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
   async shutdown() {
     console.log('🛑 Shutting down Corporate Communications Hub...');
 
-    // 📢 Notify all clients
-    this.broadcastToAll({
+    // 📢 Notify this node's clients (the rest of the cluster keeps running)
+    this.deliverToAll({
       type: 'corporate:server_shutdown',
       data: {
         message: 'Server is shutting down for maintenance',
@@ -832,6 +1383,12 @@ class AlgoCraticCommunicationsHub extends EventEmitter {
       }
     }
 
+    // 🌐 Stop the maintenance timers and leave the cluster
+    this.maintenanceTimers.forEach(timer => clearInterval(timer));
+    await this.adapter.publish({ type: 'node:down' }).catch(() => {});
+    await this.adapter.close();
+    await this.historyStore.close();
+
     // 🛑 Close server
     this.server.close();
     console.log('✅ Corporate Communications Hub shutdown complete');
@@ -845,10 +1402,22 @@ async function demonstrateCorporateRealtimeCommunications() {
   console.log('📡 Initializing corporate WebSocket infrastructure...');
   console.log('');
 
+  // 🌐 MESSAGE_BUS_BROKER=host:port joins every hub using that broker into one cluster
+  const broker = process.env.MESSAGE_BUS_BROKER;
+  let adapter;
+  if (broker) {
+    const [host, port] = broker.split(':');
+    adapter = new MessageBusHubAdapter({
+      messageBus: createMessageBus({ backend: 'remote', remote: { host, port: Number(port) || 9092 } })
+    });
+  }
+
   const hub = new AlgoCraticCommunicationsHub({
-    port: 8080,
+    port: Number(process.env.HUB_PORT) || 8080,
     maxConnections: 100,
-    rateLimitMax: 50
+    rateLimitMax: 50,
+    adapter,
+    history: { dataDir: process.env.HUB_HISTORY_DIR } // Set it to keep history across restarts
   });
 
   // 📊 Monitor hub events
@@ -870,6 +1439,9 @@ async function demonstrateCorporateRealtimeCommunications() {
     }
   });
 
+  // ⏳ A failed start (e.g. MESSAGE_BUS_BROKER unreachable) ends the demo
+  await hub.ready;
+
   // 🛑 Graceful shutdown handler
   process.on('SIGINT', async () => {
     console.log('\\n🛑 Received shutdown signal...');
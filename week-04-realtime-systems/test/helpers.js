@@ -0,0 +1,38 @@
+/**
+ * 🧰 TEST HELPERS - Polling and authenticated WebSocket clients for hub tests
+ */
+
+const WebSocket = require('ws');
+const { signToken, AUTH_SUBPROTOCOL } = require('../sample-code/hub-auth');
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * 🔌 CONNECT - An authenticated client that records every frame it receives
+ *
+ * ws.frames holds the parsed frames, ws.request(type, data) sends one and
+ * ws.framesOfType(type) filters them.
+ */
+function connect(port, userId, { secret, role = 'employee', departments = ['Engineering'] } = {}) {
+  const token = signToken({ sub: userId, role, departments }, secret);
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`, [AUTH_SUBPROTOCOL, token]);
+  ws.frames = [];
+  ws.on('message', data => ws.frames.push(JSON.parse(data)));
+  ws.request = (type, data) => ws.send(JSON.stringify({ type, data }));
+  ws.framesOfType = type => ws.frames.filter(frame => frame.type === type);
+  return new Promise((resolve, reject) => {
+    ws.once('error', reject);
+    ws.once('open', () => resolve(ws));
+  });
+}
+
+module.exports = {
+  waitFor,
+  connect
+};
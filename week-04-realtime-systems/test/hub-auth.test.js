@@ -0,0 +1,88 @@
+/**
+ * 🧪 HUB AUTH - Token verification and the per-message policy
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AUTH_SUBPROTOCOL,
+  AuthorizationPolicy,
+  signToken,
+  verifyToken,
+  extractToken,
+  principalFromClaims
+} = require('../sample-code/hub-auth');
+
+const SECRET = 'hub-auth-test-secret';
+
+// 🔧 A token with hand-made header/claims, signed properly or not at all
+function forgeToken(header, claims, signature = 'c2lnbmF0dXJl') {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode(header)}.${encode(claims)}.${signature}`;
+}
+
+test('verifyToken returns the claims of a token it signed', () => {
+  const token = signToken({ sub: 'alice', role: 'manager', departments: ['Engineering'] }, SECRET, { expiresInSeconds: 60 });
+  const claims = verifyToken(token, SECRET);
+
+  assert.equal(claims.sub, 'alice');
+  assert.equal(claims.exp - claims.iat, 60);
+  assert.deepEqual(principalFromClaims(claims), {
+    userId: 'alice',
+    name: 'alice',
+    role: 'manager',
+    departments: ['Engineering'],
+    expiresAt: claims.exp * 1000
+  });
+});
+
+test('verifyToken rejects forged, malformed and expired tokens', () => {
+  const token = signToken({ sub: 'alice' }, SECRET, { expiresInSeconds: 60 });
+  const [header, , signature] = token.split('.');
+  const escalated = `${header}.${Buffer.from(JSON.stringify({ sub: 'alice', role: 'admin' })).toString('base64url')}.${signature}`;
+
+  const rejections = [
+    [() => verifyToken(undefined, SECRET), 'MISSING_TOKEN'],
+    [() => verifyToken('not-a-token', SECRET), 'INVALID_TOKEN'],
+    [() => verifyToken(token, 'some-other-secret'), 'INVALID_TOKEN'],
+    [() => verifyToken(escalated, SECRET), 'INVALID_TOKEN'],
+    [() => verifyToken(forgeToken({ alg: 'none' }, { sub: 'alice' }, ''), SECRET), 'INVALID_TOKEN'],
+    [() => verifyToken(forgeToken(null, { sub: 'alice' }), SECRET), 'INVALID_TOKEN'],
+    [() => verifyToken(token, SECRET, { now: Date.now() + 2 * 60 * 1000 }), 'TOKEN_EXPIRED']
+  ];
+  for (const [verify, code] of rejections) {
+    assert.throws(verify, { name: 'AuthenticationError', code });
+  }
+
+  // ⏱️ Within the clock tolerance is still fine
+  assert.equal(verifyToken(token, SECRET, { now: Date.now() + 75 * 1000 }).sub, 'alice');
+});
+
+test('extractToken reads the query string or the auth subprotocol', () => {
+  assert.equal(extractToken({ url: '/?token=abc', headers: {} }), 'abc');
+  assert.equal(extractToken({ url: '/', headers: { 'sec-websocket-protocol': `${AUTH_SUBPROTOCOL}, abc` } }), 'abc');
+  assert.equal(extractToken({ url: '/', headers: { 'sec-websocket-protocol': 'chat' } }), null);
+});
+
+test('the default policy follows the corporate hierarchy', () => {
+  const policy = new AuthorizationPolicy({ rooms: { boardroom: { roles: ['executive'] } } });
+  const employee = { userId: 'bob', role: 'employee', departments: ['Engineering'] };
+  const manager = { userId: 'carol', role: 'manager', departments: ['Sales'] };
+  const executive = { userId: 'dana', role: 'executive', departments: [] };
+
+  assert.equal(policy.authorize('department:join', employee, { department: 'Engineering' }), null);
+  assert.match(policy.authorize('department:join', employee, { department: 'Sales' }), /not cleared/);
+  assert.equal(policy.authorize('department:join', executive, { department: 'Sales' }), null);
+
+  const broadcast = { department: 'Engineering', memberDepartment: 'Engineering' };
+  assert.equal(policy.authorize('department:broadcast', employee, { ...broadcast, priority: 'normal' }), null);
+  assert.match(policy.authorize('department:broadcast', employee, { ...broadcast, priority: 'urgent' }), /Only managers/);
+
+  assert.match(policy.authorize('room:join', manager, { roomId: 'boardroom' }), /restricted/);
+  assert.equal(policy.authorize('room:join', executive, { roomId: 'boardroom' }), null);
+
+  assert.match(policy.authorize('direct:message', employee, { target: { role: 'employee' }, senderDepartment: 'Engineering', targetDepartment: 'Sales' }), /own department/);
+  assert.equal(policy.authorize('direct:message', employee, { target: manager }), null);
+});
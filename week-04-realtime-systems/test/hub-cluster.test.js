@@ -0,0 +1,129 @@
+/**
+ * 🧪 HUB CLUSTER - InMemoryHubAdapter, alone and between two hub nodes
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { AlgoCraticCommunicationsHub } = require('../sample-code/websocket-server');
+const { InMemoryHubAdapter } = require('../sample-code/hub-adapters');
+const { waitFor, connect } = require('./helpers');
+
+console.log = () => {}; // The hub narrates every step
+
+const SECRET = 'cluster-test-secret';
+
+function connectTo(port, userId, options = {}) {
+  return connect(port, userId, { secret: SECRET, ...options });
+}
+
+test('adapters on a shared channel exchange envelopes and drop their own echoes', async () => {
+  const channel = new EventEmitter();
+  const a = new InMemoryHubAdapter({ channel, nodeId: 'node-a' });
+  const b = new InMemoryHubAdapter({ channel, nodeId: 'node-b' });
+  await a.init();
+  await b.init();
+
+  const heardByA = [];
+  const heardByB = [];
+  a.on('envelope', envelope => heardByA.push(envelope));
+  b.on('envelope', envelope => heardByB.push(envelope));
+
+  await a.publish({ type: 'broadcast', scope: 'department', target: 'Engineering', message: { sentAt: new Date(0) } });
+  assert.equal(heardByB.length, 0, 'delivery is asynchronous, like a network');
+
+  await waitFor(() => heardByB.length === 1);
+  assert.equal(heardByB[0].nodeId, 'node-a');
+  assert.equal(heardByB[0].message.sentAt, '1970-01-01T00:00:00.000Z', 'envelopes cross as JSON');
+  assert.equal(heardByA.length, 0);
+  assert.deepEqual(a.stats, { published: 1, received: 0, echoesDropped: 1 });
+
+  await b.close();
+  await a.publish({ type: 'heartbeat' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(heardByB.length, 1, 'a closed adapter hears nothing');
+  await a.close();
+});
+
+test('direct messages reach a user on another node without set_presence', async (t) => {
+  const channel = new EventEmitter();
+  const hubA = new AlgoCraticCommunicationsHub({ port: 18471, authSecret: SECRET, adapter: new InMemoryHubAdapter({ channel }) });
+  const hubB = new AlgoCraticCommunicationsHub({ port: 18472, authSecret: SECRET, adapter: new InMemoryHubAdapter({ channel }) });
+  await Promise.all([hubA.ready, hubB.ready]);
+  t.after(() => Promise.all([hubA.shutdown(), hubB.shutdown()]));
+
+  const alice = await connectTo(18471, 'alice');
+  const bob = await connectTo(18472, 'bob', { departments: ['Engineering', 'Sales'] });
+  t.after(() => { alice.close(); bob.close(); });
+
+  // Connecting is enough for the other node to know where bob is
+  await waitFor(() => hubA.presence.has('bob'));
+  assert.equal(hubA.presence.get('bob').nodeId, hubB.nodeId);
+  assert.deepEqual(hubA.presence.get('bob').departments, ['Engineering', 'Sales']);
+
+  // Departments are in presence too, so the direct:message policy can run on alice's node
+  alice.request('corporate:join_department', { department: 'Engineering' });
+  bob.request('corporate:join_department', { department: 'Engineering' });
+  await waitFor(() => hubA.presence.get('bob').department === 'Engineering');
+
+  alice.request('corporate:direct_message', { targetUserId: 'bob', message: 'across the cluster' });
+  await waitFor(() => bob.framesOfType('corporate:direct_message').length === 1);
+  assert.equal(bob.framesOfType('corporate:direct_message')[0].data.fromUserId, 'alice');
+
+  bob.close();
+  await waitFor(() => !hubA.presence.has('bob'));
+  alice.request('corporate:direct_message', { targetUserId: 'bob', message: 'anyone there?' });
+  await waitFor(() => alice.framesOfType('error').length === 1);
+  assert.equal(alice.framesOfType('error')[0].data.code, 'USER_NOT_FOUND');
+});
+
+test('a hub whose adapter cannot connect reports the failed start', async () => {
+  class UnreachableAdapter extends InMemoryHubAdapter {
+    async init() {
+      throw new Error('Cannot reach message bus broker at localhost:1');
+    }
+  }
+
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  try {
+    const hub = new AlgoCraticCommunicationsHub({ port: 18473, authSecret: SECRET, adapter: new UnreachableAdapter() });
+    const reported = new Promise(resolve => hub.once('server:error', resolve));
+
+    await assert.rejects(hub.ready, /Cannot reach message bus broker/);
+    assert.match((await reported).message, /Cannot reach message bus broker/);
+    assert.equal(hub.server.listening, false);
+  } finally {
+    console.error = originalConsoleError;
+  }
+});
+
+test('a user who drops on one node and reconnects on another gets their DMs there', async (t) => {
+  const channel = new EventEmitter();
+  const hubA = new AlgoCraticCommunicationsHub({ port: 18474, authSecret: SECRET, adapter: new InMemoryHubAdapter({ channel }) });
+  const hubB = new AlgoCraticCommunicationsHub({ port: 18475, authSecret: SECRET, adapter: new InMemoryHubAdapter({ channel }) });
+  await Promise.all([hubA.ready, hubB.ready]);
+  t.after(() => Promise.all([hubA.shutdown(), hubB.shutdown()]));
+
+  const alice = await connectTo(18474, 'alice', { role: 'manager' });
+  const bobOnA = await connectTo(18474, 'bob');
+  bobOnA.close();
+  await waitFor(() => hubA.detachedSessions.has('bob'));
+
+  const bobOnB = await connectTo(18475, 'bob');
+  t.after(() => { alice.close(); bobOnB.close(); });
+  await waitFor(() => !hubA.detachedSessions.has('bob'));
+  assert.equal(hubA.presence.get('bob').nodeId, hubB.nodeId);
+
+  // Even a detached session that outlived the move must not swallow the DM
+  hubA.detachedSessions.set('bob', { userId: 'bob', department: null, rooms: new Set(), principal: null, detachedAt: Date.now() });
+  alice.request('corporate:direct_message', { targetUserId: 'bob', message: 'found you' });
+  await waitFor(() => bobOnB.framesOfType('corporate:direct_message').length === 1);
+
+  const [receipt] = alice.framesOfType('corporate:message_delivered');
+  assert.equal(receipt.data.relayedTo, hubB.nodeId);
+  assert.equal(receipt.data.queued, undefined);
+  assert.equal(hubA.detachedSessions.has('bob'), false);
+});
@@ -0,0 +1,83 @@
+/**
+ * 🧪 HUB DELIVERY - Per-user sequence numbers across several open tabs
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlgoCraticCommunicationsHub } = require('../sample-code/websocket-server');
+const { waitFor, connect } = require('./helpers');
+
+console.log = () => {}; // The hub narrates every step
+
+const SECRET = 'delivery-test-secret';
+const PORT = 18481;
+
+// Alice's tabs and Bob, all cleared for Engineering
+async function connectAs(userId) {
+  const ws = await connect(PORT, userId, { secret: SECRET });
+  ws.numberedAfter = seq => ws.frames.filter(frame => frame.seq > seq);
+  return ws;
+}
+
+async function joinEngineering(ws) {
+  ws.request('corporate:join_department', { department: 'Engineering' });
+  await waitFor(() => ws.framesOfType('corporate:department_joined').length === 1);
+}
+
+test('two tabs of one user share seqs, acks and the resume outbox', async (t) => {
+  const hub = new AlgoCraticCommunicationsHub({ port: PORT, authSecret: SECRET });
+  await hub.ready;
+  t.after(() => hub.shutdown());
+
+  const laptop = await connectAs('alice');
+  const phone = await connectAs('alice');
+  const bob = await connectAs('bob');
+  t.after(() => [laptop, phone, bob].forEach(ws => ws.close()));
+  await joinEngineering(laptop);
+  await joinEngineering(phone);
+  await joinEngineering(bob);
+
+  // The join notices were numbered too - start from a clean outbox
+  const base = hub.deliveryLedger.lastSeq('alice');
+  laptop.request('corporate:ack', { seq: base });
+  await waitFor(() => hub.deliveryLedger.getOutbox('alice').entries.length === 0);
+
+  // 📤 Send: both tabs get the same frames with the same seqs
+  bob.request('corporate:broadcast', { message: 'standup in 5' });
+  bob.request('corporate:direct_message', { targetUserId: 'alice', message: 'got a minute?' });
+  await waitFor(() => laptop.numberedAfter(base).length === 2 && phone.numberedAfter(base).length === 2);
+
+  assert.deepEqual(laptop.numberedAfter(base), phone.numberedAfter(base));
+  assert.deepEqual(
+    phone.numberedAfter(base).map(frame => [frame.seq, frame.type]),
+    [[base + 1, 'corporate:department_broadcast'], [base + 2, 'corporate:direct_message']]
+  );
+  assert.equal(hub.deliveryLedger.getOutbox('alice').entries.length, 2, 'one outbox entry per message, not per tab');
+
+  // ✅ Ack: one tab's ack releases what every tab received
+  phone.request('corporate:ack', { seq: base + 1 });
+  await waitFor(() => hub.deliveryLedger.getOutbox('alice').ackedSeq === base + 1);
+  assert.deepEqual(hub.deliveryLedger.getOutbox('alice').entries.map(entry => entry.seq), [base + 2]);
+
+  // 🔄 Resume: both tabs drop, a message arrives, one tab comes back
+  laptop.close();
+  phone.close();
+  await waitFor(() => hub.detachedSessions.has('alice'));
+  const detachedSeq = hub.deliveryLedger.lastSeq('alice'); // The laptop's leave notice reached the phone
+  bob.request('corporate:broadcast', { message: 'standup moved to 10' });
+  await waitFor(() => hub.deliveryLedger.lastSeq('alice') === detachedSeq + 1);
+
+  const laptopAgain = await connectAs('alice');
+  t.after(() => laptopAgain.close());
+  laptopAgain.request('corporate:resume', { lastSeq: base + 1 });
+  await waitFor(() => laptopAgain.framesOfType('corporate:resumed').length === 1);
+
+  const replayed = laptopAgain.frames.filter(frame => frame.replayed);
+  const expectedSeqs = Array.from({ length: detachedSeq + 1 - (base + 1) }, (_, index) => base + 2 + index);
+  assert.deepEqual(replayed.map(frame => frame.seq), expectedSeqs);
+  assert.equal(replayed[0].type, 'corporate:direct_message');
+  assert.equal(replayed[replayed.length - 1].data.message, 'standup moved to 10');
+  assert.equal(laptopAgain.framesOfType('corporate:resumed')[0].data.department, 'Engineering');
+});
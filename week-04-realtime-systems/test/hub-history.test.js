@@ -0,0 +1,56 @@
+/**
+ * 🧪 HUB HISTORY - FileHistoryStore across restarts
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileHistoryStore } = require('../sample-code/hub-history');
+
+console.log = () => {}; // The store announces every load
+
+async function createDataDir(t) {
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hub-history-'));
+  t.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+async function openStore(dataDir) {
+  const store = new FileHistoryStore({ dataDir, defaultRetention: { maxMessages: 1000, maxAgeMs: 60 * 1000 } });
+  await store.init();
+  return store;
+}
+
+test('reloads messages and continues their IDs', async (t) => {
+  const dataDir = await createDataDir(t);
+  const first = await openStore(dataDir);
+  first.append('room', 'war room', { message: 'one' });
+  first.append('room', 'war room', { message: 'two' });
+  await first.close();
+
+  const second = await openStore(dataDir);
+  assert.deepEqual(second.query('room', 'war room').messages.map(entry => entry.message), ['one', 'two']);
+  assert.equal(second.append('room', 'war room', { message: 'three' }).id, 3);
+  await second.close();
+});
+
+test('IDs keep climbing after retention has emptied a channel', async (t) => {
+  const dataDir = await createDataDir(t);
+  const first = await openStore(dataDir);
+  const expired = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+  for (let i = 0; i < 100; i++) {
+    first.append('department', 'Engineering', { message: `old ${i}`, timestamp: expired });
+  }
+  await first.close();
+
+  const lines = await fs.promises.readFile(path.join(dataDir, 'department', 'Engineering.ndjson'), 'utf8');
+  assert.equal(lines, '', 'the rewrite left nothing behind');
+
+  const second = await openStore(dataDir);
+  assert.equal(second.append('department', 'Engineering', { message: 'fresh' }).id, 101);
+  await second.close();
+});
@@ -0,0 +1,97 @@
+/**
+ * 🧪 HUB PROTOCOL - Payload validation and the protocol document
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCorporateProtocol, validatePayload } = require('../sample-code/hub-protocol');
+const { AuthorizationPolicy } = require('../sample-code/hub-auth');
+const { AlgoCraticCommunicationsHub } = require('../sample-code/websocket-server');
+const { waitFor, connect } = require('./helpers');
+
+console.log = () => {}; // The hub narrates every step
+
+const SECRET = 'protocol-test-secret';
+const PORT = 18482;
+
+test('validatePayload reports every failing field', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      department: { type: 'string', minLength: 1 },
+      priority: { enum: ['low', 'high'] },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['department'],
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validatePayload(schema, { department: 'Sales', priority: 'low', limit: 5, tags: ['q3'] }), []);
+  assert.deepEqual(validatePayload(schema, { priority: 'meh', limit: 0.5, tags: ['q3', 7], depatment: 'Sales' }), [
+    { field: 'data.department', message: 'is required' },
+    { field: 'data.priority', message: 'must be one of: low, high' },
+    { field: 'data.limit', message: 'must be integer' },
+    { field: 'data.tags[1]', message: 'must be string' },
+    { field: 'data.depatment', message: 'is not an allowed field' }
+  ]);
+  assert.deepEqual(validatePayload(schema, []), [{ field: 'data', message: 'must be object' }]);
+  assert.deepEqual(validatePayload(schema, { department: '' }), [{ field: 'data.department', message: 'must not be empty' }]);
+});
+
+test('every corporate type has a schema, and unknown types are refused', () => {
+  const protocol = createCorporateProtocol();
+
+  assert.deepEqual(protocol.validate('corporate:join_department', undefined), [{ field: 'data.department', message: 'is required' }]);
+  assert.deepEqual(protocol.validate('corporate:join_department', { department: 'Engineering' }), []);
+  assert.deepEqual(protocol.validate('corporate:teleport', {}), [{ field: 'type', message: "unknown message type 'corporate:teleport'" }]);
+  for (const [type, { schema }] of Object.entries(protocol.describe().clientMessages)) {
+    assert.equal(schema.type, 'object', `${type} payloads are objects`);
+  }
+});
+
+test('the hub answers an invalid frame with INVALID_PAYLOAD and the failing fields', async (t) => {
+  const hub = new AlgoCraticCommunicationsHub({ port: PORT, authSecret: SECRET });
+  await hub.ready;
+  t.after(() => hub.shutdown());
+
+  const ws = await connect(PORT, 'alice', { secret: SECRET });
+  t.after(() => ws.close());
+  ws.request('corporate:join_department', { departmnet: 'Engineering' });
+  await waitFor(() => ws.framesOfType('error').length === 1);
+
+  const [{ data }] = ws.framesOfType('error');
+  assert.equal(data.code, 'INVALID_PAYLOAD');
+  assert.equal(data.requestType, 'corporate:join_department');
+  assert.deepEqual(data.errors, [
+    { field: 'data.department', message: 'is required' },
+    { field: 'data.departmnet', message: 'is not an allowed field' }
+  ]);
+
+  // 📖 The document the hub serves is the registry it routes with
+  const response = await fetch(`http://127.0.0.1:${PORT}/protocol`);
+  const document = await response.json();
+  assert.deepEqual(Object.keys(document.clientMessages).sort(), Array.from(hub.protocol.types.keys()).sort());
+});
+
+test('the protocol document describes the policy the hub actually enforces', () => {
+  const protocol = createCorporateProtocol();
+  const policy = new AuthorizationPolicy({
+    rules: {
+      'room:join': () => null,
+      'direct:message': () => 'Direct messages are disabled'
+    },
+    descriptions: { 'room:join': 'Anyone, into any room' }
+  });
+
+  const { clientMessages } = protocol.describe(policy);
+  const rules = Object.fromEntries(Object.values(clientMessages)
+    .filter(message => message.permissions)
+    .map(message => [message.permissions.policy, message.permissions.rule]));
+
+  assert.equal(rules['room:join'], 'Anyone, into any room');
+  assert.equal(rules['direct:message'], 'Custom AuthorizationPolicy rule', 'an overridden rule keeps no stale default text');
+  assert.equal(rules['department:join'], new AuthorizationPolicy().describe('department:join'));
+});